@@ -5,6 +5,10 @@
  * location, specialty, and certifications.
  */
 
+// Synonym groups keyed by primary specialty. The backend keeps an identical
+// copy in src/data/specialty-synonyms.json for job search query expansion.
+const SPECIALTY_SYNONYMS = require('./specialty-synonyms.json');
+
 /**
  * Calculate the match score between a candidate and a job
  * @param {Object} candidate - Candidate data from resume or application
@@ -167,26 +171,11 @@ function parseExperienceRange(experienceRange) {
  * @returns {Array} - Related specialties
  */
 function getRelatedSpecialties(specialty) {
-  const specialtyMap = {
-    'ICU': ['critical care', 'micu', 'sicu', 'intensive care'],
-    'Med/Surg': ['medical surgical', 'medical/surgical', 'med-surg'],
-    'Emergency': ['er', 'ed', 'emergency room', 'emergency department', 'trauma'],
-    'Labor & Delivery': ['l&d', 'labor and delivery', 'obstetrics', 'maternity'],
-    'OR': ['operating room', 'surgery', 'surgical', 'perioperative'],
-    'PACU': ['post anesthesia', 'recovery', 'post-op'],
-    'Telemetry': ['tele', 'cardiac', 'cardiology', 'step-down'],
-    'Cath Lab': ['cardiac cath', 'interventional cardiology'],
-    'Oncology': ['cancer', 'hematology'],
-    'Pediatrics': ['peds', 'children', 'nicu', 'picu'],
-    'Psychiatric': ['psych', 'mental health', 'behavioral health'],
-    'Rehabilitation': ['rehab', 'physical therapy', 'occupational therapy']
-  };
-  
   const normalizedSpecialty = specialty.toLowerCase();
   
   // Find the primary category for this specialty
   let primaryCategory = null;
-  for (const [category, related] of Object.entries(specialtyMap)) {
+  for (const [category, related] of Object.entries(SPECIALTY_SYNONYMS)) {
     if (category.toLowerCase() === normalizedSpecialty || 
         related.includes(normalizedSpecialty)) {
       primaryCategory = category;
@@ -196,7 +185,7 @@ function getRelatedSpecialties(specialty) {
   
   // If we found a primary category, return all related specialties
   if (primaryCategory) {
-    return [primaryCategory.toLowerCase(), ...specialtyMap[primaryCategory]];
+    return [primaryCategory.toLowerCase(), ...SPECIALTY_SYNONYMS[primaryCategory]];
   }
   
   // If no related specialties found, return empty array
@@ -286,5 +275,7 @@ function findMatchingCandidates(job, candidates, options = {}) {
 module.exports = {
   calculateMatchScore,
   findMatchingJobs,
-  findMatchingCandidates
+  findMatchingCandidates,
+  getRelatedSpecialties,
+  SPECIALTY_SYNONYMS
 };
\ No newline at end of file
@@ -8,28 +8,99 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { Logger } = require('../../utils/logger');
 const logger = new Logger({ service: 'JobsController' });
+const { JobSearchService } = require('../../src/services/job-search.service');
+const jobSearchService = new JobSearchService(prisma);
+const { JobSuggestService } = require('../../src/services/job-suggest.service');
+const jobSuggestService = new JobSuggestService(prisma);
+const { JobCacheService } = require('../../src/services/job-cache.service');
+const jobCacheService = new JobCacheService({ namespace: 'legacy' });
+const { JobViewService, getViewer } = require('../../src/services/job-view.service');
+const jobViewService = new JobViewService(prisma);
+const { getListOrder } = require('../../src/schemas/jobs');
+const { calculateCompensation } = require('../../src/utils/compensation');
+const { buildJobPosting } = require('../../src/utils/job-posting');
+const { getSimilarCandidateWhere, rankSimilarJobs } = require('../../src/utils/job-similarity');
+const {
+  getCursorMeta,
+  getOrderTerms,
+  toPrismaOrderBy,
+  toPrismaKeysetWhere,
+  getKeyValues
+} = require('../../src/utils/cursor');
+
+// Job sort fields that may be null, which keyset pagination orders last
+const NULLABLE_SORT_FIELDS = ['startDate'];
+
+// Most jobs scored when finding similar jobs
+const SIMILAR_CANDIDATE_LIMIT = 200;
 
 /**
- * Get all jobs with filtering and pagination
+ * Get all jobs with filtering and pagination. Expects a query validated
+ * against schemas/jobs.js#listJobs, so list filters are arrays, numbers are
+ * coerced and sort is a whitelisted `field:direction`. Pages by number, or by
+ * cursor when `pagination=cursor` or a cursor is given.
  */
 exports.getJobs = async (req, res, next) => {
   try {
     const {
-      page = 1,
-      limit = 20,
+      page,
+      limit,
       specialty,
       state,
       city,
       minPay,
       maxPay,
       shiftType,
-      status = 'active',
+      startDate,
+      startBefore,
+      isFeatured,
+      isUrgent,
+      status,
       sort,
-      search
+      pagination,
+      cursor
     } = req.query;
+    const search = req.query.search || req.query.keyword;
+    const byCursor = pagination === 'cursor' || Boolean(cursor);
+
+    // Facet counts for the filter panel, when requested
+    const facets = req.query.facets
+      ? await jobSearchService.getFacets({ ...req.query, search })
+      : undefined;
+
+    // Ranked full-text and radius search
+    if (search || req.query.near) {
+      const { results, total, nextKey } = await jobSearchService.search({ ...req.query, search });
+      const ranked = await prisma.job.findMany({
+        where: { id: { in: results.map(result => result.id) } },
+        include: {
+          facility: true
+        }
+      });
+      const jobsById = new Map(ranked.map(job => [job.id, job]));
+
+      return res.json({
+        data: results
+          .filter(result => jobsById.has(result.id))
+          .map(result => ({
+            ...formatJobResponse(jobsById.get(result.id)),
+            relevance: result.rank,
+            distance: result.distance
+          })),
+        meta: byCursor
+          ? getCursorMeta(limit, getListOrder(req.query), nextKey)
+          : {
+            page,
+            limit,
+            total,
+            total_pages: Math.ceil(total / limit)
+          },
+        ...(facets && { facets })
+      });
+    }
 
-    // Build where clause
-    const where = {};
+    // Build where clause; duplicates are listed through their canonical job
+    const where = { canonicalJobId: null };
 
     // Filter by status
     if (status) {
@@ -38,63 +109,81 @@ exports.getJobs = async (req, res, next) => {
 
     // Filter by specialty
     if (specialty) {
-      where.specialty = Array.isArray(specialty) 
-        ? { in: specialty.split(',') } 
-        : specialty;
+      where.specialty = { in: specialty };
     }
 
     // Filter by state
     if (state) {
-      where.state = Array.isArray(state) 
-        ? { in: state.split(',') } 
-        : state;
+      where.state = { in: state };
     }
 
     // Filter by city
     if (city) {
-      where.city = Array.isArray(city) 
-        ? { in: city.split(',') } 
-        : city;
+      where.city = { in: city };
     }
 
     // Filter by pay range
-    if (minPay || maxPay) {
+    if (minPay !== undefined || maxPay !== undefined) {
       where.payRate = {};
-      if (minPay) where.payRate.gte = parseFloat(minPay);
-      if (maxPay) where.payRate.lte = parseFloat(maxPay);
+      if (minPay !== undefined) where.payRate.gte = minPay;
+      if (maxPay !== undefined) where.payRate.lte = maxPay;
     }
 
     // Filter by shift type
     if (shiftType) {
-      where.shiftType = Array.isArray(shiftType) 
-        ? { in: shiftType.split(',') } 
-        : shiftType;
+      where.shiftType = { in: shiftType };
+    }
+
+    // Filter by start date range
+    if (startDate || startBefore) {
+      where.startDate = {};
+      if (startDate) where.startDate.gte = startDate;
+      if (startBefore) where.startDate.lt = startBefore;
+    }
+
+    // Filter by featured and urgent flags
+    if (isFeatured !== undefined) {
+      where.isFeatured = isFeatured;
+    }
+
+    if (isUrgent !== undefined) {
+      where.isUrgent = isUrgent;
     }
 
-    // Search functionality
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-        { facilityName: { contains: search, mode: 'insensitive' } },
-        { city: { contains: search, mode: 'insensitive' } },
-        { state: { contains: search, mode: 'insensitive' } }
-      ];
+    // Keyset pagination, without a count
+    if (byCursor) {
+      const terms = getOrderTerms(sort || 'updatedAt:desc', NULLABLE_SORT_FIELDS);
+      const rows = await prisma.job.findMany({
+        where: cursor ? { AND: [where, toPrismaKeysetWhere(terms, cursor.values)] } : where,
+        take: limit + 1,
+        orderBy: toPrismaOrderBy(terms),
+        include: {
+          facility: true
+        }
+      });
+      const jobs = rows.slice(0, limit);
+      const nextKey = rows.length > limit ? getKeyValues(terms, jobs[jobs.length - 1]) : null;
+
+      return res.json({
+        data: jobs.map(job => formatJobResponse(job)),
+        meta: getCursorMeta(limit, getListOrder(req.query), nextKey),
+        ...(facets && { facets })
+      });
     }
 
     // Determine sorting
     let orderBy = { updatedAt: 'desc' };
     if (sort) {
       const [field, direction] = sort.split(':');
-      orderBy = { [field]: direction || 'asc' };
+      orderBy = { [field]: direction };
     }
 
     // Execute query with pagination
     const [jobs, totalCount] = await Promise.all([
       prisma.job.findMany({
         where,
-        skip: (parseInt(page) - 1) * parseInt(limit),
-        take: parseInt(limit),
+        skip: (page - 1) * limit,
+        take: limit,
         orderBy,
         include: {
           facility: true
@@ -107,11 +196,12 @@ exports.getJobs = async (req, res, next) => {
     res.json({
       data: jobs.map(job => formatJobResponse(job)),
       meta: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total: totalCount,
-        total_pages: Math.ceil(totalCount / parseInt(limit))
-      }
+        total_pages: Math.ceil(totalCount / limit)
+      },
+      ...(facets && { facets })
     });
   } catch (error) {
     logger.error('Error fetching jobs', error);
@@ -126,11 +216,15 @@ exports.getJobById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const job = await prisma.job.findUnique({
-      where: { id },
-      include: {
-        facility: true
-      }
+    const job = await jobCacheService.getJob(id, async () => {
+      const found = await prisma.job.findUnique({
+        where: { id },
+        include: {
+          facility: true
+        }
+      });
+
+      return found && formatJobResponse(found);
     });
 
     if (!job) {
@@ -139,18 +233,11 @@ exports.getJobById = async (req, res, next) => {
       });
     }
 
-    // Increment view count
-    await prisma.job.update({
-      where: { id },
-      data: {
-        viewsCount: {
-          increment: 1
-        }
-      }
-    });
+    // Count the view; views are buffered and flushed to the job periodically
+    await jobViewService.recordView(id, getViewer(req));
 
     res.json({
-      data: formatJobResponse(job)
+      data: job
     });
   } catch (error) {
     logger.error(`Error fetching job with ID ${req.params.id}`, error);
@@ -163,22 +250,27 @@ exports.getJobById = async (req, res, next) => {
  */
 exports.getFeaturedJobs = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 6;
+    const { limit } = req.query;
+
+    const jobs = await jobCacheService.getList('featured', { limit }, async () => {
+      const featured = await prisma.job.findMany({
+        where: {
+          status: 'active',
+          isFeatured: true,
+          canonicalJobId: null
+        },
+        take: limit,
+        orderBy: { updatedAt: 'desc' },
+        include: {
+          facility: true
+        }
+      });
 
-    const jobs = await prisma.job.findMany({
-      where: {
-        status: 'active',
-        isFeatured: true
-      },
-      take: limit,
-      orderBy: { updatedAt: 'desc' },
-      include: {
-        facility: true
-      }
+      return featured.map(job => formatJobResponse(job));
     });
 
     res.json({
-      data: jobs.map(job => formatJobResponse(job)),
+      data: jobs,
       meta: {
         count: jobs.length
       }
@@ -194,21 +286,26 @@ exports.getFeaturedJobs = async (req, res, next) => {
  */
 exports.getRecentJobs = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const { limit } = req.query;
 
-    const jobs = await prisma.job.findMany({
-      where: {
-        status: 'active'
-      },
-      take: limit,
-      orderBy: { createdAt: 'desc' },
-      include: {
-        facility: true
-      }
+    const jobs = await jobCacheService.getList('recent', { limit }, async () => {
+      const recent = await prisma.job.findMany({
+        where: {
+          status: 'active',
+          canonicalJobId: null
+        },
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          facility: true
+        }
+      });
+
+      return recent.map(job => formatJobResponse(job));
     });
 
     res.json({
-      data: jobs.map(job => formatJobResponse(job)),
+      data: jobs,
       meta: {
         count: jobs.length
       }
@@ -220,16 +317,21 @@ exports.getRecentJobs = async (req, res, next) => {
 };
 
 /**
- * Get similar jobs
+ * Get similar jobs, ranked by a weighted similarity over specialty,
+ * distance, pay, shift, contract length and facility type. Each job has a
+ * `similarity` with its score and reasons.
  */
 exports.getSimilarJobs = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const limit = parseInt(req.query.limit) || 5;
+    const { limit } = req.query;
 
     // Get the job to find similar jobs for
     const job = await prisma.job.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        facility: true
+      }
     });
 
     if (!job) {
@@ -238,23 +340,20 @@ exports.getSimilarJobs = async (req, res, next) => {
       });
     }
 
-    // Find jobs with the same specialty and state
-    const similarJobs = await prisma.job.findMany({
-      where: {
-        id: { not: id },
-        status: 'active',
-        specialty: job.specialty,
-        state: job.state
-      },
-      take: limit,
+    // Score the most recently updated of the jobs that could be similar
+    const candidates = await prisma.job.findMany({
+      where: getSimilarCandidateWhere(job),
+      take: SIMILAR_CANDIDATE_LIMIT,
       orderBy: { updatedAt: 'desc' },
       include: {
         facility: true
       }
     });
 
+    const similarJobs = rankSimilarJobs(job, candidates, limit);
+
     res.json({
-      data: similarJobs.map(job => formatJobResponse(job)),
+      data: similarJobs.map(({ job: similarJob, similarity }) => ({ ...formatJobResponse(similarJob), similarity })),
       meta: {
         count: similarJobs.length
       }
@@ -265,30 +364,120 @@ exports.getSimilarJobs = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a job's weekly compensation breakdown. Expects a query validated
+ * against schemas/jobs.js#getCompensation.
+ */
+exports.getJobCompensation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { hours, taxRate } = req.query;
+
+    const job = await prisma.job.findUnique({
+      where: { id },
+      select: {
+        payRate: true,
+        weeklyHours: true,
+        housingStipend: true,
+        city: true,
+        state: true
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      data: calculateCompensation(job, { hoursWorked: hours, taxRate })
+    });
+  } catch (error) {
+    logger.error(`Error calculating compensation for job ID ${req.params.id}`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get a job's schema.org JobPosting for the JSON-LD on its page. It is null
+ * once the job is no longer active, so the page stops advertising it.
+ */
+exports.getJobStructuredData = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const job = await prisma.job.findUnique({
+      where: { id },
+      include: {
+        facility: true
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      data: buildJobPosting(job)
+    });
+  } catch (error) {
+    logger.error(`Error building structured data for job ID ${req.params.id}`, error);
+    next(error);
+  }
+};
+
+/**
+ * Get typeahead suggestions for the search box. Expects a query validated
+ * against schemas/jobs.js#suggestJobs.
+ */
+exports.getSuggestions = async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    const suggestions = await jobSuggestService.suggest(q, limit);
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      data: suggestions,
+      meta: {
+        q,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching job suggestions', error);
+    next(error);
+  }
+};
+
 /**
  * Get job specialties
  */
 exports.getSpecialties = async (req, res, next) => {
   try {
-    // Get distinct specialties from active jobs
-    const specialties = await prisma.job.groupBy({
-      by: ['specialty'],
-      where: {
-        status: 'active',
-        specialty: {
-          not: null
+    const formattedSpecialties = await jobCacheService.getList('specialties', {}, async () => {
+      // Get distinct specialties from active jobs
+      const specialties = await prisma.job.groupBy({
+        by: ['specialty'],
+        where: {
+          status: 'active',
+          specialty: {
+            not: null
+          }
+        },
+        _count: {
+          specialty: true
         }
-      },
-      _count: {
-        specialty: true
-      }
-    });
+      });
 
-    // Format response
-    const formattedSpecialties = specialties.map(item => ({
-      name: item.specialty,
-      count: item._count.specialty
-    })).sort((a, b) => b.count - a.count);
+      // Format response
+      return specialties.map(item => ({
+        name: item.specialty,
+        count: item._count.specialty
+      })).sort((a, b) => b.count - a.count);
+    });
 
     res.json({
       data: formattedSpecialties,
@@ -307,53 +496,55 @@ exports.getSpecialties = async (req, res, next) => {
  */
 exports.getLocations = async (req, res, next) => {
   try {
-    // Get distinct states from active jobs
-    const states = await prisma.job.groupBy({
-      by: ['state'],
-      where: {
-        status: 'active',
-        state: {
-          not: null
+    const formattedLocations = await jobCacheService.getList('locations', {}, async () => {
+      // Get distinct states from active jobs
+      const states = await prisma.job.groupBy({
+        by: ['state'],
+        where: {
+          status: 'active',
+          state: {
+            not: null
+          }
+        },
+        _count: {
+          state: true
         }
-      },
-      _count: {
-        state: true
-      }
-    });
+      });
 
-    // Get distinct cities grouped by state
-    const cities = await prisma.job.groupBy({
-      by: ['state', 'city'],
-      where: {
-        status: 'active',
-        state: {
-          not: null
+      // Get distinct cities grouped by state
+      const cities = await prisma.job.groupBy({
+        by: ['state', 'city'],
+        where: {
+          status: 'active',
+          state: {
+            not: null
+          },
+          city: {
+            not: null
+          }
         },
-        city: {
-          not: null
+        _count: {
+          city: true
         }
-      },
-      _count: {
-        city: true
-      }
-    });
+      });
 
-    // Format response
-    const formattedLocations = states.map(state => {
-      const stateCities = cities
-        .filter(city => city.state === state.state)
-        .map(city => ({
-          name: city.city,
-          count: city._count.city
-        }))
-        .sort((a, b) => b.count - a.count);
-
-      return {
-        state: state.state,
-        count: state._count.state,
-        cities: stateCities
-      };
-    }).sort((a, b) => b.count - a.count);
+      // Format response
+      return states.map(state => {
+        const stateCities = cities
+          .filter(city => city.state === state.state)
+          .map(city => ({
+            name: city.city,
+            count: city._count.city
+          }))
+          .sort((a, b) => b.count - a.count);
+
+        return {
+          state: state.state,
+          count: state._count.state,
+          cities: stateCities
+        };
+      }).sort((a, b) => b.count - a.count);
+    });
 
     res.json({
       data: formattedLocations,
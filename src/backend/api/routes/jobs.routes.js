@@ -5,27 +5,36 @@
 const express = require('express');
 const router = express.Router();
 const jobsController = require('../controllers/jobs.controller');
+const { validate } = require('../../src/middleware/validate');
+const schemas = require('../../src/schemas/jobs');
 
 /**
  * @route   GET /api/jobs
  * @desc    Get all jobs with filtering and pagination
  * @access  Public
  */
-router.get('/', jobsController.getJobs);
+router.get('/', validate(schemas.listJobs), jobsController.getJobs);
 
 /**
  * @route   GET /api/jobs/featured
  * @desc    Get featured jobs
  * @access  Public
  */
-router.get('/featured', jobsController.getFeaturedJobs);
+router.get('/featured', validate(schemas.listFeatured), jobsController.getFeaturedJobs);
 
 /**
  * @route   GET /api/jobs/recent
  * @desc    Get recent jobs
  * @access  Public
  */
-router.get('/recent', jobsController.getRecentJobs);
+router.get('/recent', validate(schemas.listRecent), jobsController.getRecentJobs);
+
+/**
+ * @route   GET /api/jobs/suggest
+ * @desc    Get typeahead suggestions for the search box
+ * @access  Public
+ */
+router.get('/suggest', validate(schemas.suggestJobs), jobsController.getSuggestions);
 
 /**
  * @route   GET /api/jobs/specialties
@@ -46,13 +55,27 @@ router.get('/locations', jobsController.getLocations);
  * @desc    Get job by ID
  * @access  Public
  */
-router.get('/:id', jobsController.getJobById);
+router.get('/:id', validate(schemas.getJob), jobsController.getJobById);
 
 /**
  * @route   GET /api/jobs/:id/similar
  * @desc    Get similar jobs
  * @access  Public
  */
-router.get('/:id/similar', jobsController.getSimilarJobs);
+router.get('/:id/similar', validate(schemas.listSimilar), jobsController.getSimilarJobs);
+
+/**
+ * @route   GET /api/jobs/:id/compensation
+ * @desc    Get a job's weekly compensation breakdown
+ * @access  Public
+ */
+router.get('/:id/compensation', validate(schemas.getCompensation), jobsController.getJobCompensation);
+
+/**
+ * @route   GET /api/jobs/:id/structured-data
+ * @desc    Get a job's schema.org JobPosting for its page's JSON-LD
+ * @access  Public
+ */
+router.get('/:id/structured-data', validate(schemas.getJob), jobsController.getJobStructuredData);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Audit Model
+ *
+ * This model defines the structures repositories use to write to the
+ * append-only audit log.
+ */
+
+export interface AuditActor {
+  /**
+   * ID of the user performing the action, or null for system actors
+   */
+  id: string | null;
+
+  /**
+   * Role of the actor (e.g., recruiter, admin, system)
+   */
+  role: string | null;
+
+  /**
+   * Client IP address
+   */
+  ipAddress?: string;
+
+  /**
+   * Client user agent
+   */
+  userAgent?: string;
+}
+
+/**
+ * Audit log entry as passed to an audit recorder
+ */
+export interface AuditEntry {
+  actor?: AuditActor;
+  action: 'create' | 'update' | 'delete' | 'view' | 'status_change' | 'unlock';
+  entityType: string;
+  entityId: string;
+  before?: Record<string, any> | null;
+  after?: Record<string, any> | null;
+  metadata?: Record<string, any>;
+}
+
+/**
+ * Anything that can append entries to the audit log
+ * (implemented by AuditLogService in src/services/audit-log.service.js)
+ */
+export interface AuditRecorder {
+  record(entry: AuditEntry): Promise<unknown>;
+}
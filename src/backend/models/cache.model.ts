@@ -0,0 +1,22 @@
+/**
+ * Cache Model
+ *
+ * This model defines the structures repositories and services use to
+ * invalidate cached job data when jobs change.
+ */
+
+/**
+ * Anything that can invalidate cached jobs
+ * (implemented by JobCacheService in src/services/job-cache.service.js)
+ */
+export interface JobCacheInvalidator {
+  /**
+   * Invalidate a job and every cached job list
+   */
+  invalidateJob(id: string): Promise<unknown>;
+
+  /**
+   * Invalidate all cached jobs and job lists
+   */
+  invalidateAll(): Promise<unknown>;
+}
@@ -0,0 +1,28 @@
+/**
+ * Duplicate Model
+ *
+ * This model defines the structures sync services use to check imported
+ * jobs for duplicates once a sync completes.
+ */
+
+/**
+ * Results of a duplicate pass
+ */
+export interface DuplicatePassResult {
+  checked: number;
+  merged: number;
+  flagged: number;
+  failed: number;
+}
+
+/**
+ * Anything that can check recently changed jobs for duplicates
+ * (implemented by JobDuplicateService in src/services/job-duplicate.service.js)
+ */
+export interface JobDuplicateDetector {
+  /**
+   * Check active jobs updated since a time for duplicates, merging likely
+   * duplicates and queueing ambiguous pairs for review
+   */
+  processDuplicates(options?: { since?: Date }): Promise<DuplicatePassResult>;
+}
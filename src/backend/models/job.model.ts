@@ -139,6 +139,11 @@ export interface Job {
    */
   updatedAt: string;
   
+  /**
+   * When a source sync last wrote the job (ISO format), null if never synced
+   */
+  lastSyncedAt?: string | null;
+  
   /**
    * ID of the recruiter assigned to this job
    */
@@ -195,6 +200,12 @@ export interface Job {
     lastSyncedAt: string;
     [key: string]: any;
   };
+  
+  /**
+   * ID of the job listed in this job's place, if this job is a duplicate
+   * (set by the duplicate pass, never by syncs)
+   */
+  canonicalJobId?: string | null;
 }
 
 /**
@@ -212,6 +223,62 @@ export interface JobWithMatchScore extends Job {
   matchReasons?: string[];
 }
 
+/**
+ * Job with its similarity to the job similar jobs were found for
+ */
+export interface SimilarJob extends Job {
+  similarity: {
+    /**
+     * Similarity score between 0 and 100
+     */
+    score: number;
+
+    /**
+     * What the jobs have in common, most significant first
+     */
+    reasons: string[];
+  };
+}
+
+/**
+ * A recorded change to a job's pay, dates or status
+ */
+export interface JobRevision {
+  id: string;
+  jobId: string;
+
+  /**
+   * Changed fields with their values before and after the change
+   */
+  changes: Record<string, { before: any; after: any }>;
+
+  /**
+   * Where the change came from: 'manual', 'source_sync', 'source_deleted'
+   * or 'lifecycle'
+   */
+  source: string;
+
+  actorId?: string | null;
+  createdAt: Date;
+}
+
+/**
+ * A specialty with its number of listed jobs
+ */
+export interface JobSpecialtyCount {
+  name: string;
+  count: number;
+}
+
+/**
+ * A state with its number of listed jobs, and the same for its cities
+ */
+export interface JobLocationCount {
+  state: string;
+  count: number;
+  cities: Array<{ name: string; count: number }>;
+}
+
 /**
  * Job creation data transfer object
  */
@@ -281,7 +348,8 @@ export interface JobSearchParams {
   minPay?: number;
   maxPay?: number;
   shiftType?: string | string[];
-  startDate?: string;
+  startDate?: string | Date;
+  startBefore?: string | Date;
   endDate?: string;
   facilityType?: string | string[];
   keywords?: string;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN "deletionScheduledFor" TIMESTAMP(3),
+ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deletionScheduledFor_idx" ON "User"("deletionScheduledFor");
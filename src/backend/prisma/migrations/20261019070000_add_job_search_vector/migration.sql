@@ -0,0 +1,12 @@
+-- AlterTable
+-- Weighted full-text document: title and specialty rank highest, then
+-- facility and location, then requirements, then the description.
+ALTER TABLE "Job" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english'::regconfig, coalesce("title", '') || ' ' || coalesce("specialty", '')), 'A') ||
+  setweight(to_tsvector('english'::regconfig, coalesce("facilityName", '') || ' ' || coalesce("city", '') || ' ' || coalesce("state", '')), 'B') ||
+  setweight(to_tsvector('english'::regconfig, coalesce("requirements", '')), 'C') ||
+  setweight(to_tsvector('english'::regconfig, coalesce("description", '')), 'D')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Job_searchVector_idx" ON "Job" USING GIN ("searchVector");
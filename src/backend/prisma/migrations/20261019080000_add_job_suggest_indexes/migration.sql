@@ -0,0 +1,15 @@
+-- CreateExtension
+-- Trigram matching lets typeahead suggestions tolerate misspellings.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "Job_title_trgm_idx" ON "Job" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Job_specialty_trgm_idx" ON "Job" USING GIN ("specialty" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Job_city_trgm_idx" ON "Job" USING GIN ("city" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Job_facilityName_trgm_idx" ON "Job" USING GIN ("facilityName" gin_trgm_ops);
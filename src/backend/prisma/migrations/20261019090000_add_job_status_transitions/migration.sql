@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "JobStatusTransition" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "actorId" TEXT,
+    "applicationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobStatusTransition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "JobStatusTransition_jobId_createdAt_idx" ON "JobStatusTransition"("jobId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "JobStatusTransition_reason_idx" ON "JobStatusTransition"("reason");
+
+-- CreateIndex
+CREATE INDEX "Job_endDate_idx" ON "Job"("endDate");
+
+-- CreateIndex
+CREATE INDEX "Job_status_updatedAt_idx" ON "Job"("status", "updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "JobStatusTransition" ADD CONSTRAINT "JobStatusTransition_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
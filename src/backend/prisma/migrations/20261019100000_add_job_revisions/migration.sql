@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "JobRevision" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "source" TEXT NOT NULL,
+    "actorId" TEXT,
+    "alertedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "JobRevision_jobId_createdAt_idx" ON "JobRevision"("jobId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "JobRevision_alertedAt_idx" ON "JobRevision"("alertedAt");
+
+-- AddForeignKey
+ALTER TABLE "JobRevision" ADD CONSTRAINT "JobRevision_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
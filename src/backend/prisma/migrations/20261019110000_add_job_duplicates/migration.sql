@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "fingerprint" TEXT,
+ADD COLUMN "canonicalJobId" TEXT;
+
+-- CreateTable
+CREATE TABLE "JobDuplicateCandidate" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "duplicateJobId" TEXT NOT NULL,
+    "score" INTEGER NOT NULL,
+    "reasons" TEXT[],
+    "status" TEXT NOT NULL,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "JobDuplicateCandidate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Job_fingerprint_idx" ON "Job"("fingerprint");
+
+-- CreateIndex
+CREATE INDEX "Job_canonicalJobId_idx" ON "Job"("canonicalJobId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JobDuplicateCandidate_jobId_duplicateJobId_key" ON "JobDuplicateCandidate"("jobId", "duplicateJobId");
+
+-- CreateIndex
+CREATE INDEX "JobDuplicateCandidate_duplicateJobId_idx" ON "JobDuplicateCandidate"("duplicateJobId");
+
+-- CreateIndex
+CREATE INDEX "JobDuplicateCandidate_status_score_idx" ON "JobDuplicateCandidate"("status", "score");
+
+-- AddForeignKey
+ALTER TABLE "Job" ADD CONSTRAINT "Job_canonicalJobId_fkey" FOREIGN KEY ("canonicalJobId") REFERENCES "Job"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobDuplicateCandidate" ADD CONSTRAINT "JobDuplicateCandidate_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobDuplicateCandidate" ADD CONSTRAINT "JobDuplicateCandidate_duplicateJobId_fkey" FOREIGN KEY ("duplicateJobId") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "lastSyncedAt" TIMESTAMP(3);
+
+-- Until now the stale rule used updatedAt, so carry it over for existing jobs
+UPDATE "Job" SET "lastSyncedAt" = "updatedAt";
+
+-- CreateIndex
+CREATE INDEX "Job_status_lastSyncedAt_idx" ON "Job"("status", "lastSyncedAt");
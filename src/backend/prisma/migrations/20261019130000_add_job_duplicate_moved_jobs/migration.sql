@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "JobDuplicateCandidate" ADD COLUMN "movedJobIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
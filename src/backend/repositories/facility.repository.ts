@@ -8,14 +8,29 @@
 import { PrismaClient } from '@prisma/client';
 import { Logger } from '../utils/logger';
 import { Facility, FacilitySearchParams, FacilityWithDistance } from '../models/facility.model';
+import { AuditActor, AuditRecorder } from '../models/audit.model';
+import { JobCacheInvalidator } from '../models/cache.model';
+import { getOrderTerms, getKeyValues, toPrismaKeysetWhere, toPrismaOrderBy } from '../src/utils/cursor';
+
+// Sortable fields that may be null, which keyset pagination orders last
+const NULLABLE_SORT_FIELDS = ['bedCount', 'rating'];
 
 export class FacilityRepository {
   private readonly prisma: PrismaClient;
   private readonly logger: Logger;
-
-  constructor(prisma: PrismaClient, logger: Logger) {
+  private readonly auditLog: AuditRecorder | null;
+  private readonly cache: JobCacheInvalidator | null;
+
+  constructor(
+    prisma: PrismaClient,
+    logger: Logger,
+    auditLog: AuditRecorder | null = null,
+    cache: JobCacheInvalidator | null = null
+  ) {
     this.prisma = prisma;
     this.logger = logger.child({ repository: 'FacilityRepository' });
+    this.auditLog = auditLog;
+    this.cache = cache;
   }
 
   /**
@@ -72,93 +87,7 @@ export class FacilityRepository {
    */
   async findByParams(params: FacilitySearchParams): Promise<{ facilities: Facility[]; total: number }> {
     try {
-      // Build where clause based on search parameters
-      const where: any = {};
-
-      // Filter by name
-      if (params.name) {
-        where.name = {
-          contains: params.name,
-          mode: 'insensitive'
-        };
-      }
-
-      // Filter by type
-      if (params.type) {
-        if (Array.isArray(params.type)) {
-          where.type = { in: params.type };
-        } else {
-          where.type = params.type;
-        }
-      }
-
-      // Filter by state
-      if (params.state) {
-        if (Array.isArray(params.state)) {
-          where.state = { in: params.state };
-        } else {
-          where.state = params.state;
-        }
-      }
-
-      // Filter by city
-      if (params.city) {
-        if (Array.isArray(params.city)) {
-          where.city = { in: params.city };
-        } else {
-          where.city = params.city;
-        }
-      }
-
-      // Filter by ZIP code
-      if (params.zipCode) {
-        where.zipCode = params.zipCode;
-      }
-
-      // Filter by specialties
-      if (params.specialties) {
-        if (Array.isArray(params.specialties)) {
-          where.specialties = {
-            hasSome: params.specialties
-          };
-        } else {
-          where.specialties = {
-            has: params.specialties
-          };
-        }
-      }
-
-      // Filter by trauma level
-      if (params.traumaLevel) {
-        if (Array.isArray(params.traumaLevel)) {
-          where.traumaLevel = { in: params.traumaLevel };
-        } else {
-          where.traumaLevel = params.traumaLevel;
-        }
-      }
-
-      // Filter by bed count
-      if (params.minBedCount || params.maxBedCount) {
-        where.bedCount = {};
-        
-        if (params.minBedCount) {
-          where.bedCount.gte = params.minBedCount;
-        }
-        
-        if (params.maxBedCount) {
-          where.bedCount.lte = params.maxBedCount;
-        }
-      }
-
-      // Filter by teaching hospital status
-      if (params.isTeachingHospital !== undefined) {
-        where.isTeachingHospital = params.isTeachingHospital;
-      }
-
-      // Filter by Magnet designation
-      if (params.isMagnetDesignated !== undefined) {
-        where.isMagnetDesignated = params.isMagnetDesignated;
-      }
+      const where = this.buildWhere(params);
 
       // Determine pagination
       const page = params.page || 1;
@@ -197,6 +126,192 @@ export class FacilityRepository {
     }
   }
 
+  /**
+   * Find jobs at a facility, leaving out jobs merged into another posting
+   *
+   * @param id Facility ID
+   * @param params Status, sort and pagination
+   * @returns Jobs and total count
+   */
+  async findJobs(
+    id: string,
+    params: { status?: string; sort?: string; page?: number; limit?: number } = {}
+  ): Promise<{ jobs: any[]; total: number }> {
+    try {
+      const where = {
+        facilityId: id,
+        status: params.status || 'active',
+        canonicalJobId: null
+      };
+
+      const page = params.page || 1;
+      const limit = params.limit || 20;
+
+      let orderBy: any = { createdAt: 'desc' };
+      if (params.sort) {
+        const [field, direction] = params.sort.split(':');
+        orderBy = { [field]: direction || 'asc' };
+      }
+
+      const [jobs, total] = await Promise.all([
+        this.prisma.job.findMany({
+          where,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy
+        }),
+        this.prisma.job.count({ where })
+      ]);
+
+      return { jobs, total };
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to find facility jobs',
+        error: error instanceof Error ? error.message : String(error),
+        facilityId: id,
+        params
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a page of facilities after a cursor position, ordered by the sort
+   * field with the ID as a tiebreaker. Unlike findByParams, pages stay
+   * stable while facilities are inserted or updated, and no total is counted.
+   * 
+   * @param params Search parameters; page is ignored
+   * @param after Key values of the previous page's last facility, or null for the first page
+   * @returns Facilities and the key values to continue after, or null on the last page
+   */
+  async findByCursor(
+    params: FacilitySearchParams,
+    after: unknown[] | null = null
+  ): Promise<{ facilities: Facility[]; nextKey: unknown[] | null }> {
+    try {
+      const limit = params.limit || 20;
+      const terms = getOrderTerms(params.sort || 'name:asc', NULLABLE_SORT_FIELDS);
+      const where = this.buildWhere(params);
+
+      const rows = await this.prisma.facility.findMany({
+        where: after ? { AND: [where, toPrismaKeysetWhere(terms, after)] } : where,
+        take: limit + 1,
+        orderBy: toPrismaOrderBy(terms)
+      });
+
+      const page = rows.slice(0, limit);
+
+      return {
+        facilities: page.map(facility => this.mapToModel(facility)),
+        nextKey: rows.length > limit ? getKeyValues(terms, page[page.length - 1]) : null
+      };
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to find facilities by cursor',
+        error: error instanceof Error ? error.message : String(error),
+        params
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the Prisma where clause for search parameters
+   * 
+   * @param params Search parameters
+   * @returns Prisma where clause
+   */
+  private buildWhere(params: FacilitySearchParams): any {
+    const where: any = {};
+
+    // Filter by name
+    if (params.name) {
+      where.name = {
+        contains: params.name,
+        mode: 'insensitive'
+      };
+    }
+
+    // Filter by type
+    if (params.type) {
+      if (Array.isArray(params.type)) {
+        where.type = { in: params.type };
+      } else {
+        where.type = params.type;
+      }
+    }
+
+    // Filter by state
+    if (params.state) {
+      if (Array.isArray(params.state)) {
+        where.state = { in: params.state };
+      } else {
+        where.state = params.state;
+      }
+    }
+
+    // Filter by city
+    if (params.city) {
+      if (Array.isArray(params.city)) {
+        where.city = { in: params.city };
+      } else {
+        where.city = params.city;
+      }
+    }
+
+    // Filter by ZIP code
+    if (params.zipCode) {
+      where.zipCode = params.zipCode;
+    }
+
+    // Filter by specialties
+    if (params.specialties) {
+      if (Array.isArray(params.specialties)) {
+        where.specialties = {
+          hasSome: params.specialties
+        };
+      } else {
+        where.specialties = {
+          has: params.specialties
+        };
+      }
+    }
+
+    // Filter by trauma level
+    if (params.traumaLevel) {
+      if (Array.isArray(params.traumaLevel)) {
+        where.traumaLevel = { in: params.traumaLevel };
+      } else {
+        where.traumaLevel = params.traumaLevel;
+      }
+    }
+
+    // Filter by bed count
+    if (params.minBedCount || params.maxBedCount) {
+      where.bedCount = {};
+      
+      if (params.minBedCount) {
+        where.bedCount.gte = params.minBedCount;
+      }
+      
+      if (params.maxBedCount) {
+        where.bedCount.lte = params.maxBedCount;
+      }
+    }
+
+    // Filter by teaching hospital status
+    if (params.isTeachingHospital !== undefined) {
+      where.isTeachingHospital = params.isTeachingHospital;
+    }
+
+    // Filter by Magnet designation
+    if (params.isMagnetDesignated !== undefined) {
+      where.isMagnetDesignated = params.isMagnetDesignated;
+    }
+
+    return where;
+  }
+
   /**
    * Find facilities near a location
    * 
@@ -320,15 +435,20 @@ export class FacilityRepository {
    * Create a new facility
    * 
    * @param facility Facility data
+   * @param actor Who is making the change, for the audit log
    * @returns Created facility
    */
-  async create(facility: Facility): Promise<Facility> {
+  async create(facility: Facility, actor?: AuditActor): Promise<Facility> {
     try {
       const createdFacility = await this.prisma.facility.create({
         data: this.mapToPrisma(facility)
       });
 
-      return this.mapToModel(createdFacility);
+      const result = this.mapToModel(createdFacility);
+      await this.audit('create', result.id, null, result, actor);
+      await this.invalidateCache();
+
+      return result;
     } catch (error) {
       this.logger.error({
         message: 'Failed to create facility',
@@ -344,16 +464,23 @@ export class FacilityRepository {
    * 
    * @param id Facility ID
    * @param facility Facility data
+   * @param actor Who is making the change, for the audit log
    * @returns Updated facility
    */
-  async update(id: string, facility: Partial<Facility>): Promise<Facility> {
+  async update(id: string, facility: Partial<Facility>, actor?: AuditActor): Promise<Facility> {
     try {
+      const before = this.auditLog ? await this.findById(id) : null;
+
       const updatedFacility = await this.prisma.facility.update({
         where: { id },
         data: this.mapToPrisma(facility as Facility, true)
       });
 
-      return this.mapToModel(updatedFacility);
+      const result = this.mapToModel(updatedFacility);
+      await this.audit('update', id, before, result, actor);
+      await this.invalidateCache();
+
+      return result;
     } catch (error) {
       this.logger.error({
         message: 'Failed to update facility',
@@ -369,9 +496,10 @@ export class FacilityRepository {
    * Upsert a facility (create if not exists, update if exists)
    * 
    * @param facility Facility data
+   * @param actor Who is making the change, for the audit log
    * @returns Upserted facility
    */
-  async upsert(facility: Facility): Promise<Facility> {
+  async upsert(facility: Facility, actor?: AuditActor): Promise<Facility> {
     try {
       // Check if facility exists by external ID
       const existingFacility = await this.prisma.facility.findUnique({
@@ -380,10 +508,10 @@ export class FacilityRepository {
 
       if (existingFacility) {
         // Update existing facility
-        return this.update(existingFacility.id, facility);
+        return this.update(existingFacility.id, facility, actor);
       } else {
         // Create new facility
-        return this.create(facility);
+        return this.create(facility, actor);
       }
     } catch (error) {
       this.logger.error({
@@ -399,14 +527,20 @@ export class FacilityRepository {
    * Delete a facility
    * 
    * @param id Facility ID
+   * @param actor Who is making the change, for the audit log
    * @returns Whether the facility was deleted
    */
-  async delete(id: string): Promise<boolean> {
+  async delete(id: string, actor?: AuditActor): Promise<boolean> {
     try {
+      const before = this.auditLog ? await this.findById(id) : null;
+
       await this.prisma.facility.delete({
         where: { id }
       });
 
+      await this.audit('delete', id, before, null, actor);
+      await this.invalidateCache();
+
       return true;
     } catch (error) {
       this.logger.error({
@@ -418,6 +552,42 @@ export class FacilityRepository {
     }
   }
 
+  /**
+   * Write a facility change to the audit log, if one is configured
+   * 
+   * @param action Audit action
+   * @param id Facility ID
+   * @param before Facility before the change
+   * @param after Facility after the change
+   * @param actor Who made the change; defaults to the system actor
+   */
+  private async audit(
+    action: 'create' | 'update' | 'delete',
+    id: string,
+    before: Partial<Facility> | null,
+    after: Partial<Facility> | null,
+    actor?: AuditActor
+  ): Promise<void> {
+    if (!this.auditLog) {
+      return;
+    }
+
+    await this.auditLog.record({ actor, action, entityType: 'Facility', entityId: id, before, after });
+  }
+
+  /**
+   * Invalidate all cached jobs after a facility change, if a cache is
+   * configured. Cached job details and facility stats embed facility data,
+   * and the jobs affected are not known here.
+   */
+  private async invalidateCache(): Promise<void> {
+    if (!this.cache) {
+      return;
+    }
+
+    await this.cache.invalidateAll();
+  }
+
   /**
    * Map Prisma facility model to application facility model
    * 
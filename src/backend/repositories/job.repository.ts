@@ -7,15 +7,38 @@
 
 import { PrismaClient } from '@prisma/client';
 import { Logger } from '../utils/logger';
-import { Job, JobSearchParams } from '../models/job.model';
+import { Job, JobLocationCount, JobRevision, JobSearchParams, JobSpecialtyCount, SimilarJob } from '../models/job.model';
+import { AuditActor, AuditRecorder } from '../models/audit.model';
+import { JobCacheInvalidator } from '../models/cache.model';
+import { getOrderTerms, getKeyValues, toPrismaKeysetWhere, toPrismaOrderBy } from '../src/utils/cursor';
+import { getSimilarCandidateWhere, rankSimilarJobs } from '../src/utils/job-similarity';
+import { getJobFingerprint } from '../src/utils/job-fingerprint';
+
+// Sortable fields that may be null, which keyset pagination orders last
+const NULLABLE_SORT_FIELDS = ['startDate'];
+
+// Fields whose changes are kept in a job's revision history
+const REVISION_FIELDS: Array<keyof Job> = ['payRate', 'housingStipend', 'startDate', 'endDate', 'status'];
+
+// Most jobs scored when finding similar jobs
+const SIMILAR_CANDIDATE_LIMIT = 200;
 
 export class JobRepository {
   private readonly prisma: PrismaClient;
   private readonly logger: Logger;
+  private readonly auditLog: AuditRecorder | null;
+  private readonly cache: JobCacheInvalidator | null;
 
-  constructor(prisma: PrismaClient, logger: Logger) {
+  constructor(
+    prisma: PrismaClient,
+    logger: Logger,
+    auditLog: AuditRecorder | null = null,
+    cache: JobCacheInvalidator | null = null
+  ) {
     this.prisma = prisma;
     this.logger = logger.child({ repository: 'JobRepository' });
+    this.auditLog = auditLog;
+    this.cache = cache;
   }
 
   /**
@@ -80,120 +103,7 @@ export class JobRepository {
    */
   async findByParams(params: JobSearchParams): Promise<{ jobs: Job[]; total: number }> {
     try {
-      // Build where clause based on search parameters
-      const where: any = {};
-
-      // Filter by status
-      if (params.status) {
-        where.status = params.status;
-      } else {
-        // Default to active jobs only
-        where.status = 'active';
-      }
-
-      // Filter by specialty
-      if (params.specialty) {
-        if (Array.isArray(params.specialty)) {
-          where.specialty = { in: params.specialty };
-        } else {
-          where.specialty = params.specialty;
-        }
-      }
-
-      // Filter by state
-      if (params.state) {
-        if (Array.isArray(params.state)) {
-          where.state = { in: params.state };
-        } else {
-          where.state = params.state;
-        }
-      }
-
-      // Filter by city
-      if (params.city) {
-        if (Array.isArray(params.city)) {
-          where.city = { in: params.city };
-        } else {
-          where.city = params.city;
-        }
-      }
-
-      // Filter by ZIP code
-      if (params.zipCode) {
-        where.zipCode = params.zipCode;
-      }
-
-      // Filter by pay rate
-      if (params.minPay) {
-        where.payRate = {
-          ...where.payRate,
-          gte: params.minPay
-        };
-      }
-
-      if (params.maxPay) {
-        where.payRate = {
-          ...where.payRate,
-          lte: params.maxPay
-        };
-      }
-
-      // Filter by shift type
-      if (params.shiftType) {
-        if (Array.isArray(params.shiftType)) {
-          where.shiftType = { in: params.shiftType };
-        } else {
-          where.shiftType = params.shiftType;
-        }
-      }
-
-      // Filter by start date
-      if (params.startDate) {
-        where.startDate = {
-          gte: new Date(params.startDate)
-        };
-      }
-
-      // Filter by end date
-      if (params.endDate) {
-        where.endDate = {
-          lte: new Date(params.endDate)
-        };
-      }
-
-      // Filter by facility type
-      if (params.facilityType) {
-        where.facility = {
-          type: Array.isArray(params.facilityType)
-            ? { in: params.facilityType }
-            : params.facilityType
-        };
-      }
-
-      // Filter by featured status
-      if (params.isFeatured !== undefined) {
-        where.isFeatured = params.isFeatured;
-      }
-
-      // Filter by urgent status
-      if (params.isUrgent !== undefined) {
-        where.isUrgent = params.isUrgent;
-      }
-
-      // Filter by recruiter
-      if (params.recruiterId) {
-        where.recruiterId = params.recruiterId;
-      }
-
-      // Full-text search by keywords
-      if (params.keywords) {
-        where.OR = [
-          { title: { search: params.keywords } },
-          { description: { search: params.keywords } },
-          { requirements: { search: params.keywords } },
-          { benefits: { search: params.keywords } }
-        ];
-      }
+      const where = this.buildWhere(params);
 
       // Determine pagination
       const page = params.page || 1;
@@ -237,8 +147,220 @@ export class JobRepository {
   }
 
   /**
-   * Find featured jobs
+   * Find a page of jobs after a cursor position, ordered by the sort
+   * field with the ID as a tiebreaker. Unlike findByParams, pages stay
+   * stable while jobs are inserted or updated, and no total is counted.
+   * 
+   * @param params Search parameters; page is ignored
+   * @param after Key values of the previous page's last job, or null for the first page
+   * @returns Jobs and the key values to continue after, or null on the last page
+   */
+  async findByCursor(
+    params: JobSearchParams,
+    after: unknown[] | null = null
+  ): Promise<{ jobs: Job[]; nextKey: unknown[] | null }> {
+    try {
+      const limit = params.limit || 20;
+      const terms = getOrderTerms(params.sort || 'updatedAt:desc', NULLABLE_SORT_FIELDS);
+      const where = this.buildWhere(params);
+
+      const rows = await this.prisma.job.findMany({
+        where: after ? { AND: [where, toPrismaKeysetWhere(terms, after)] } : where,
+        include: {
+          facility: true,
+          recruiter: true
+        },
+        take: limit + 1,
+        orderBy: toPrismaOrderBy(terms)
+      });
+
+      const page = rows.slice(0, limit);
+
+      return {
+        jobs: page.map(job => this.mapToModel(job)),
+        nextKey: rows.length > limit ? getKeyValues(terms, page[page.length - 1]) : null
+      };
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to find jobs by cursor',
+        error: error instanceof Error ? error.message : String(error),
+        params
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the Prisma where clause for search parameters
    * 
+   * @param params Search parameters
+   * @returns Prisma where clause
+   */
+  private buildWhere(params: JobSearchParams): any {
+    const where: any = {};
+
+    // Filter by status
+    if (params.status) {
+      where.status = params.status;
+    } else {
+      // Default to active jobs only
+      where.status = 'active';
+    }
+
+    // Duplicates are listed through their canonical job
+    where.canonicalJobId = null;
+
+    // Filter by specialty
+    if (params.specialty) {
+      if (Array.isArray(params.specialty)) {
+        where.specialty = { in: params.specialty };
+      } else {
+        where.specialty = params.specialty;
+      }
+    }
+
+    // Filter by state
+    if (params.state) {
+      if (Array.isArray(params.state)) {
+        where.state = { in: params.state };
+      } else {
+        where.state = params.state;
+      }
+    }
+
+    // Filter by city
+    if (params.city) {
+      if (Array.isArray(params.city)) {
+        where.city = { in: params.city };
+      } else {
+        where.city = params.city;
+      }
+    }
+
+    // Filter by ZIP code
+    if (params.zipCode) {
+      where.zipCode = params.zipCode;
+    }
+
+    // Filter by pay rate
+    if (params.minPay) {
+      where.payRate = {
+        ...where.payRate,
+        gte: params.minPay
+      };
+    }
+
+    if (params.maxPay) {
+      where.payRate = {
+        ...where.payRate,
+        lte: params.maxPay
+      };
+    }
+
+    // Filter by shift type
+    if (params.shiftType) {
+      if (Array.isArray(params.shiftType)) {
+        where.shiftType = { in: params.shiftType };
+      } else {
+        where.shiftType = params.shiftType;
+      }
+    }
+
+    // Filter by start date
+    if (params.startDate) {
+      where.startDate = {
+        gte: new Date(params.startDate)
+      };
+    }
+
+    if (params.startBefore) {
+      where.startDate = {
+        ...where.startDate,
+        lt: new Date(params.startBefore)
+      };
+    }
+
+    // Filter by end date
+    if (params.endDate) {
+      where.endDate = {
+        lte: new Date(params.endDate)
+      };
+    }
+
+    // Filter by facility type
+    if (params.facilityType) {
+      where.facility = {
+        type: Array.isArray(params.facilityType)
+          ? { in: params.facilityType }
+          : params.facilityType
+      };
+    }
+
+    // Filter by featured status
+    if (params.isFeatured !== undefined) {
+      where.isFeatured = params.isFeatured;
+    }
+
+    // Filter by urgent status
+    if (params.isUrgent !== undefined) {
+      where.isUrgent = params.isUrgent;
+    }
+
+    // Filter by recruiter
+    if (params.recruiterId) {
+      where.recruiterId = params.recruiterId;
+    }
+
+    // Full-text search by keywords
+    if (params.keywords) {
+      where.OR = [
+        { title: { search: params.keywords } },
+        { description: { search: params.keywords } },
+        { requirements: { search: params.keywords } },
+        { benefits: { search: params.keywords } }
+      ];
+    }
+
+    return where;
+  }
+
+  /**
+   * Find jobs by ID, preserving the order of the IDs given
+   *
+   * @param ids Job IDs, e.g. in relevance order from a search
+   * @returns Jobs that exist, in the same order
+   */
+  async findByIds(ids: string[]): Promise<Job[]> {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    try {
+      const jobs = await this.prisma.job.findMany({
+        where: { id: { in: ids } },
+        include: {
+          facility: true,
+          recruiter: true
+        }
+      });
+
+      const byId = new Map(jobs.map(job => [job.id, job]));
+      return ids
+        .filter(id => byId.has(id))
+        .map(id => this.mapToModel(byId.get(id)));
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to find jobs by IDs',
+        error: error instanceof Error ? error.message : String(error),
+        count: ids.length
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find featured jobs
+   *
    * @param limit Maximum number of jobs to return
    * @returns Featured jobs
    */
@@ -247,7 +369,8 @@ export class JobRepository {
       const jobs = await this.prisma.job.findMany({
         where: {
           status: 'active',
-          isFeatured: true
+          isFeatured: true,
+          canonicalJobId: null
         },
         include: {
           facility: true,
@@ -277,7 +400,8 @@ export class JobRepository {
     try {
       const jobs = await this.prisma.job.findMany({
         where: {
-          status: 'active'
+          status: 'active',
+          canonicalJobId: null
         },
         include: {
           facility: true,
@@ -298,40 +422,107 @@ export class JobRepository {
   }
 
   /**
-   * Find similar jobs
+   * Count active, canonical jobs by specialty
+   * 
+   * @returns Specialties, most jobs first
+   */
+  async countBySpecialty(): Promise<JobSpecialtyCount[]> {
+    try {
+      const specialties = await this.prisma.job.groupBy({
+        by: ['specialty'],
+        where: {
+          status: 'active',
+          canonicalJobId: null
+        },
+        _count: { _all: true }
+      });
+
+      return specialties
+        .map(item => ({ name: item.specialty, count: item._count._all }))
+        .sort((a, b) => b.count - a.count);
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to count jobs by specialty',
+        error: error instanceof Error ? error.message : String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count active, canonical jobs by state and city
+   * 
+   * @returns States with their cities, most jobs first
+   */
+  async countByLocation(): Promise<JobLocationCount[]> {
+    try {
+      const cities = await this.prisma.job.groupBy({
+        by: ['state', 'city'],
+        where: {
+          status: 'active',
+          canonicalJobId: null
+        },
+        _count: { _all: true }
+      });
+
+      const states = new Map<string, JobLocationCount>();
+
+      for (const item of cities) {
+        if (!states.has(item.state)) {
+          states.set(item.state, { state: item.state, count: 0, cities: [] });
+        }
+
+        const location = states.get(item.state)!;
+        location.count += item._count._all;
+        location.cities.push({ name: item.city, count: item._count._all });
+      }
+
+      return [...states.values()]
+        .map(location => ({ ...location, cities: location.cities.sort((a, b) => b.count - a.count) }))
+        .sort((a, b) => b.count - a.count);
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to count jobs by location',
+        error: error instanceof Error ? error.message : String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find similar jobs, ranked by a weighted similarity over specialty,
+   * distance, pay, shift, contract length and facility type (see
+   * src/utils/job-similarity.js)
    * 
    * @param jobId Job ID to find similar jobs for
    * @param limit Maximum number of jobs to return
-   * @returns Similar jobs
+   * @returns Similar jobs, most similar first, each with its score and reasons
    */
-  async findSimilar(jobId: string, limit: number = 5): Promise<Job[]> {
+  async findSimilar(jobId: string, limit: number = 5): Promise<SimilarJob[]> {
     try {
       // Get the job to find similar jobs for
       const job = await this.prisma.job.findUnique({
-        where: { id: jobId }
+        where: { id: jobId },
+        include: { facility: true }
       });
 
       if (!job) {
         return [];
       }
 
-      // Find jobs with the same specialty and state
-      const similarJobs = await this.prisma.job.findMany({
-        where: {
-          id: { not: jobId },
-          status: 'active',
-          specialty: job.specialty,
-          state: job.state
-        },
+      // Score the most recently updated of the jobs that could be similar
+      const candidates = await this.prisma.job.findMany({
+        where: getSimilarCandidateWhere(job),
         include: {
           facility: true,
           recruiter: true
         },
-        take: limit,
+        take: SIMILAR_CANDIDATE_LIMIT,
         orderBy: { updatedAt: 'desc' }
       });
 
-      return similarJobs.map(job => this.mapToModel(job));
+      return rankSimilarJobs(this.mapToModel(job), candidates.map(candidate => this.mapToModel(candidate)), limit)
+        .map(({ job: similarJob, similarity }) => ({ ...similarJob, similarity }));
     } catch (error) {
       this.logger.error({
         message: 'Failed to find similar jobs',
@@ -346,9 +537,10 @@ export class JobRepository {
    * Create a new job
    * 
    * @param job Job data
+   * @param actor Who is making the change, for the audit log
    * @returns Created job
    */
-  async create(job: Job): Promise<Job> {
+  async create(job: Job, actor?: AuditActor): Promise<Job> {
     try {
       const createdJob = await this.prisma.job.create({
         data: this.mapToPrisma(job),
@@ -358,7 +550,11 @@ export class JobRepository {
         }
       });
 
-      return this.mapToModel(createdJob);
+      const result = this.mapToModel(createdJob);
+      await this.audit('create', result.id, null, result, actor);
+      await this.invalidateCache(result.id);
+
+      return result;
     } catch (error) {
       this.logger.error({
         message: 'Failed to create job',
@@ -374,20 +570,40 @@ export class JobRepository {
    * 
    * @param id Job ID
    * @param job Job data
+   * @param actor Who is making the change, for the audit log
    * @returns Updated job
    */
-  async update(id: string, job: Partial<Job>): Promise<Job> {
+  async update(id: string, job: Partial<Job>, actor?: AuditActor): Promise<Job> {
     try {
+      const before = await this.findById(id);
+      const data = this.mapToPrisma(job as Job, true);
+
+      // Fingerprint the job as it will be, since updates may be partial
+      if (before) {
+        data.fingerprint = getJobFingerprint({ ...before, ...job });
+      }
+
       const updatedJob = await this.prisma.job.update({
         where: { id },
-        data: this.mapToPrisma(job as Job, true),
+        data,
         include: {
           facility: true,
           recruiter: true
         }
       });
 
-      return this.mapToModel(updatedJob);
+      const result = this.mapToModel(updatedJob);
+      await this.audit('update', id, before, result, actor);
+      await this.invalidateCache(id);
+
+      if (before) {
+        // Changes made without an actor come from LaborEdge sync
+        const source = actor ? 'manual' : 'source_sync';
+        await this.recordStatusTransition(id, before.status, result.status, source, actor);
+        await this.recordRevision(id, before, result, source, actor);
+      }
+
+      return result;
     } catch (error) {
       this.logger.error({
         message: 'Failed to update job',
@@ -403,21 +619,25 @@ export class JobRepository {
    * Upsert a job (create if not exists, update if exists)
    * 
    * @param job Job data
+   * @param actor Who is making the change, for the audit log
    * @returns Upserted job
    */
-  async upsert(job: Job): Promise<Job> {
+  async upsert(job: Job, actor?: AuditActor): Promise<Job> {
     try {
       // Check if job exists by external ID
       const existingJob = await this.prisma.job.findUnique({
         where: { externalId: job.externalId }
       });
 
+      // Upserts come from source syncs, which keep the job from going stale
+      const syncedJob = { ...job, lastSyncedAt: new Date().toISOString() };
+
       if (existingJob) {
         // Update existing job
-        return this.update(existingJob.id, job);
+        return this.update(existingJob.id, this.keepClosedStatus(existingJob, syncedJob), actor);
       } else {
         // Create new job
-        return this.create(job);
+        return this.create(syncedJob, actor);
       }
     } catch (error) {
       this.logger.error({
@@ -433,14 +653,20 @@ export class JobRepository {
    * Delete a job
    * 
    * @param id Job ID
+   * @param actor Who is making the change, for the audit log
    * @returns Whether the job was deleted
    */
-  async delete(id: string): Promise<boolean> {
+  async delete(id: string, actor?: AuditActor): Promise<boolean> {
     try {
+      const before = this.auditLog ? await this.findById(id) : null;
+
       await this.prisma.job.delete({
         where: { id }
       });
 
+      await this.audit('delete', id, before, null, actor);
+      await this.invalidateCache(id);
+
       return true;
     } catch (error) {
       this.logger.error({
@@ -456,9 +682,10 @@ export class JobRepository {
    * Mark a job as deleted
    * 
    * @param externalId External job ID
+   * @param actor Who is making the change, for the audit log
    * @returns Whether the job was marked as deleted
    */
-  async markAsDeleted(externalId: string): Promise<boolean> {
+  async markAsDeleted(externalId: string, actor?: AuditActor): Promise<boolean> {
     try {
       const job = await this.prisma.job.findUnique({
         where: { externalId }
@@ -476,6 +703,11 @@ export class JobRepository {
         }
       });
 
+      await this.audit('update', job.id, { status: job.status }, { status: 'expired' }, actor);
+      await this.recordStatusTransition(job.id, job.status, 'expired', 'source_deleted', actor);
+      await this.recordRevision(job.id, { status: job.status }, { status: 'expired' }, 'source_deleted', actor);
+      await this.invalidateCache(job.id);
+
       return true;
     } catch (error) {
       this.logger.error({
@@ -487,6 +719,39 @@ export class JobRepository {
     }
   }
 
+  /**
+   * Find a job's revision history, newest first
+   * 
+   * @param jobId Job ID
+   * @param page Page number
+   * @param limit Revisions per page
+   * @returns Revisions and total count
+   */
+  async findRevisions(jobId: string, page: number = 1, limit: number = 20): Promise<{ revisions: JobRevision[]; total: number }> {
+    try {
+      const where = { jobId };
+
+      const [revisions, total] = await Promise.all([
+        this.prisma.jobRevision.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        this.prisma.jobRevision.count({ where })
+      ]);
+
+      return { revisions: revisions as JobRevision[], total };
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to find job revisions',
+        error: error instanceof Error ? error.message : String(error),
+        jobId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Increment job view count
    * 
@@ -495,16 +760,17 @@ export class JobRepository {
    */
   async incrementViewCount(id: string): Promise<number> {
     try {
-      const job = await this.prisma.job.update({
-        where: { id },
-        data: {
-          viewsCount: {
-            increment: 1
-          }
-        }
-      });
+      // Raw SQL, since Prisma would also bump updatedAt
+      const rows = await this.prisma.$queryRawUnsafe<Array<{ viewsCount: number }>>(
+        'UPDATE "Job" SET "viewsCount" = "viewsCount" + 1 WHERE "id" = $1 RETURNING "viewsCount"',
+        id
+      );
+
+      if (rows.length === 0) {
+        throw new Error('Job not found');
+      }
 
-      return job.viewsCount;
+      return rows[0].viewsCount;
     } catch (error) {
       this.logger.error({
         message: 'Failed to increment job view count',
@@ -543,6 +809,166 @@ export class JobRepository {
     }
   }
 
+  /**
+   * Keep a job closed when the source still lists it as open. Jobs expired or
+   * filled by the lifecycle worker (src/services/job-lifecycle.service.js)
+   * would otherwise be reopened by every sync. An expired job reopens only
+   * when the source changes its dates; a filled job stays filled until a
+   * recruiter reopens it.
+   * 
+   * @param existingJob Job as currently stored
+   * @param job Job data from the source
+   * @returns Job data to store
+   */
+  private keepClosedStatus(existingJob: any, job: Job): Job {
+    if (job.status !== 'active' || !['expired', 'filled'].includes(existingJob.status)) {
+      return job;
+    }
+
+    const toTime = (date: Date | string | null | undefined) => (date ? new Date(date).getTime() : null);
+    const datesChanged = toTime(existingJob.startDate) !== toTime(job.startDate)
+      || toTime(existingJob.endDate) !== toTime(job.endDate);
+
+    if (existingJob.status === 'expired' && datesChanged) {
+      return job;
+    }
+
+    return { ...job, status: existingJob.status };
+  }
+
+  /**
+   * Record a job status change in the job's transition history. Failures
+   * are logged rather than thrown, like audit log writes.
+   * 
+   * @param jobId Job ID
+   * @param fromStatus Status before the change
+   * @param toStatus Status after the change
+   * @param reason Why the status changed, e.g. 'manual' or 'source_sync'
+   * @param actor Who made the change
+   */
+  private async recordStatusTransition(
+    jobId: string,
+    fromStatus: string,
+    toStatus: string,
+    reason: string,
+    actor?: AuditActor
+  ): Promise<void> {
+    if (fromStatus === toStatus) {
+      return;
+    }
+
+    try {
+      await this.prisma.jobStatusTransition.create({
+        data: {
+          jobId,
+          fromStatus,
+          toStatus,
+          reason,
+          actorId: actor?.id || null
+        }
+      });
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to record job status transition',
+        error: error instanceof Error ? error.message : String(error),
+        jobId
+      });
+    }
+  }
+
+  /**
+   * Record the changes to a job's pay, dates and status in its revision
+   * history. Nothing is recorded when none of them changed. Failures are
+   * logged rather than thrown, like status transitions.
+   * 
+   * @param jobId Job ID
+   * @param before Job before the change
+   * @param after Job after the change
+   * @param source Where the change came from, e.g. 'manual' or 'source_sync'
+   * @param actor Who made the change
+   */
+  private async recordRevision(
+    jobId: string,
+    before: Partial<Job>,
+    after: Partial<Job>,
+    source: string,
+    actor?: AuditActor
+  ): Promise<void> {
+    const toValue = (value: any) => (value instanceof Date ? value.toISOString() : value ?? null);
+    const changes: Record<string, { before: any; after: any }> = {};
+
+    for (const field of REVISION_FIELDS) {
+      if (!(field in after)) {
+        continue;
+      }
+
+      const from = toValue(before[field]);
+      const to = toValue(after[field]);
+
+      if (from !== to) {
+        changes[field] = { before: from, after: to };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    try {
+      await this.prisma.jobRevision.create({
+        data: {
+          jobId,
+          changes,
+          source,
+          actorId: actor?.id || null
+        }
+      });
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to record job revision',
+        error: error instanceof Error ? error.message : String(error),
+        jobId
+      });
+    }
+  }
+
+  /**
+   * Write a job change to the audit log, if one is configured
+   * 
+   * @param action Audit action
+   * @param id Job ID
+   * @param before Job before the change
+   * @param after Job after the change
+   * @param actor Who made the change; defaults to the system actor
+   */
+  private async audit(
+    action: 'create' | 'update' | 'delete',
+    id: string,
+    before: Partial<Job> | null,
+    after: Partial<Job> | null,
+    actor?: AuditActor
+  ): Promise<void> {
+    if (!this.auditLog) {
+      return;
+    }
+
+    await this.auditLog.record({ actor, action, entityType: 'Job', entityId: id, before, after });
+  }
+
+  /**
+   * Invalidate a changed job's cached detail and the cached job lists, if a
+   * cache is configured
+   * 
+   * @param id Job ID
+   */
+  private async invalidateCache(id: string): Promise<void> {
+    if (!this.cache) {
+      return;
+    }
+
+    await this.cache.invalidateJob(id);
+  }
+
   /**
    * Map Prisma job model to application job model
    * 
@@ -579,6 +1005,7 @@ export class JobRepository {
       isUrgent: prismaJob.isUrgent,
       createdAt: prismaJob.createdAt.toISOString(),
       updatedAt: prismaJob.updatedAt.toISOString(),
+      lastSyncedAt: prismaJob.lastSyncedAt ? prismaJob.lastSyncedAt.toISOString() : null,
       recruiterId: prismaJob.recruiterId,
       viewsCount: prismaJob.viewsCount,
       applicationsCount: prismaJob.applicationsCount,
@@ -587,7 +1014,8 @@ export class JobRepository {
       seoKeywords: prismaJob.seoKeywords,
       parsedRequirements: prismaJob.parsedRequirements,
       parsedShift: prismaJob.parsedShift,
-      metadata: prismaJob.metadata
+      metadata: prismaJob.metadata,
+      canonicalJobId: prismaJob.canonicalJobId || null
     };
   }
 
@@ -636,8 +1064,13 @@ export class JobRepository {
       prismaJob.longitude = job.coordinates.longitude;
     }
 
+    if (job.lastSyncedAt) {
+      prismaJob.lastSyncedAt = new Date(job.lastSyncedAt);
+    }
+
     // Add timestamps for create operation
     if (!isUpdate) {
+      prismaJob.fingerprint = getJobFingerprint(job);
       prismaJob.createdAt = new Date();
       prismaJob.updatedAt = new Date();
       prismaJob.viewsCount = 0;
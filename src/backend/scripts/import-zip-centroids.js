@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Import ZIP Centroids
+ *
+ * Rebuilds src/data/zip-centroids.csv from a Census Bureau ZCTA gazetteer
+ * file (2020_Gaz_zcta_national.txt or later, tab-separated). Run it when a new
+ * gazetteer is published:
+ *
+ *   node scripts/import-zip-centroids.js path/to/Gaz_zcta_national.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_PATH = path.join(__dirname, '../src/data/zip-centroids.csv');
+
+/**
+ * Convert a gazetteer file to the bundled CSV format
+ * @param {string} gazetteer Contents of the gazetteer file
+ * @returns {string} CSV with zip, latitude and longitude columns, sorted by ZIP
+ */
+function toZipCentroidsCsv(gazetteer) {
+  const [header, ...lines] = gazetteer.split(/\r?\n/).filter(Boolean);
+  const columns = header.split('\t').map(column => column.trim());
+  const zipIndex = columns.indexOf('GEOID');
+  const latitudeIndex = columns.indexOf('INTPTLAT');
+  const longitudeIndex = columns.indexOf('INTPTLONG');
+
+  if ([zipIndex, latitudeIndex, longitudeIndex].includes(-1)) {
+    throw new Error('Expected GEOID, INTPTLAT and INTPTLONG columns');
+  }
+
+  const rows = lines
+    .map(line => line.split('\t').map(value => value.trim()))
+    .map(values => [
+      values[zipIndex],
+      Number(Number(values[latitudeIndex]).toFixed(5)),
+      Number(Number(values[longitudeIndex]).toFixed(5))
+    ])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  return ['zip,latitude,longitude', ...rows.map(row => row.join(','))].join('\n') + '\n';
+}
+
+if (require.main === module) {
+  const [input] = process.argv.slice(2);
+
+  if (!input) {
+    console.error('Usage: node scripts/import-zip-centroids.js <gazetteer file>');
+    process.exit(1);
+  }
+
+  const csv = toZipCentroidsCsv(fs.readFileSync(input, 'utf8'));
+  fs.writeFileSync(OUTPUT_PATH, csv);
+  console.log(`Wrote ${csv.split('\n').length - 2} ZIP centroids to ${OUTPUT_PATH}`);
+}
+
+module.exports = {
+  toZipCentroidsCsv
+};
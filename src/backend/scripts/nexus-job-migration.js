@@ -10,6 +10,8 @@ const { PrismaClient } = require('@prisma/client');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { getJobFingerprint } = require('../src/utils/job-fingerprint');
+const { JobDuplicateService } = require('../src/services/job-duplicate.service');
 
 // Load environment variables
 dotenv.config();
@@ -219,7 +221,7 @@ function transformJobData(nexusJob) {
   }
   
   // Transform to our schema
-  return {
+  const job = {
     externalId: nexusJob.id.toString(),
     title: nexusJob.title,
     specialty: nexusJob.specialty,
@@ -253,6 +255,11 @@ function transformJobData(nexusJob) {
       lastSyncedAt: new Date().toISOString(),
     },
   };
+  
+  // Fingerprint for matching the same opening imported from LaborEdge
+  job.fingerprint = getJobFingerprint(job);
+  
+  return job;
 }
 
 /**
@@ -274,6 +281,7 @@ async function saveJob(jobData) {
         data: {
           ...jobData,
           updatedAt: new Date(),
+          lastSyncedAt: new Date(),
         },
       });
     } else {
@@ -283,6 +291,7 @@ async function saveJob(jobData) {
           ...jobData,
           createdAt: new Date(),
           updatedAt: new Date(),
+          lastSyncedAt: new Date(),
         },
       });
     }
@@ -344,6 +353,8 @@ async function migrateJobs() {
   let totalJobs = 0;
   let successfulJobs = 0;
   let failedJobs = 0;
+  let duplicates = null;
+  const startedAt = new Date();
   
   try {
     // Get first page and determine total pages
@@ -375,6 +386,10 @@ async function migrateJobs() {
     }
     
     logger.info(`Migration completed: ${totalJobs} total jobs, ${successfulJobs} succeeded, ${failedJobs} failed`);
+    
+    // Link migrated jobs that duplicate jobs from LaborEdge or each other
+    duplicates = await new JobDuplicateService(prisma).processDuplicates({ since: startedAt });
+    logger.info(`Duplicate check completed: ${duplicates.merged} merged, ${duplicates.flagged} flagged for review`);
   } catch (error) {
     logger.error('Migration failed', error);
     throw error;
@@ -386,6 +401,7 @@ async function migrateJobs() {
     totalJobs,
     successfulJobs,
     failedJobs,
+    duplicates,
   };
 }
 
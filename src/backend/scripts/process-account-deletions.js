@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Process Account Deletions
+ *
+ * Deletes every account whose deletion grace period has ended. Intended to
+ * run daily from cron alongside the database maintenance jobs.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { MongoClient } = require('mongodb');
+const dotenv = require('dotenv');
+const { withFieldEncryption } = require('../src/utils/prisma-encryption');
+const { PrivacyService } = require('../src/services/privacy.service');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Run the deletion pass
+ * @returns {Promise<Object>} Numbers of accounts deleted and failed
+ */
+async function processAccountDeletions() {
+  const prisma = withFieldEncryption(new PrismaClient());
+  const mongoClient = new MongoClient(process.env.MONGODB_URI);
+
+  try {
+    await mongoClient.connect();
+    const db = mongoClient.db();
+
+    const privacyService = new PrivacyService(prisma, { getMongoDb: () => db });
+    return await privacyService.processScheduledDeletions();
+  } finally {
+    await prisma.$disconnect();
+    await mongoClient.close();
+  }
+}
+
+if (require.main === module) {
+  processAccountDeletions()
+    .then(results => {
+      console.log('Account deletions processed:', results);
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Account deletion processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processAccountDeletions
+};
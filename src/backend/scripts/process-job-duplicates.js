@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Process Job Duplicates
+ *
+ * Checks active jobs changed in the last JOB_DUPLICATE_LOOKBACK_HOURS hours
+ * (default 24), or every active job with --all, for duplicates: merging
+ * likely duplicates into their canonical job and queueing ambiguous pairs
+ * for review (see src/services/job-duplicate.service.js). Intended to run
+ * hourly from cron, after the syncs.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const dotenv = require('dotenv');
+const { withFieldEncryption } = require('../src/utils/prisma-encryption');
+const { JobDuplicateService } = require('../src/services/job-duplicate.service');
+const { AuditLogService } = require('../src/services/audit-log.service');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Run a duplicate pass
+ * @param {Object} options Pass options
+ * @param {boolean} options.all Check every active job, not just recently changed ones
+ * @returns {Promise<Object>} Numbers of jobs checked and failed, and of pairs merged and flagged
+ */
+async function processJobDuplicates({ all = false } = {}) {
+  const prisma = withFieldEncryption(new PrismaClient());
+
+  try {
+    const jobDuplicateService = new JobDuplicateService(prisma, {
+      auditLogService: new AuditLogService(prisma)
+    });
+
+    return await jobDuplicateService.processDuplicates({ all });
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  processJobDuplicates({ all: process.argv.includes('--all') })
+    .then(results => {
+      console.log('Job duplicates processed:', results);
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Job duplicate processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processJobDuplicates
+};
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Process Job Lifecycle
+ *
+ * Marks jobs with a placed application as filled and expires active jobs
+ * that match an expiry rule (see src/services/job-lifecycle.service.js for
+ * the rules and the variables that configure them), notifying the
+ * candidates following each job. Then alerts candidates to pay increases on
+ * jobs they saved and to saved jobs about to close (see
+ * src/services/saved-job-alert.service.js). Intended to run hourly from cron.
+ *
+ * When REDIS_URL is set, the API's cached entries for each job that changes
+ * status are invalidated too.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const dotenv = require('dotenv');
+const redis = require('redis');
+const { withFieldEncryption } = require('../src/utils/prisma-encryption');
+const { JobLifecycleService } = require('../src/services/job-lifecycle.service');
+const { SavedJobAlertService } = require('../src/services/saved-job-alert.service');
+const { AuditLogService } = require('../src/services/audit-log.service');
+const { JobCacheService } = require('../src/services/job-cache.service');
+const { setRedisClient } = require('../src/utils/redis-client');
+const { Mailer } = require('../src/services/mail');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Run the lifecycle pass, then send saved job alerts
+ * @returns {Promise<Object>} Numbers of jobs filled, expired and failed, and of candidates alerted
+ */
+async function processJobLifecycle() {
+  const prisma = withFieldEncryption(new PrismaClient());
+  const redisClient = await connectToRedis();
+
+  try {
+    const mailer = new Mailer();
+    const jobLifecycleService = new JobLifecycleService(prisma, {
+      mailer,
+      auditLogService: new AuditLogService(prisma),
+      jobCache: redisClient ? new JobCacheService() : null
+    });
+    const savedJobAlertService = new SavedJobAlertService(prisma, { mailer });
+
+    const lifecycle = await jobLifecycleService.processLifecycle();
+    const alerts = await savedJobAlertService.processAlerts();
+
+    return { ...lifecycle, ...alerts };
+  } finally {
+    await prisma.$disconnect();
+
+    if (redisClient) {
+      await redisClient.quit();
+    }
+  }
+}
+
+/**
+ * Connect to the Redis instance the API caches jobs in, if one is configured.
+ * Without it the API's cached entries simply expire.
+ * @returns {Promise<Object|null>} Connected client, or null
+ */
+async function connectToRedis() {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  try {
+    const client = redis.createClient({ url: process.env.REDIS_URL });
+    client.on('error', error => console.error('Redis error:', error));
+    await client.connect();
+    setRedisClient(client);
+    return client;
+  } catch (error) {
+    console.error('Failed to connect to Redis, cached jobs will expire on their own:', error);
+    return null;
+  }
+}
+
+if (require.main === module) {
+  processJobLifecycle()
+    .then(results => {
+      console.log('Job lifecycle processed:', results);
+      process.exit(results.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Job lifecycle processing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  processJobLifecycle
+};
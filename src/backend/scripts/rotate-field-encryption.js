@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Field Encryption Key Rotation
+ *
+ * Re-encrypts every designated field with the active key. Run after adding
+ * a new key to FIELD_ENCRYPTION_KEYS and pointing FIELD_ENCRYPTION_ACTIVE_KEY
+ * at it; once it completes the old key can be removed. Plaintext values
+ * left over from before encryption was enabled are encrypted as well, so
+ * the same script performs the initial migration.
+ */
+
+const dotenv = require('dotenv');
+const { encrypt, decrypt, needsRotation, getKeyring } = require('../src/utils/field-encryption');
+const { ENCRYPTED_FIELDS } = require('../src/utils/prisma-encryption');
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Get the Prisma delegate name for a model
+ * @param {string} model Prisma model name
+ * @returns {string} Delegate name, e.g. 'license'
+ */
+function getDelegateName(model) {
+  return model.charAt(0).toLowerCase() + model.slice(1);
+}
+
+/**
+ * Re-encrypt all designated fields that were not written with the active key
+ * @param {Object} prisma Prisma client without the field encryption extension
+ * @param {Object} options Rotation options
+ * @param {number} options.batchSize Number of rows to read at a time
+ * @param {Object} options.keyring Keyring to use
+ * @returns {Promise<Object>} Number of rows updated, by model
+ */
+async function rotateFieldEncryption(prisma, options = {}) {
+  const { batchSize = DEFAULT_BATCH_SIZE, keyring = getKeyring() } = options;
+  const results = {};
+
+  for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const delegate = prisma[getDelegateName(model)];
+    const select = Object.fromEntries(['id', ...fields].map(field => [field, true]));
+    let cursor = null;
+    let updated = 0;
+
+    for (;;) {
+      const rows = await delegate.findMany({
+        select,
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      });
+
+      for (const row of rows) {
+        const data = {};
+
+        for (const field of fields) {
+          if (needsRotation(row[field], keyring)) {
+            data[field] = encrypt(decrypt(row[field], keyring), keyring);
+          }
+        }
+
+        if (Object.keys(data).length > 0) {
+          await delegate.update({ where: { id: row.id }, data });
+          updated++;
+        }
+      }
+
+      if (rows.length < batchSize) {
+        break;
+      }
+
+      cursor = rows[rows.length - 1].id;
+    }
+
+    results[model] = updated;
+  }
+
+  return results;
+}
+
+/**
+ * Run the rotation
+ */
+if (require.main === module) {
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+
+  rotateFieldEncryption(prisma)
+    .then(results => {
+      console.log('Field encryption rotation completed:', results);
+      return prisma.$disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Field encryption rotation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  rotateFieldEncryption
+};
@@ -22,6 +22,7 @@ import { FacilityRepository } from '../../repositories/facility.repository';
 import { Job } from '../../models/job.model';
 import { Facility } from '../../models/facility.model';
 import { ApiMetrics } from '../../utils/metrics';
+import { JobDuplicateDetector } from '../../models/duplicate.model';
 
 export class LaborEdgeApiService {
   private readonly axiosInstance: AxiosInstance;
@@ -35,6 +36,7 @@ export class LaborEdgeApiService {
   private readonly jobRepository: JobRepository;
   private readonly facilityRepository: FacilityRepository;
   private readonly metrics: ApiMetrics;
+  private readonly jobDuplicates: JobDuplicateDetector | null;
 
   constructor(
     config: any, 
@@ -44,7 +46,8 @@ export class LaborEdgeApiService {
     facilityTransformer: FacilityTransformer,
     jobRepository: JobRepository,
     facilityRepository: FacilityRepository,
-    metrics: ApiMetrics
+    metrics: ApiMetrics,
+    jobDuplicates: JobDuplicateDetector | null = null
   ) {
     this.redisClient = redisClient;
     this.logger = logger.child({ service: 'LaborEdgeApiService' });
@@ -53,6 +56,7 @@ export class LaborEdgeApiService {
     this.jobRepository = jobRepository;
     this.facilityRepository = facilityRepository;
     this.metrics = metrics;
+    this.jobDuplicates = jobDuplicates;
     
     // Promisify Redis methods
     this.getAsync = promisify(this.redisClient.get).bind(this.redisClient);
@@ -416,6 +420,7 @@ export class LaborEdgeApiService {
    */
   async syncAllJobs(): Promise<number> {
     this.logger.info('Starting full job synchronization');
+    const startedAt = new Date();
     let page = 1;
     let totalJobs = 0;
     let hasMoreData = true;
@@ -446,6 +451,7 @@ export class LaborEdgeApiService {
       }
       
       this.logger.info(`Full job synchronization completed. Processed ${totalJobs} jobs.`);
+      await this.detectDuplicates(startedAt);
       return totalJobs;
     } catch (error) {
       this.logger.error({
@@ -463,6 +469,7 @@ export class LaborEdgeApiService {
    */
   async syncJobsUpdatedSince(since: Date): Promise<number> {
     this.logger.info(`Starting incremental job synchronization since ${since.toISOString()}`);
+    const startedAt = new Date();
     
     try {
       const jobsResponse = await this.getJobsUpdatedSince(since);
@@ -471,6 +478,7 @@ export class LaborEdgeApiService {
       if (jobs.length > 0) {
         await this.processJobs(jobs);
         this.logger.info(`Incremental job synchronization completed. Processed ${jobs.length} jobs.`);
+        await this.detectDuplicates(startedAt);
         return jobs.length;
       }
       
@@ -485,6 +493,31 @@ export class LaborEdgeApiService {
     }
   }
   
+  /**
+   * Check the jobs a sync changed for duplicates of each other and of jobs
+   * from the Nexus migration, if a detector is configured. Failures are
+   * logged rather than thrown, since the sync itself has succeeded.
+   * @param since When the sync started
+   */
+  private async detectDuplicates(since: Date): Promise<void> {
+    if (!this.jobDuplicates) {
+      return;
+    }
+
+    try {
+      const results = await this.jobDuplicates.processDuplicates({ since });
+      this.logger.info({
+        message: 'Duplicate check completed',
+        ...results
+      });
+    } catch (error) {
+      this.logger.error({
+        message: 'Duplicate check failed',
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+  
   /**
    * Process jobs data and save to database
    * @param jobs Jobs data from LaborEdge API
@@ -515,7 +548,9 @@ export class LaborEdgeApiService {
   }
   
   /**
-   * Handle webhook event from LaborEdge
+   * Handle webhook event from LaborEdge. Cached jobs are invalidated by the
+   * job and facility repositories; a facility event invalidates all of them,
+   * since job details include their facility.
    * @param event Webhook event data
    */
   async handleWebhookEvent(event: any): Promise<void> {
@@ -11,6 +11,13 @@ const { PrismaClient } = require('@prisma/client');
 const { MongoClient } = require('mongodb');
 const redis = require('redis');
 const dotenv = require('dotenv');
+const { setRedisClient } = require('./utils/redis-client');
+const { setMongoDb } = require('./utils/mongo-client');
+const { ApiKeyService } = require('./services/api-key.service');
+const { JobViewService } = require('./services/job-view.service');
+const { SessionService } = require('./services/session.service');
+const { createApiKeyMiddleware } = require('./middleware/api-key');
+const { setSessionService } = require('./middleware/auth');
 
 // Load environment variables
 dotenv.config();
@@ -24,6 +31,12 @@ const prisma = new PrismaClient();
 let mongoClient;
 let redisClient;
 
+// Flushes buffered job views to the database
+const jobViewService = new JobViewService(prisma);
+
+// Access tokens are checked against their session on every request
+setSessionService(new SessionService(prisma));
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // CORS support
@@ -35,6 +48,7 @@ async function connectToMongoDB() {
   try {
     mongoClient = new MongoClient(process.env.MONGODB_URI);
     await mongoClient.connect();
+    setMongoDb(mongoClient.db());
     console.log('Connected to MongoDB');
     return mongoClient.db();
   } catch (error) {
@@ -55,6 +69,7 @@ async function connectToRedis() {
     });
     
     await redisClient.connect();
+    setRedisClient(redisClient);
     console.log('Connected to Redis');
     return redisClient;
   } catch (error) {
@@ -68,12 +83,24 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Sitemaps for crawlers
+app.use('/', require('./routes/sitemaps'));
+
+// Job feeds for job boards and aggregators
+app.use('/feeds', require('./routes/feeds'));
+
+// Accept partner API keys alongside user access tokens
+app.use('/api/v1', createApiKeyMiddleware(new ApiKeyService(prisma)));
+
 // API routes
 app.use('/api/v1/jobs', require('./routes/jobs'));
 app.use('/api/v1/facilities', require('./routes/facilities'));
 app.use('/api/v1/users', require('./routes/users'));
 app.use('/api/v1/applications', require('./routes/applications'));
 app.use('/api/v1/auth', require('./routes/auth'));
+app.use('/api/v1/admin/audit-logs', require('./routes/audit-logs'));
+app.use('/api/v1/admin/api-keys', require('./routes/api-keys'));
+app.use('/api/v1/admin/job-duplicates', require('./routes/job-duplicates'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -90,6 +117,9 @@ async function startServer() {
     // Connect to databases
     const mongodb = await connectToMongoDB();
     const redis = await connectToRedis();
+
+    // Flush job views periodically
+    jobViewService.start();
     
     // Start Express server
     app.listen(port, () => {
@@ -106,6 +136,9 @@ async function startServer() {
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
   
+  // Flush buffered job views before the database connection closes
+  await jobViewService.stop();
+
   // Close database connections
   await prisma.$disconnect();
   if (mongoClient) await mongoClient.close();
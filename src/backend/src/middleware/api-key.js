@@ -0,0 +1,92 @@
+/**
+ * API Key Middleware
+ *
+ * Accepts admin-issued API keys on /api/v1/* alongside user access tokens.
+ * A key may be sent in the X-API-Key header or as a bearer token. Valid keys
+ * are attached to req.apiKey, throttled against their own per-minute limit
+ * and counted towards the key's daily usage.
+ */
+
+const { isApiKey } = require('../services/api-key.service');
+const { getBearerToken } = require('./auth');
+const { rateLimit } = require('./rate-limit');
+const { Logger } = require('../utils/logger');
+const logger = new Logger({ service: 'ApiKeyMiddleware' });
+
+/**
+ * Extract an API key from the request
+ * @param {Object} req Express request object
+ * @returns {string|null} Raw API key or null if not present
+ */
+function getApiKey(req) {
+  const header = req.headers['x-api-key'];
+
+  if (typeof header === 'string' && header.trim()) {
+    return header.trim();
+  }
+
+  const token = getBearerToken(req);
+  return isApiKey(token) ? token : null;
+}
+
+/**
+ * Create the API key middleware
+ * @param {Object} apiKeyService ApiKeyService instance
+ * @param {Object} options Middleware options
+ * @param {Function} options.getStore Rate limit store override, for tests
+ * @returns {Function} Express middleware
+ */
+function createApiKeyMiddleware(apiKeyService, options = {}) {
+  const limiter = rateLimit({
+    name: 'api-key',
+    windowMs: 60 * 1000,
+    max: req => apiKeyService.getRateLimit(req.apiKey),
+    keyGenerator: req => req.apiKey.id,
+    ...(options.getStore && { getStore: options.getStore })
+  });
+
+  return async (req, res, next) => {
+    const key = getApiKey(req);
+
+    if (!key) {
+      return next();
+    }
+
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.authenticate(key);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!apiKey) {
+      logger.debug({
+        message: 'Rejected API key',
+        ip: req.ip
+      });
+
+      return res.status(401).json({
+        error: 'Invalid or expired API key'
+      });
+    }
+
+    req.apiKey = apiKey;
+
+    res.on('finish', () => {
+      apiKeyService.recordUsage(apiKey, { statusCode: res.statusCode }).catch(error => {
+        logger.error({
+          message: 'Failed to record API key usage',
+          error: error.message,
+          apiKeyId: apiKey.id
+        });
+      });
+    });
+
+    return limiter(req, res, next);
+  };
+}
+
+module.exports = {
+  getApiKey,
+  createApiKeyMiddleware
+};
@@ -0,0 +1,134 @@
+/**
+ * Tests for API Key Middleware and scope guards
+ */
+
+const { EventEmitter } = require('events');
+const { createApiKeyMiddleware } = require('./api-key');
+const { authenticate, authenticateWithApiKey, requireScope, setSessionService, Roles } = require('./auth');
+const { ApiScopes, generateApiKey } = require('../services/api-key.service');
+const { MemoryRateLimitStore } = require('../services/rate-limit-store');
+const { signAccessToken } = require('../utils/jwt');
+
+function createResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('API Key Middleware', () => {
+  const { key } = generateApiKey();
+  const apiKey = { id: 'key-1', name: 'Partner', scopes: [ApiScopes.JOBS_READ], rateLimitPerMinute: 2 };
+  let apiKeyService;
+  let middleware;
+
+  beforeEach(() => {
+    apiKeyService = {
+      authenticate: jest.fn(async raw => (raw === key ? apiKey : null)),
+      getRateLimit: jest.fn(record => record.rateLimitPerMinute),
+      recordUsage: jest.fn(async () => {})
+    };
+    const store = new MemoryRateLimitStore();
+    middleware = createApiKeyMiddleware(apiKeyService, { getStore: () => store });
+  });
+
+  test('passes requests without a key through untouched', async () => {
+    const req = { headers: {} };
+    const next = jest.fn();
+
+    await middleware(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.apiKey).toBeUndefined();
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+  });
+
+  test('attaches valid keys from either header and records usage', async () => {
+    const headerReq = { headers: { 'x-api-key': key } };
+    const bearerReq = { headers: { authorization: `Bearer ${key}` } };
+    const res = createResponse();
+    const next = jest.fn();
+
+    await middleware(headerReq, res, next);
+    await middleware(bearerReq, createResponse(), next);
+    res.emit('finish');
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(headerReq.apiKey).toBe(apiKey);
+    expect(bearerReq.apiKey).toBe(apiKey);
+    expect(apiKeyService.recordUsage).toHaveBeenCalledWith(apiKey, { statusCode: 200 });
+  });
+
+  test('rejects unknown keys', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await middleware({ headers: { 'x-api-key': 'ems_unknown' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('enforces the per-key rate limit', async () => {
+    const next = jest.fn();
+
+    await middleware({ headers: { 'x-api-key': key } }, createResponse(), next);
+    await middleware({ headers: { 'x-api-key': key } }, createResponse(), next);
+
+    const res = createResponse();
+    await middleware({ headers: { 'x-api-key': key } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['RateLimit-Limit']).toBe('2');
+  });
+});
+
+describe('Scope guards', () => {
+  const apiKey = { id: 'key-1', scopes: [ApiScopes.JOBS_READ] };
+
+  test('requireScope only applies to API key requests', () => {
+    const next = jest.fn();
+    const res = createResponse();
+
+    requireScope(ApiScopes.JOBS_READ)({ apiKey }, createResponse(), next);
+    requireScope(ApiScopes.JOBS_WRITE)({ headers: {} }, createResponse(), next);
+    requireScope(ApiScopes.JOBS_WRITE)({ apiKey }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('authenticateWithApiKey accepts scoped keys or users with the role', async () => {
+    const guard = authenticateWithApiKey(ApiScopes.JOBS_READ, Roles.RECRUITER);
+    const next = jest.fn();
+    const candidateRes = createResponse();
+    setSessionService({ isActive: jest.fn(async () => true) });
+
+    await guard({ apiKey }, createResponse(), next);
+    await guard({ headers: { authorization: `Bearer ${signAccessToken({ id: 'r-1', email: 'r@example.com', role: Roles.RECRUITER }, 'session-1')}` } }, createResponse(), next);
+    await guard({ headers: { authorization: `Bearer ${signAccessToken({ id: 'c-1', email: 'c@example.com', role: Roles.CANDIDATE }, 'session-2')}` } }, candidateRes, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(candidateRes.status).toHaveBeenCalledWith(403);
+  });
+
+  test('user-only endpoints reject API keys', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate({ apiKey, headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Authentication Middleware
+ * 
+ * Verifies the bearer token issued by /api/v1/auth/login, attaches the
+ * authenticated user to the request and enforces role-based guards. Routes
+ * open to integrations also accept API keys, which are checked against
+ * scopes instead of roles (see middleware/api-key.js).
+ */
+
+const { TokenPurpose, verifyAccessToken, verifyPurposeToken } = require('../utils/jwt');
+const { Logger } = require('../utils/logger');
+const logger = new Logger({ service: 'AuthMiddleware' });
+
+/**
+ * Supported user roles
+ */
+const Roles = {
+  CANDIDATE: 'candidate',
+  RECRUITER: 'recruiter',
+  ADMIN: 'admin'
+};
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req Express request object
+ * @returns {string|null} Token or null if not present
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.substring(7).trim() || null;
+}
+
+let sessionService = null;
+
+/**
+ * Register the session service access tokens are checked against. Access
+ * tokens are rejected once their session is revoked or expired, so logging
+ * out or revoking a device takes effect immediately rather than when the
+ * token expires.
+ * @param {SessionService} service Session service
+ */
+function setSessionService(service) {
+  sessionService = service;
+}
+
+/**
+ * Require a valid access token for an active session and attach the user
+ * to req.user
+ */
+async function authenticate(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'API keys are not accepted for this endpoint'
+    });
+  }
+
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized'
+    });
+  }
+
+  let decoded;
+
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    logger.debug({
+      message: 'Rejected access token',
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      error: 'Invalid or expired token'
+    });
+  }
+
+  let active;
+
+  try {
+    if (!sessionService) {
+      throw new Error('Session service has not been registered');
+    }
+
+    active = await sessionService.isActive(decoded.sessionId);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!active) {
+    logger.debug({
+      message: 'Rejected access token for inactive session',
+      userId: decoded.userId,
+      sessionId: decoded.sessionId,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      error: 'Invalid or expired token'
+    });
+  }
+
+  req.user = {
+    id: decoded.userId,
+    email: decoded.email,
+    role: decoded.role,
+    sessionId: decoded.sessionId
+  };
+
+  next();
+}
+
+/**
+ * Accept either a regular access token or a two-factor enrollment token,
+ * which is issued at login to users whose role must enroll before signing in.
+ * Sets req.user.enrollmentOnly for enrollment tokens.
+ */
+function authenticateTwoFactorEnrollment(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized'
+    });
+  }
+
+  try {
+    const decoded = verifyPurposeToken(token, TokenPurpose.TWO_FACTOR_ENROLLMENT);
+
+    req.user = {
+      id: decoded.userId,
+      email: decoded.email,
+      role: decoded.role,
+      enrollmentOnly: true
+    };
+
+    return next();
+  } catch (error) {
+    // Not an enrollment token; fall back to a regular access token
+  }
+
+  return authenticate(req, res, next);
+}
+
+/**
+ * Restrict a route to the given roles. Must run after authenticate.
+ * @param {...string} roles Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.warn({
+        message: 'Role guard rejected request',
+        userId: req.user.id,
+        role: req.user.role,
+        requiredRoles: roles,
+        url: req.originalUrl
+      });
+
+      return res.status(403).json({
+        error: 'Forbidden'
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require an API key, if one was used, to carry the given scope. Requests
+ * without an API key pass through unchanged.
+ * @param {string} scope Required scope
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+      logger.warn({
+        message: 'Scope guard rejected API key',
+        apiKeyId: req.apiKey.id,
+        requiredScope: scope,
+        url: req.originalUrl
+      });
+
+      return res.status(403).json({
+        error: 'Forbidden',
+        requiredScope: scope
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Accept either an API key with the given scope or an access token for a
+ * user with one of the given roles (any role if none are given)
+ * @param {string} scope Scope required of API keys
+ * @param {...string} roles Roles allowed for users
+ * @returns {Function} Express middleware
+ */
+function authenticateWithApiKey(scope, ...roles) {
+  const scopeGuard = requireScope(scope);
+  const roleGuard = roles.length > 0 ? requireRole(...roles) : null;
+
+  return (req, res, next) => {
+    if (req.apiKey) {
+      return scopeGuard(req, res, next);
+    }
+
+    return authenticate(req, res, () => (roleGuard ? roleGuard(req, res, next) : next()));
+  };
+}
+
+module.exports = {
+  Roles,
+  getBearerToken,
+  authenticate,
+  authenticateTwoFactorEnrollment,
+  authenticateWithApiKey,
+  requireRole,
+  requireScope,
+  setSessionService
+};
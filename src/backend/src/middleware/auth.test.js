@@ -0,0 +1,164 @@
+/**
+ * Tests for Authentication Middleware
+ */
+
+const jwt = require('jsonwebtoken');
+const { authenticate, authenticateTwoFactorEnrollment, requireRole, setSessionService, Roles } = require('./auth');
+const { TokenPurpose, signAccessToken, signPurposeToken } = require('../utils/jwt');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('Authentication Middleware', () => {
+  const user = { id: 'user-123', email: 'nurse@example.com', role: Roles.CANDIDATE };
+  let activeSessions;
+
+  beforeEach(() => {
+    activeSessions = new Set(['session-1']);
+    setSessionService({ isActive: jest.fn(async sessionId => activeSessions.has(sessionId)) });
+  });
+
+  describe('authenticate', () => {
+    test('attaches the user for a valid bearer token', async () => {
+      const req = { headers: { authorization: `Bearer ${signAccessToken(user, 'session-1')}` } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ ...user, sessionId: 'session-1' });
+    });
+
+    test('rejects tokens whose session was revoked', async () => {
+      const req = { headers: { authorization: `Bearer ${signAccessToken(user, 'session-1')}` } };
+      const res = createResponse();
+      const next = jest.fn();
+      activeSessions.delete('session-1');
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects tokens without a session', async () => {
+      const req = { headers: { authorization: `Bearer ${signAccessToken(user)}` } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects requests without a token', async () => {
+      const req = { headers: { 'x-user-id': 'user-123' } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects tokens signed with another secret', async () => {
+      const token = jwt.sign({ userId: user.id, role: Roles.ADMIN }, 'not-the-secret');
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects restricted two-factor tokens', async () => {
+      const token = signPurposeToken(user, TokenPurpose.TWO_FACTOR_CHALLENGE);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('authenticateTwoFactorEnrollment', () => {
+    test('accepts enrollment tokens', async () => {
+      const token = signPurposeToken(user, TokenPurpose.TWO_FACTOR_ENROLLMENT);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+
+      await authenticateTwoFactorEnrollment(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual(expect.objectContaining({ id: user.id, enrollmentOnly: true }));
+    });
+
+    test('accepts regular access tokens', async () => {
+      const req = { headers: { authorization: `Bearer ${signAccessToken(user, 'session-1')}` } };
+      const next = jest.fn();
+
+      await authenticateTwoFactorEnrollment(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.sessionId).toBe('session-1');
+      expect(req.user.enrollmentOnly).toBeUndefined();
+    });
+
+    test('rejects challenge tokens', async () => {
+      const token = signPurposeToken(user, TokenPurpose.TWO_FACTOR_CHALLENGE);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await authenticateTwoFactorEnrollment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('requireRole', () => {
+    test('allows users with a permitted role', () => {
+      const req = { user: { ...user, role: Roles.RECRUITER } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireRole(Roles.RECRUITER, Roles.ADMIN)(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('rejects users without a permitted role', () => {
+      const req = { user, originalUrl: '/api/v1/jobs' };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireRole(Roles.RECRUITER, Roles.ADMIN)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('rejects unauthenticated requests', () => {
+      const req = {};
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireRole(Roles.ADMIN)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
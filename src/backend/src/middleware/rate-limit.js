@@ -0,0 +1,101 @@
+/**
+ * Rate Limiting Middleware
+ * 
+ * Sliding-window request throttling keyed by client IP, account or any
+ * other request attribute. Uses Redis when connected and falls back to
+ * an in-memory store otherwise.
+ */
+
+const { getRateLimitStore } = require('../services/rate-limit-store');
+const { Logger } = require('../utils/logger');
+const logger = new Logger({ service: 'RateLimit' });
+
+/**
+ * Key requests by client IP address
+ * @param {Object} req Express request object
+ * @returns {string} Client IP
+ */
+function byIp(req) {
+  return req.ip;
+}
+
+/**
+ * Key requests by the email address in the request body
+ * @param {Object} req Express request object
+ * @returns {string|null} Normalized email or null if absent
+ */
+function byEmail(req) {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options Rate limit options
+ * @param {string} options.name Limit name, used to namespace keys
+ * @param {number} options.windowMs Window length in milliseconds
+ * @param {number|Function} options.max Maximum requests per window, or a function deriving it from the request
+ * @param {Function} options.keyGenerator Derives the key from the request; returning null skips the limit
+ * @param {Function} options.getStore Returns the store to use (defaults to Redis with in-memory fallback)
+ * @returns {Function} Express middleware
+ */
+function rateLimit(options) {
+  const {
+    name,
+    windowMs,
+    max,
+    keyGenerator = byIp,
+    getStore = getRateLimitStore
+  } = options;
+
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+
+    if (!key) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await getStore().hit(`${name}:${key}`, windowMs);
+    } catch (error) {
+      // Fail open: an unavailable store must not take authentication down
+      logger.error({
+        message: 'Rate limit store unavailable',
+        error: error.message,
+        limit: name
+      });
+      return next();
+    }
+
+    const limit = typeof max === 'function' ? max(req) : max;
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(limit - result.count, 0)));
+
+    if (result.count > limit) {
+      const retryAfter = Math.max(Math.ceil(result.resetMs / 1000), 1);
+
+      logger.warn({
+        message: 'Rate limit exceeded',
+        limit: name,
+        ip: req.ip,
+        count: result.count
+      });
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byEmail
+};
@@ -0,0 +1,97 @@
+/**
+ * Tests for Rate Limiting Middleware
+ */
+
+const { rateLimit, byEmail } = require('./rate-limit');
+const { MemoryRateLimitStore } = require('../services/rate-limit-store');
+
+function createResponse() {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('rateLimit', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+  });
+
+  test('allows requests up to the limit and rejects the rest', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60000, max: 2, getStore: () => store });
+    const req = { ip: '10.0.0.1', body: {} };
+    const next = jest.fn();
+
+    await limiter(req, createResponse(), next);
+    await limiter(req, createResponse(), next);
+
+    const res = createResponse();
+    await limiter(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  test('tracks keys independently', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60000, max: 1, getStore: () => store });
+    const next = jest.fn();
+
+    await limiter({ ip: '10.0.0.1' }, createResponse(), next);
+    await limiter({ ip: '10.0.0.2' }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('keys account limits by normalized email', async () => {
+    const limiter = rateLimit({
+      name: 'test',
+      windowMs: 60000,
+      max: 1,
+      keyGenerator: byEmail,
+      getStore: () => store
+    });
+    const next = jest.fn();
+    const res = createResponse();
+
+    await limiter({ ip: '10.0.0.1', body: { email: 'Nurse@Example.com' } }, createResponse(), next);
+    await limiter({ ip: '10.0.0.2', body: { email: 'nurse@example.com ' } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('fails open when the store is unavailable', async () => {
+    const limiter = rateLimit({
+      name: 'test',
+      windowMs: 60000,
+      max: 1,
+      getStore: () => ({ hit: () => Promise.reject(new Error('connection lost')) })
+    });
+    const next = jest.fn();
+
+    await limiter({ ip: '10.0.0.1' }, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('MemoryRateLimitStore', () => {
+  test('forgets hits outside the window', async () => {
+    const store = new MemoryRateLimitStore();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - 120000);
+    await store.hit('key', 60000);
+    Date.now.mockReturnValue(now);
+
+    await expect(store.count('key', 60000)).resolves.toBe(0);
+
+    Date.now.mockRestore();
+  });
+});
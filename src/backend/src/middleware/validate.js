@@ -0,0 +1,76 @@
+/**
+ * Request Validation Middleware
+ *
+ * Validates and coerces route params, query strings and bodies against the
+ * declarative schemas in src/schemas. Handlers only ever see fields declared
+ * in the schema, already converted to their declared types; anything else is
+ * dropped. Invalid requests are rejected with a 400 listing each bad field.
+ */
+
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Format validation errors for the response, in schema declaration order
+ * @param {Object} schema Schemas keyed by request location
+ * @param {Array} errors Errors from validationResult
+ * @returns {Array<Object>} One entry per invalid field
+ */
+function formatErrors(schema, errors) {
+  const position = error => {
+    const fields = Object.keys(schema[error.location]);
+    const index = fields.indexOf(error.path);
+    return LOCATIONS.indexOf(error.location) * 1000 + (index === -1 ? fields.length : index);
+  };
+
+  return [...errors]
+    .sort((a, b) => position(a) - position(b))
+    .map(error => ({
+      location: error.location,
+      field: error.path,
+      message: error.msg
+    }));
+}
+
+/**
+ * Create a validation middleware
+ * @param {Object} schema Schemas keyed by request location
+ * @param {Object} schema.params Route parameter schema
+ * @param {Object} schema.query Query string schema
+ * @param {Object} schema.body Request body schema
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  const locations = LOCATIONS.filter(location => schema[location]);
+  const chains = locations.map(location => checkSchema(schema[location], [location]));
+
+  return async (req, res, next) => {
+    try {
+      for (const chain of chains) {
+        await chain.run(req);
+      }
+
+      const errors = validationResult(req).array({ onlyFirstError: true });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          fields: formatErrors(schema, errors)
+        });
+      }
+
+      locations.forEach(location => {
+        req[location] = matchedData(req, { locations: [location] });
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  validate
+};
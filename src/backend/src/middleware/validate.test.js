@@ -0,0 +1,268 @@
+/**
+ * Tests for Request Validation Middleware and route schemas
+ */
+
+const { validate } = require('./validate');
+const jobSchemas = require('../schemas/jobs');
+const facilitySchemas = require('../schemas/facilities');
+const userSchemas = require('../schemas/users');
+const authSchemas = require('../schemas/auth');
+const applicationSchemas = require('../schemas/applications');
+const { encodeCursor } = require('../utils/cursor');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function run(schema, req) {
+  const res = createResponse();
+  const next = jest.fn();
+
+  req.params = req.params || {};
+  req.query = req.query || {};
+  req.body = req.body || {};
+  await validate(schema)(req, res, next);
+
+  return { res, next };
+}
+
+const validJob = {
+  externalId: 'LE-1001',
+  title: 'ICU Registered Nurse',
+  specialty: 'ICU',
+  facilityName: 'Mercy General',
+  city: 'Sacramento',
+  state: 'ca',
+  weeklyHours: '36',
+  payRate: 2450,
+  status: 'active'
+};
+
+describe('validate', () => {
+  test('applies defaults and coerces query values', async () => {
+    const req = { query: { limit: '50', state: ['CA', 'NV,AZ'], minPay: '1800', sort: 'payRate:DESC' } };
+    const { next } = await run(jobSchemas.listJobs, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({
+      page: 1,
+      limit: 50,
+      state: ['CA', 'NV', 'AZ'],
+      minPay: 1800,
+      status: 'active',
+      sort: 'payRate:desc'
+    });
+  });
+
+  test('rejects sort fields outside the whitelist', async () => {
+    const { res, next } = await run(jobSchemas.listJobs, { query: { sort: 'recruiter:asc' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].fields).toEqual([
+      expect.objectContaining({ location: 'query', field: 'sort', message: expect.stringContaining('Sort field must be one of') })
+    ]);
+  });
+
+  test('rejects repeated sort parameters', async () => {
+    const { res, next } = await run(jobSchemas.listJobs, { query: { sort: ['payRate', 'title'] } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].fields).toEqual([
+      expect.objectContaining({ location: 'query', field: 'sort', message: 'Sort must be a string' })
+    ]);
+  });
+
+  test('lists every invalid field once', async () => {
+    const { res } = await run(jobSchemas.listJobs, { query: { page: '0', limit: 'all', status: 'archived' } });
+
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Invalid request',
+      fields: [
+        { location: 'query', field: 'page', message: 'Page must be a positive integer' },
+        { location: 'query', field: 'limit', message: 'Limit must be between 1 and 100' },
+        { location: 'query', field: 'status', message: 'Status must be one of: active, filled, expired, draft' }
+      ]
+    });
+  });
+
+  test('resolves near to coordinates and requires it for radius and distance sort', async () => {
+    const req = { query: { near: '77030', radius: '25', sort: 'distance' } };
+    const { next } = await run(jobSchemas.listJobs, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual(expect.objectContaining({
+      near: { latitude: expect.any(Number), longitude: expect.any(Number) },
+      radius: 25,
+      sort: 'distance:asc'
+    }));
+
+    const { res } = await run(jobSchemas.listJobs, { query: { near: '00000', radius: '25', sort: 'distance:desc' } });
+
+    expect(res.json.mock.calls[0][0].fields.map(field => field.field)).toEqual(['near']);
+
+    const { res: withoutNear } = await run(jobSchemas.listJobs, { query: { radius: '25', sort: 'distance:desc' } });
+
+    expect(withoutNear.json.mock.calls[0][0].fields).toEqual([
+      { location: 'query', field: 'radius', message: 'Radius requires near' },
+      { location: 'query', field: 'sort', message: 'Sorting by distance requires near' }
+    ]);
+  });
+
+  test('decodes cursors issued for the same sort', async () => {
+    const req = { query: { sort: 'payRate:desc', cursor: encodeCursor('payRate:desc', [2400, 'job-1']) } };
+    const { next } = await run(jobSchemas.listJobs, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query.cursor).toEqual({ sort: 'payRate:desc', values: [2400, 'job-1'] });
+
+    const { res } = await run(jobSchemas.listJobs, { query: { sort: 'payRate:asc', cursor: encodeCursor('payRate:desc', [2400, 'job-1']) } });
+    const { res: malformed } = await run(facilitySchemas.listFacilities, { query: { cursor: 'nope' } });
+
+    expect(res.json.mock.calls[0][0].fields[0].message).toBe('Cursor does not match the requested sort');
+    expect(malformed.json.mock.calls[0][0].fields[0].message).toBe('Cursor is invalid');
+  });
+
+  test('validates route params', async () => {
+    const { res } = await run(jobSchemas.getJob, { params: { id: 'not-an-id' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].fields[0]).toEqual(expect.objectContaining({ location: 'params', field: 'id' }));
+  });
+
+  test('coerces bodies and drops undeclared fields', async () => {
+    const req = { body: { ...validJob, viewsCount: 9999, coordinates: { latitude: '38.58', longitude: -121.49 } } };
+    const { next } = await run(jobSchemas.createJob, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual(expect.objectContaining({
+      state: 'CA',
+      weeklyHours: 36,
+      coordinates: { latitude: 38.58, longitude: -121.49 }
+    }));
+    expect(req.body).not.toHaveProperty('viewsCount');
+  });
+
+  test('requires fields on create but not on update', async () => {
+    const { res } = await run(jobSchemas.createJob, { body: { title: 'ICU RN' } });
+    const fields = res.json.mock.calls[0][0].fields.map(field => field.field);
+
+    expect(fields).toEqual(expect.arrayContaining(['externalId', 'specialty', 'payRate', 'status']));
+    expect(fields).not.toContain('title');
+
+    const update = { params: { id: '0b5c1c7e-2f0a-4b8e-9d8f-5d1e0c7a9b21' }, body: { payRate: '2600' } };
+    const { next } = await run(jobSchemas.updateJob, update);
+
+    expect(next).toHaveBeenCalled();
+    expect(update.body).toEqual({ payRate: 2600 });
+  });
+
+  test('validates facility bodies', async () => {
+    const { res } = await run(facilitySchemas.createFacility, {
+      body: { externalId: 'F-1', name: 'Mercy General', type: 'Hospital', city: 'Sacramento', state: 'CA', rating: 7, website: 'nope' }
+    });
+
+    expect(res.json.mock.calls[0][0].fields.map(field => field.field)).toEqual(['website', 'rating']);
+  });
+
+  test('only lets profile fields through on profile updates', async () => {
+    const req = {
+      body: {
+        firstName: ' Dana ',
+        preferredStates: ['tx', 'ca'],
+        yearsExperience: '6',
+        email: 'new@example.com',
+        role: 'admin',
+        twoFactorEnabled: false,
+        twoFactorSecret: 'ABC',
+        twoFactorRecoveryCodes: [],
+        lockedUntil: null,
+        deletionScheduledFor: null,
+        deletedAt: null
+      }
+    };
+    const { next } = await run(userSchemas.updateMe, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ firstName: 'Dana', preferredStates: ['TX', 'CA'], yearsExperience: 6 });
+  });
+
+  test('signs up without a role', async () => {
+    const req = { body: { email: ' Dana@Example.com ', password: 'correct horse', firstName: 'Dana', lastName: 'Reyes', role: 'admin' } };
+    const { next } = await run(authSchemas.register, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ email: 'dana@example.com', password: 'correct horse', firstName: 'Dana', lastName: 'Reyes' });
+
+    const { res } = await run(authSchemas.register, { body: { email: 'nope', firstName: 'Dana' } });
+
+    expect(res.json.mock.calls[0][0].fields.map(field => field.field)).toEqual(['email', 'password', 'lastName']);
+  });
+
+  test('requires a code or a recovery code to answer a two-factor challenge', async () => {
+    const withCode = { body: { challengeToken: 'token', code: ' 123456 ' } };
+    const { next } = await run(authSchemas.verifyTwoFactor, withCode);
+
+    expect(next).toHaveBeenCalled();
+    expect(withCode.body.code).toBe('123456');
+
+    const { next: recoveryNext } = await run(authSchemas.verifyTwoFactor, { body: { challengeToken: 'token', recoveryCode: 'ABCD-EFGH' } });
+    const { res: neither } = await run(authSchemas.verifyTwoFactor, { body: { challengeToken: 'token' } });
+    const { res: malformed } = await run(authSchemas.disableTwoFactor, { body: { password: 'secret', code: '12345' } });
+
+    expect(recoveryNext).toHaveBeenCalled();
+    expect(neither.json.mock.calls[0][0].fields).toEqual([
+      { location: 'body', field: 'code', message: 'Code or recovery code is required' }
+    ]);
+    expect(malformed.json.mock.calls[0][0].fields).toEqual([
+      { location: 'body', field: 'code', message: 'Code must be 6 digits' }
+    ]);
+  });
+
+  test('requires job alerts to match on something', async () => {
+    const req = { body: { name: 'Texas ICU', states: ['tx'], frequency: 'daily', minPayRate: '55' } };
+    const { next } = await run(userSchemas.createJobAlert, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual(expect.objectContaining({ states: ['TX'], minPayRate: 55 }));
+
+    const { res } = await run(userSchemas.createJobAlert, { body: { name: 'Anything', frequency: 'hourly' } });
+
+    expect(res.json.mock.calls[0][0].fields.map(field => field.field)).toEqual(['specialties', 'frequency']);
+  });
+
+  test('converts credential dates and defaults the export format', async () => {
+    const license = { body: { licenseType: 'RN', licenseNumber: 'RN123', state: 'tx', issueDate: '2024-01-15', expirationDate: '2026-01-15' } };
+    const exportRequest = { query: {} };
+
+    await run(userSchemas.createLicense, license);
+    await run(userSchemas.exportData, exportRequest);
+
+    expect(license.body).toEqual(expect.objectContaining({ state: 'TX', expirationDate: new Date('2026-01-15') }));
+    expect(exportRequest.query).toEqual({ format: 'json' });
+
+    const { res } = await run(userSchemas.exportData, { query: { format: 'csv' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('only accepts application sources that could come from a job feed', async () => {
+    const jobId = '7d0c5b2e-4f7a-4d8e-9a51-3c2f1e0b9a44';
+    const fromFeed = { body: { jobId, source: ' Indeed ' } };
+    const direct = { body: { jobId } };
+
+    await run(applicationSchemas.createApplication, fromFeed);
+    await run(applicationSchemas.createApplication, direct);
+
+    expect(fromFeed.body.source).toBe('indeed');
+    expect(direct.body.source).toBe('direct');
+
+    const { res } = await run(applicationSchemas.createApplication, { body: { jobId, source: 'indeed"><script>' } });
+
+    expect(res.json.mock.calls[0][0].fields.map(field => field.field)).toEqual(['source']);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * API Keys API Routes
+ * Handles admin management of partner and integration API keys
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
+const { authenticate, requireRole, Roles } = require('../middleware/auth');
+const { ApiKeyService } = require('../services/api-key.service');
+const { AuditLogService, AuditAction, getAuditActor } = require('../services/audit-log.service');
+const apiKeyService = new ApiKeyService(prisma);
+const auditLogService = new AuditLogService(prisma);
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/api-keys');
+
+// API keys are only managed by admins
+router.use(authenticate, requireRole(Roles.ADMIN));
+
+// List API keys
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.list();
+
+    res.json({
+      data: apiKeys,
+      meta: {
+        count: apiKeys.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a new API key; the raw key is only returned in this response
+router.post('/', validate(schemas.createApiKey), async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.create({
+      ...req.body,
+      createdById: req.user.id
+    });
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.CREATE,
+      entityType: 'ApiKey',
+      entityId: apiKey.id,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get daily usage for an API key
+router.get('/:id/usage', validate(schemas.getUsage), async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    const { days } = req.query;
+    const usage = await apiKeyService.getUsage(apiKey.id, days);
+
+    res.json({
+      data: usage.daily,
+      meta: {
+        days,
+        totals: usage.totals,
+        lastUsedAt: apiKey.lastUsedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update an API key's name, scopes, rate limit or expiry
+router.patch('/:id', validate(schemas.updateApiKey), async (req, res, next) => {
+  try {
+    const before = await apiKeyService.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    const apiKey = await apiKeyService.update(before.id, req.body);
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UPDATE,
+      entityType: 'ApiKey',
+      entityId: apiKey.id,
+      before,
+      after: apiKey
+    });
+
+    res.json({
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', validate(schemas.getApiKey), async (req, res, next) => {
+  try {
+    const revoked = await apiKeyService.revoke(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.DELETE,
+      entityType: 'ApiKey',
+      entityId: req.params.id,
+      metadata: { revoked: true }
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,38 +6,35 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
 const { Logger } = require('../utils/logger');
 const logger = new Logger({ service: 'ApplicationsAPI' });
+const { authenticate, authenticateWithApiKey, requireRole, Roles } = require('../middleware/auth');
+const { ApiScopes } = require('../services/api-key.service');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/applications');
+const { AuditLogService, AuditAction, getAuditActor } = require('../services/audit-log.service');
+const auditLogService = new AuditLogService(prisma);
+const { JobLifecycleService } = require('../services/job-lifecycle.service');
+const { Mailer } = require('../services/mail');
+const { JobCacheService } = require('../services/job-cache.service');
+const jobCacheService = new JobCacheService();
+const jobLifecycleService = new JobLifecycleService(prisma, { mailer: new Mailer(), auditLogService, jobCache: jobCacheService });
 
 // Submit a job application (protected route)
-router.post('/', async (req, res, next) => {
+router.post('/', authenticate, requireRole(Roles.CANDIDATE), validate(schemas.createApplication), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const {
       jobId,
       resumeId,
       candidateNotes,
-      source = 'direct',
+      source,
       referralId
     } = req.body;
 
-    // Validate required fields
-    if (!jobId) {
-      return res.status(400).json({
-        error: 'Job ID is required'
-      });
-    }
-
     // Check if job exists
     const job = await prisma.job.findUnique({
       where: { id: jobId }
@@ -91,6 +88,14 @@ router.post('/', async (req, res, next) => {
       }
     });
 
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.CREATE,
+      entityType: 'Application',
+      entityId: application.id,
+      after: application
+    });
+
     // Increment the job's application count
     await prisma.job.update({
       where: { id: jobId },
@@ -100,6 +105,7 @@ router.post('/', async (req, res, next) => {
         }
       }
     });
+    await jobCacheService.invalidateJob(jobId);
 
     // Create a notification for the candidate
     await prisma.notification.create({
@@ -154,19 +160,9 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// Get application by ID (protected route)
-router.get('/:id', async (req, res, next) => {
+// Get application by ID (protected route - participants, admins or API keys)
+router.get('/:id', authenticateWithApiKey(ApiScopes.APPLICATIONS_READ), validate(schemas.getApplication), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
-
     const application = await prisma.application.findUnique({
       where: { id: req.params.id },
       include: {
@@ -185,7 +181,13 @@ router.get('/:id', async (req, res, next) => {
     }
 
     // Check if user is authorized to view this application
-    if (application.candidateId !== userId && application.job.recruiterId !== userId) {
+    const userId = req.user && req.user.id;
+    if (
+      !req.apiKey &&
+      application.candidateId !== userId &&
+      application.job.recruiterId !== userId &&
+      req.user.role !== Roles.ADMIN
+    ) {
       return res.status(403).json({
         error: 'You are not authorized to view this application'
       });
@@ -199,38 +201,14 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// Update application status (protected route - recruiter only)
-router.patch('/:id/status', async (req, res, next) => {
+// Update application status (protected route - recruiter or admin)
+router.patch('/:id/status', authenticateWithApiKey(ApiScopes.APPLICATIONS_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.updateStatus), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    const userRole = req.headers['x-user-role'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
-
-    // Only recruiters and admins can update application status
-    if (userRole !== 'recruiter' && userRole !== 'admin') {
-      return res.status(403).json({
-        error: 'You are not authorized to update application status'
-      });
-    }
+    const userId = req.user ? req.user.id : null;
+    const userRole = req.user ? req.user.role : null;
 
     const { status, recruiterNotes } = req.body;
 
-    // Validate status
-    const validStatuses = ['submitted', 'reviewing', 'interview', 'offered', 'placed', 'rejected', 'withdrawn'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status',
-        validStatuses
-      });
-    }
-
     // Get the application
     const application = await prisma.application.findUnique({
       where: { id: req.params.id },
@@ -246,7 +224,7 @@ router.patch('/:id/status', async (req, res, next) => {
     }
 
     // Check if user is authorized to update this application
-    if (application.job.recruiterId !== userId && userRole !== 'admin') {
+    if (!req.apiKey && application.job.recruiterId !== userId && userRole !== Roles.ADMIN) {
       return res.status(403).json({
         error: 'You are not authorized to update this application'
       });
@@ -269,6 +247,21 @@ router.patch('/:id/status', async (req, res, next) => {
       }
     });
 
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.STATUS_CHANGE,
+      entityType: 'Application',
+      entityId: application.id,
+      before: application,
+      after: updatedApplication,
+      metadata: { jobId: application.jobId, candidateId: application.candidateId }
+    });
+
+    // A placement fills the job
+    if (status === 'placed' && application.status !== 'placed') {
+      await jobLifecycleService.closeForPlacement(application, getAuditActor(req));
+    }
+
     // Create a notification for the candidate
     await prisma.notification.create({
       data: {
@@ -305,17 +298,9 @@ router.patch('/:id/status', async (req, res, next) => {
 });
 
 // Withdraw application (protected route - candidate only)
-router.patch('/:id/withdraw', async (req, res, next) => {
+router.patch('/:id/withdraw', authenticate, requireRole(Roles.CANDIDATE), validate(schemas.withdrawApplication), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const { withdrawalReason } = req.body;
 
@@ -366,6 +351,16 @@ router.patch('/:id/withdraw', async (req, res, next) => {
       }
     });
 
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.STATUS_CHANGE,
+      entityType: 'Application',
+      entityId: application.id,
+      before: application,
+      after: updatedApplication,
+      metadata: { jobId: application.jobId, withdrawalReason }
+    });
+
     // Create a notification for the recruiter if assigned
     if (application.job.recruiterId) {
       await prisma.notification.create({
@@ -0,0 +1,39 @@
+/**
+ * Audit Logs API Routes
+ * Handles admin queries against the audit log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
+const { authenticate, requireRole, Roles } = require('../middleware/auth');
+const { AuditLogService } = require('../services/audit-log.service');
+const auditLogService = new AuditLogService(prisma);
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit-logs');
+
+// Audit logs are only visible to admins
+router.use(authenticate, requireRole(Roles.ADMIN));
+
+// Search audit log entries
+router.get('/', validate(schemas.searchAuditLogs), async (req, res, next) => {
+  try {
+    const result = await auditLogService.query(req.query);
+
+    res.json({
+      data: result.entries,
+      meta: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        total_pages: Math.ceil(result.total / result.limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,15 +6,60 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
 const { Logger } = require('../utils/logger');
 const logger = new Logger({ service: 'AuthAPI' });
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const {
+  TokenPurpose,
+  signAccessToken,
+  verifyAccessToken,
+  signPurposeToken,
+  verifyPurposeToken
+} = require('../utils/jwt');
+const {
+  authenticate,
+  authenticateTwoFactorEnrollment,
+  getBearerToken,
+  Roles
+} = require('../middleware/auth');
+const { UserTokenService, TokenType } = require('../services/user-token.service');
+const { Mailer } = require('../services/mail');
+const { SessionService, RevokeReason } = require('../services/session.service');
+const { AccountLockoutService } = require('../services/account-lockout.service');
+const { TwoFactorService } = require('../services/two-factor.service');
+const { rateLimit, byEmail } = require('../middleware/rate-limit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const userTokenService = new UserTokenService(prisma);
+const sessionService = new SessionService(prisma);
+const mailer = new Mailer();
+const accountLockoutService = new AccountLockoutService(prisma, { mailer });
+const twoFactorService = new TwoFactorService(prisma);
+
+const MINUTE = 60 * 1000;
+
+// Per-IP and per-account throttling for unauthenticated endpoints
+const loginLimits = [
+  rateLimit({ name: 'login:ip', windowMs: 15 * MINUTE, max: 20 }),
+  rateLimit({ name: 'login:account', windowMs: 15 * MINUTE, max: 10, keyGenerator: byEmail })
+];
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password:ip', windowMs: 60 * MINUTE, max: 10 }),
+  rateLimit({ name: 'forgot-password:account', windowMs: 60 * MINUTE, max: 3, keyGenerator: byEmail })
+];
+const twoFactorLimits = [
+  rateLimit({ name: '2fa:ip', windowMs: 15 * MINUTE, max: 20 })
+];
+const registerLimits = [
+  rateLimit({ name: 'register:ip', windowMs: 60 * MINUTE, max: 5 }),
+  rateLimit({ name: 'register:account', windowMs: 60 * MINUTE, max: 3, keyGenerator: byEmail })
+];
 
 // Register a new user
-router.post('/register', async (req, res, next) => {
+router.post('/register', registerLimits, validate(schemas.register), async (req, res, next) => {
   try {
     const {
       email,
@@ -22,21 +67,16 @@ router.post('/register', async (req, res, next) => {
       firstName,
       lastName,
       phone,
-      role = 'candidate', // Default role is candidate
       specialty,
       referralCode
     } = req.body;
 
-    // Validate required fields
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({
-        error: 'Missing required fields'
-      });
-    }
+    // Public sign-ups are always candidates; admins assign other roles
+    const role = Roles.CANDIDATE;
 
     // Check if email already exists
     const existingUser = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() }
+      where: { email }
     });
 
     if (existingUser) {
@@ -67,7 +107,7 @@ router.post('/register', async (req, res, next) => {
     // Create user
     const user = await prisma.user.create({
       data: {
-        email: email.toLowerCase(),
+        email,
         passwordHash,
         firstName,
         lastName,
@@ -94,18 +134,25 @@ router.post('/register', async (req, res, next) => {
       }
     });
 
-    // Create verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    
-    // TODO: Store verification token in database
-    // TODO: Send verification email
+    // Create and send verification token
+    try {
+      const verificationToken = await userTokenService.issue(user.id, TokenType.EMAIL_VERIFICATION);
+      await mailer.sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      // Registration still succeeds; the user can request a new link
+      logger.error({
+        message: 'Failed to send verification email',
+        error: error.message,
+        userId: user.id
+      });
+    }
 
     // Create referral if applicable
     if (referredById) {
       await prisma.referral.create({
         data: {
           referrerId: referredById,
-          referredEmail: email.toLowerCase(),
+          referredEmail: email,
           referredName: `${firstName} ${lastName}`,
           referredPhone: phone,
           status: 'registered',
@@ -132,17 +179,27 @@ router.post('/register', async (req, res, next) => {
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'development_jwt_secret',
-      { expiresIn: process.env.JWT_EXPIRATION || '24h' }
-    );
+    // Roles that require two-factor authentication must enroll before receiving a session
+    if (twoFactorService.isRequired(user)) {
+      return res.status(201).json({
+        data: {
+          user,
+          twoFactorEnrollmentRequired: true,
+          enrollmentToken: signPurposeToken(user, TokenPurpose.TWO_FACTOR_ENROLLMENT)
+        },
+        message: 'Registration successful, two-factor enrollment required'
+      });
+    }
+
+    // Start a session and generate tokens
+    const { session, refreshToken } = await sessionService.create(user.id, getRequestContext(req));
+    const token = signAccessToken(user, session.id);
 
     res.status(201).json({
       data: {
         user,
-        token
+        token,
+        refreshToken
       },
       message: 'Registration successful'
     });
@@ -152,20 +209,13 @@ router.post('/register', async (req, res, next) => {
 });
 
 // Login
-router.post('/login', async (req, res, next) => {
+router.post('/login', loginLimits, validate(schemas.login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        error: 'Email and password are required'
-      });
-    }
-
     // Find user by email
     const user = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() }
+      where: { email }
     });
 
     if (!user) {
@@ -181,73 +231,308 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    // Check if account is temporarily locked
+    if (accountLockoutService.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to repeated failed login attempts',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Verify password
     const passwordMatch = await bcrypt.compare(password, user.passwordHash);
 
     if (!passwordMatch) {
+      const lockedUntil = await accountLockoutService.recordFailure(user, getRequestContext(req));
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked due to repeated failed login attempts',
+          lockedUntil
+        });
+      }
+
       return res.status(401).json({
         error: 'Invalid email or password'
       });
     }
 
-    // Update last login timestamp
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() }
+    // Ask for a second factor before starting a session. Failed attempts
+    // are only cleared once the code is accepted, so a known password
+    // cannot be used to keep guessing codes past the lockout.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signPurposeToken(user, TokenPurpose.TWO_FACTOR_CHALLENGE)
+        },
+        message: 'Two-factor authentication required'
+      });
+    }
+
+    await accountLockoutService.recordSuccess(user);
+
+    // Roles that require two-factor authentication must enroll first
+    if (twoFactorService.isRequired(user)) {
+      return res.json({
+        data: {
+          twoFactorEnrollmentRequired: true,
+          enrollmentToken: signPurposeToken(user, TokenPurpose.TWO_FACTOR_ENROLLMENT)
+        },
+        message: 'Two-factor enrollment required'
+      });
+    }
+
+    res.json({
+      data: await completeLogin(user, req),
+      message: 'Login successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Complete a login with a TOTP or recovery code
+router.post('/2fa/verify', twoFactorLimits, validate(schemas.verifyTwoFactor), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, TokenPurpose.TWO_FACTOR_CHALLENGE);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid or expired token'
+      });
+    }
+
+    if (await twoFactorService.isChallengeSpent(challengeToken)) {
+      return res.status(401).json({
+        error: 'Too many invalid codes, please sign in again'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or expired token'
+      });
+    }
+
+    if (accountLockoutService.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to repeated failed login attempts',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const verified = code
+      ? await twoFactorService.verify(user, code)
+      : await twoFactorService.useRecoveryCode(user, recoveryCode);
+
+    if (!verified) {
+      const challengeSpent = await twoFactorService.recordChallengeFailure(challengeToken);
+      const lockedUntil = await accountLockoutService.recordFailure(user, getRequestContext(req));
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked due to repeated failed login attempts',
+          lockedUntil
+        });
+      }
+
+      return res.status(401).json({
+        error: challengeSpent ? 'Too many invalid codes, please sign in again' : 'Invalid verification code'
+      });
+    }
+
+    await accountLockoutService.recordSuccess(user);
+
+    res.json({
+      data: await completeLogin(user, req, { usedRecoveryCode: !code }),
+      message: 'Login successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start two-factor enrollment
+router.post('/2fa/setup', authenticateTwoFactorEnrollment, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const setup = await twoFactorService.createSetup(user);
+
+    res.json({
+      data: setup,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'development_jwt_secret',
-      { expiresIn: process.env.JWT_EXPIRATION || '24h' }
-    );
+// Confirm two-factor enrollment
+router.post('/2fa/enable', authenticateTwoFactorEnrollment, validate(schemas.enableTwoFactor), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(user, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid verification code'
+      });
+    }
 
-    // Log login event
     await prisma.analyticsEvent.create({
       data: {
-        eventType: 'user_login',
+        eventType: 'two_factor_enabled',
         userId: user.id,
-        pageUrl: req.headers.referer,
         userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceType: 'unknown', // Would be determined from user agent
+        ipAddress: req.ip
       }
     });
 
+    // Users enrolling during login receive their session once enrollment completes
+    const loginData = req.user.enrollmentOnly ? await completeLogin(user, req) : {};
+
     res.json({
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          profileCompletionPercentage: user.profileCompletionPercentage
-        },
-        token
+        ...loginData,
+        recoveryCodes
       },
-      message: 'Login successful'
+      message: 'Two-factor authentication enabled'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Forgot password
-router.post('/forgot-password', async (req, res, next) => {
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticate, validate(schemas.disableTwoFactor), async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { password, code } = req.body;
 
-    if (!email) {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (twoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        error: `Two-factor authentication is required for ${user.role} accounts`
+      });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.passwordHash);
+
+    if (!passwordMatch || !(await twoFactorService.verify(user, code))) {
+      return res.status(401).json({
+        error: 'Invalid password or verification code'
+      });
+    }
+
+    await twoFactorService.disable(user.id);
+
+    await prisma.analyticsEvent.create({
+      data: {
+        eventType: 'two_factor_disabled',
+        userId: user.id,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regenerate two-factor recovery codes
+router.post('/2fa/recovery-codes', authenticate, validate(schemas.regenerateRecoveryCodes), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
       return res.status(400).json({
-        error: 'Email is required'
+        error: 'Two-factor authentication is not enabled'
       });
     }
 
+    if (!(await twoFactorService.verify(user, code))) {
+      return res.status(401).json({
+        error: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+
+    res.json({
+      data: {
+        recoveryCodes
+      },
+      message: 'Recovery codes regenerated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot password
+router.post('/forgot-password', forgotPasswordLimits, validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
     // Find user by email
     const user = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() }
+      where: { email }
     });
 
     // Always return success even if user not found for security
@@ -257,12 +542,11 @@ router.post('/forgot-password', async (req, res, next) => {
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour from now
-
-    // TODO: Store reset token in database
-    // TODO: Send password reset email
+    // Generate and send reset token (replaces any outstanding reset token)
+    if (user.isActive) {
+      const resetToken = await userTokenService.issue(user.id, TokenType.PASSWORD_RESET);
+      await mailer.sendPasswordResetEmail(user, resetToken);
+    }
 
     res.json({
       message: 'If your email is registered, you will receive a password reset link'
@@ -273,25 +557,41 @@ router.post('/forgot-password', async (req, res, next) => {
 });
 
 // Reset password
-router.post('/reset-password', async (req, res, next) => {
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res, next) => {
   try {
     const { token, password } = req.body;
 
-    if (!token || !password) {
+    // Verify and consume token
+    const userId = await userTokenService.consume(token, TokenType.PASSWORD_RESET);
+
+    if (!userId) {
       return res.status(400).json({
-        error: 'Token and password are required'
+        error: 'Invalid or expired token'
       });
     }
 
-    // TODO: Verify token from database
-    // For now, we'll just return a mock response
-    
     // Hash new password
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
-    // TODO: Update user password in database
-    // TODO: Invalidate token
+    // Update user password
+    await prisma.user.update({
+      where: { id: userId },
+      data: { passwordHash, lockedUntil: null }
+    });
+
+    // Sign out every device that used the old password
+    await sessionService.revokeAll(userId, RevokeReason.PASSWORD_RESET);
+
+    // Log password reset event
+    await prisma.analyticsEvent.create({
+      data: {
+        eventType: 'password_reset',
+        userId,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      }
+    });
 
     res.json({
       message: 'Password has been reset successfully'
@@ -302,12 +602,23 @@ router.post('/reset-password', async (req, res, next) => {
 });
 
 // Verify email
-router.get('/verify-email/:token', async (req, res, next) => {
+router.get('/verify-email/:token', validate(schemas.verifyEmail), async (req, res, next) => {
   try {
     const { token } = req.params;
 
-    // TODO: Verify token from database
-    // For now, we'll just return a mock response
+    // Verify and consume token
+    const userId = await userTokenService.consume(token, TokenType.EMAIL_VERIFICATION);
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid or expired token'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerified: true }
+    });
 
     res.json({
       message: 'Email verified successfully'
@@ -317,78 +628,123 @@ router.get('/verify-email/:token', async (req, res, next) => {
   }
 });
 
-// Refresh token
-router.post('/refresh-token', async (req, res, next) => {
+// Resend verification email
+router.post('/resend-verification', authenticate, async (req, res, next) => {
   try {
-    const { token } = req.body;
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
 
-    if (!token) {
-      return res.status(400).json({
-        error: 'Token is required'
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'development_jwt_secret');
-
-      // Find user
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId }
+    if (user.emailVerified) {
+      return res.status(409).json({
+        error: 'Email already verified'
       });
+    }
 
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          error: 'Invalid or expired token'
-        });
-      }
+    const verificationToken = await userTokenService.issue(user.id, TokenType.EMAIL_VERIFICATION);
+    await mailer.sendVerificationEmail(user, verificationToken);
 
-      // Generate new token
-      const newToken = jwt.sign(
-        { userId: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET || 'development_jwt_secret',
-        { expiresIn: process.env.JWT_EXPIRATION || '24h' }
-      );
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      res.json({
-        data: {
-          token: newToken
-        },
-        message: 'Token refreshed successfully'
+// Refresh token (rotates the refresh token on every use)
+router.post('/refresh-token', validate(schemas.refreshToken), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rotated = await sessionService.rotate(refreshToken, getRequestContext(req));
+
+    if (!rotated) {
+      return res.status(401).json({
+        error: 'Invalid or expired token'
       });
-    } catch (error) {
+    }
+
+    const { session } = rotated;
+
+    // Find user
+    const user = await prisma.user.findUnique({
+      where: { id: session.userId }
+    });
+
+    if (!user || !user.isActive) {
+      await sessionService.revoke(session.id, session.userId, RevokeReason.USER_REVOKED);
+
       return res.status(401).json({
         error: 'Invalid or expired token'
       });
     }
+
+    res.json({
+      data: {
+        token: signAccessToken(user, session.id),
+        refreshToken: rotated.refreshToken
+      },
+      message: 'Token refreshed successfully'
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Logout (client-side only, but we'll log the event)
-router.post('/logout', async (req, res, next) => {
+// Logout (revokes the current session, or every session with allDevices)
+router.post('/logout', validate(schemas.logout), async (req, res, next) => {
   try {
-    // Get user ID from token
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
+    const { refreshToken, allDevices = false } = req.body;
+    let userId;
+    let sessionId;
+
+    // Identify the session from the access token, falling back to the refresh token
+    const token = getBearerToken(req);
+    if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'development_jwt_secret');
-        
-        // Log logout event
-        await prisma.analyticsEvent.create({
-          data: {
-            eventType: 'user_logout',
-            userId: decoded.userId,
-            pageUrl: req.headers.referer,
-            userAgent: req.headers['user-agent'],
-            ipAddress: req.ip
-          }
-        });
+        const decoded = verifyAccessToken(token);
+        userId = decoded.userId;
+        sessionId = decoded.sessionId;
       } catch (error) {
-        // Token verification failed, but we'll still return success
+        // Expired access tokens can still log out with their refresh token
+      }
+    }
+
+    if (!sessionId && refreshToken) {
+      const session = await sessionService.findByRefreshToken(refreshToken);
+      if (session) {
+        userId = session.userId;
+        sessionId = session.id;
+      }
+    }
+
+    if (userId) {
+      if (allDevices) {
+        await sessionService.revokeAll(userId, RevokeReason.LOGOUT);
+      } else if (sessionId) {
+        await sessionService.revoke(sessionId, userId, RevokeReason.LOGOUT);
       }
+
+      // Log logout event
+      await prisma.analyticsEvent.create({
+        data: {
+          eventType: 'user_logout',
+          userId,
+          pageUrl: req.headers.referer,
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip,
+          eventData: {
+            allDevices: Boolean(allDevices)
+          }
+        }
+      });
     }
 
     res.json({
@@ -399,4 +755,61 @@ router.post('/logout', async (req, res, next) => {
   }
 });
 
+/**
+ * Start a session for a fully authenticated user
+ * @param {Object} user User record
+ * @param {Object} req Express request object
+ * @param {Object} eventData Extra data recorded on the login event
+ * @returns {Promise<Object>} User summary, access token and refresh token
+ */
+async function completeLogin(user, req, eventData) {
+  // Update last login timestamp
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() }
+  });
+
+  // Start a session and generate tokens
+  const { session, refreshToken } = await sessionService.create(user.id, getRequestContext(req));
+  const token = signAccessToken(user, session.id);
+
+  // Log login event
+  await prisma.analyticsEvent.create({
+    data: {
+      eventType: 'user_login',
+      userId: user.id,
+      pageUrl: req.headers.referer,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+      deviceType: session.deviceType,
+      eventData
+    }
+  });
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      profileCompletionPercentage: user.profileCompletionPercentage
+    },
+    token,
+    refreshToken
+  };
+}
+
+/**
+ * Get the client context recorded on sessions
+ * @param {Object} req Express request object
+ * @returns {Object} IP address and user agent
+ */
+function getRequestContext(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -6,44 +6,47 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
 const { Logger } = require('../utils/logger');
 const logger = new Logger({ service: 'FacilitiesAPI' });
 const { FacilityRepository } = require('../repositories/facility.repository');
-const facilityRepository = new FacilityRepository(prisma, logger);
+const { AuditLogService, getAuditActor } = require('../services/audit-log.service');
+const auditLogService = new AuditLogService(prisma);
+const { JobCacheService } = require('../services/job-cache.service');
+const jobCacheService = new JobCacheService({ namespace: 'facility' });
+const facilityRepository = new FacilityRepository(prisma, logger, auditLogService, jobCacheService);
+const { authenticateWithApiKey, requireScope, Roles } = require('../middleware/auth');
+const { ApiScopes } = require('../services/api-key.service');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/facilities');
+const { getCursorMeta } = require('../utils/cursor');
+const { FacilityStatsService } = require('../services/facility-stats.service');
+const facilityStatsService = new FacilityStatsService(prisma);
 
 // Get all facilities with pagination and filtering
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope(ApiScopes.FACILITIES_READ), validate(schemas.listFacilities), async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      state,
-      city,
-      type,
-      name,
-      sort
-    } = req.query;
-
-    const searchParams = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      state: state ? state.split(',') : undefined,
-      city: city ? city.split(',') : undefined,
-      type: type ? type.split(',') : undefined,
-      name,
-      sort
-    };
-
-    const { facilities, total } = await facilityRepository.findByParams(searchParams);
+    const { page, limit, pagination, cursor } = req.query;
+
+    if (pagination === 'cursor' || cursor) {
+      const { facilities, nextKey } = await facilityRepository.findByCursor(req.query, cursor ? cursor.values : null);
+
+      return res.json({
+        data: facilities,
+        meta: getCursorMeta(limit, schemas.getListOrder(req.query), nextKey)
+      });
+    }
+
+    const { facilities, total } = await facilityRepository.findByParams(req.query);
 
     res.json({
       data: facilities,
       meta: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        total_pages: Math.ceil(total / parseInt(limit))
+        total_pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -52,7 +55,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // Get facility by ID
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope(ApiScopes.FACILITIES_READ), validate(schemas.getFacility), async (req, res, next) => {
   try {
     const facility = await facilityRepository.findById(req.params.id);
 
@@ -71,32 +74,18 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Get jobs at a facility
-router.get('/:id/jobs', async (req, res, next) => {
+router.get('/:id/jobs', requireScope(ApiScopes.FACILITIES_READ), validate(schemas.listFacilityJobs), async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      status = 'active',
-      sort
-    } = req.query;
-
-    const { jobs, total } = await facilityRepository.findJobs(
-      req.params.id,
-      {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        status,
-        sort
-      }
-    );
+    const { page, limit } = req.query;
+    const { jobs, total } = await facilityRepository.findJobs(req.params.id, req.query);
 
     res.json({
       data: jobs,
       meta: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        total_pages: Math.ceil(total / parseInt(limit))
+        total_pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -104,11 +93,29 @@ router.get('/:id/jobs', async (req, res, next) => {
   }
 });
 
-// Create a new facility (protected route)
-router.post('/', async (req, res, next) => {
+// Get a facility's job and placement stats
+router.get('/:id/stats', requireScope(ApiScopes.FACILITIES_READ), validate(schemas.getFacility), async (req, res, next) => {
+  try {
+    const stats = await jobCacheService.getList('stats', { id: req.params.id }, () => facilityStatsService.getStats(req.params.id));
+
+    if (!stats) {
+      return res.status(404).json({
+        error: 'Facility not found'
+      });
+    }
+
+    res.json({
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a new facility (protected route - recruiter or admin)
+router.post('/', authenticateWithApiKey(ApiScopes.FACILITIES_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.createFacility), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const facility = await facilityRepository.create(req.body);
+    const facility = await facilityRepository.create(req.body, getAuditActor(req));
 
     res.status(201).json({
       data: facility
@@ -118,11 +125,10 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// Update a facility (protected route)
-router.put('/:id', async (req, res, next) => {
+// Update a facility (protected route - recruiter or admin)
+router.put('/:id', authenticateWithApiKey(ApiScopes.FACILITIES_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.updateFacility), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const facility = await facilityRepository.update(req.params.id, req.body);
+    const facility = await facilityRepository.update(req.params.id, req.body, getAuditActor(req));
 
     res.json({
       data: facility
@@ -132,11 +138,10 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// Delete a facility (protected route)
-router.delete('/:id', async (req, res, next) => {
+// Delete a facility (protected route - admin only)
+router.delete('/:id', authenticateWithApiKey(ApiScopes.FACILITIES_WRITE, Roles.ADMIN), validate(schemas.getFacility), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const success = await facilityRepository.delete(req.params.id);
+    const success = await facilityRepository.delete(req.params.id, getAuditActor(req));
 
     if (!success) {
       return res.status(404).json({
@@ -0,0 +1,45 @@
+/**
+ * Job Feed Routes
+ * Serves the syndication feeds job boards and aggregators pull
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { JobFeedService } = require('../services/feeds');
+const { JobCacheService } = require('../services/job-cache.service');
+const jobFeedService = new JobFeedService(prisma);
+const jobCacheService = new JobCacheService({ namespace: 'feed' });
+
+// List the feeds and their URLs
+router.get('/', (req, res) => {
+  const feeds = jobFeedService.listFeeds();
+
+  res.json({
+    data: feeds,
+    meta: {
+      count: feeds.length
+    }
+  });
+});
+
+// Get a feed, e.g. /feeds/indeed.xml
+router.get('/:file', async (req, res, next) => {
+  try {
+    const feed = await jobCacheService.getList('feed', { file: req.params.file }, () => jobFeedService.render(req.params.file));
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Feed not found'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=900');
+    res.type(feed.contentType).send(feed.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Job Duplicates API Routes
+ * Handles the review queue of jobs that look like the same opening
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
+const { authenticate, requireRole, Roles } = require('../middleware/auth');
+const { AuditLogService, getAuditActor } = require('../services/audit-log.service');
+const { JobCacheService } = require('../services/job-cache.service');
+const { JobDuplicateService, DuplicateStatus } = require('../services/job-duplicate.service');
+const jobDuplicateService = new JobDuplicateService(prisma, {
+  auditLogService: new AuditLogService(prisma),
+  jobCache: new JobCacheService()
+});
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/job-duplicates');
+
+// Duplicates are reviewed by recruiters and admins
+router.use(authenticate, requireRole(Roles.RECRUITER, Roles.ADMIN));
+
+// List duplicate pairs, by default the ones waiting for review
+router.get('/', validate(schemas.listDuplicates), async (req, res, next) => {
+  try {
+    const result = await jobDuplicateService.list(req.query);
+
+    res.json({
+      data: result.candidates,
+      meta: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        total_pages: Math.ceil(result.total / result.limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge a pair, listing only the canonical job: the pair's job unless
+// another is chosen
+router.post('/:id/merge', validate(schemas.mergeDuplicate), async (req, res, next) => {
+  try {
+    const pair = await jobDuplicateService.findById(req.params.id);
+
+    if (!pair) {
+      return res.status(404).json({
+        error: 'Duplicate not found'
+      });
+    }
+
+    if (pair.status === DuplicateStatus.MERGED) {
+      return res.status(409).json({
+        error: 'Duplicate is already merged'
+      });
+    }
+
+    const canonicalJobId = req.body.canonicalJobId || pair.jobId;
+
+    if (![pair.jobId, pair.duplicateJobId].includes(canonicalJobId)) {
+      return res.status(400).json({
+        error: 'Canonical job must be one of the pair'
+      });
+    }
+
+    if (!await jobDuplicateService.merge(pair, canonicalJobId, getAuditActor(req))) {
+      return res.status(409).json({
+        error: 'A job of the pair has since been merged into another job'
+      });
+    }
+
+    res.json({
+      data: await jobDuplicateService.findById(pair.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dismiss a pair as different openings, separating the jobs if merged
+router.post('/:id/dismiss', validate(schemas.dismissDuplicate), async (req, res, next) => {
+  try {
+    const pair = await jobDuplicateService.findById(req.params.id);
+
+    if (!pair) {
+      return res.status(404).json({
+        error: 'Duplicate not found'
+      });
+    }
+
+    if (pair.status === DuplicateStatus.DISMISSED) {
+      return res.status(409).json({
+        error: 'Duplicate is already dismissed'
+      });
+    }
+
+    res.json({
+      data: await jobDuplicateService.dismiss(pair, getAuditActor(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,51 +6,86 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
 const { Logger } = require('../utils/logger');
 const logger = new Logger({ service: 'JobsAPI' });
 const { JobRepository } = require('../repositories/job.repository');
-const jobRepository = new JobRepository(prisma, logger);
+const { AuditLogService, getAuditActor } = require('../services/audit-log.service');
+const { JobSearchService } = require('../services/job-search.service');
+const { JobSuggestService } = require('../services/job-suggest.service');
+const { JobCacheService } = require('../services/job-cache.service');
+const { JobViewService, getViewer } = require('../services/job-view.service');
+const auditLogService = new AuditLogService(prisma);
+const jobCacheService = new JobCacheService({ namespace: 'api' });
+const jobRepository = new JobRepository(prisma, logger, auditLogService, jobCacheService);
+const jobSearchService = new JobSearchService(prisma);
+const jobSuggestService = new JobSuggestService(prisma);
+const jobViewService = new JobViewService(prisma);
+const { authenticateWithApiKey, requireScope, Roles } = require('../middleware/auth');
+const { ApiScopes } = require('../services/api-key.service');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/jobs');
+const { getCursorMeta } = require('../utils/cursor');
+const { calculateCompensation } = require('../utils/compensation');
+const { buildJobPosting } = require('../utils/job-posting');
 
-// Get all jobs with pagination and filtering
-router.get('/', async (req, res, next) => {
+/**
+ * Run a ranked full-text and/or radius search and load the matching jobs
+ * @param {Object} params Validated list query including search or near
+ * @returns {Promise<Object>} Jobs in search order, each with its relevance and distance, and
+ *   the total or, with cursor pagination, the key values to continue after
+ */
+async function searchJobs(params) {
+  const { results, ...page } = await jobSearchService.search(params);
+  const jobs = await jobRepository.findByIds(results.map(result => result.id));
+  const matches = new Map(results.map(({ id, rank, distance }) => [id, { relevance: rank, distance }]));
+
+  return {
+    jobs: jobs.map(job => ({ ...job, ...matches.get(job.id) })),
+    ...page
+  };
+}
+
+/**
+ * Load a page of jobs, by page number or by cursor
+ * @param {Object} params Validated list query
+ * @returns {Promise<Object>} Jobs and the total or the key values to continue after
+ */
+function findJobs(params) {
+  if (params.search || params.near) {
+    return searchJobs(params);
+  }
+
+  if (params.pagination === 'cursor' || params.cursor) {
+    return jobRepository.findByCursor(params, params.cursor ? params.cursor.values : null);
+  }
+
+  return jobRepository.findByParams(params);
+}
+
+// Get all jobs with pagination and filtering, ranked by relevance or distance
+// when searching, optionally with facet counts for the filters
+router.get('/', requireScope(ApiScopes.JOBS_READ), validate(schemas.listJobs), async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      specialty,
-      state,
-      city,
-      minPay,
-      maxPay,
-      shiftType,
-      status = 'active',
-      sort
-    } = req.query;
-
-    const searchParams = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      specialty: specialty ? specialty.split(',') : undefined,
-      state: state ? state.split(',') : undefined,
-      city: city ? city.split(',') : undefined,
-      minPay: minPay ? parseFloat(minPay) : undefined,
-      maxPay: maxPay ? parseFloat(maxPay) : undefined,
-      shiftType: shiftType ? shiftType.split(',') : undefined,
-      status,
-      sort
-    };
-
-    const { jobs, total } = await jobRepository.findByParams(searchParams);
+    const { page, limit } = req.query;
+    const params = { ...req.query, search: req.query.search || req.query.keyword };
+    const [{ jobs, total, nextKey }, facets] = await Promise.all([
+      findJobs(params),
+      req.query.facets ? jobSearchService.getFacets(params) : undefined
+    ]);
 
     res.json({
       data: jobs,
-      meta: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        total_pages: Math.ceil(total / parseInt(limit))
-      }
+      meta: total === undefined
+        ? getCursorMeta(limit, schemas.getListOrder(req.query), nextKey)
+        : {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit)
+        },
+      ...(facets && { facets })
     });
   } catch (error) {
     next(error);
@@ -58,10 +93,10 @@ router.get('/', async (req, res, next) => {
 });
 
 // Get featured jobs
-router.get('/featured', async (req, res, next) => {
+router.get('/featured', requireScope(ApiScopes.JOBS_READ), validate(schemas.listFeatured), async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 6;
-    const jobs = await jobRepository.findFeatured(limit);
+    const { limit } = req.query;
+    const jobs = await jobCacheService.getList('featured', { limit }, () => jobRepository.findFeatured(limit));
 
     res.json({
       data: jobs,
@@ -75,10 +110,33 @@ router.get('/featured', async (req, res, next) => {
 });
 
 // Get recent jobs
-router.get('/recent', async (req, res, next) => {
+router.get('/recent', requireScope(ApiScopes.JOBS_READ), validate(schemas.listRecent), async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const jobs = await jobRepository.findRecent(limit);
+    const { limit } = req.query;
+    const jobs = await jobCacheService.getList('recent', { limit }, () => jobRepository.findRecent(limit));
+
+    res.json({
+      data: jobs,
+      meta: {
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get trending jobs, ranked by recent views, saves and applications
+router.get('/trending', requireScope(ApiScopes.JOBS_READ), validate(schemas.listTrending), async (req, res, next) => {
+  try {
+    const { limit } = req.query;
+    const jobs = await jobCacheService.getList('trending', { limit }, async () => {
+      const trending = await jobViewService.getTrending(limit);
+      const found = await jobRepository.findByIds(trending.map(item => item.jobId));
+      const byId = new Map(trending.map(({ jobId, ...activity }) => [jobId, activity]));
+
+      return found.map(job => ({ ...job, trending: byId.get(job.id) }));
+    });
 
     res.json({
       data: jobs,
@@ -91,10 +149,62 @@ router.get('/recent', async (req, res, next) => {
   }
 });
 
+// Get the specialties of listed jobs, with how many jobs each has
+router.get('/specialties', requireScope(ApiScopes.JOBS_READ), async (req, res, next) => {
+  try {
+    const specialties = await jobCacheService.getList('specialties', {}, () => jobRepository.countBySpecialty());
+
+    res.json({
+      data: specialties,
+      meta: {
+        count: specialties.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the states and cities of listed jobs, with how many jobs each has
+router.get('/locations', requireScope(ApiScopes.JOBS_READ), async (req, res, next) => {
+  try {
+    const locations = await jobCacheService.getList('locations', {}, () => jobRepository.countByLocation());
+
+    res.json({
+      data: locations,
+      meta: {
+        count: locations.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get typeahead suggestions for the search box. Responses may be cached
+// briefly, since they are asked for on every keystroke.
+router.get('/suggest', requireScope(ApiScopes.JOBS_READ), validate(schemas.suggestJobs), async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    const suggestions = await jobSuggestService.suggest(q, limit);
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      data: suggestions,
+      meta: {
+        q,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get job by ID
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope(ApiScopes.JOBS_READ), validate(schemas.getJob), async (req, res, next) => {
   try {
-    const job = await jobRepository.findById(req.params.id);
+    const job = await jobCacheService.getJob(req.params.id, () => jobRepository.findById(req.params.id));
 
     if (!job) {
       return res.status(404).json({
@@ -102,8 +212,8 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
-    // Increment view count
-    await jobRepository.incrementViewCount(req.params.id);
+    // Count the view; views are buffered and flushed to the job periodically
+    await jobViewService.recordView(req.params.id, getViewer(req));
 
     res.json({
       data: job
@@ -114,10 +224,9 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Get similar jobs
-router.get('/:id/similar', async (req, res, next) => {
+router.get('/:id/similar', requireScope(ApiScopes.JOBS_READ), validate(schemas.listSimilar), async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 5;
-    const similarJobs = await jobRepository.findSimilar(req.params.id, limit);
+    const similarJobs = await jobRepository.findSimilar(req.params.id, req.query.limit);
 
     res.json({
       data: similarJobs,
@@ -130,11 +239,78 @@ router.get('/:id/similar', async (req, res, next) => {
   }
 });
 
-// Create a new job (protected route)
-router.post('/', async (req, res, next) => {
+// Get a job's weekly compensation: gross pay, taxable and tax-free stipend,
+// overtime and estimated take-home, for the given hours and tax rate
+router.get('/:id/compensation', requireScope(ApiScopes.JOBS_READ), validate(schemas.getCompensation), async (req, res, next) => {
+  try {
+    const job = await jobRepository.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      data: calculateCompensation(job, { hoursWorked: req.query.hours, taxRate: req.query.taxRate })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a job's schema.org JobPosting for the JSON-LD on its page. It is null
+// once the job is no longer active, so the page stops advertising it.
+router.get('/:id/structured-data', requireScope(ApiScopes.JOBS_READ), validate(schemas.getJob), async (req, res, next) => {
+  try {
+    const job = await jobRepository.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      data: buildJobPosting(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a job's change history: pay, dates and status, newest first
+router.get('/:id/history', requireScope(ApiScopes.JOBS_READ), validate(schemas.listJobHistory), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const job = await jobRepository.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    const { revisions, total } = await jobRepository.findRevisions(req.params.id, page, limit);
+
+    res.json({
+      data: revisions.map(({ id, changes, source, createdAt }) => ({ id, changes, source, createdAt })),
+      meta: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a new job (protected route - recruiter or admin)
+router.post('/', authenticateWithApiKey(ApiScopes.JOBS_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.createJob), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const job = await jobRepository.create(req.body);
+    const job = await jobRepository.create(req.body, getAuditActor(req));
 
     res.status(201).json({
       data: job
@@ -144,11 +320,10 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// Update a job (protected route)
-router.put('/:id', async (req, res, next) => {
+// Update a job (protected route - recruiter or admin)
+router.put('/:id', authenticateWithApiKey(ApiScopes.JOBS_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.updateJob), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const job = await jobRepository.update(req.params.id, req.body);
+    const job = await jobRepository.update(req.params.id, req.body, getAuditActor(req));
 
     res.json({
       data: job
@@ -158,11 +333,10 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// Delete a job (protected route)
-router.delete('/:id', async (req, res, next) => {
+// Delete a job (protected route - recruiter or admin)
+router.delete('/:id', authenticateWithApiKey(ApiScopes.JOBS_WRITE, Roles.RECRUITER, Roles.ADMIN), validate(schemas.getJob), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    const success = await jobRepository.delete(req.params.id);
+    const success = await jobRepository.delete(req.params.id, getAuditActor(req));
 
     if (!success) {
       return res.status(404).json({
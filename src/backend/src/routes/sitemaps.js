@@ -0,0 +1,51 @@
+/**
+ * Sitemap Routes
+ * Serves the XML sitemap index and its paginated sitemaps to crawlers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { SitemapService } = require('../services/sitemap.service');
+const { JobCacheService } = require('../services/job-cache.service');
+const sitemapService = new SitemapService(prisma);
+const jobCacheService = new JobCacheService({ namespace: 'sitemap' });
+
+/**
+ * Send an XML document
+ * @param {Object} res Express response
+ * @param {string} xml XML document
+ */
+function sendXml(res, xml) {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml').send(xml);
+}
+
+// Get the sitemap index
+router.get('/sitemap.xml', async (req, res, next) => {
+  try {
+    sendXml(res, await jobCacheService.getList('sitemap', {}, () => sitemapService.buildIndex()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one page of a section's sitemap, e.g. /sitemaps/jobs-2.xml
+router.get('/sitemaps/:file', async (req, res, next) => {
+  try {
+    const match = /^([a-z-]+)-(\d+)\.xml$/.exec(req.params.file);
+    const [section, page] = match ? [match[1], parseInt(match[2])] : [];
+    const xml = match && await jobCacheService.getList('sitemap', { section, page }, () => sitemapService.buildPage(section, page));
+
+    if (!xml) {
+      return res.status(404).type('text/plain').send('Sitemap not found');
+    }
+
+    sendXml(res, xml);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,24 +6,42 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { withFieldEncryption } = require('../utils/prisma-encryption');
+const prisma = withFieldEncryption(new PrismaClient());
 const { Logger } = require('../utils/logger');
 const logger = new Logger({ service: 'UsersAPI' });
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const { authenticate, requireRole, Roles } = require('../middleware/auth');
+const { SessionService, RevokeReason } = require('../services/session.service');
+const { AccountLockoutService } = require('../services/account-lockout.service');
+const { AuditLogService, AuditAction, getAuditActor } = require('../services/audit-log.service');
+const { PrivacyService } = require('../services/privacy.service');
+const { Mailer } = require('../services/mail');
+const { maskForViewer } = require('../utils/masking');
+const { validate } = require('../middleware/validate');
+const applicationSchemas = require('../schemas/applications');
+const userSchemas = require('../schemas/users');
+const {
+  getCursorMeta,
+  getOrderTerms,
+  toPrismaOrderBy,
+  toPrismaKeysetWhere,
+  getKeyValues
+} = require('../utils/cursor');
+const sessionService = new SessionService(prisma);
+const accountLockoutService = new AccountLockoutService(prisma);
+const auditLogService = new AuditLogService(prisma);
+const privacyService = new PrivacyService(prisma, { mailer: new Mailer() });
+
+// All user routes operate on the authenticated user
+router.use(authenticate);
 
 // Get current user (protected route)
 router.get('/me', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -50,7 +68,8 @@ router.get('/me', async (req, res, next) => {
         phoneVerified: true,
         profileCompletionPercentage: true,
         avatarUrl: true,
-        referralCode: true
+        referralCode: true,
+        deletionScheduledFor: true
       }
     });
 
@@ -61,7 +80,7 @@ router.get('/me', async (req, res, next) => {
     }
 
     res.json({
-      data: user
+      data: maskForViewer('User', user, req.user)
     });
   } catch (error) {
     next(error);
@@ -69,27 +88,18 @@ router.get('/me', async (req, res, next) => {
 });
 
 // Update current user (protected route)
-router.put('/me', async (req, res, next) => {
+router.put('/me', validate(userSchemas.updateMe), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
-    // Don't allow updating sensitive fields
-    const {
-      passwordHash,
-      role,
-      isActive,
-      emailVerified,
-      phoneVerified,
-      ...updateData
-    } = req.body;
+    // The schema only lets profile fields through
+    const updateData = req.body;
+
+    // Snapshot the fields being changed for the audit log
+    const previousUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: Object.fromEntries(Object.keys(updateData).map(field => [field, true]))
+    });
 
     const updatedUser = await prisma.user.update({
       where: { id: userId },
@@ -121,27 +131,84 @@ router.put('/me', async (req, res, next) => {
       }
     });
 
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UPDATE,
+      entityType: 'User',
+      entityId: userId,
+      before: previousUser,
+      after: updatedUser
+    });
+
     res.json({
-      data: updatedUser
+      data: maskForViewer('User', updatedUser, req.user)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get user's saved jobs (protected route)
-router.get('/me/saved-jobs', async (req, res, next) => {
+// Get current user's active sessions (protected route)
+router.get('/me/sessions', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
+    const sessions = await sessionService.list(req.user.id);
+
+    res.json({
+      data: sessions.map(session => ({
+        ...session,
+        isCurrent: session.id === req.user.sessionId
+      })),
+      meta: {
+        count: sessions.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all of the current user's sessions (protected route)
+router.delete('/me/sessions', async (req, res, next) => {
+  try {
+    const count = await sessionService.revokeAll(req.user.id, RevokeReason.USER_REVOKED);
+
+    res.json({
+      data: {
+        revoked: count
+      },
+      message: 'All sessions revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the current user's sessions (protected route)
+router.delete('/me/sessions/:sessionId', validate(userSchemas.revokeSession), async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revoke(
+      req.params.sessionId,
+      req.user.id,
+      RevokeReason.USER_REVOKED
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
       });
     }
 
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user's saved jobs (protected route)
+router.get('/me/saved-jobs', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
     const savedJobs = await prisma.savedJob.findMany({
       where: { userId },
       include: {
@@ -173,26 +240,12 @@ router.get('/me/saved-jobs', async (req, res, next) => {
 });
 
 // Save a job (protected route)
-router.post('/me/saved-jobs', async (req, res, next) => {
+router.post('/me/saved-jobs', validate(userSchemas.saveJob), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const { jobId, notes } = req.body;
 
-    if (!jobId) {
-      return res.status(400).json({
-        error: 'Job ID is required'
-      });
-    }
-
     // Check if job exists
     const job = await prisma.job.findUnique({
       where: { id: jobId }
@@ -254,17 +307,9 @@ router.post('/me/saved-jobs', async (req, res, next) => {
 });
 
 // Remove a saved job (protected route)
-router.delete('/me/saved-jobs/:jobId', async (req, res, next) => {
+router.delete('/me/saved-jobs/:jobId', validate(userSchemas.removeSavedJob), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const { jobId } = req.params;
 
@@ -300,16 +345,34 @@ router.delete('/me/saved-jobs/:jobId', async (req, res, next) => {
   }
 });
 
-// Get user's applications (protected route)
-router.get('/me/applications', async (req, res, next) => {
+// Get user's applications (protected route), all at once or a page at a
+// time by cursor
+router.get('/me/applications', validate(applicationSchemas.listApplications), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
+    const userId = req.user.id;
+    const { limit, pagination, cursor } = req.query;
+
+    if (pagination === 'cursor' || cursor) {
+      const terms = getOrderTerms(applicationSchemas.LIST_ORDER);
+      const where = { candidateId: userId };
+      const rows = await prisma.application.findMany({
+        where: cursor ? { AND: [where, toPrismaKeysetWhere(terms, cursor.values)] } : where,
+        include: {
+          job: {
+            include: {
+              facility: true
+            }
+          }
+        },
+        orderBy: toPrismaOrderBy(terms),
+        take: limit + 1
+      });
+      const applications = rows.slice(0, limit);
+      const nextKey = rows.length > limit ? getKeyValues(terms, applications[applications.length - 1]) : null;
+
+      return res.json({
+        data: applications,
+        meta: getCursorMeta(limit, applicationSchemas.LIST_ORDER, nextKey)
       });
     }
 
@@ -341,15 +404,7 @@ router.get('/me/applications', async (req, res, next) => {
 // Get user's licenses (protected route)
 router.get('/me/licenses', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const licenses = await prisma.license.findMany({
       where: { userId },
@@ -359,7 +414,7 @@ router.get('/me/licenses', async (req, res, next) => {
     });
 
     res.json({
-      data: licenses,
+      data: maskForViewer('License', licenses, req.user),
       meta: {
         count: licenses.length
       }
@@ -370,17 +425,9 @@ router.get('/me/licenses', async (req, res, next) => {
 });
 
 // Add a license (protected route)
-router.post('/me/licenses', async (req, res, next) => {
+router.post('/me/licenses', validate(userSchemas.createLicense), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const {
       licenseType,
@@ -391,13 +438,6 @@ router.post('/me/licenses', async (req, res, next) => {
       documentUrl
     } = req.body;
 
-    // Validate required fields
-    if (!licenseType || !licenseNumber || !state || !issueDate || !expirationDate) {
-      return res.status(400).json({
-        error: 'Missing required fields'
-      });
-    }
-
     // Create the license
     const license = await prisma.license.create({
       data: {
@@ -405,15 +445,23 @@ router.post('/me/licenses', async (req, res, next) => {
         licenseType,
         licenseNumber,
         state,
-        issueDate: new Date(issueDate),
-        expirationDate: new Date(expirationDate),
+        issueDate,
+        expirationDate,
         status: 'pending',
         documentUrl
       }
     });
 
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.CREATE,
+      entityType: 'License',
+      entityId: license.id,
+      after: license
+    });
+
     res.status(201).json({
-      data: license
+      data: maskForViewer('License', license, req.user)
     });
   } catch (error) {
     next(error);
@@ -423,15 +471,7 @@ router.post('/me/licenses', async (req, res, next) => {
 // Get user's certifications (protected route)
 router.get('/me/certifications', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const certifications = await prisma.certification.findMany({
       where: { userId },
@@ -452,17 +492,9 @@ router.get('/me/certifications', async (req, res, next) => {
 });
 
 // Add a certification (protected route)
-router.post('/me/certifications', async (req, res, next) => {
+router.post('/me/certifications', validate(userSchemas.createCertification), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const {
       certificationName,
@@ -473,21 +505,14 @@ router.post('/me/certifications', async (req, res, next) => {
       documentUrl
     } = req.body;
 
-    // Validate required fields
-    if (!certificationName || !issuingOrganization || !issueDate) {
-      return res.status(400).json({
-        error: 'Missing required fields'
-      });
-    }
-
     // Create the certification
     const certification = await prisma.certification.create({
       data: {
         userId,
         certificationName,
         issuingOrganization,
-        issueDate: new Date(issueDate),
-        expirationDate: expirationDate ? new Date(expirationDate) : null,
+        issueDate,
+        expirationDate: expirationDate || null,
         credentialId,
         documentUrl,
         status: 'pending'
@@ -505,15 +530,7 @@ router.post('/me/certifications', async (req, res, next) => {
 // Get user's work experience (protected route)
 router.get('/me/work-experience', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const workExperiences = await prisma.workExperience.findMany({
       where: { userId },
@@ -535,17 +552,9 @@ router.get('/me/work-experience', async (req, res, next) => {
 });
 
 // Add work experience (protected route)
-router.post('/me/work-experience', async (req, res, next) => {
+router.post('/me/work-experience', validate(userSchemas.createWorkExperience), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const {
       employer,
@@ -560,21 +569,14 @@ router.post('/me/work-experience', async (req, res, next) => {
       facilityType
     } = req.body;
 
-    // Validate required fields
-    if (!employer || !position || !startDate) {
-      return res.status(400).json({
-        error: 'Missing required fields'
-      });
-    }
-
     // Create the work experience
     const workExperience = await prisma.workExperience.create({
       data: {
         userId,
         employer,
         position,
-        startDate: new Date(startDate),
-        endDate: endDate ? new Date(endDate) : null,
+        startDate,
+        endDate: endDate || null,
         isCurrent: isCurrent || false,
         city,
         state,
@@ -595,15 +597,7 @@ router.post('/me/work-experience', async (req, res, next) => {
 // Get user's job alerts (protected route)
 router.get('/me/job-alerts', async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const jobAlerts = await prisma.jobAlert.findMany({
       where: { userId },
@@ -624,17 +618,9 @@ router.get('/me/job-alerts', async (req, res, next) => {
 });
 
 // Create a job alert (protected route)
-router.post('/me/job-alerts', async (req, res, next) => {
+router.post('/me/job-alerts', validate(userSchemas.createJobAlert), async (req, res, next) => {
   try {
-    // TODO: Add authentication middleware
-    // For now, we'll assume the user ID is passed in the header for testing
-    const userId = req.headers['x-user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        error: 'Unauthorized'
-      });
-    }
+    const userId = req.user.id;
 
     const {
       name,
@@ -646,13 +632,6 @@ router.post('/me/job-alerts', async (req, res, next) => {
       frequency
     } = req.body;
 
-    // Validate required fields
-    if (!name || !frequency || (!specialties && !states && !cities)) {
-      return res.status(400).json({
-        error: 'Missing required fields'
-      });
-    }
-
     // Create the job alert
     const jobAlert = await prisma.jobAlert.create({
       data: {
@@ -676,4 +655,311 @@ router.post('/me/job-alerts', async (req, res, next) => {
   }
 });
 
+// Export everything held about the current user (protected route)
+router.get('/me/export', validate(userSchemas.exportData), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { format } = req.query;
+
+    if (!privacyService.isAvailable()) {
+      return res.status(503).json({
+        error: 'Data export is temporarily unavailable'
+      });
+    }
+
+    const bundle = await privacyService.exportUserData(userId);
+
+    if (!bundle) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.VIEW,
+      entityType: 'User',
+      entityId: userId,
+      metadata: { resource: 'export', format }
+    });
+
+    const filename = `excel-data-export-${bundle.exportedAt.slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.attachment(`${filename}.json`);
+      return res.send(JSON.stringify(bundle, null, 2));
+    }
+
+    // One JSON file per section
+    const archive = archiver('zip');
+    archive.on('error', next);
+    res.attachment(`${filename}.zip`);
+    archive.pipe(res);
+
+    for (const [section, data] of Object.entries(bundle)) {
+      if (section !== 'exportedAt') {
+        archive.append(JSON.stringify(data, null, 2), { name: `${section}.json` });
+      }
+    }
+
+    archive.append(JSON.stringify({ exportedAt: bundle.exportedAt, userId }, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request deletion of the current user's account (protected route)
+router.post('/me/deletion', validate(userSchemas.requestDeletion), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const scheduledFor = await privacyService.requestDeletion(user, req.body.password);
+
+    if (!scheduledFor) {
+      return res.status(401).json({
+        error: 'Invalid password'
+      });
+    }
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UPDATE,
+      entityType: 'User',
+      entityId: user.id,
+      before: { deletionScheduledFor: user.deletionScheduledFor },
+      after: { deletionScheduledFor: scheduledFor }
+    });
+
+    res.status(202).json({
+      data: {
+        deletionScheduledFor: scheduledFor
+      },
+      message: 'Account scheduled for deletion'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a pending account deletion (protected route)
+router.delete('/me/deletion', async (req, res, next) => {
+  try {
+    const cancelled = await privacyService.cancelDeletion(req.user.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        error: 'No pending deletion request'
+      });
+    }
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UPDATE,
+      entityType: 'User',
+      entityId: req.user.id,
+      metadata: { resource: 'deletion', cancelled: true }
+    });
+
+    res.json({
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a candidate's licenses (protected route - recruiter or admin)
+router.get('/:id/licenses', requireRole(Roles.RECRUITER, Roles.ADMIN), validate(userSchemas.getUser), async (req, res, next) => {
+  try {
+    const candidateId = req.params.id;
+
+    // Recruiters may only view candidates who applied to one of their jobs
+    if (req.user.role !== Roles.ADMIN) {
+      const application = await prisma.application.findFirst({
+        where: {
+          candidateId,
+          job: { recruiterId: req.user.id }
+        },
+        select: { id: true }
+      });
+
+      if (!application) {
+        return res.status(403).json({
+          error: 'You are not authorized to view this candidate\'s licenses'
+        });
+      }
+    }
+
+    const licenses = await prisma.license.findMany({
+      where: { userId: candidateId },
+      orderBy: {
+        expirationDate: 'asc'
+      }
+    });
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.VIEW,
+      entityType: 'User',
+      entityId: candidateId,
+      metadata: {
+        resource: 'licenses',
+        licenseIds: licenses.map(license => license.id)
+      }
+    });
+
+    res.json({
+      data: maskForViewer('License', licenses, req.user),
+      meta: {
+        count: licenses.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a user's account immediately (protected route - admin only)
+router.delete('/:id', requireRole(Roles.ADMIN), validate(userSchemas.getUser), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user || user.deletedAt) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (!privacyService.isAvailable()) {
+      return res.status(503).json({
+        error: 'Account deletion is temporarily unavailable'
+      });
+    }
+
+    const summary = await privacyService.deleteAccount(user.id);
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.DELETE,
+      entityType: 'User',
+      entityId: user.id,
+      metadata: summary
+    });
+
+    res.json({
+      data: summary,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a user's role (protected route - admin only)
+router.put('/:id/role', requireRole(Roles.ADMIN), validate(userSchemas.updateRole), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user || user.deletedAt) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { role },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true
+      }
+    });
+
+    // Access tokens carry the role, so sign the user in again under the new one
+    if (role !== user.role) {
+      await sessionService.revokeAll(user.id, RevokeReason.ROLE_CHANGE);
+    }
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UPDATE,
+      entityType: 'User',
+      entityId: user.id,
+      before: { role: user.role },
+      after: { role }
+    });
+
+    logger.info({
+      message: 'Role changed by admin',
+      userId: user.id,
+      adminId: req.user.id,
+      role
+    });
+
+    res.json({
+      data: updatedUser,
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unlock a user's account (protected route - admin only)
+router.post('/:id/unlock', requireRole(Roles.ADMIN), validate(userSchemas.getUser), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const unlockedUser = await accountLockoutService.unlock(user.id);
+
+    await auditLogService.record({
+      actor: getAuditActor(req),
+      action: AuditAction.UNLOCK,
+      entityType: 'User',
+      entityId: user.id,
+      before: { lockedUntil: user.lockedUntil },
+      after: { lockedUntil: null }
+    });
+
+    logger.info({
+      message: 'Account unlocked by admin',
+      userId: user.id,
+      adminId: req.user.id
+    });
+
+    res.json({
+      data: unlockedUser,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
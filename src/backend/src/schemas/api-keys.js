@@ -0,0 +1,55 @@
+/**
+ * API Key Request Schemas
+ */
+
+const { idParam, requiredString, partial } = require('./common');
+const { ApiScopes } = require('../services/api-key.service');
+
+const SCOPES = Object.values(ApiScopes);
+
+const apiKeyBody = {
+  name: requiredString('Name'),
+  scopes: {
+    exists: { errorMessage: 'Scopes are required' },
+    isArray: { options: { min: 1 }, errorMessage: 'Scopes must be a non-empty list' }
+  },
+  'scopes.*': {
+    isIn: { options: [SCOPES], errorMessage: `Scopes must be one of: ${SCOPES.join(', ')}` }
+  },
+  rateLimitPerMinute: {
+    optional: { options: { values: 'null' } },
+    isInt: { options: { min: 1 }, errorMessage: 'Rate limit must be a positive integer' },
+    toInt: true
+  },
+  expiresAt: {
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'Expiry must be an ISO 8601 date' },
+    toDate: true
+  }
+};
+
+module.exports = {
+  createApiKey: {
+    body: apiKeyBody
+  },
+
+  updateApiKey: {
+    params: { id: idParam('API key ID') },
+    body: partial(apiKeyBody)
+  },
+
+  getApiKey: {
+    params: { id: idParam('API key ID') }
+  },
+
+  getUsage: {
+    params: { id: idParam('API key ID') },
+    query: {
+      days: {
+        default: { options: 30 },
+        isInt: { options: { min: 1, max: 365 }, errorMessage: 'Days must be between 1 and 365' },
+        toInt: true
+      }
+    }
+  }
+};
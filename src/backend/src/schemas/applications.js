@@ -0,0 +1,80 @@
+/**
+ * Application Request Schemas
+ */
+
+const { idParam, limit, pagination, cursor, nullableString } = require('./common');
+const { SOURCE_PATTERN } = require('../services/feeds/job-feed.service');
+
+const APPLICATION_STATUSES = ['submitted', 'reviewing', 'interview', 'offered', 'placed', 'rejected', 'withdrawn'];
+
+// Applications are listed newest first
+const LIST_ORDER = 'applicationDate:desc';
+
+module.exports = {
+  APPLICATION_STATUSES,
+  LIST_ORDER,
+
+  listApplications: {
+    query: {
+      limit: limit(20),
+      pagination,
+      cursor: cursor(() => LIST_ORDER)
+    }
+  },
+
+  createApplication: {
+    body: {
+      jobId: {
+        exists: { errorMessage: 'Job ID is required' },
+        isUUID: { errorMessage: 'Job ID must be a valid ID' }
+      },
+      resumeId: nullableString('Resume ID'),
+      candidateNotes: {
+        ...nullableString('Candidate notes'),
+        isLength: { options: { max: 2000 }, errorMessage: 'Candidate notes must be at most 2000 characters' }
+      },
+      // Same rule as job feed sources, whose utm_source ends up here
+      source: {
+        default: { options: 'direct' },
+        isString: { errorMessage: 'Source must be a string' },
+        trim: true,
+        toLowerCase: true,
+        matches: {
+          options: SOURCE_PATTERN,
+          errorMessage: 'Source must be 1 to 100 lowercase letters, digits, hyphens or underscores'
+        }
+      },
+      referralId: {
+        optional: { options: { values: 'null' } },
+        isUUID: { errorMessage: 'Referral ID must be a valid ID' }
+      }
+    }
+  },
+
+  getApplication: {
+    params: { id: idParam('Application ID') }
+  },
+
+  updateStatus: {
+    params: { id: idParam('Application ID') },
+    body: {
+      status: {
+        isIn: {
+          options: [APPLICATION_STATUSES],
+          errorMessage: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}`
+        }
+      },
+      recruiterNotes: nullableString('Recruiter notes')
+    }
+  },
+
+  withdrawApplication: {
+    params: { id: idParam('Application ID') },
+    body: {
+      withdrawalReason: {
+        ...nullableString('Withdrawal reason'),
+        isLength: { options: { max: 1000 }, errorMessage: 'Withdrawal reason must be at most 1000 characters' }
+      }
+    }
+  }
+};
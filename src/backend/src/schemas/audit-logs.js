@@ -0,0 +1,49 @@
+/**
+ * Audit Log Request Schemas
+ */
+
+const { page, limit } = require('./common');
+const { AuditAction } = require('../services/audit-log.service');
+
+const ACTIONS = Object.values(AuditAction);
+
+/**
+ * Optional ISO 8601 date, coerced to a Date
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function optionalDate(label) {
+  return {
+    optional: true,
+    isISO8601: { errorMessage: `${label} must be an ISO 8601 date` },
+    toDate: true
+  };
+}
+
+module.exports = {
+  searchAuditLogs: {
+    query: {
+      page,
+      limit: limit(50),
+      actorId: { optional: true, isString: true },
+      entityType: { optional: true, isString: true },
+      entityId: { optional: true, isString: true },
+      action: {
+        optional: true,
+        isIn: { options: [ACTIONS], errorMessage: `Action must be one of: ${ACTIONS.join(', ')}` }
+      },
+      from: optionalDate('From'),
+      to: {
+        ...optionalDate('To'),
+        custom: {
+          options: (to, { req }) => {
+            if (req.query.from && new Date(req.query.from) > new Date(to)) {
+              throw new Error('To must not be before from');
+            }
+            return true;
+          }
+        }
+      }
+    }
+  }
+};
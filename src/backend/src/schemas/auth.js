@@ -0,0 +1,129 @@
+/**
+ * Authentication Request Schemas
+ */
+
+const { requiredString, nullableString, optionalBoolean } = require('./common');
+
+/**
+ * Required email address, lowercased
+ */
+const email = {
+  exists: { errorMessage: 'Email is required' },
+  isString: { errorMessage: 'Email must be a string' },
+  trim: true,
+  isEmail: { errorMessage: 'Email must be a valid email address' },
+  toLowerCase: true
+};
+
+/**
+ * Required secret such as a password or token, taken as given
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function secret(label) {
+  return {
+    exists: { errorMessage: `${label} is required` },
+    isString: { errorMessage: `${label} must be a string` },
+    notEmpty: { errorMessage: `${label} is required` }
+  };
+}
+
+/**
+ * Required six-digit authenticator code
+ */
+const code = {
+  exists: { errorMessage: 'Code is required' },
+  isString: { errorMessage: 'Code must be a string' },
+  trim: true,
+  matches: { options: /^\d{6}$/, errorMessage: 'Code must be 6 digits' }
+};
+
+module.exports = {
+  // Public sign-ups are always candidates, so there is no role field
+  register: {
+    body: {
+      email,
+      password: secret('Password'),
+      firstName: requiredString('First name'),
+      lastName: requiredString('Last name'),
+      phone: nullableString('Phone'),
+      specialty: nullableString('Specialty'),
+      referralCode: nullableString('Referral code')
+    }
+  },
+
+  login: {
+    body: {
+      email,
+      password: secret('Password')
+    }
+  },
+
+  // A login challenge is answered with either an authenticator code or a recovery code
+  verifyTwoFactor: {
+    body: {
+      challengeToken: secret('Challenge token'),
+      code: {
+        custom: {
+          options: (value, { req }) => {
+            if (value === undefined) {
+              if (!req.body.recoveryCode) {
+                throw new Error('Code or recovery code is required');
+              }
+              return true;
+            }
+
+            if (typeof value !== 'string' || !/^\d{6}$/.test(value.trim())) {
+              throw new Error('Code must be 6 digits');
+            }
+
+            return true;
+          }
+        },
+        customSanitizer: { options: value => (typeof value === 'string' ? value.trim() : value) }
+      },
+      recoveryCode: nullableString('Recovery code')
+    }
+  },
+
+  enableTwoFactor: {
+    body: { code }
+  },
+
+  disableTwoFactor: {
+    body: {
+      password: secret('Password'),
+      code
+    }
+  },
+
+  regenerateRecoveryCodes: {
+    body: { code }
+  },
+
+  forgotPassword: {
+    body: { email }
+  },
+
+  resetPassword: {
+    body: {
+      token: secret('Token'),
+      password: secret('Password')
+    }
+  },
+
+  verifyEmail: {
+    params: { token: secret('Token') }
+  },
+
+  refreshToken: {
+    body: { refreshToken: secret('Refresh token') }
+  },
+
+  logout: {
+    body: {
+      refreshToken: nullableString('Refresh token'),
+      allDevices: optionalBoolean('All devices')
+    }
+  }
+};
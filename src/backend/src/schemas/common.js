@@ -0,0 +1,227 @@
+/**
+ * Common Request Schema Fields
+ *
+ * Building blocks for the per-route schemas used with middleware/validate.js.
+ * Fields use express-validator's schema syntax.
+ */
+
+const { decodeCursor } = require('../utils/cursor');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Route parameter holding a record ID
+ * @param {string} label Record name used in the error message
+ * @returns {Object} Field schema
+ */
+function idParam(label = 'ID') {
+  return {
+    isUUID: { errorMessage: `${label} must be a valid ID` }
+  };
+}
+
+/**
+ * Page number, defaulting to the first page
+ */
+const page = {
+  default: { options: 1 },
+  isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' },
+  toInt: true
+};
+
+/**
+ * Page size, capped at MAX_PAGE_SIZE
+ * @param {number} defaultLimit Page size when none is given
+ * @returns {Object} Field schema
+ */
+function limit(defaultLimit = 20) {
+  return {
+    default: { options: defaultLimit },
+    isInt: {
+      options: { min: 1, max: MAX_PAGE_SIZE },
+      errorMessage: `Limit must be between 1 and ${MAX_PAGE_SIZE}`
+    },
+    toInt: true
+  };
+}
+
+/**
+ * Pagination mode: page numbers with a total (the default), or opaque cursors
+ */
+const pagination = {
+  optional: true,
+  isIn: { options: [['offset', 'cursor']], errorMessage: 'Pagination must be offset or cursor' }
+};
+
+/**
+ * Opaque cursor from a previous page's `next_cursor`, decoded to its key
+ * values. Implies cursor pagination. A cursor only continues the ordering it
+ * was issued for, so it must be sent with the same sort.
+ * @param {Function} getOrder Derives the ordering from the validated query
+ * @returns {Object} Field schema
+ */
+function cursor(getOrder) {
+  return {
+    optional: true,
+    isString: { errorMessage: 'Cursor must be a string' },
+    custom: {
+      options: (value, { req }) => {
+        const decoded = decodeCursor(value);
+
+        if (!decoded) {
+          throw new Error('Cursor is invalid');
+        }
+
+        if (decoded.sort !== getOrder(req.query)) {
+          throw new Error('Cursor does not match the requested sort');
+        }
+
+        return true;
+      }
+    },
+    customSanitizer: { options: value => decodeCursor(value) }
+  };
+}
+
+/**
+ * Comma-separated or repeated query parameter, coerced to an array
+ */
+const list = {
+  optional: true,
+  customSanitizer: {
+    options: value => (Array.isArray(value) ? value : [value])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean)
+  }
+};
+
+/**
+ * Sort parameter of the form `field` or `field:direction`, restricted to the
+ * given fields and normalized to `field:asc` or `field:desc`
+ * @param {Array<string>} fields Sortable fields
+ * @returns {Object} Field schema
+ */
+function sort(fields) {
+  return {
+    optional: true,
+    isString: { bail: true, errorMessage: 'Sort must be a string' },
+    custom: {
+      options: value => {
+        const [field, direction = 'asc'] = value.split(':');
+
+        if (!fields.includes(field)) {
+          throw new Error(`Sort field must be one of: ${fields.join(', ')}`);
+        }
+
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+          throw new Error('Sort direction must be asc or desc');
+        }
+
+        return true;
+      }
+    },
+    customSanitizer: {
+      options: value => {
+        const [field, direction = 'asc'] = value.split(':');
+        return `${field}:${direction.toLowerCase()}`;
+      }
+    }
+  };
+}
+
+/**
+ * Required non-empty string
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function requiredString(label) {
+  return {
+    exists: { errorMessage: `${label} is required` },
+    isString: { errorMessage: `${label} must be a string` },
+    trim: true,
+    notEmpty: { errorMessage: `${label} is required` }
+  };
+}
+
+/**
+ * Optional string that may be null
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function nullableString(label) {
+  return {
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: `${label} must be a string` },
+    trim: true
+  };
+}
+
+/**
+ * Optional decimal number, with an optional minimum
+ * @param {string} label Field name used in the error message
+ * @param {number} min Minimum value
+ * @returns {Object} Field schema
+ */
+function optionalFloat(label, min = 0) {
+  return {
+    optional: true,
+    isFloat: { options: { min }, errorMessage: `${label} must be a number of at least ${min}` },
+    toFloat: true
+  };
+}
+
+/**
+ * Optional ISO 8601 date, converted to a Date
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function optionalDate(label) {
+  return {
+    optional: true,
+    isISO8601: { errorMessage: `${label} must be an ISO 8601 date` },
+    toDate: true
+  };
+}
+
+/**
+ * Optional boolean flag, accepting true/false and 1/0
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function optionalBoolean(label) {
+  return {
+    optional: true,
+    isBoolean: { options: { loose: false }, errorMessage: `${label} must be true or false` },
+    toBoolean: { options: [true] }
+  };
+}
+
+/**
+ * Make every field of a body schema optional, for partial updates
+ * @param {Object} schema Body schema with required fields marked by `exists`
+ * @returns {Object} Schema with no required fields
+ */
+function partial(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([field, rules]) => {
+    const { exists, optional, ...rest } = rules;
+    return [field, { optional: optional || true, ...rest }];
+  }));
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  idParam,
+  page,
+  limit,
+  pagination,
+  cursor,
+  list,
+  sort,
+  requiredString,
+  nullableString,
+  optionalFloat,
+  optionalDate,
+  optionalBoolean,
+  partial
+};
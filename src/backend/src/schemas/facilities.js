@@ -0,0 +1,139 @@
+/**
+ * Facility Request Schemas
+ */
+
+const {
+  idParam,
+  page,
+  limit,
+  pagination,
+  cursor,
+  list,
+  sort,
+  requiredString,
+  nullableString,
+  optionalBoolean,
+  partial
+} = require('./common');
+const { JOB_STATUSES, SORT_FIELDS: JOB_SORT_FIELDS } = require('./jobs');
+
+const SORT_FIELDS = ['name', 'type', 'city', 'state', 'bedCount', 'rating', 'createdAt', 'updatedAt'];
+
+/**
+ * Describe the ordering of a facility list, which a cursor must match
+ * @param {Object} query Validated list query
+ * @returns {string} Ordering
+ */
+function getListOrder(query) {
+  return query.sort || 'name:asc';
+}
+
+const facilityBody = {
+  externalId: requiredString('External ID'),
+  name: requiredString('Name'),
+  type: requiredString('Type'),
+  address: nullableString('Address'),
+  city: requiredString('City'),
+  state: {
+    ...requiredString('State'),
+    isLength: { options: { min: 2, max: 2 }, errorMessage: 'State must be a 2-letter code' },
+    toUpperCase: true
+  },
+  zipCode: {
+    ...nullableString('ZIP code'),
+    isPostalCode: { options: 'US', errorMessage: 'ZIP code must be a valid US ZIP code' }
+  },
+  'coordinates.latitude': {
+    optional: true,
+    isFloat: { options: { min: -90, max: 90 }, errorMessage: 'Latitude must be between -90 and 90' },
+    toFloat: true
+  },
+  'coordinates.longitude': {
+    optional: true,
+    isFloat: { options: { min: -180, max: 180 }, errorMessage: 'Longitude must be between -180 and 180' },
+    toFloat: true
+  },
+  phone: nullableString('Phone'),
+  website: {
+    optional: { options: { values: 'null' } },
+    isURL: { errorMessage: 'Website must be a valid URL' }
+  },
+  description: nullableString('Description'),
+  bedCount: {
+    optional: { options: { values: 'null' } },
+    isInt: { options: { min: 0 }, errorMessage: 'Bed count must be a non-negative integer' },
+    toInt: true
+  },
+  traumaLevel: nullableString('Trauma level'),
+  specialties: {
+    optional: true,
+    isArray: { errorMessage: 'Specialties must be a list' }
+  },
+  'specialties.*': {
+    isString: { errorMessage: 'Specialties must be strings' }
+  },
+  imageUrl: {
+    optional: { options: { values: 'null' } },
+    isURL: { errorMessage: 'Image URL must be a valid URL' }
+  },
+  rating: {
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0, max: 5 }, errorMessage: 'Rating must be between 0 and 5' },
+    toFloat: true
+  },
+  isTeachingHospital: optionalBoolean('Teaching hospital'),
+  isMagnetDesignated: optionalBoolean('Magnet designated'),
+  metadata: {
+    optional: true,
+    isObject: { errorMessage: 'Metadata must be an object' }
+  }
+};
+
+module.exports = {
+  SORT_FIELDS,
+  getListOrder,
+
+  listFacilities: {
+    query: {
+      page,
+      limit: limit(20),
+      state: list,
+      city: list,
+      type: list,
+      name: {
+        optional: true,
+        isString: { errorMessage: 'Name must be a string' },
+        trim: true
+      },
+      sort: sort(SORT_FIELDS),
+      pagination,
+      cursor: cursor(getListOrder)
+    }
+  },
+
+  getFacility: {
+    params: { id: idParam('Facility ID') }
+  },
+
+  listFacilityJobs: {
+    params: { id: idParam('Facility ID') },
+    query: {
+      page,
+      limit: limit(20),
+      status: {
+        default: { options: 'active' },
+        isIn: { options: [JOB_STATUSES], errorMessage: `Status must be one of: ${JOB_STATUSES.join(', ')}` }
+      },
+      sort: sort(JOB_SORT_FIELDS)
+    }
+  },
+
+  createFacility: {
+    body: facilityBody
+  },
+
+  updateFacility: {
+    params: { id: idParam('Facility ID') },
+    body: partial(facilityBody)
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Job Duplicate Request Schemas
+ */
+
+const { idParam, page, limit } = require('./common');
+const { DuplicateStatus } = require('../services/job-duplicate.service');
+
+const STATUSES = Object.values(DuplicateStatus);
+
+module.exports = {
+  listDuplicates: {
+    query: {
+      page,
+      limit: limit(20),
+      status: {
+        default: { options: DuplicateStatus.PENDING },
+        isIn: { options: [STATUSES], errorMessage: `Status must be one of: ${STATUSES.join(', ')}` }
+      }
+    }
+  },
+
+  mergeDuplicate: {
+    params: { id: idParam('Duplicate ID') },
+    body: {
+      canonicalJobId: {
+        optional: true,
+        isUUID: { errorMessage: 'Canonical job ID must be a valid ID' }
+      }
+    }
+  },
+
+  dismissDuplicate: {
+    params: { id: idParam('Duplicate ID') }
+  }
+};
@@ -0,0 +1,298 @@
+/**
+ * Job Request Schemas
+ */
+
+const {
+  idParam,
+  page,
+  limit,
+  pagination,
+  cursor,
+  list,
+  sort,
+  requiredString,
+  nullableString,
+  optionalFloat,
+  optionalDate,
+  optionalBoolean,
+  partial
+} = require('./common');
+const { MAX_RADIUS_MILES, parseLocation } = require('../utils/geo');
+
+const JOB_STATUSES = ['active', 'filled', 'expired', 'draft'];
+
+const SORT_FIELDS = [
+  'title',
+  'specialty',
+  'facilityName',
+  'city',
+  'state',
+  'startDate',
+  'payRate',
+  'weeklyHours',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Optional free-text search
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function searchText(label) {
+  return {
+    optional: true,
+    isString: { errorMessage: `${label} must be a string` },
+    trim: true,
+    isLength: { options: { max: 200 }, errorMessage: `${label} must be at most 200 characters` }
+  };
+}
+
+/**
+ * Reject a query parameter that only makes sense together with `near`
+ * @param {string} label Description used in the error message
+ * @param {Function} applies Optional test for values that need `near`
+ * @param {Object} validator Optional custom validator to run first
+ * @returns {Object} Custom validator
+ */
+function requiresNear(label, applies = () => true, validator = null) {
+  return {
+    options: (value, meta) => {
+      if (validator) {
+        validator.options(value, meta);
+      }
+
+      if (applies(value) && meta.req.query.near === undefined) {
+        throw new Error(`${label} requires near`);
+      }
+
+      return true;
+    }
+  };
+}
+
+// Distance is computed per search, so it is only sortable when `near` is set
+const listSort = sort([...SORT_FIELDS, 'distance']);
+
+/**
+ * Describe the ordering of a job list, which a cursor must match. Text and
+ * radius searches add relevance and distance to the sort.
+ * @param {Object} query Validated list query
+ * @returns {string} Ordering, e.g. `payRate:desc` or `relevance,distance`
+ */
+function getListOrder(query) {
+  const ranked = [
+    (query.search || query.keyword) && 'relevance',
+    query.near && 'distance'
+  ].filter(Boolean);
+
+  return [query.sort || (ranked.length > 0 ? null : 'updatedAt:desc'), ...ranked].filter(Boolean).join(',');
+}
+
+const jobBody = {
+  externalId: requiredString('External ID'),
+  title: requiredString('Title'),
+  specialty: requiredString('Specialty'),
+  facilityName: requiredString('Facility name'),
+  facilityId: {
+    optional: { options: { values: 'null' } },
+    isUUID: { errorMessage: 'Facility ID must be a valid ID' }
+  },
+  city: requiredString('City'),
+  state: {
+    ...requiredString('State'),
+    isLength: { options: { min: 2, max: 2 }, errorMessage: 'State must be a 2-letter code' },
+    toUpperCase: true
+  },
+  zipCode: {
+    ...nullableString('ZIP code'),
+    isPostalCode: { options: 'US', errorMessage: 'ZIP code must be a valid US ZIP code' }
+  },
+  'coordinates.latitude': {
+    optional: true,
+    isFloat: { options: { min: -90, max: 90 }, errorMessage: 'Latitude must be between -90 and 90' },
+    toFloat: true
+  },
+  'coordinates.longitude': {
+    optional: true,
+    isFloat: { options: { min: -180, max: 180 }, errorMessage: 'Longitude must be between -180 and 180' },
+    toFloat: true
+  },
+  startDate: {
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'Start date must be an ISO 8601 date' }
+  },
+  endDate: {
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'End date must be an ISO 8601 date' }
+  },
+  weeklyHours: {
+    exists: { errorMessage: 'Weekly hours is required' },
+    isInt: { options: { min: 1, max: 168 }, errorMessage: 'Weekly hours must be between 1 and 168' },
+    toInt: true
+  },
+  shiftDetails: nullableString('Shift details'),
+  shiftType: nullableString('Shift type'),
+  payRate: {
+    exists: { errorMessage: 'Pay rate is required' },
+    isFloat: { options: { min: 0 }, errorMessage: 'Pay rate must be a number of at least 0' },
+    toFloat: true
+  },
+  housingStipend: {
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0 }, errorMessage: 'Housing stipend must be a number of at least 0' },
+    toFloat: true
+  },
+  requirements: nullableString('Requirements'),
+  benefits: nullableString('Benefits'),
+  description: nullableString('Description'),
+  status: {
+    exists: { errorMessage: 'Status is required' },
+    isIn: { options: [JOB_STATUSES], errorMessage: `Status must be one of: ${JOB_STATUSES.join(', ')}` }
+  },
+  isFeatured: optionalBoolean('Featured'),
+  isUrgent: optionalBoolean('Urgent'),
+  recruiterId: {
+    optional: { options: { values: 'null' } },
+    isUUID: { errorMessage: 'Recruiter ID must be a valid ID' }
+  },
+  seoTitle: nullableString('SEO title'),
+  seoDescription: nullableString('SEO description'),
+  seoKeywords: {
+    optional: true,
+    isArray: { errorMessage: 'SEO keywords must be a list' }
+  },
+  'seoKeywords.*': {
+    isString: { errorMessage: 'SEO keywords must be strings' }
+  },
+  metadata: {
+    optional: true,
+    isObject: { errorMessage: 'Metadata must be an object' }
+  }
+};
+
+module.exports = {
+  JOB_STATUSES,
+  SORT_FIELDS,
+  getListOrder,
+
+  listJobs: {
+    query: {
+      page,
+      limit: limit(20),
+      specialty: list,
+      state: list,
+      city: list,
+      shiftType: list,
+      minPay: optionalFloat('Minimum pay'),
+      maxPay: optionalFloat('Maximum pay'),
+      startDate: optionalDate('Start date'),
+      startBefore: optionalDate('Start before'),
+      isFeatured: optionalBoolean('Featured'),
+      isUrgent: optionalBoolean('Urgent'),
+      status: {
+        default: { options: 'active' },
+        isIn: { options: [JOB_STATUSES], errorMessage: `Status must be one of: ${JOB_STATUSES.join(', ')}` }
+      },
+      search: searchText('Search'),
+      // Alias of search, used by the job search form
+      keyword: searchText('Keyword'),
+      near: {
+        optional: true,
+        isString: { errorMessage: 'Near must be a string' },
+        custom: {
+          options: value => {
+            if (!parseLocation(value)) {
+              throw new Error('Near must be a known ZIP code or "latitude,longitude"');
+            }
+
+            return true;
+          }
+        },
+        customSanitizer: { options: parseLocation }
+      },
+      radius: {
+        optional: true,
+        isFloat: {
+          options: { min: 1, max: MAX_RADIUS_MILES },
+          errorMessage: `Radius must be between 1 and ${MAX_RADIUS_MILES} miles`
+        },
+        toFloat: true,
+        custom: requiresNear('Radius')
+      },
+      sort: {
+        ...listSort,
+        custom: requiresNear('Sorting by distance', value => value.startsWith('distance'), listSort.custom)
+      },
+      facets: optionalBoolean('Facets'),
+      pagination,
+      cursor: cursor(getListOrder)
+    }
+  },
+
+  listFeatured: {
+    query: { limit: limit(6) }
+  },
+
+  listRecent: {
+    query: { limit: limit(10) }
+  },
+
+  listTrending: {
+    query: { limit: limit(10) }
+  },
+
+  getJob: {
+    params: { id: idParam('Job ID') }
+  },
+
+  listSimilar: {
+    params: { id: idParam('Job ID') },
+    query: { limit: limit(5) }
+  },
+
+  getCompensation: {
+    params: { id: idParam('Job ID') },
+    query: {
+      hours: {
+        optional: true,
+        isFloat: { options: { min: 0, max: 168 }, errorMessage: 'Hours must be between 0 and 168' },
+        toFloat: true
+      },
+      taxRate: {
+        optional: true,
+        isFloat: { options: { min: 0, max: 1 }, errorMessage: 'Tax rate must be between 0 and 1' },
+        toFloat: true
+      }
+    }
+  },
+
+  listJobHistory: {
+    params: { id: idParam('Job ID') },
+    query: { page, limit: limit(20) }
+  },
+
+  suggestJobs: {
+    query: {
+      q: {
+        isString: { errorMessage: 'Query must be a string' },
+        trim: true,
+        isLength: { options: { min: 2, max: 100 }, errorMessage: 'Query must be between 2 and 100 characters' }
+      },
+      limit: {
+        default: { options: 5 },
+        isInt: { options: { min: 1, max: 10 }, errorMessage: 'Limit must be between 1 and 10' },
+        toInt: true
+      }
+    }
+  },
+
+  createJob: {
+    body: jobBody
+  },
+
+  updateJob: {
+    params: { id: idParam('Job ID') },
+    body: partial(jobBody)
+  }
+};
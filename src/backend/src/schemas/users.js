@@ -0,0 +1,266 @@
+/**
+ * User Request Schemas
+ */
+
+const {
+  idParam,
+  requiredString,
+  nullableString,
+  optionalFloat,
+  optionalDate,
+  optionalBoolean
+} = require('./common');
+
+const ROLES = ['candidate', 'recruiter', 'admin'];
+const ALERT_FREQUENCIES = ['daily', 'weekly', 'instant'];
+const EXPORT_FORMATS = ['json', 'zip'];
+
+/**
+ * Optional list of strings
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function stringList(label) {
+  return {
+    optional: true,
+    isArray: { errorMessage: `${label} must be a list` }
+  };
+}
+
+/**
+ * Required ISO 8601 date, converted to a Date
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function requiredDate(label) {
+  return {
+    exists: { errorMessage: `${label} is required` },
+    isISO8601: { errorMessage: `${label} must be an ISO 8601 date` },
+    toDate: true
+  };
+}
+
+/**
+ * Two-letter state code, uppercased
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function stateCode(label) {
+  return {
+    isString: { errorMessage: `${label} must be a string` },
+    isLength: { options: { min: 2, max: 2 }, errorMessage: `${label} must be a 2-letter code` },
+    toUpperCase: true
+  };
+}
+
+/**
+ * Optional URL that may be null
+ * @param {string} label Field name used in the error message
+ * @returns {Object} Field schema
+ */
+function nullableUrl(label) {
+  return {
+    optional: { options: { values: 'null' } },
+    isURL: { errorMessage: `${label} must be a valid URL` }
+  };
+}
+
+// Profile fields users may change themselves. Email, role, account status,
+// two-factor settings, lockout and deletion state have their own endpoints.
+const profileBody = {
+  firstName: {
+    optional: true,
+    isString: { errorMessage: 'First name must be a string' },
+    trim: true,
+    notEmpty: { errorMessage: 'First name cannot be empty' }
+  },
+  lastName: {
+    optional: true,
+    isString: { errorMessage: 'Last name must be a string' },
+    trim: true,
+    notEmpty: { errorMessage: 'Last name cannot be empty' }
+  },
+  phone: nullableString('Phone'),
+  specialty: nullableString('Specialty'),
+  yearsExperience: {
+    optional: { options: { values: 'null' } },
+    isInt: { options: { min: 0, max: 70 }, errorMessage: 'Years of experience must be between 0 and 70' },
+    toInt: true
+  },
+  preferredStates: stringList('Preferred states'),
+  'preferredStates.*': stateCode('Preferred states'),
+  preferredCities: stringList('Preferred cities'),
+  'preferredCities.*': {
+    isString: { errorMessage: 'Preferred cities must be strings' },
+    trim: true
+  },
+  preferredPayRangeMin: {
+    ...optionalFloat('Minimum preferred pay'),
+    optional: { options: { values: 'null' } }
+  },
+  preferredPayRangeMax: {
+    ...optionalFloat('Maximum preferred pay'),
+    optional: { options: { values: 'null' } }
+  },
+  preferredShiftType: nullableString('Preferred shift type'),
+  licenseStates: stringList('License states'),
+  'licenseStates.*': stateCode('License states'),
+  avatarUrl: nullableUrl('Avatar URL')
+};
+
+module.exports = {
+  ROLES,
+
+  updateMe: {
+    body: profileBody
+  },
+
+  revokeSession: {
+    params: { sessionId: idParam('Session ID') }
+  },
+
+  saveJob: {
+    body: {
+      jobId: {
+        exists: { errorMessage: 'Job ID is required' },
+        isUUID: { errorMessage: 'Job ID must be a valid ID' }
+      },
+      notes: nullableString('Notes')
+    }
+  },
+
+  removeSavedJob: {
+    params: { jobId: idParam('Job ID') }
+  },
+
+  createLicense: {
+    body: {
+      licenseType: requiredString('License type'),
+      licenseNumber: requiredString('License number'),
+      state: {
+        exists: { errorMessage: 'State is required' },
+        ...stateCode('State')
+      },
+      issueDate: requiredDate('Issue date'),
+      expirationDate: requiredDate('Expiration date'),
+      documentUrl: nullableUrl('Document URL')
+    }
+  },
+
+  createCertification: {
+    body: {
+      certificationName: requiredString('Certification name'),
+      issuingOrganization: requiredString('Issuing organization'),
+      issueDate: requiredDate('Issue date'),
+      expirationDate: {
+        ...optionalDate('Expiration date'),
+        optional: { options: { values: 'null' } }
+      },
+      credentialId: nullableString('Credential ID'),
+      documentUrl: nullableUrl('Document URL')
+    }
+  },
+
+  createWorkExperience: {
+    body: {
+      employer: requiredString('Employer'),
+      position: requiredString('Position'),
+      startDate: requiredDate('Start date'),
+      endDate: {
+        ...optionalDate('End date'),
+        optional: { options: { values: 'null' } }
+      },
+      isCurrent: optionalBoolean('Current position'),
+      city: nullableString('City'),
+      state: {
+        optional: { options: { values: 'null' } },
+        ...stateCode('State')
+      },
+      responsibilities: nullableString('Responsibilities'),
+      specialty: nullableString('Specialty'),
+      facilityType: nullableString('Facility type')
+    }
+  },
+
+  // An alert needs at least one of specialties, states or cities to match on
+  createJobAlert: {
+    body: {
+      name: requiredString('Name'),
+      specialties: {
+        custom: {
+          options: (value, { req }) => {
+            if (value !== undefined && !Array.isArray(value)) {
+              throw new Error('Specialties must be a list');
+            }
+
+            const { states, cities } = req.body;
+
+            if (![value, states, cities].some(list => Array.isArray(list) && list.length > 0)) {
+              throw new Error('Specialties, states or cities are required');
+            }
+
+            return true;
+          }
+        }
+      },
+      'specialties.*': {
+        isString: { errorMessage: 'Specialties must be strings' },
+        trim: true
+      },
+      states: stringList('States'),
+      'states.*': stateCode('States'),
+      cities: stringList('Cities'),
+      'cities.*': {
+        isString: { errorMessage: 'Cities must be strings' },
+        trim: true
+      },
+      minPayRate: {
+        ...optionalFloat('Minimum pay rate'),
+        optional: { options: { values: 'null' } }
+      },
+      shiftTypes: stringList('Shift types'),
+      'shiftTypes.*': {
+        isString: { errorMessage: 'Shift types must be strings' },
+        trim: true
+      },
+      frequency: {
+        isIn: {
+          options: [ALERT_FREQUENCIES],
+          errorMessage: `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`
+        }
+      }
+    }
+  },
+
+  exportData: {
+    query: {
+      format: {
+        default: { options: 'json' },
+        isIn: { options: [EXPORT_FORMATS], errorMessage: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` }
+      }
+    }
+  },
+
+  requestDeletion: {
+    body: {
+      password: {
+        exists: { errorMessage: 'Password is required' },
+        isString: { errorMessage: 'Password must be a string' },
+        notEmpty: { errorMessage: 'Password is required' }
+      }
+    }
+  },
+
+  getUser: {
+    params: { id: idParam('User ID') }
+  },
+
+  updateRole: {
+    params: { id: idParam('User ID') },
+    body: {
+      role: {
+        isIn: { options: [ROLES], errorMessage: `Role must be one of: ${ROLES.join(', ')}` }
+      }
+    }
+  }
+};
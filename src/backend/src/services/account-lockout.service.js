@@ -0,0 +1,142 @@
+/**
+ * Account Lockout Service
+ * 
+ * Tracks failed login attempts per account and temporarily locks an
+ * account once too many failures occur within the tracking window.
+ */
+
+const { Logger } = require('../utils/logger');
+const { getRateLimitStore } = require('./rate-limit-store');
+
+const MINUTE = 60 * 1000;
+
+class AccountLockoutService {
+  /**
+   * Create a new AccountLockoutService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Lockout options
+   * @param {Object} options.mailer Mailer used to notify locked-out users
+   * @param {Function} options.getStore Returns the failure counter store
+   * @param {number} options.maxFailures Failures allowed within the window before locking
+   * @param {number} options.windowMs Failure tracking window in milliseconds
+   * @param {number} options.lockoutMs Lockout duration in milliseconds
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.mailer = options.mailer;
+    this.getStore = options.getStore || getRateLimitStore;
+    this.maxFailures = options.maxFailures || parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+    this.windowMs = options.windowMs || 15 * MINUTE;
+    this.lockoutMs = options.lockoutMs || (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * MINUTE;
+    this.logger = new Logger({ service: 'AccountLockoutService' });
+  }
+
+  /**
+   * Check whether an account is currently locked
+   * @param {Object} user User record
+   * @returns {boolean} True if locked
+   */
+  isLocked(user) {
+    return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+  }
+
+  /**
+   * Record a failed login and lock the account if the threshold is reached
+   * @param {Object} user User record
+   * @param {Object} context Request context
+   * @param {string} context.ipAddress Client IP address
+   * @returns {Promise<Date|null>} Lock expiry if the account was locked, otherwise null
+   */
+  async recordFailure(user, context = {}) {
+    const store = this.getStore();
+    const { count } = await store.hit(this.failureKey(user.id), this.windowMs);
+
+    if (count < this.maxFailures) {
+      return null;
+    }
+
+    const lockedUntil = new Date(Date.now() + this.lockoutMs);
+
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil }
+    });
+    await store.reset(this.failureKey(user.id));
+
+    this.logger.warn({
+      message: 'Account locked after repeated login failures',
+      userId: user.id,
+      failures: count,
+      ipAddress: context.ipAddress,
+      lockedUntil: lockedUntil.toISOString()
+    });
+
+    await this.notifyLocked(user, lockedUntil);
+
+    return lockedUntil;
+  }
+
+  /**
+   * Clear failure history after a successful login
+   * @param {Object} user User record
+   */
+  async recordSuccess(user) {
+    await this.getStore().reset(this.failureKey(user.id));
+  }
+
+  /**
+   * Unlock an account and clear its failure history
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} Updated user
+   */
+  async unlock(userId) {
+    await this.getStore().reset(this.failureKey(userId));
+
+    return this.prisma.user.update({
+      where: { id: userId },
+      data: { lockedUntil: null },
+      select: { id: true, email: true, lockedUntil: true }
+    });
+  }
+
+  /**
+   * Tell the user their account was locked, in-app and by email
+   * @param {Object} user User record
+   * @param {Date} lockedUntil Lock expiry
+   */
+  async notifyLocked(user, lockedUntil) {
+    try {
+      await this.prisma.notification.create({
+        data: {
+          userId: user.id,
+          type: 'account_locked',
+          title: 'Account Temporarily Locked',
+          message: `Your account was locked after several failed sign-in attempts. You can try again after ${lockedUntil.toISOString()} or reset your password.`,
+          isRead: false,
+          actionUrl: '/forgot-password'
+        }
+      });
+
+      if (this.mailer) {
+        await this.mailer.sendAccountLockedEmail(user, lockedUntil);
+      }
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to notify user of account lockout',
+        error: error.message,
+        userId: user.id
+      });
+    }
+  }
+
+  /**
+   * Build the failure counter key for a user
+   * @param {string} userId User ID
+   * @returns {string} Store key
+   */
+  failureKey(userId) {
+    return `login-failures:${userId}`;
+  }
+}
+
+module.exports = { AccountLockoutService };
@@ -0,0 +1,66 @@
+/**
+ * Tests for Account Lockout Service
+ */
+
+const { AccountLockoutService } = require('./account-lockout.service');
+const { MemoryRateLimitStore } = require('./rate-limit-store');
+
+describe('AccountLockoutService', () => {
+  const user = { id: 'user-1', email: 'nurse@example.com', firstName: 'Ana' };
+  let prisma;
+  let mailer;
+  let service;
+
+  beforeEach(() => {
+    const store = new MemoryRateLimitStore();
+    prisma = {
+      user: { update: jest.fn(async ({ data }) => ({ ...user, ...data })) },
+      notification: { create: jest.fn() }
+    };
+    mailer = { sendAccountLockedEmail: jest.fn() };
+    service = new AccountLockoutService(prisma, {
+      mailer,
+      getStore: () => store,
+      maxFailures: 3,
+      lockoutMs: 60000
+    });
+  });
+
+  test('locks the account once the failure threshold is reached', async () => {
+    await expect(service.recordFailure(user)).resolves.toBeNull();
+    await expect(service.recordFailure(user)).resolves.toBeNull();
+
+    const lockedUntil = await service.recordFailure(user);
+
+    expect(lockedUntil).toBeInstanceOf(Date);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: user.id },
+      data: { lockedUntil }
+    });
+    expect(prisma.notification.create).toHaveBeenCalled();
+    expect(mailer.sendAccountLockedEmail).toHaveBeenCalledWith(user, lockedUntil);
+  });
+
+  test('resets the failure count after a successful login', async () => {
+    await service.recordFailure(user);
+    await service.recordFailure(user);
+    await service.recordSuccess(user);
+
+    await expect(service.recordFailure(user)).resolves.toBeNull();
+  });
+
+  test('reports whether an account is locked', () => {
+    expect(service.isLocked({ lockedUntil: new Date(Date.now() + 1000) })).toBe(true);
+    expect(service.isLocked({ lockedUntil: new Date(Date.now() - 1000) })).toBe(false);
+    expect(service.isLocked({ lockedUntil: null })).toBe(false);
+  });
+
+  test('unlocks accounts', async () => {
+    await service.unlock(user.id);
+
+    expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: user.id },
+      data: { lockedUntil: null }
+    }));
+  });
+});
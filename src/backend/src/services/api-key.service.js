@@ -0,0 +1,276 @@
+/**
+ * API Key Service
+ *
+ * Manages admin-issued API keys for partners and internal integrations.
+ * Keys look like `ems_<prefix>_<secret>`; the prefix identifies the key in
+ * listings and logs, and only a SHA-256 hash of the full key is stored.
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { hashToken } = require('./user-token.service');
+
+const KEY_PREFIX = 'ems_';
+const KEY_PATTERN = /^ems_[A-Za-z0-9]{8}_[A-Za-z0-9_-]{43}$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Scopes that can be granted to an API key
+ */
+const ApiScopes = {
+  JOBS_READ: 'jobs:read',
+  JOBS_WRITE: 'jobs:write',
+  FACILITIES_READ: 'facilities:read',
+  FACILITIES_WRITE: 'facilities:write',
+  APPLICATIONS_READ: 'applications:read',
+  APPLICATIONS_WRITE: 'applications:write'
+};
+
+/**
+ * Get the rate limit for keys without their own limit
+ * @returns {number} Requests per minute
+ */
+function getDefaultRateLimit() {
+  return parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 600;
+}
+
+/**
+ * Check whether a string is shaped like an API key
+ * @param {string} value Candidate key
+ * @returns {boolean} True if it looks like an API key
+ */
+function isApiKey(value) {
+  return typeof value === 'string' && KEY_PATTERN.test(value);
+}
+
+/**
+ * Generate a new raw API key
+ * @returns {Object} The raw key and its public prefix
+ */
+function generateApiKey() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const id = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+  const prefix = `${KEY_PREFIX}${id}`;
+
+  return {
+    key: `${prefix}_${crypto.randomBytes(32).toString('base64url')}`,
+    prefix
+  };
+}
+
+/**
+ * Get the start of the UTC day for a time
+ * @param {Date} date Time
+ * @returns {Date} Midnight UTC
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Fields returned in listings; the hash is never exposed
+const PUBLIC_FIELDS = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  rateLimitPerMinute: true,
+  createdById: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true
+};
+
+class ApiKeyService {
+  /**
+   * Create a new ApiKeyService
+   * @param {Object} prisma Prisma client
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.logger = new Logger({ service: 'ApiKeyService' });
+  }
+
+  /**
+   * Issue a new API key
+   * @param {Object} params Key parameters
+   * @param {string} params.name Descriptive name, e.g. the partner
+   * @param {Array<string>} params.scopes Granted scopes
+   * @param {number} params.rateLimitPerMinute Per-key rate limit, or null for the default
+   * @param {Date} params.expiresAt Optional expiry
+   * @param {string} params.createdById Admin issuing the key
+   * @returns {Promise<Object>} The stored key and the raw key, which is only available now
+   */
+  async create({ name, scopes, rateLimitPerMinute = null, expiresAt = null, createdById }) {
+    const { key, prefix } = generateApiKey();
+
+    const apiKey = await this.prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash: hashToken(key),
+        scopes,
+        rateLimitPerMinute,
+        expiresAt,
+        createdById
+      },
+      select: PUBLIC_FIELDS
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Look up the active key matching a raw key
+   * @param {string} key Raw API key
+   * @returns {Promise<Object|null>} Key record, or null if unknown, revoked or expired
+   */
+  async authenticate(key) {
+    if (!isApiKey(key)) {
+      return null;
+    }
+
+    const apiKey = await this.prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(key) },
+      select: PUBLIC_FIELDS
+    });
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Get the effective rate limit for a key
+   * @param {Object} apiKey Key record
+   * @returns {number} Requests per minute
+   */
+  getRateLimit(apiKey) {
+    return apiKey.rateLimitPerMinute || getDefaultRateLimit();
+  }
+
+  /**
+   * Record a request made with a key
+   * @param {Object} apiKey Key record
+   * @param {Object} outcome Request outcome
+   * @param {number} outcome.statusCode Response status code
+   */
+  async recordUsage(apiKey, { statusCode }) {
+    const now = new Date();
+    const counts = {
+      requestCount: 1,
+      errorCount: statusCode >= 400 && statusCode !== 429 ? 1 : 0,
+      rateLimitedCount: statusCode === 429 ? 1 : 0
+    };
+
+    await this.prisma.apiKeyUsage.upsert({
+      where: { apiKeyId_date: { apiKeyId: apiKey.id, date: startOfDay(now) } },
+      create: { apiKeyId: apiKey.id, date: startOfDay(now), ...counts },
+      update: {
+        requestCount: { increment: counts.requestCount },
+        errorCount: { increment: counts.errorCount },
+        rateLimitedCount: { increment: counts.rateLimitedCount }
+      }
+    });
+
+    // Avoid a write per request for busy keys
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      await this.prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now }
+      });
+    }
+  }
+
+  /**
+   * List all keys
+   * @returns {Promise<Array>} Keys, newest first
+   */
+  async list() {
+    return this.prisma.apiKey.findMany({
+      select: PUBLIC_FIELDS,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Find a key by ID
+   * @param {string} id Key ID
+   * @returns {Promise<Object|null>} Key or null
+   */
+  async findById(id) {
+    return this.prisma.apiKey.findUnique({
+      where: { id },
+      select: PUBLIC_FIELDS
+    });
+  }
+
+  /**
+   * Update a key's name, scopes, rate limit or expiry
+   * @param {string} id Key ID
+   * @param {Object} changes Fields to change
+   * @returns {Promise<Object>} Updated key
+   */
+  async update(id, changes) {
+    const data = {};
+
+    ['name', 'scopes', 'rateLimitPerMinute', 'expiresAt'].forEach(field => {
+      if (changes[field] !== undefined) {
+        data[field] = changes[field];
+      }
+    });
+
+    return this.prisma.apiKey.update({
+      where: { id },
+      data,
+      select: PUBLIC_FIELDS
+    });
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id Key ID
+   * @returns {Promise<boolean>} True if an active key was revoked
+   */
+  async revoke(id) {
+    const { count } = await this.prisma.apiKey.updateMany({
+      where: { id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Get daily usage for a key
+   * @param {string} id Key ID
+   * @param {number} days Number of days to include, ending today
+   * @returns {Promise<Object>} Daily rows, oldest first, and totals
+   */
+  async getUsage(id, days = 30) {
+    const since = startOfDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    const daily = await this.prisma.apiKeyUsage.findMany({
+      where: { apiKeyId: id, date: { gte: since } },
+      select: { date: true, requestCount: true, errorCount: true, rateLimitedCount: true },
+      orderBy: { date: 'asc' }
+    });
+
+    const totals = daily.reduce((sum, day) => ({
+      requestCount: sum.requestCount + day.requestCount,
+      errorCount: sum.errorCount + day.errorCount,
+      rateLimitedCount: sum.rateLimitedCount + day.rateLimitedCount
+    }), { requestCount: 0, errorCount: 0, rateLimitedCount: 0 });
+
+    return { daily, totals };
+  }
+}
+
+module.exports = {
+  ApiKeyService,
+  ApiScopes,
+  isApiKey,
+  generateApiKey
+};
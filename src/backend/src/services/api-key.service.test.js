@@ -0,0 +1,116 @@
+/**
+ * Tests for API Key Service
+ */
+
+const { ApiKeyService, ApiScopes, isApiKey } = require('./api-key.service');
+const { hashToken } = require('./user-token.service');
+
+/**
+ * Minimal in-memory stand-in for the ApiKey and ApiKeyUsage delegates
+ */
+function createPrismaStub() {
+  const keys = [];
+  const usage = [];
+
+  const prisma = {
+    apiKey: {
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `key-${keys.length + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data };
+        keys.push(record);
+        return record;
+      }),
+      findUnique: jest.fn(async ({ where }) =>
+        keys.find(key => (where.id ? key.id === where.id : key.keyHash === where.keyHash)) || null),
+      update: jest.fn(async ({ where, data }) => Object.assign(keys.find(key => key.id === where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = keys.filter(key => key.id === where.id && key.revokedAt === where.revokedAt);
+        matched.forEach(key => Object.assign(key, data));
+        return { count: matched.length };
+      })
+    },
+    apiKeyUsage: {
+      upsert: jest.fn(async ({ where, create, update }) => {
+        const { apiKeyId, date } = where.apiKeyId_date;
+        const row = usage.find(entry => entry.apiKeyId === apiKeyId && entry.date.getTime() === date.getTime());
+
+        if (!row) {
+          usage.push({ ...create });
+          return create;
+        }
+
+        Object.entries(update).forEach(([field, { increment }]) => {
+          row[field] += increment;
+        });
+        return row;
+      }),
+      findMany: jest.fn(async ({ where }) => usage.filter(entry => entry.apiKeyId === where.apiKeyId))
+    }
+  };
+
+  return { prisma, keys, usage };
+}
+
+describe('ApiKeyService', () => {
+  let stub;
+  let service;
+
+  beforeEach(() => {
+    stub = createPrismaStub();
+    service = new ApiKeyService(stub.prisma);
+  });
+
+  test('issues prefixed keys and stores only their hash', async () => {
+    const { apiKey, key } = await service.create({
+      name: 'Job board partner',
+      scopes: [ApiScopes.JOBS_READ],
+      createdById: 'admin-1'
+    });
+
+    expect(isApiKey(key)).toBe(true);
+    expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+    expect(stub.keys[0].keyHash).toBe(hashToken(key));
+    expect(JSON.stringify(stub.keys[0])).not.toContain(key);
+  });
+
+  test('authenticates active keys only', async () => {
+    const { apiKey, key } = await service.create({ name: 'ATS', scopes: [ApiScopes.APPLICATIONS_WRITE], createdById: 'admin-1' });
+
+    await expect(service.authenticate(key)).resolves.toEqual(expect.objectContaining({ id: apiKey.id }));
+    await expect(service.authenticate(`${key.slice(0, -1)}x`)).resolves.toBeNull();
+    await expect(service.authenticate('not-a-key')).resolves.toBeNull();
+
+    await expect(service.revoke(apiKey.id)).resolves.toBe(true);
+    await expect(service.revoke(apiKey.id)).resolves.toBe(false);
+    await expect(service.authenticate(key)).resolves.toBeNull();
+  });
+
+  test('rejects expired keys', async () => {
+    const { key } = await service.create({
+      name: 'Expired',
+      scopes: [ApiScopes.JOBS_READ],
+      expiresAt: new Date(Date.now() - 1000),
+      createdById: 'admin-1'
+    });
+
+    await expect(service.authenticate(key)).resolves.toBeNull();
+  });
+
+  test('falls back to the default rate limit', () => {
+    expect(service.getRateLimit({ rateLimitPerMinute: 30 })).toBe(30);
+    expect(service.getRateLimit({ rateLimitPerMinute: null })).toBe(600);
+  });
+
+  test('counts requests, errors and rate-limited requests per day', async () => {
+    const { apiKey } = await service.create({ name: 'ATS', scopes: [ApiScopes.JOBS_READ], createdById: 'admin-1' });
+
+    await service.recordUsage(apiKey, { statusCode: 200 });
+    await service.recordUsage(apiKey, { statusCode: 404 });
+    await service.recordUsage(apiKey, { statusCode: 429 });
+
+    const { daily, totals } = await service.getUsage(apiKey.id);
+
+    expect(daily).toHaveLength(1);
+    expect(totals).toEqual({ requestCount: 3, errorCount: 1, rateLimitedCount: 1 });
+    expect(stub.keys[0].lastUsedAt).toBeInstanceOf(Date);
+  });
+});
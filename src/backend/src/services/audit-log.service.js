@@ -0,0 +1,240 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only record of sensitive reads and writes: who acted, what they
+ * did to which entity, from where, and which fields changed. Entries are
+ * never updated or deleted; the database rejects both.
+ */
+
+const { Logger } = require('../utils/logger');
+const { MASKED_FIELDS, maskValue } = require('../utils/masking');
+
+/**
+ * Actions recorded in the audit log
+ */
+const AuditAction = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  VIEW: 'view',
+  STATUS_CHANGE: 'status_change',
+  UNLOCK: 'unlock'
+};
+
+/**
+ * Actor used for changes made by background jobs and integrations
+ */
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Fields whose values must never be written to the audit log
+const REDACTED_FIELDS = ['passwordHash', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'tokenHash'];
+
+// PII fields recorded only in masked form
+const PII_FIELDS = Object.values(MASKED_FIELDS).flatMap(config => config.fields);
+
+// Bookkeeping fields that change on every write and carry no audit value
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build the audit actor for an authenticated request. Requests made with an
+ * API key are attributed to the key.
+ * @param {Object} req Express request
+ * @returns {Object} Actor ID, role, IP address and user agent
+ */
+function getAuditActor(req) {
+  if (req.apiKey) {
+    return {
+      id: req.apiKey.id,
+      role: 'api_key',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+  }
+
+  return {
+    id: req.user ? req.user.id : null,
+    role: req.user ? req.user.role : null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+}
+
+/**
+ * Normalize a value so it can be compared and stored as JSON
+ * @param {*} value Field value
+ * @returns {*} JSON-safe value
+ */
+function normalizeValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compute a field-level diff between two snapshots of an entity. When both
+ * snapshots are given only the fields they share are compared, so partial
+ * snapshots can be diffed against full records. Nested relations are skipped.
+ * @param {Object|null} before Snapshot before the change
+ * @param {Object|null} after Snapshot after the change
+ * @returns {Object|null} Map of field to { before, after }, or null if nothing changed
+ */
+function computeChanges(before, after) {
+  const fields = before && after
+    ? Object.keys(after).filter(field => field in before)
+    : Object.keys(before || after || {});
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const previous = normalizeValue(before ? before[field] : undefined);
+    const next = normalizeValue(after ? after[field] : undefined);
+
+    if (isRelation(previous) || isRelation(next)) {
+      continue;
+    }
+
+    if (JSON.stringify(previous) === JSON.stringify(next)) {
+      continue;
+    }
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes[field] = { before: '[REDACTED]', after: '[REDACTED]' };
+    } else if (PII_FIELDS.includes(field)) {
+      changes[field] = { before: maskValue(previous), after: maskValue(next) };
+    } else {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Check whether a value looks like an included Prisma relation
+ * @param {*} value Normalized field value
+ * @returns {boolean} True for nested records and record lists
+ */
+function isRelation(value) {
+  if (Array.isArray(value)) {
+    return value.some(item => item !== null && typeof item === 'object' && 'id' in item);
+  }
+
+  return value !== null && typeof value === 'object' && 'id' in value;
+}
+
+class AuditLogService {
+  /**
+   * Create a new AuditLogService
+   * @param {Object} prisma Prisma client
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.logger = new Logger({ service: 'AuditLogService' });
+  }
+
+  /**
+   * Append an entry to the audit log. Failures are logged rather than
+   * thrown so that auditing never breaks the operation being audited.
+   * @param {Object} entry Audit entry
+   * @param {Object} entry.actor Actor from getAuditActor, or SYSTEM_ACTOR
+   * @param {string} entry.action One of AuditAction
+   * @param {string} entry.entityType Entity type, e.g. 'Application'
+   * @param {string} entry.entityId Entity ID
+   * @param {Object} entry.before Entity snapshot before the change
+   * @param {Object} entry.after Entity snapshot after the change
+   * @param {Object} entry.metadata Additional context
+   * @returns {Promise<Object|null>} Created entry, or null if it could not be written
+   */
+  async record({ actor = SYSTEM_ACTOR, action, entityType, entityId, before, after, metadata }) {
+    try {
+      const changes = computeChanges(before, after);
+
+      return await this.prisma.auditLog.create({
+        data: {
+          actorId: actor.id || null,
+          actorRole: actor.role || null,
+          action,
+          entityType,
+          entityId,
+          changes: changes || undefined,
+          metadata: metadata ? normalizeValue(metadata) : undefined,
+          ipAddress: actor.ipAddress || null,
+          userAgent: actor.userAgent || null
+        }
+      });
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to write audit log entry',
+        error: error.message,
+        action,
+        entityType,
+        entityId,
+        actorId: actor.id
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Search the audit log
+   * @param {Object} filters Search filters
+   * @param {string} filters.actorId Actor user ID
+   * @param {string} filters.entityType Entity type
+   * @param {string} filters.entityId Entity ID
+   * @param {string} filters.action Action
+   * @param {Date} filters.from Earliest entry time, inclusive
+   * @param {Date} filters.to Latest entry time, inclusive
+   * @param {number} filters.page Page number
+   * @param {number} filters.limit Page size
+   * @returns {Promise<Object>} Matching entries, newest first, and the total count
+   */
+  async query(filters = {}) {
+    const { actorId, entityType, entityId, action, from, to } = filters;
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const where = {};
+
+    if (actorId) where.actorId = actorId;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (action) where.action = action;
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      this.prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.auditLog.count({ where })
+    ]);
+
+    return { entries, total, page, limit };
+  }
+}
+
+module.exports = {
+  AuditLogService,
+  AuditAction,
+  SYSTEM_ACTOR,
+  getAuditActor,
+  computeChanges
+};
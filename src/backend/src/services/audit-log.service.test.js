@@ -0,0 +1,160 @@
+/**
+ * Tests for Audit Log Service
+ */
+
+const {
+  AuditLogService,
+  AuditAction,
+  SYSTEM_ACTOR,
+  getAuditActor,
+  computeChanges
+} = require('./audit-log.service');
+
+/**
+ * Minimal in-memory stand-in for the auditLog Prisma delegate
+ */
+function createPrismaStub() {
+  const entries = [];
+
+  const matches = (entry, where) =>
+    Object.entries(where).every(([key, value]) => {
+      if (key === 'createdAt') {
+        return (!value.gte || entry.createdAt >= value.gte) && (!value.lte || entry.createdAt <= value.lte);
+      }
+      return entry[key] === value;
+    });
+
+  return {
+    entries,
+    auditLog: {
+      create: jest.fn(async ({ data }) => {
+        const entry = { id: `audit-${entries.length + 1}`, createdAt: new Date(), ...data };
+        entries.push(entry);
+        return entry;
+      }),
+      findMany: jest.fn(async ({ where, skip, take }) =>
+        entries
+          .filter(entry => matches(entry, where))
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(skip, skip + take)),
+      count: jest.fn(async ({ where }) => entries.filter(entry => matches(entry, where)).length)
+    }
+  };
+}
+
+describe('computeChanges', () => {
+  test('returns only the fields that changed', () => {
+    const changes = computeChanges(
+      { status: 'submitted', recruiterNotes: null, updatedAt: new Date(0) },
+      { status: 'interview', recruiterNotes: null, updatedAt: new Date() }
+    );
+
+    expect(changes).toEqual({ status: { before: 'submitted', after: 'interview' } });
+  });
+
+  test('compares only shared fields when both snapshots are given', () => {
+    expect(computeChanges({ firstName: 'Ann' }, { firstName: 'Anna', lastName: 'Lee' })).toEqual({
+      firstName: { before: 'Ann', after: 'Anna' }
+    });
+  });
+
+  test('skips included relations and redacts secrets', () => {
+    const changes = computeChanges(
+      { passwordHash: 'old', job: { id: 'job-1', title: 'ICU RN' } },
+      { passwordHash: 'new', job: { id: 'job-1', title: 'ICU RN (updated)' } }
+    );
+
+    expect(changes).toEqual({ passwordHash: { before: '[REDACTED]', after: '[REDACTED]' } });
+  });
+
+  test('records every field of a created entity', () => {
+    expect(computeChanges(null, { id: 'job-1', payRate: 2400 })).toEqual({
+      id: { before: null, after: 'job-1' },
+      payRate: { before: null, after: 2400 }
+    });
+  });
+
+  test('returns null when nothing changed', () => {
+    expect(computeChanges({ status: 'active' }, { status: 'active' })).toBeNull();
+  });
+});
+
+describe('AuditLogService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaStub();
+    service = new AuditLogService(prisma);
+  });
+
+  test('records the actor, request details and diff', async () => {
+    const req = {
+      user: { id: 'recruiter-1', role: 'recruiter' },
+      ip: '10.0.0.1',
+      headers: { 'user-agent': 'jest' }
+    };
+
+    await service.record({
+      actor: getAuditActor(req),
+      action: AuditAction.STATUS_CHANGE,
+      entityType: 'Application',
+      entityId: 'application-1',
+      before: { status: 'submitted' },
+      after: { status: 'placed' }
+    });
+
+    expect(prisma.entries[0]).toEqual(expect.objectContaining({
+      actorId: 'recruiter-1',
+      actorRole: 'recruiter',
+      action: 'status_change',
+      entityType: 'Application',
+      entityId: 'application-1',
+      changes: { status: { before: 'submitted', after: 'placed' } },
+      ipAddress: '10.0.0.1',
+      userAgent: 'jest'
+    }));
+  });
+
+  test('defaults to the system actor', async () => {
+    await service.record({ action: AuditAction.UPDATE, entityType: 'Job', entityId: 'job-1' });
+
+    expect(prisma.entries[0]).toEqual(expect.objectContaining({
+      actorId: null,
+      actorRole: SYSTEM_ACTOR.role
+    }));
+  });
+
+  test('does not throw when the entry cannot be written', async () => {
+    prisma.auditLog.create.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(service.record({
+      action: AuditAction.VIEW,
+      entityType: 'User',
+      entityId: 'user-1'
+    })).resolves.toBeNull();
+  });
+
+  test('filters by actor, entity and date range', async () => {
+    await service.record({ actor: { id: 'admin-1', role: 'admin' }, action: 'update', entityType: 'Job', entityId: 'job-1' });
+    await service.record({ actor: { id: 'admin-1', role: 'admin' }, action: 'update', entityType: 'Facility', entityId: 'facility-1' });
+    await service.record({ actor: { id: 'admin-2', role: 'admin' }, action: 'update', entityType: 'Job', entityId: 'job-1' });
+    prisma.entries[0].createdAt = new Date('2026-01-01T00:00:00Z');
+
+    const byActor = await service.query({ actorId: 'admin-1' });
+    expect(byActor.total).toBe(2);
+
+    const byEntity = await service.query({ entityType: 'Job', entityId: 'job-1' });
+    expect(byEntity.entries.map(entry => entry.actorId)).toEqual(['admin-2', 'admin-1']);
+
+    const recent = await service.query({ entityType: 'Job', from: new Date('2026-06-01T00:00:00Z') });
+    expect(recent.entries).toHaveLength(1);
+  });
+
+  test('caps the page size', async () => {
+    const result = await service.query({ limit: '1000' });
+
+    expect(result.limit).toBe(100);
+    expect(prisma.auditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 100 }));
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Cache Stores
+ *
+ * String key-value stores with per-entry expiry, used for read-through
+ * caching. Redis is used when connected so cached values and invalidations
+ * are shared across instances; otherwise an in-memory store is used.
+ */
+
+const { getRedisClient } = require('../utils/redis-client');
+
+// Most entries the in-memory store holds before evicting the oldest
+const MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * In-memory cache store for a single process
+ */
+class MemoryCacheStore {
+  /**
+   * Create a new MemoryCacheStore
+   * @param {number} maxEntries Most entries held before evicting the oldest
+   */
+  constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key Cache key
+   * @returns {Promise<string|null>} Value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Get several values
+   * @param {Array<string>} keys Cache keys
+   * @returns {Promise<Array<string|null>>} Values in key order
+   */
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  /**
+   * Set a value
+   * @param {string} key Cache key
+   * @param {string} value Value
+   * @param {number} ttlSeconds Seconds until the value expires
+   */
+  async set(key, value, ttlSeconds) {
+    // Re-inserting keeps the Map in write order, oldest first
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Redis cache store
+ */
+class RedisCacheStore {
+  /**
+   * Create a new RedisCacheStore
+   * @param {Object} client Connected Redis client
+   * @param {string} prefix Key prefix
+   */
+  constructor(client, prefix = 'cache:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key Cache key
+   * @returns {Promise<string|null>} Value, or null if missing or expired
+   */
+  async get(key) {
+    return this.client.get(this.prefix + key);
+  }
+
+  /**
+   * Get several values
+   * @param {Array<string>} keys Cache keys
+   * @returns {Promise<Array<string|null>>} Values in key order
+   */
+  async mGet(keys) {
+    return this.client.mGet(keys.map(key => this.prefix + key));
+  }
+
+  /**
+   * Set a value
+   * @param {string} key Cache key
+   * @param {string} value Value
+   * @param {number} ttlSeconds Seconds until the value expires
+   */
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, value, { EX: ttlSeconds });
+  }
+}
+
+const memoryStore = new MemoryCacheStore();
+let redisStore = null;
+
+/**
+ * Get the store to use: Redis when connected, otherwise the process-wide
+ * in-memory store.
+ * @returns {RedisCacheStore|MemoryCacheStore} Cache store
+ */
+function getCacheStore() {
+  const client = getRedisClient();
+
+  if (!client) {
+    return memoryStore;
+  }
+
+  if (!redisStore || redisStore.client !== client) {
+    redisStore = new RedisCacheStore(client);
+  }
+
+  return redisStore;
+}
+
+module.exports = {
+  MemoryCacheStore,
+  RedisCacheStore,
+  getCacheStore
+};
@@ -0,0 +1,228 @@
+/**
+ * Facility Stats Service
+ *
+ * Summarizes a facility's jobs and applications for its profile page: open
+ * jobs by specialty, what open jobs pay, how long jobs take to fill, how long
+ * contracts run, how many jobs were posted each month and how many
+ * applications it takes to place a candidate. Everything but the open jobs
+ * looks back over the last HISTORY_MONTHS calendar months, and jobs merged
+ * into another posting are left out so cross-posted openings count once.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar months of history, including the current one
+const HISTORY_MONTHS = 12;
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Round a number to a number of decimal places
+ * @param {number|null} value Value
+ * @param {number} places Decimal places
+ * @returns {number|null} Rounded value
+ */
+function round(value, places = 1) {
+  if (value === null) {
+    return null;
+  }
+
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format a date as its UTC month, e.g. 2026-10
+ * @param {Date} date Date
+ * @returns {string} Month
+ */
+function getMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+class FacilityStatsService {
+  /**
+   * Create a new FacilityStatsService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {number} options.historyMonths Calendar months of history (defaults to 12)
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.historyMonths = options.historyMonths || HISTORY_MONTHS;
+  }
+
+  /**
+   * Get the stats for a facility's profile
+   * @param {string} facilityId Facility ID
+   * @param {Date} now Current time
+   * @returns {Promise<Object|null>} Stats, or null if the facility does not exist
+   */
+  async getStats(facilityId, now = new Date()) {
+    const facility = await this.prisma.facility.findUnique({
+      where: { id: facilityId },
+      select: { id: true }
+    });
+
+    if (!facility) {
+      return null;
+    }
+
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - this.historyMonths + 1, 1));
+
+    const [jobs, fills, applications, placements] = await Promise.all([
+      this.prisma.job.findMany({
+        where: {
+          facilityId,
+          canonicalJobId: null,
+          OR: [{ status: 'active' }, { createdAt: { gte: since } }]
+        },
+        select: { specialty: true, payRate: true, startDate: true, endDate: true, status: true, createdAt: true }
+      }),
+      // Jobs reopened and filled again only count their latest fill
+      this.prisma.jobStatusTransition.findMany({
+        where: {
+          toStatus: 'filled',
+          createdAt: { gte: since },
+          job: { facilityId, canonicalJobId: null }
+        },
+        select: { createdAt: true, job: { select: { createdAt: true } } },
+        distinct: ['jobId'],
+        orderBy: { createdAt: 'desc' }
+      }),
+      this.prisma.application.count({
+        where: { job: { facilityId, canonicalJobId: null }, applicationDate: { gte: since } }
+      }),
+      this.prisma.application.count({
+        where: { job: { facilityId, canonicalJobId: null }, applicationDate: { gte: since }, status: 'placed' }
+      })
+    ]);
+
+    const openJobs = jobs.filter(job => job.status === 'active');
+    const recentJobs = jobs.filter(job => job.createdAt >= since);
+
+    return {
+      facilityId,
+      since,
+      openJobs: this.countBySpecialty(openJobs),
+      pay: this.summarizePay(openJobs),
+      averageTimeToFillDays: this.averageTimeToFill(fills),
+      typicalContractWeeks: this.typicalContractWeeks(recentJobs),
+      postingVolume: this.postingVolume(recentJobs, since),
+      applications: {
+        total: applications,
+        placed: placements,
+        applicationsPerPlacement: placements ? round(applications / placements) : null
+      }
+    };
+  }
+
+  /**
+   * Count open jobs by specialty, most openings first
+   * @param {Object[]} jobs Open jobs
+   * @returns {Object} Total and counts by specialty
+   */
+  countBySpecialty(jobs) {
+    const counts = new Map();
+
+    for (const job of jobs) {
+      counts.set(job.specialty, (counts.get(job.specialty) || 0) + 1);
+    }
+
+    return {
+      total: jobs.length,
+      bySpecialty: [...counts]
+        .map(([specialty, count]) => ({ specialty, count }))
+        .sort((a, b) => b.count - a.count || a.specialty.localeCompare(b.specialty))
+    };
+  }
+
+  /**
+   * Summarize the hourly pay of open jobs
+   * @param {Object[]} jobs Open jobs
+   * @returns {Object|null} Minimum, maximum and median pay, or null without open jobs
+   */
+  summarizePay(jobs) {
+    const rates = jobs.map(job => job.payRate).filter(rate => rate > 0);
+
+    if (rates.length === 0) {
+      return null;
+    }
+
+    return {
+      min: Math.min(...rates),
+      max: Math.max(...rates),
+      median: round(median(rates), 2)
+    };
+  }
+
+  /**
+   * Average days from posting a job to it being filled
+   * @param {Object[]} fills Latest transition to filled of each job, with the job's creation time
+   * @returns {number|null} Average days, or null without filled jobs
+   */
+  averageTimeToFill(fills) {
+    if (fills.length === 0) {
+      return null;
+    }
+
+    const days = fills.map(fill => Math.max(0, fill.createdAt - fill.job.createdAt) / DAY);
+    return round(days.reduce((sum, value) => sum + value, 0) / days.length);
+  }
+
+  /**
+   * Median contract length of jobs with a start and end date
+   * @param {Object[]} jobs Jobs
+   * @returns {number|null} Weeks, or null without dated jobs
+   */
+  typicalContractWeeks(jobs) {
+    const weeks = jobs
+      .filter(job => job.startDate && job.endDate && job.endDate > job.startDate)
+      .map(job => Math.round((job.endDate - job.startDate) / (7 * DAY)));
+
+    return median(weeks);
+  }
+
+  /**
+   * Count jobs posted in each month of the history, oldest first
+   * @param {Object[]} jobs Jobs posted since the start of the history
+   * @param {Date} since Start of the history
+   * @returns {Object[]} Month and count, including months without postings
+   */
+  postingVolume(jobs, since) {
+    const counts = new Map();
+
+    for (let i = 0; i < this.historyMonths; i++) {
+      counts.set(getMonth(new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + i, 1))), 0);
+    }
+
+    for (const job of jobs) {
+      const month = getMonth(job.createdAt);
+
+      if (counts.has(month)) {
+        counts.set(month, counts.get(month) + 1);
+      }
+    }
+
+    return [...counts].map(([month, count]) => ({ month, count }));
+  }
+}
+
+module.exports = {
+  FacilityStatsService,
+  HISTORY_MONTHS
+};
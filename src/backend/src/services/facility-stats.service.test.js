@@ -0,0 +1,121 @@
+/**
+ * Tests for Facility Stats Service
+ */
+
+const { FacilityStatsService } = require('./facility-stats.service');
+
+function createPrismaStub({ facility = { id: 'facility-1' }, jobs = [], fills = [], applications = 0, placements = 0 } = {}) {
+  return {
+    facility: {
+      findUnique: jest.fn(async () => facility)
+    },
+    job: {
+      findMany: jest.fn(async () => jobs)
+    },
+    jobStatusTransition: {
+      findMany: jest.fn(async () => fills)
+    },
+    application: {
+      count: jest.fn()
+        .mockResolvedValueOnce(applications)
+        .mockResolvedValueOnce(placements)
+    }
+  };
+}
+
+describe('FacilityStatsService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const since = new Date('2025-11-01T00:00:00Z');
+
+  test('returns null for unknown facilities', async () => {
+    const prisma = createPrismaStub({ facility: null });
+
+    expect(await new FacilityStatsService(prisma).getStats('missing', now)).toBeNull();
+    expect(prisma.job.findMany).not.toHaveBeenCalled();
+  });
+
+  test('looks at canonical jobs that are open or were posted in the last 12 months, and their latest fills', async () => {
+    const prisma = createPrismaStub();
+
+    const stats = await new FacilityStatsService(prisma).getStats('facility-1', now);
+
+    expect(stats.since).toEqual(since);
+    expect(prisma.job.findMany.mock.calls[0][0].where).toEqual({
+      facilityId: 'facility-1',
+      canonicalJobId: null,
+      OR: [{ status: 'active' }, { createdAt: { gte: since } }]
+    });
+    expect(prisma.jobStatusTransition.findMany.mock.calls[0][0]).toMatchObject({
+      where: {
+        toStatus: 'filled',
+        createdAt: { gte: since },
+        job: { facilityId: 'facility-1', canonicalJobId: null }
+      },
+      distinct: ['jobId'],
+      orderBy: { createdAt: 'desc' }
+    });
+    expect(prisma.application.count.mock.calls[0][0].where).toEqual({
+      job: { facilityId: 'facility-1', canonicalJobId: null },
+      applicationDate: { gte: since }
+    });
+    expect(prisma.application.count.mock.calls[1][0].where).toEqual({
+      job: { facilityId: 'facility-1', canonicalJobId: null },
+      applicationDate: { gte: since },
+      status: 'placed'
+    });
+  });
+
+  test('summarizes open jobs, fills, contracts, postings and placements', async () => {
+    const prisma = createPrismaStub({
+      jobs: [
+        { specialty: 'ICU', payRate: 60, status: 'active', createdAt: new Date('2026-10-02T00:00:00Z'), startDate: new Date('2026-11-02T00:00:00Z'), endDate: new Date('2027-02-01T00:00:00Z') },
+        { specialty: 'ICU', payRate: 70, status: 'active', createdAt: new Date('2026-10-05T00:00:00Z'), startDate: null, endDate: null },
+        { specialty: 'ER', payRate: 64, status: 'active', createdAt: new Date('2026-09-10T00:00:00Z'), startDate: new Date('2026-10-05T00:00:00Z'), endDate: new Date('2026-12-28T00:00:00Z') },
+        { specialty: 'ER', payRate: 58, status: 'filled', createdAt: new Date('2026-03-01T00:00:00Z'), startDate: new Date('2026-04-06T00:00:00Z'), endDate: new Date('2026-07-06T00:00:00Z') },
+        // Open for over a year, so only counts as an open job
+        { specialty: 'OR', payRate: 0, status: 'active', createdAt: new Date('2025-06-01T00:00:00Z'), startDate: null, endDate: null }
+      ],
+      fills: [
+        { createdAt: new Date('2026-03-11T00:00:00Z'), job: { createdAt: new Date('2026-03-01T00:00:00Z') } },
+        { createdAt: new Date('2026-06-21T00:00:00Z'), job: { createdAt: new Date('2026-06-01T00:00:00Z') } }
+      ],
+      applications: 36,
+      placements: 5
+    });
+
+    const stats = await new FacilityStatsService(prisma).getStats('facility-1', now);
+
+    expect(stats.openJobs).toEqual({
+      total: 4,
+      bySpecialty: [
+        { specialty: 'ICU', count: 2 },
+        { specialty: 'ER', count: 1 },
+        { specialty: 'OR', count: 1 }
+      ]
+    });
+    expect(stats.pay).toEqual({ min: 60, max: 70, median: 64 });
+    expect(stats.averageTimeToFillDays).toBe(15);
+    expect(stats.typicalContractWeeks).toBe(13);
+    expect(stats.postingVolume).toHaveLength(12);
+    expect(stats.postingVolume[0]).toEqual({ month: '2025-11', count: 0 });
+    expect(stats.postingVolume.slice(-2)).toEqual([
+      { month: '2026-09', count: 1 },
+      { month: '2026-10', count: 2 }
+    ]);
+    expect(stats.postingVolume.find(volume => volume.month === '2026-03').count).toBe(1);
+    expect(stats.applications).toEqual({ total: 36, placed: 5, applicationsPerPlacement: 7.2 });
+  });
+
+  test('leaves stats without data null', async () => {
+    const stats = await new FacilityStatsService(createPrismaStub({ applications: 4 })).getStats('facility-1', now);
+
+    expect(stats).toMatchObject({
+      openJobs: { total: 0, bySpecialty: [] },
+      pay: null,
+      averageTimeToFillDays: null,
+      typicalContractWeeks: null,
+      applications: { total: 4, placed: 0, applicationsPerPlacement: null }
+    });
+    expect(stats.postingVolume.every(volume => volume.count === 0)).toBe(true);
+  });
+});
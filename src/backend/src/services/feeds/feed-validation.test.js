@@ -0,0 +1,340 @@
+/**
+ * Feed Validation Tests
+ *
+ * Renders every configured feed from sample jobs, including hostile text,
+ * and checks the output is well-formed and has what each format requires:
+ * the Indeed XML job elements, the RSS 2.0 and Atom 1.0 required elements,
+ * and the JSON Feed 1.1 required fields.
+ */
+
+const { JobFeedService } = require('./job-feed.service');
+const DEFAULT_FEEDS = require('../../data/job-feeds.json');
+
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+const jobs = [
+  {
+    id: 'job-1',
+    externalId: 'LE-1001',
+    title: 'ICU Travel Nurse',
+    specialty: 'ICU',
+    facilityName: 'Houston Methodist',
+    city: 'Houston',
+    state: 'TX',
+    zipCode: '77030',
+    payRate: 62.5,
+    weeklyHours: 36,
+    shiftType: 'Night',
+    description: 'Pay & benefits <b>bold</b> "quoted" ]]> end of CDATA',
+    requirements: '2 years ICU',
+    status: 'active',
+    startDate: new Date('2026-11-02T00:00:00.000Z'),
+    endDate: new Date('2027-02-01T00:00:00.000Z'),
+    createdAt: new Date('2026-10-01T08:00:00.000Z'),
+    updatedAt: new Date('2026-10-18T08:00:00.000Z')
+  },
+  {
+    id: 'job-2',
+    externalId: 'LE-1002',
+    title: 'L&D Nurse <Days> ]]>',
+    specialty: 'Labor & Delivery',
+    facilityName: 'Ochsner',
+    city: 'New Orleans',
+    state: 'LA',
+    zipCode: null,
+    payRate: 58,
+    weeklyHours: 36,
+    shiftType: null,
+    description: '',
+    requirements: '',
+    status: 'active',
+    startDate: null,
+    endDate: null,
+    createdAt: new Date('2026-10-10T08:00:00.000Z'),
+    updatedAt: new Date('2026-10-10T08:00:00.000Z')
+  }
+];
+
+/**
+ * Parse an XML document into an element tree, throwing if it is not
+ * well-formed
+ * @param {string} xml XML document
+ * @returns {Object} Root element with name, attributes, children and text
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const token = /<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>|([^<]+)|(<)/g;
+  const checkEntities = text => {
+    const invalid = text.match(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i);
+    if (invalid) {
+      throw new Error(`Unescaped & in "${text}"`);
+    }
+  };
+  let match;
+
+  if (!xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')) {
+    throw new Error('Missing XML declaration');
+  }
+
+  while ((match = token.exec(xml))) {
+    const [, cdataText, closeName, openName, attributeText, selfClosing, text, stray] = match;
+    const current = stack[stack.length - 1];
+
+    if (stray) {
+      throw new Error(`Stray < at ${match.index}`);
+    } else if (cdataText !== undefined) {
+      current.text += cdataText;
+    } else if (closeName) {
+      if (current.name !== closeName) {
+        throw new Error(`</${closeName}> closes <${current.name}>`);
+      }
+      stack.pop();
+    } else if (openName) {
+      const attributes = {};
+      for (const [, name, value] of attributeText.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+        checkEntities(value);
+        attributes[name] = value;
+      }
+
+      const element = { name: openName, attributes, children: [], text: '' };
+      current.children.push(element);
+
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      if (stack.length === 1 && text.trim()) {
+        throw new Error('Text outside the root element');
+      }
+      checkEntities(text);
+      current.text += text.trim() && text;
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is not closed`);
+  }
+
+  if (root.children.length !== 1) {
+    throw new Error('A document needs exactly one root element');
+  }
+
+  return root.children[0];
+}
+
+/**
+ * Get an element's child elements by name
+ * @param {Object} element Element
+ * @param {string} name Child name
+ * @returns {Array<Object>} Children
+ */
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Get the text of an element's only child of a name, failing the test if
+ * there is not exactly one
+ * @param {Object} element Element
+ * @param {string} name Child name
+ * @returns {string} Text
+ */
+function requiredText(element, name) {
+  const matches = childrenNamed(element, name);
+  expect({ element: element.name, child: name, count: matches.length }).toEqual({ element: element.name, child: name, count: 1 });
+  return matches[0].text;
+}
+
+/**
+ * Whether a string is an RFC 822 date as RSS and Indeed expect
+ * @param {string} value Value
+ * @returns {boolean} Whether it is
+ */
+function isRfc822(value) {
+  return /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} [A-Z][a-z]{2} \d{4} \d{2}:\d{2}:\d{2} GMT$/.test(value);
+}
+
+/**
+ * Whether a string is an RFC 3339 date as Atom and JSON Feed expect
+ * @param {string} value Value
+ * @returns {boolean} Whether it is
+ */
+function isRfc3339(value) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value);
+}
+
+/**
+ * Whether a job link is tagged with a feed's source
+ * @param {string} value URL, with XML entities decoded
+ * @param {Object} feed Feed definition
+ * @returns {boolean} Whether it is
+ */
+function isTaggedJobUrl(value, feed) {
+  const url = new URL(value);
+  return url.origin === 'https://example.com'
+    && /^\/jobs\/job-\d$/.test(url.pathname)
+    && url.searchParams.get('utm_source') === feed.source
+    && url.searchParams.get('utm_medium') === 'job_feed'
+    && url.searchParams.get('utm_campaign') === feed.name;
+}
+
+/**
+ * Decode the XML entities the renderers produce
+ * @param {string} text Escaped text
+ * @returns {string} Text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+describe('Feed validation', () => {
+  const prisma = {
+    job: {
+      findMany: jest.fn(async () => jobs)
+    }
+  };
+  const service = new JobFeedService(prisma, { websiteUrl: 'https://example.com' });
+
+  /**
+   * Render every configured feed of a format
+   * @param {string} format Format
+   * @returns {Promise<Array<Object>>} Feed definitions with their rendered content type and body
+   */
+  const renderAll = format => Promise.all(service.listFeeds()
+    .filter(feed => feed.format === format)
+    .map(async feed => ({ ...feed, ...await service.render(new URL(feed.url).pathname.split('/').pop(), now) })));
+
+  test('every configured feed has a format and a distinct URL', () => {
+    const urls = service.listFeeds().map(feed => feed.url);
+
+    expect(urls).toHaveLength(DEFAULT_FEEDS.length);
+    expect(new Set(urls).size).toBe(urls.length);
+    expect(urls).toEqual(expect.arrayContaining([
+      'https://example.com/feeds/indeed.xml',
+      'https://example.com/feeds/ziprecruiter.xml',
+      'https://example.com/feeds/jobs.rss',
+      'https://example.com/feeds/jobs.atom',
+      'https://example.com/feeds/jobs.json'
+    ]));
+  });
+
+  test('Indeed XML feeds have the elements Indeed requires for every job', async () => {
+    for (const feed of await renderAll('indeed')) {
+      const source = parseXml(feed.body);
+
+      expect(feed.contentType).toBe('application/xml');
+      expect(source.name).toBe('source');
+      expect(requiredText(source, 'publisher')).toBe('Excel Medical Staffing');
+      expect(requiredText(source, 'publisherurl')).toBe('https://example.com');
+      expect(isRfc822(requiredText(source, 'lastBuildDate'))).toBe(true);
+
+      const jobElements = childrenNamed(source, 'job');
+      expect(jobElements).toHaveLength(jobs.length);
+
+      jobElements.forEach((job, index) => {
+        ['title', 'referencenumber', 'company', 'city', 'state', 'country', 'description'].forEach(name => {
+          expect(requiredText(job, name)).not.toBe('');
+        });
+        expect(isRfc822(requiredText(job, 'date'))).toBe(true);
+        expect(isTaggedJobUrl(requiredText(job, 'url'), feed)).toBe(true);
+        expect(requiredText(job, 'referencenumber')).toBe(jobs[index].id);
+        expect(requiredText(job, 'salary')).toMatch(/^\$\d+\.\d{2} per hour$/);
+      });
+
+      // Text that would end a CDATA section early is split, not lost
+      expect(requiredText(jobElements[0], 'description')).toContain('&lt;b&gt;bold&lt;/b&gt; &quot;quoted&quot; ]]&gt; end of CDATA');
+      expect(requiredText(jobElements[1], 'title')).toBe('L&D Nurse <Days> ]]>');
+      expect(childrenNamed(jobElements[1], 'postalcode')).toHaveLength(0);
+    }
+  });
+
+  test('RSS feeds are valid RSS 2.0', async () => {
+    for (const feed of await renderAll('rss')) {
+      const rss = parseXml(feed.body);
+
+      expect(feed.contentType).toBe('application/rss+xml');
+      expect(rss.name).toBe('rss');
+      expect(rss.attributes.version).toBe('2.0');
+
+      const [channel] = childrenNamed(rss, 'channel');
+      ['title', 'link', 'description'].forEach(name => {
+        expect(requiredText(channel, name)).not.toBe('');
+      });
+      expect(childrenNamed(channel, 'atom:link')[0].attributes).toMatchObject({ rel: 'self', href: feed.url });
+
+      for (const item of childrenNamed(channel, 'item')) {
+        expect(requiredText(item, 'title')).not.toBe('');
+        expect(isTaggedJobUrl(decodeXml(requiredText(item, 'link')), feed)).toBe(true);
+        expect(childrenNamed(item, 'guid')[0].attributes.isPermaLink).toBe('false');
+        expect(isRfc822(requiredText(item, 'pubDate'))).toBe(true);
+      }
+    }
+  });
+
+  test('Atom feeds are valid Atom 1.0', async () => {
+    for (const feed of await renderAll('atom')) {
+      const atom = parseXml(feed.body);
+
+      expect(feed.contentType).toBe('application/atom+xml');
+      expect(atom.name).toBe('feed');
+      expect(atom.attributes.xmlns).toBe('http://www.w3.org/2005/Atom');
+      expect(requiredText(atom, 'id')).toBe(feed.url);
+      expect(requiredText(atom, 'title')).not.toBe('');
+      expect(isRfc3339(requiredText(atom, 'updated'))).toBe(true);
+      expect(requiredText(childrenNamed(atom, 'author')[0], 'name')).not.toBe('');
+
+      const entries = childrenNamed(atom, 'entry');
+      expect(entries).toHaveLength(jobs.length);
+
+      for (const entry of entries) {
+        expect(requiredText(entry, 'id')).toMatch(/^https:\/\/example\.com\/jobs\/job-\d$/);
+        expect(requiredText(entry, 'title')).not.toBe('');
+        expect(isRfc3339(requiredText(entry, 'updated'))).toBe(true);
+
+        const [link] = childrenNamed(entry, 'link');
+        expect(link.attributes.rel).toBe('alternate');
+        expect(isTaggedJobUrl(decodeXml(link.attributes.href), feed)).toBe(true);
+      }
+
+      // The feed is as new as its newest job
+      expect(requiredText(atom, 'updated')).toBe('2026-10-18T08:00:00.000Z');
+    }
+  });
+
+  test('JSON feeds are valid JSON Feed 1.1', async () => {
+    for (const feed of await renderAll('json')) {
+      const document = JSON.parse(feed.body);
+
+      expect(feed.contentType).toBe('application/feed+json');
+      expect(document.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(document.title).toBeTruthy();
+      expect(document.feed_url).toBe(feed.url);
+      expect(document.items).toHaveLength(jobs.length);
+
+      for (const item of document.items) {
+        expect(typeof item.id).toBe('string');
+        expect(item.content_html || item.content_text).toBeTruthy();
+        expect(isTaggedJobUrl(item.url, feed)).toBe(true);
+        expect(isRfc3339(item.date_published)).toBe(true);
+        expect(Object.keys(item).filter(key => !['id', 'url', 'title', 'content_html', 'date_published', 'date_modified', 'tags'].includes(key)))
+          .toEqual(['_job']);
+      }
+    }
+  });
+
+  test('an empty feed is still valid', async () => {
+    prisma.job.findMany.mockResolvedValueOnce([]);
+
+    const { body } = await service.render('jobs.rss', now);
+    const [channel] = childrenNamed(parseXml(body), 'channel');
+
+    expect(childrenNamed(channel, 'item')).toHaveLength(0);
+    expect(requiredText(channel, 'lastBuildDate')).toBe(now.toUTCString());
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Job Feed Formats
+ *
+ * Renderers for the feed formats job boards and aggregators consume. Each
+ * format has a file extension, a content type and a render function taking
+ * the feed definition, its entries and the feed's context:
+ *
+ * - indeed: Indeed XML (also read by ZipRecruiter, Jooble and most others)
+ * - rss: RSS 2.0
+ * - atom: Atom 1.0
+ * - json: JSON Feed 1.1
+ *
+ * An entry is a job together with its tagged URL, canonical URL and HTML
+ * description; the context has the publisher, website and feed URLs and when
+ * the feed was built.
+ */
+
+const { escapeXml, cdata } = require('../../utils/xml');
+
+/**
+ * Format an XML element with its content in a CDATA section, or nothing for
+ * empty values
+ * @param {string} name Element name
+ * @param {*} value Value
+ * @param {string} indent Indentation
+ * @returns {Array<string>} Lines
+ */
+function cdataElement(name, value, indent) {
+  return value === null || value === undefined || value === '' ? [] : [`${indent}<${name}>${cdata(value)}</${name}>`];
+}
+
+/**
+ * Format an XML element with escaped text content, or nothing for empty values
+ * @param {string} name Element name
+ * @param {*} value Value
+ * @param {string} indent Indentation
+ * @returns {Array<string>} Lines
+ */
+function textElement(name, value, indent) {
+  return value === null || value === undefined || value === '' ? [] : [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+}
+
+/**
+ * Format a date for RSS and Indeed (RFC 822)
+ * @param {Date|string} date Date
+ * @returns {string} Formatted date
+ */
+function toRfc822(date) {
+  return new Date(date).toUTCString();
+}
+
+/**
+ * Format a date for Atom and JSON Feed (RFC 3339)
+ * @param {Date|string} date Date
+ * @returns {string|undefined} Formatted date, or undefined without a date
+ */
+function toRfc3339(date) {
+  return date ? new Date(date).toISOString() : undefined;
+}
+
+/**
+ * Describe a job's pay for aggregators that read it as text
+ * @param {Object} job Job
+ * @returns {string} Pay, e.g. "$62.50 per hour"
+ */
+function formatSalary(job) {
+  return `$${Number(job.payRate).toFixed(2)} per hour`;
+}
+
+/**
+ * Render an Indeed XML feed
+ * @param {Object} feed Feed definition
+ * @param {Array<Object>} entries Entries
+ * @param {Object} context Feed context
+ * @returns {string} XML document
+ */
+function renderIndeed(feed, entries, context) {
+  const jobs = entries.map(({ job, url, description }) => [
+    '  <job>',
+    ...cdataElement('title', job.title, '    '),
+    ...cdataElement('date', toRfc822(job.createdAt), '    '),
+    ...cdataElement('referencenumber', job.id, '    '),
+    ...cdataElement('requisitionid', job.externalId, '    '),
+    ...cdataElement('url', url, '    '),
+    ...cdataElement('company', context.publisher, '    '),
+    ...cdataElement('sourcename', context.publisher, '    '),
+    ...cdataElement('city', job.city, '    '),
+    ...cdataElement('state', job.state, '    '),
+    ...cdataElement('country', 'US', '    '),
+    ...cdataElement('postalcode', job.zipCode, '    '),
+    ...cdataElement('description', description, '    '),
+    ...cdataElement('salary', formatSalary(job), '    '),
+    ...cdataElement('jobtype', 'contract', '    '),
+    ...cdataElement('category', job.specialty, '    '),
+    ...cdataElement('expirationdate', job.endDate && toRfc822(job.endDate), '    '),
+    '  </job>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<source>',
+    ...textElement('publisher', context.publisher, '  '),
+    ...textElement('publisherurl', context.websiteUrl, '  '),
+    ...textElement('lastBuildDate', toRfc822(context.updated), '  '),
+    ...jobs,
+    '</source>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed Feed definition
+ * @param {Array<Object>} entries Entries
+ * @param {Object} context Feed context
+ * @returns {string} XML document
+ */
+function renderRss(feed, entries, context) {
+  const items = entries.map(({ job, url, description }) => [
+    '    <item>',
+    ...textElement('title', `${job.title} - ${job.city}, ${job.state}`, '      '),
+    ...textElement('link', url, '      '),
+    `      <guid isPermaLink="false">${escapeXml(job.id)}</guid>`,
+    ...textElement('pubDate', toRfc822(job.createdAt), '      '),
+    ...textElement('category', job.specialty, '      '),
+    ...cdataElement('description', description, '      '),
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    ...textElement('title', feed.title, '    '),
+    ...textElement('link', context.websiteUrl, '    '),
+    ...textElement('description', feed.description || feed.title, '    '),
+    ...textElement('language', 'en-us', '    '),
+    ...textElement('lastBuildDate', toRfc822(context.updated), '    '),
+    `    <atom:link href="${escapeXml(context.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed Feed definition
+ * @param {Array<Object>} entries Entries
+ * @param {Object} context Feed context
+ * @returns {string} XML document
+ */
+function renderAtom(feed, entries, context) {
+  const items = entries.map(({ job, url, canonicalUrl, description }) => [
+    '  <entry>',
+    ...textElement('id', canonicalUrl, '    '),
+    ...textElement('title', `${job.title} - ${job.city}, ${job.state}`, '    '),
+    `    <link rel="alternate" type="text/html" href="${escapeXml(url)}" />`,
+    ...textElement('published', toRfc3339(job.createdAt), '    '),
+    ...textElement('updated', toRfc3339(job.updatedAt || job.createdAt), '    '),
+    `    <category term="${escapeXml(job.specialty)}" />`,
+    `    <content type="html">${escapeXml(description)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    ...textElement('id', context.feedUrl, '  '),
+    ...textElement('title', feed.title, '  '),
+    ...textElement('updated', toRfc3339(context.updated), '  '),
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(context.feedUrl)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(context.websiteUrl)}" />`,
+    '  <author>',
+    ...textElement('name', context.publisher, '    '),
+    '  </author>',
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a JSON Feed 1.1. Job details that have no JSON Feed field are in
+ * each item's `_job` extension.
+ * @param {Object} feed Feed definition
+ * @param {Array<Object>} entries Entries
+ * @param {Object} context Feed context
+ * @returns {string} JSON document
+ */
+function renderJson(feed, entries, context) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: context.websiteUrl,
+    feed_url: context.feedUrl,
+    authors: [{ name: context.publisher, url: context.websiteUrl }],
+    language: 'en-US',
+    items: entries.map(({ job, url, description }) => ({
+      id: job.id,
+      url,
+      title: `${job.title} - ${job.city}, ${job.state}`,
+      content_html: description,
+      date_published: toRfc3339(job.createdAt),
+      date_modified: toRfc3339(job.updatedAt),
+      tags: [job.specialty],
+      _job: {
+        specialty: job.specialty,
+        facilityName: job.facilityName,
+        city: job.city,
+        state: job.state,
+        zipCode: job.zipCode,
+        payRate: job.payRate,
+        weeklyHours: job.weeklyHours,
+        shiftType: job.shiftType,
+        startDate: toRfc3339(job.startDate),
+        endDate: toRfc3339(job.endDate)
+      }
+    }))
+  }, null, 2);
+}
+
+const FEED_FORMATS = {
+  indeed: { extension: 'xml', contentType: 'application/xml', render: renderIndeed },
+  rss: { extension: 'rss', contentType: 'application/rss+xml', render: renderRss },
+  atom: { extension: 'atom', contentType: 'application/atom+xml', render: renderAtom },
+  json: { extension: 'json', contentType: 'application/feed+json', render: renderJson }
+};
+
+module.exports = {
+  FEED_FORMATS
+};
@@ -0,0 +1,4 @@
+module.exports = {
+  ...require('./job-feed.service'),
+  ...require('./formats')
+};
@@ -0,0 +1,203 @@
+/**
+ * Job Feed Service
+ *
+ * Renders active jobs into the syndication feeds job boards and aggregators
+ * pull. Feeds are defined in src/data/job-feeds.json, each with:
+ *
+ * - name and format: the feed is served at /feeds/<name>.<extension>, the
+ *   extension coming from the format (see formats.js)
+ * - source: tags every job link with utm_source, which the website records
+ *   as the Application.source of applications that follow
+ * - title, and optionally description and limit (most jobs, newest first)
+ * - filters: optionally specialty, state and shiftType (lists), minPay,
+ *   isFeatured, isUrgent and postedWithinDays
+ */
+
+const DEFAULT_FEEDS = require('../../data/job-feeds.json');
+const { getWebsiteUrl, toHtml } = require('../../utils/job-posting');
+const { FEED_FORMATS } = require('./formats');
+
+const PUBLISHER = 'Excel Medical Staffing';
+
+// Most jobs in a feed without a limit of its own
+const DEFAULT_FEED_LIMIT = 10000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sources become part of URLs and of Application.source
+const SOURCE_PATTERN = /^[a-z0-9_-]{1,100}$/;
+
+class JobFeedService {
+  /**
+   * Create a new JobFeedService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {Array<Object>} options.feeds Feed definitions (defaults to src/data/job-feeds.json)
+   * @param {string} options.websiteUrl Website the feeds link to (defaults to WEBSITE_URL)
+   * @throws {Error} If a feed definition is invalid
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.websiteUrl = (options.websiteUrl || getWebsiteUrl()).replace(/\/$/, '');
+    this.feeds = new Map();
+
+    for (const feed of options.feeds || DEFAULT_FEEDS) {
+      const format = FEED_FORMATS[feed.format];
+
+      if (!format) {
+        throw new Error(`Feed ${feed.name} has unknown format ${feed.format}`);
+      }
+
+      if (!SOURCE_PATTERN.test(feed.source || '')) {
+        throw new Error(`Feed ${feed.name} needs a source of lowercase letters, digits, dashes and underscores`);
+      }
+
+      const file = `${feed.name}.${format.extension}`;
+
+      if (this.feeds.has(file)) {
+        throw new Error(`Feed ${file} is defined twice`);
+      }
+
+      this.feeds.set(file, { ...feed, file, filters: feed.filters || {} });
+    }
+  }
+
+  /**
+   * List the feeds and their URLs
+   * @returns {Array<Object>} Feed names, formats, sources and URLs
+   */
+  listFeeds() {
+    return [...this.feeds.values()].map(feed => ({
+      name: feed.name,
+      format: feed.format,
+      source: feed.source,
+      title: feed.title,
+      url: this.getFeedUrl(feed)
+    }));
+  }
+
+  /**
+   * Render a feed
+   * @param {string} file Feed file name, e.g. 'indeed.xml'
+   * @param {Date} now Current time
+   * @returns {Promise<Object|null>} Content type and body, or null if there is no such feed
+   */
+  async render(file, now = new Date()) {
+    const feed = this.feeds.get(file);
+
+    if (!feed) {
+      return null;
+    }
+
+    const jobs = await this.prisma.job.findMany({
+      where: this.buildWhere(feed.filters, now),
+      orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+      take: feed.limit || DEFAULT_FEED_LIMIT
+    });
+
+    const entries = jobs.map(job => ({
+      job,
+      url: this.getJobUrl(job, feed),
+      canonicalUrl: `${this.websiteUrl}/jobs/${job.id}`,
+      description: this.describe(job)
+    }));
+
+    const format = FEED_FORMATS[feed.format];
+    const body = format.render(feed, entries, {
+      publisher: PUBLISHER,
+      websiteUrl: this.websiteUrl,
+      feedUrl: this.getFeedUrl(feed),
+      updated: jobs.reduce((latest, job) => (job.updatedAt > latest ? job.updatedAt : latest), jobs[0]?.updatedAt || now)
+    });
+
+    return { contentType: format.contentType, body };
+  }
+
+  /**
+   * Build a Prisma filter for a feed's jobs
+   * @param {Object} filters Feed filters
+   * @param {Date} now Current time
+   * @returns {Object} Prisma where clause
+   */
+  buildWhere(filters, now = new Date()) {
+    const where = { status: 'active', canonicalJobId: null };
+
+    ['specialty', 'state', 'shiftType'].forEach(field => {
+      if (filters[field]?.length) {
+        where[field] = { in: filters[field] };
+      }
+    });
+
+    if (filters.minPay) {
+      where.payRate = { gte: filters.minPay };
+    }
+
+    if (filters.isFeatured !== undefined) {
+      where.isFeatured = filters.isFeatured;
+    }
+
+    if (filters.isUrgent !== undefined) {
+      where.isUrgent = filters.isUrgent;
+    }
+
+    if (filters.postedWithinDays) {
+      where.createdAt = { gte: new Date(now.getTime() - filters.postedWithinDays * DAY) };
+    }
+
+    return where;
+  }
+
+  /**
+   * Get a job's link for a feed, tagged with the feed's source
+   * @param {Object} job Job
+   * @param {Object} feed Feed definition
+   * @returns {string} URL
+   */
+  getJobUrl(job, feed) {
+    const params = new URLSearchParams({
+      utm_source: feed.source,
+      utm_medium: 'job_feed',
+      utm_campaign: feed.name
+    });
+
+    return `${this.websiteUrl}/jobs/${job.id}?${params}`;
+  }
+
+  /**
+   * Get a feed's URL
+   * @param {Object} feed Feed definition
+   * @returns {string} URL
+   */
+  getFeedUrl(feed) {
+    return `${this.websiteUrl}/feeds/${feed.file}`;
+  }
+
+  /**
+   * Describe a job in HTML: its description, then the assignment details
+   * aggregators show in listings
+   * @param {Object} job Job
+   * @returns {string} HTML
+   */
+  describe(job) {
+    const details = [
+      `Specialty: ${job.specialty}`,
+      `Location: ${job.city}, ${job.state}`,
+      `Pay: $${Number(job.payRate).toFixed(2)}/hr`,
+      job.weeklyHours && `Hours: ${job.weeklyHours} per week`,
+      job.shiftType && `Shift: ${job.shiftType}`,
+      job.startDate && `Start date: ${new Date(job.startDate).toISOString().slice(0, 10)}`
+    ].filter(Boolean);
+
+    return toHtml([
+      job.description,
+      details.join('\n'),
+      job.requirements && `Requirements:\n${job.requirements}`
+    ].filter(Boolean).join('\n\n'));
+  }
+}
+
+module.exports = {
+  JobFeedService,
+  DEFAULT_FEED_LIMIT,
+  SOURCE_PATTERN
+};
@@ -0,0 +1,86 @@
+/**
+ * Job Feed Service Tests
+ */
+
+const { JobFeedService, DEFAULT_FEED_LIMIT } = require('./job-feed.service');
+
+describe('JobFeedService', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const feeds = [
+    { name: 'indeed', format: 'indeed', source: 'indeed', title: 'Indeed' },
+    { name: 'icu', format: 'rss', source: 'icu_partner', title: 'ICU Jobs', limit: 50, filters: { specialty: ['ICU'], state: ['TX', 'LA'], minPay: 55, postedWithinDays: 7 } }
+  ];
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = {
+      job: {
+        findMany: jest.fn().mockResolvedValue([])
+      }
+    };
+    service = new JobFeedService(prisma, { feeds, websiteUrl: 'https://example.com/' });
+  });
+
+  test('lists each feed at its name and format extension', () => {
+    expect(service.listFeeds()).toEqual([
+      { name: 'indeed', format: 'indeed', source: 'indeed', title: 'Indeed', url: 'https://example.com/feeds/indeed.xml' },
+      { name: 'icu', format: 'rss', source: 'icu_partner', title: 'ICU Jobs', url: 'https://example.com/feeds/icu.rss' }
+    ]);
+  });
+
+  test('queries active jobs matching the feed filters, newest first', async () => {
+    await service.render('icu.rss', now);
+
+    expect(prisma.job.findMany).toHaveBeenCalledWith({
+      where: {
+        status: 'active',
+        canonicalJobId: null,
+        specialty: { in: ['ICU'] },
+        state: { in: ['TX', 'LA'] },
+        payRate: { gte: 55 },
+        createdAt: { gte: new Date('2026-10-12T12:00:00.000Z') }
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+      take: 50
+    });
+  });
+
+  test('takes every active job for feeds without filters or a limit', async () => {
+    await service.render('indeed.xml', now);
+
+    expect(prisma.job.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'active', canonicalJobId: null },
+      take: DEFAULT_FEED_LIMIT
+    }));
+  });
+
+  test('keeps false flags as filters', () => {
+    expect(service.buildWhere({ isUrgent: false, isFeatured: true }, now)).toEqual({
+      status: 'active',
+      canonicalJobId: null,
+      isUrgent: false,
+      isFeatured: true
+    });
+  });
+
+  test('returns null for unknown feeds and unknown extensions', async () => {
+    expect(await service.render('monster.xml', now)).toBeNull();
+    expect(await service.render('indeed.rss', now)).toBeNull();
+    expect(prisma.job.findMany).not.toHaveBeenCalled();
+  });
+
+  test('tags job links with the feed source', () => {
+    expect(service.getJobUrl({ id: 'job-1' }, feeds[1]))
+      .toBe('https://example.com/jobs/job-1?utm_source=icu_partner&utm_medium=job_feed&utm_campaign=icu');
+  });
+
+  test('rejects invalid feed definitions', () => {
+    expect(() => new JobFeedService(prisma, { feeds: [{ name: 'a', format: 'csv', source: 'a' }] }))
+      .toThrow('Feed a has unknown format csv');
+    expect(() => new JobFeedService(prisma, { feeds: [{ name: 'a', format: 'rss', source: 'Bad Source' }] }))
+      .toThrow('Feed a needs a source');
+    expect(() => new JobFeedService(prisma, { feeds: [{ name: 'a', format: 'rss', source: 'a' }, { name: 'a', format: 'rss', source: 'b' }] }))
+      .toThrow('Feed a.rss is defined twice');
+  });
+});
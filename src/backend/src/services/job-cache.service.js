@@ -0,0 +1,216 @@
+/**
+ * Job Cache Service
+ *
+ * Read-through cache for the hot job endpoints: featured and recent jobs,
+ * specialties, locations and job detail. Values live in Redis when it is
+ * connected and in memory otherwise (see cache-store.js).
+ *
+ * Entries are never deleted. Instead, every key includes version tokens,
+ * and invalidating replaces a token so the old entries are no longer found
+ * and simply expire. A token that is missing, because it expired or was
+ * evicted, is replaced too, so old entries can never be found again:
+ *
+ * - a global version, replaced by invalidateAll (e.g. on LaborEdge webhooks)
+ * - a list version, replaced whenever any job changes
+ * - a per-job version, replaced when that job changes
+ *
+ * Hits and misses are recorded in ApiMetrics under the entry's name.
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { metrics: defaultMetrics } = require('../utils/metrics');
+const { getCacheStore } = require('./cache-store');
+
+const GLOBAL_VERSION_KEY = 'jobs:version';
+const LIST_VERSION_KEY = 'jobs:version:lists';
+
+/**
+ * Get the version key of a single job
+ * @param {string} id Job ID
+ * @returns {string} Version key
+ */
+function getJobVersionKey(id) {
+  return `jobs:version:job:${id}`;
+}
+
+/**
+ * Get the cache TTL from JOB_CACHE_TTL_SECONDS (default 300)
+ * @returns {number} Seconds
+ */
+function getCacheTtl() {
+  const seconds = parseInt(process.env.JOB_CACHE_TTL_SECONDS);
+  return isNaN(seconds) ? 300 : seconds;
+}
+
+class JobCacheService {
+  /**
+   * Create a new JobCacheService
+   * @param {Object} options Service options
+   * @param {string} options.namespace Keeps entries of callers that shape responses differently apart
+   * @param {number} options.ttlSeconds Seconds entries are kept (defaults to getCacheTtl()); 0 disables caching
+   * @param {Object} options.metrics ApiMetrics instance to record hits and misses to
+   * @param {Function} options.getStore Returns the cache store to use (defaults to getCacheStore)
+   */
+  constructor(options = {}) {
+    this.namespace = options.namespace || 'api';
+    this.ttlSeconds = options.ttlSeconds ?? getCacheTtl();
+    this.metrics = options.metrics || defaultMetrics;
+    this.getStore = options.getStore || getCacheStore;
+    this.logger = new Logger({ service: 'JobCacheService' });
+  }
+
+  /**
+   * Get a cached job list, loading and caching it on a miss
+   * @param {string} name List name, e.g. 'featured'
+   * @param {Object} params Parameters the list depends on, e.g. its limit
+   * @param {Function} load Loads the list
+   * @returns {Promise<*>} List
+   */
+  async getList(name, params, load) {
+    const variant = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+
+    return this.remember(name, [GLOBAL_VERSION_KEY, LIST_VERSION_KEY], `${name}:${variant}`, load);
+  }
+
+  /**
+   * Get a cached job, loading and caching it on a miss. Jobs that are not
+   * found are not cached.
+   * @param {string} id Job ID
+   * @param {Function} load Loads the job
+   * @returns {Promise<Object|null>} Job
+   */
+  async getJob(id, load) {
+    return this.remember('job', [GLOBAL_VERSION_KEY, getJobVersionKey(id)], `job:${id}`, load);
+  }
+
+  /**
+   * Invalidate a job and every list, after the job was created, changed or
+   * deleted
+   * @param {string} id Job ID
+   */
+  async invalidateJob(id) {
+    await this.invalidate([LIST_VERSION_KEY, getJobVersionKey(id)]);
+  }
+
+  /**
+   * Invalidate everything, after changes whose jobs are not known, e.g. a
+   * facility update that changes many job details
+   */
+  async invalidateAll() {
+    await this.invalidate([GLOBAL_VERSION_KEY]);
+  }
+
+  /**
+   * Look a value up under the current versions, loading and caching it on a
+   * miss. Cache errors are logged and treated as misses, so requests still
+   * work while the cache is unavailable.
+   * @param {string} name Entry name for metrics
+   * @param {Array<string>} versionKeys Version keys the entry depends on
+   * @param {string} key Entry key, without versions
+   * @param {Function} load Loads the value
+   * @returns {Promise<*>} Value
+   */
+  async remember(name, versionKeys, key, load) {
+    if (this.ttlSeconds <= 0) {
+      return load();
+    }
+
+    const store = this.getStore();
+    let cacheKey = null;
+
+    try {
+      const versions = await this.getVersions(store, versionKeys);
+      cacheKey = `jobs:${versions.join('.')}:${this.namespace}:${key}`;
+
+      const cached = await store.get(cacheKey);
+
+      if (cached !== null) {
+        this.metrics.recordCacheLookup(name, true);
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      this.logger.warn({
+        message: 'Job cache read failed',
+        error: error.message,
+        key
+      });
+    }
+
+    this.metrics.recordCacheLookup(name, false);
+    const value = await load();
+
+    if (cacheKey && value !== null && value !== undefined) {
+      try {
+        await store.set(cacheKey, JSON.stringify(value), this.ttlSeconds);
+      } catch (error) {
+        this.logger.warn({
+          message: 'Job cache write failed',
+          error: error.message,
+          key
+        });
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Get the current version tokens, creating any that are missing
+   * @param {Object} store Cache store
+   * @param {Array<string>} versionKeys Version keys
+   * @returns {Promise<Array<string>>} Version tokens in key order
+   */
+  async getVersions(store, versionKeys) {
+    const versions = await store.mGet(versionKeys);
+
+    for (let i = 0; i < versionKeys.length; i++) {
+      if (versions[i] === null) {
+        versions[i] = await this.setVersion(store, versionKeys[i]);
+      }
+    }
+
+    return versions;
+  }
+
+  /**
+   * Store a new version token. Tokens outlive the entries keyed on them.
+   * @param {Object} store Cache store
+   * @param {string} versionKey Version key
+   * @returns {Promise<string>} New token
+   */
+  async setVersion(store, versionKey) {
+    const version = crypto.randomBytes(6).toString('hex');
+    await store.set(versionKey, version, this.ttlSeconds * 2);
+    return version;
+  }
+
+  /**
+   * Replace version tokens, so entries keyed on the old ones are not found
+   * @param {Array<string>} versionKeys Version keys to replace
+   */
+  async invalidate(versionKeys) {
+    if (this.ttlSeconds <= 0) {
+      return;
+    }
+
+    const store = this.getStore();
+
+    try {
+      for (const versionKey of versionKeys) {
+        await this.setVersion(store, versionKey);
+      }
+    } catch (error) {
+      this.logger.error({
+        message: 'Job cache invalidation failed',
+        error: error.message,
+        versionKeys
+      });
+    }
+  }
+}
+
+module.exports = {
+  JobCacheService,
+  getCacheTtl
+};
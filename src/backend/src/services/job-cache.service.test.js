@@ -0,0 +1,120 @@
+/**
+ * Tests for Job Cache Service
+ */
+
+const { JobCacheService } = require('./job-cache.service');
+const { MemoryCacheStore } = require('./cache-store');
+const { ApiMetrics } = require('../utils/metrics');
+
+describe('JobCacheService', () => {
+  let store;
+  let metrics;
+
+  const createCache = (options = {}) => new JobCacheService({
+    ttlSeconds: 60,
+    metrics,
+    getStore: () => store,
+    ...options
+  });
+
+  beforeEach(() => {
+    store = new MemoryCacheStore();
+    metrics = new ApiMetrics();
+  });
+
+  test('loads lists once and records hits and misses', async () => {
+    const cache = createCache();
+    const load = jest.fn(async () => [{ id: 'job-1' }]);
+
+    await expect(cache.getList('featured', { limit: 10 }, load)).resolves.toEqual([{ id: 'job-1' }]);
+    await expect(cache.getList('featured', { limit: 10 }, load)).resolves.toEqual([{ id: 'job-1' }]);
+    await cache.getList('featured', { limit: 5 }, load);
+
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(metrics.getMetrics().cache.featured).toEqual({ hits: 1, misses: 2, hitRate: (1 / 3) * 100 });
+  });
+
+  test('invalidates a job and the lists, but not other jobs', async () => {
+    const cache = createCache();
+    const loadJob = jest.fn(async () => ({ id: 'job-1' }));
+    const loadOtherJob = jest.fn(async () => ({ id: 'job-2' }));
+    const loadList = jest.fn(async () => []);
+
+    await cache.getJob('job-1', loadJob);
+    await cache.getJob('job-2', loadOtherJob);
+    await cache.getList('recent', { limit: 10 }, loadList);
+
+    await cache.invalidateJob('job-1');
+
+    await cache.getJob('job-1', loadJob);
+    await cache.getJob('job-2', loadOtherJob);
+    await cache.getList('recent', { limit: 10 }, loadList);
+
+    expect(loadJob).toHaveBeenCalledTimes(2);
+    expect(loadOtherJob).toHaveBeenCalledTimes(1);
+    expect(loadList).toHaveBeenCalledTimes(2);
+  });
+
+  test('invalidates everything, across namespaces', async () => {
+    const api = createCache({ namespace: 'api' });
+    const legacy = createCache({ namespace: 'legacy' });
+    const load = jest.fn(async () => ({ id: 'job-1' }));
+
+    await api.getJob('job-1', load);
+    await legacy.getJob('job-1', load);
+    expect(load).toHaveBeenCalledTimes(2);
+
+    await api.invalidateAll();
+    await legacy.getJob('job-1', load);
+
+    expect(load).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not cache jobs that are not found', async () => {
+    const cache = createCache();
+    const load = jest.fn(async () => null);
+
+    await cache.getJob('job-1', load);
+    await cache.getJob('job-1', load);
+
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to loading when the store fails', async () => {
+    store.mGet = jest.fn(async () => {
+      throw new Error('connection lost');
+    });
+    const cache = createCache();
+
+    await expect(cache.getList('locations', {}, async () => ['TX'])).resolves.toEqual(['TX']);
+    await expect(cache.invalidateAll()).resolves.toBeUndefined();
+    expect(metrics.getMetrics().cache.locations.misses).toBe(1);
+  });
+
+  test('bypasses the store when the TTL is 0', async () => {
+    store.get = jest.fn();
+    const cache = createCache({ ttlSeconds: 0 });
+
+    await cache.getList('specialties', {}, async () => []);
+
+    expect(store.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  test('expires entries and evicts the oldest', async () => {
+    const store = new MemoryCacheStore(2);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await store.set('a', '1', 10);
+    await store.set('b', '2', 10);
+    await store.set('c', '3', 30);
+    expect(await store.mGet(['a', 'b', 'c'])).toEqual([null, '2', '3']);
+
+    Date.now.mockReturnValue(now + 20000);
+    expect(await store.mGet(['b', 'c'])).toEqual([null, '3']);
+
+    Date.now.mockRestore();
+  });
+});
@@ -0,0 +1,452 @@
+/**
+ * Job Duplicate Service
+ *
+ * Finds active jobs that are likely the same opening (see
+ * src/utils/job-fingerprint.js) and links each duplicate to the job listed in
+ * its place, its canonical job, so search shows one listing. Pairs scoring
+ * MERGE_SCORE or more are merged straight away; pairs between REVIEW_SCORE
+ * and MERGE_SCORE wait in a review queue for a recruiter to merge or dismiss.
+ * Every pair found is kept in JobDuplicateCandidate, so dismissed pairs are
+ * not flagged again and automatic merges can be undone by dismissing them.
+ *
+ * Passes run after the Nexus migration and LaborEdge syncs, and from cron via
+ * scripts/process-job-duplicates.js.
+ */
+
+const { Logger } = require('../utils/logger');
+const { AuditAction, SYSTEM_ACTOR } = require('./audit-log.service');
+const {
+  MERGE_SCORE,
+  REVIEW_SCORE,
+  getJobFingerprint,
+  scoreDuplicate,
+  getDuplicateCandidateWhere
+} = require('../utils/job-fingerprint');
+
+/**
+ * Duplicate candidate statuses
+ */
+const DuplicateStatus = {
+  PENDING: 'pending',
+  MERGED: 'merged',
+  DISMISSED: 'dismissed'
+};
+
+// Most jobs compared with each job checked
+const CANDIDATE_LIMIT = 200;
+
+// Job fields needed to fingerprint, score and link jobs
+const JOB_FIELDS = {
+  id: true,
+  externalId: true,
+  title: true,
+  specialty: true,
+  facilityName: true,
+  city: true,
+  state: true,
+  startDate: true,
+  weeklyHours: true,
+  shiftType: true,
+  payRate: true,
+  status: true,
+  fingerprint: true,
+  canonicalJobId: true,
+  applicationsCount: true,
+  createdAt: true
+};
+
+// Job fields shown for each job of a pair in the review queue
+const REVIEW_JOB_FIELDS = {
+  id: true,
+  externalId: true,
+  title: true,
+  specialty: true,
+  facilityName: true,
+  city: true,
+  state: true,
+  startDate: true,
+  endDate: true,
+  shiftType: true,
+  weeklyHours: true,
+  payRate: true,
+  status: true,
+  applicationsCount: true,
+  canonicalJobId: true,
+  createdAt: true,
+  metadata: true
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Get how far back a pass looks for changed jobs from
+ * JOB_DUPLICATE_LOOKBACK_HOURS (default 24)
+ * @returns {number} Hours
+ */
+function getLookbackHours() {
+  return parseInt(process.env.JOB_DUPLICATE_LOOKBACK_HOURS) || 24;
+}
+
+/**
+ * Order a pair so the job to keep comes first: the one with more
+ * applications, then the one posted first
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Array<Object>} Canonical job and duplicate
+ */
+function orderPair(job, other) {
+  const keepOther = other.applicationsCount - job.applicationsCount
+    || new Date(job.createdAt) - new Date(other.createdAt)
+    || (other.id < job.id ? 1 : -1);
+
+  return keepOther > 0 ? [other, job] : [job, other];
+}
+
+class JobDuplicateService {
+  /**
+   * Create a new JobDuplicateService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {Object} options.auditLogService Audit log for merges and dismissals
+   * @param {Object} options.jobCache Invalidated when jobs are merged or separated
+   * @param {number} options.lookbackHours Hours a pass looks back for changed jobs (defaults to getLookbackHours())
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.auditLogService = options.auditLogService;
+    this.jobCache = options.jobCache;
+    this.lookbackHours = options.lookbackHours || getLookbackHours();
+    this.logger = new Logger({ service: 'JobDuplicateService' });
+  }
+
+  /**
+   * Check active, canonical jobs changed since a time for duplicates
+   * @param {Object} options Pass options
+   * @param {Date} options.since Check jobs updated since (defaults to lookbackHours ago)
+   * @param {boolean} options.all Check every active job instead
+   * @param {Date} options.now Current time
+   * @returns {Promise<Object>} Numbers of jobs checked and failed, and of pairs merged and flagged for review
+   */
+  async processDuplicates({ since, all = false, now = new Date() } = {}) {
+    const jobs = await this.prisma.job.findMany({
+      where: {
+        status: 'active',
+        canonicalJobId: null,
+        ...(!all && { updatedAt: { gte: since || new Date(now.getTime() - this.lookbackHours * HOUR) } })
+      },
+      select: JOB_FIELDS,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const results = { checked: 0, merged: 0, flagged: 0, failed: 0 };
+    const merged = new Set();
+
+    for (const job of jobs) {
+      // Jobs merged earlier in the pass are no longer listed
+      if (merged.has(job.id)) {
+        continue;
+      }
+
+      try {
+        const found = await this.checkJob(job);
+
+        found.merged.forEach(id => merged.add(id));
+        results.checked++;
+        results.merged += found.merged.length;
+        results.flagged += found.flagged;
+      } catch (error) {
+        results.failed++;
+        this.logger.error({
+          message: 'Failed to check job for duplicates',
+          error: error.message,
+          jobId: job.id
+        });
+      }
+    }
+
+    this.logger.info({ message: 'Duplicate pass completed', ...results });
+
+    return results;
+  }
+
+  /**
+   * Check one job for duplicates, refreshing its fingerprint first. Pairs
+   * already recorded, whatever their status, are left alone.
+   * @param {Object} job Job with JOB_FIELDS
+   * @returns {Promise<Object>} IDs of jobs merged away and the number of pairs flagged for review
+   */
+  async checkJob(job) {
+    const fingerprint = getJobFingerprint(job);
+
+    if (job.fingerprint !== fingerprint) {
+      await this.prisma.job.update({
+        where: { id: job.id },
+        data: { fingerprint }
+      });
+    }
+
+    const candidates = await this.prisma.job.findMany({
+      where: getDuplicateCandidateWhere({ ...job, fingerprint }),
+      select: JOB_FIELDS,
+      take: CANDIDATE_LIMIT,
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    const matches = candidates
+      .map(candidate => ({ candidate, ...scoreDuplicate(job, candidate) }))
+      .filter(match => match.score >= REVIEW_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    const found = { merged: [], flagged: 0 };
+
+    if (matches.length === 0) {
+      return found;
+    }
+
+    const recorded = await this.prisma.jobDuplicateCandidate.findMany({
+      where: {
+        OR: [
+          { jobId: job.id, duplicateJobId: { in: matches.map(match => match.candidate.id) } },
+          { duplicateJobId: job.id, jobId: { in: matches.map(match => match.candidate.id) } }
+        ]
+      },
+      select: { jobId: true, duplicateJobId: true }
+    });
+    const recordedIds = new Set(recorded.map(pair => (pair.jobId === job.id ? pair.duplicateJobId : pair.jobId)));
+
+    for (const { candidate, score, reasons } of matches) {
+      if (recordedIds.has(candidate.id)) {
+        continue;
+      }
+
+      const [canonical, duplicate] = orderPair(job, candidate);
+      const pair = await this.prisma.jobDuplicateCandidate.create({
+        data: {
+          jobId: canonical.id,
+          duplicateJobId: duplicate.id,
+          score,
+          reasons,
+          status: DuplicateStatus.PENDING
+        }
+      });
+
+      if (score < MERGE_SCORE) {
+        found.flagged++;
+        continue;
+      }
+
+      if (await this.merge(pair, canonical.id)) {
+        found.merged.push(duplicate.id);
+
+        // Once merged away, the job has no listing left to compare
+        if (duplicate.id === job.id) {
+          break;
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * List duplicate pairs, highest scoring first
+   * @param {Object} params Query parameters
+   * @param {string} params.status Pair status (defaults to pending, the review queue)
+   * @param {number} params.page Page number
+   * @param {number} params.limit Page size
+   * @returns {Promise<Object>} Pairs with both jobs, and the total
+   */
+  async list({ status = DuplicateStatus.PENDING, page = 1, limit = 20 } = {}) {
+    const where = { status };
+    const [candidates, total] = await Promise.all([
+      this.prisma.jobDuplicateCandidate.findMany({
+        where,
+        include: {
+          job: { select: REVIEW_JOB_FIELDS },
+          duplicateJob: { select: REVIEW_JOB_FIELDS }
+        },
+        orderBy: [{ score: 'desc' }, { createdAt: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.jobDuplicateCandidate.count({ where })
+    ]);
+
+    return { candidates, total, page, limit };
+  }
+
+  /**
+   * Find a duplicate pair
+   * @param {string} id Pair ID
+   * @returns {Promise<Object|null>} Pair, or null if not found
+   */
+  async findById(id) {
+    return this.prisma.jobDuplicateCandidate.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Merge a pair: link the other job to the canonical job, and move any jobs
+   * already linked to it along, so every duplicate points at a listed job.
+   * The moved jobs are kept on the pair so dismissing it can move them back.
+   * @param {Object} pair Duplicate pair
+   * @param {string} canonicalJobId Job of the pair to keep (defaults to the pair's job)
+   * @param {Object} actor Actor from getAuditActor, or SYSTEM_ACTOR for automatic merges
+   * @returns {Promise<boolean>} Whether the jobs were merged; false if either job has since been merged into another
+   */
+  async merge(pair, canonicalJobId = pair.jobId, actor = SYSTEM_ACTOR) {
+    const duplicateJobId = canonicalJobId === pair.jobId ? pair.duplicateJobId : pair.jobId;
+
+    const movedJobIds = await this.prisma.$transaction(async tx => {
+      const [canonical, duplicate] = await Promise.all([canonicalJobId, duplicateJobId].map(id => tx.job.findUnique({
+        where: { id },
+        select: { canonicalJobId: true }
+      })));
+
+      if (!canonical || canonical.canonicalJobId || !duplicate || duplicate.canonicalJobId) {
+        return null;
+      }
+
+      const moved = await tx.job.findMany({
+        where: { canonicalJobId: duplicateJobId },
+        select: { id: true }
+      });
+      const ids = moved.map(job => job.id);
+
+      await tx.job.update({
+        where: { id: duplicateJobId },
+        data: { canonicalJobId }
+      });
+
+      if (ids.length > 0) {
+        await tx.job.updateMany({
+          where: { id: { in: ids } },
+          data: { canonicalJobId }
+        });
+      }
+
+      await tx.jobDuplicateCandidate.update({
+        where: { id: pair.id },
+        data: {
+          jobId: canonicalJobId,
+          duplicateJobId,
+          movedJobIds: ids,
+          status: DuplicateStatus.MERGED,
+          reviewedById: actor.id || null,
+          reviewedAt: actor.id ? new Date() : null
+        }
+      });
+
+      return ids;
+    });
+
+    if (!movedJobIds) {
+      return false;
+    }
+
+    this.logger.info({
+      message: 'Duplicate job merged',
+      jobId: duplicateJobId,
+      canonicalJobId,
+      movedJobs: movedJobIds.length,
+      score: pair.score
+    });
+
+    await this.recordChange(actor, duplicateJobId, null, canonicalJobId, pair);
+
+    for (const jobId of movedJobIds) {
+      await this.recordChange(actor, jobId, duplicateJobId, canonicalJobId, pair);
+    }
+
+    return true;
+  }
+
+  /**
+   * Dismiss a pair as two different openings. Dismissing a merged pair
+   * separates its jobs again, so the duplicate is listed once more, and
+   * moves the jobs the merge moved back onto the duplicate.
+   * @param {Object} pair Duplicate pair
+   * @param {Object} actor Actor from getAuditActor
+   * @returns {Promise<Object>} Dismissed pair
+   */
+  async dismiss(pair, actor = SYSTEM_ACTOR) {
+    const merged = pair.status === DuplicateStatus.MERGED;
+    const movedJobIds = merged ? pair.movedJobIds || [] : [];
+
+    const dismissed = await this.prisma.$transaction(async tx => {
+      if (merged) {
+        await tx.job.updateMany({
+          where: { id: pair.duplicateJobId, canonicalJobId: pair.jobId },
+          data: { canonicalJobId: null }
+        });
+      }
+
+      // Jobs merged elsewhere since are left where they are
+      if (movedJobIds.length > 0) {
+        await tx.job.updateMany({
+          where: { id: { in: movedJobIds }, canonicalJobId: pair.jobId },
+          data: { canonicalJobId: pair.duplicateJobId }
+        });
+      }
+
+      return tx.jobDuplicateCandidate.update({
+        where: { id: pair.id },
+        data: {
+          status: DuplicateStatus.DISMISSED,
+          reviewedById: actor.id || null,
+          reviewedAt: new Date()
+        }
+      });
+    });
+
+    if (merged) {
+      await this.recordChange(actor, pair.duplicateJobId, pair.jobId, null, pair);
+    }
+
+    for (const jobId of movedJobIds) {
+      await this.recordChange(actor, jobId, pair.jobId, pair.duplicateJobId, pair);
+    }
+
+    return dismissed;
+  }
+
+  /**
+   * Audit a change to a job's canonical job and invalidate the cached job
+   * and job lists. Failures are logged rather than thrown, since the change
+   * itself has already happened.
+   * @param {Object} actor Who made the change
+   * @param {string} jobId Duplicate job ID
+   * @param {string|null} before Canonical job before the change
+   * @param {string|null} after Canonical job after the change
+   * @param {Object} pair Duplicate pair
+   */
+  async recordChange(actor, jobId, before, after, pair) {
+    try {
+      if (this.auditLogService) {
+        await this.auditLogService.record({
+          actor,
+          action: AuditAction.UPDATE,
+          entityType: 'Job',
+          entityId: jobId,
+          before: { canonicalJobId: before },
+          after: { canonicalJobId: after },
+          metadata: { duplicateCandidateId: pair.id, score: pair.score }
+        });
+      }
+
+      await this.jobCache?.invalidateJob(jobId);
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to record canonical job change',
+        error: error.message,
+        jobId
+      });
+    }
+  }
+}
+
+module.exports = {
+  JobDuplicateService,
+  DuplicateStatus
+};
@@ -0,0 +1,224 @@
+/**
+ * Tests for Job Duplicate Service
+ */
+
+const { JobDuplicateService, DuplicateStatus } = require('./job-duplicate.service');
+const { getJobFingerprint } = require('../utils/job-fingerprint');
+
+const base = {
+  title: 'ICU RN',
+  specialty: 'ICU',
+  facilityName: 'Mercy General',
+  city: 'Sacramento',
+  state: 'CA',
+  startDate: new Date('2026-11-02T00:00:00Z'),
+  weeklyHours: 36,
+  shiftType: 'Night',
+  payRate: 60,
+  status: 'active',
+  canonicalJobId: null,
+  applicationsCount: 0
+};
+
+const nexusJob = { ...base, id: 'job-nexus', externalId: 'NX-1', createdAt: new Date('2026-10-01T00:00:00Z') };
+const laborEdgeJob = { ...base, id: 'job-le', externalId: 'LE-1', createdAt: new Date('2026-10-05T00:00:00Z') };
+
+function createPrismaStub({ jobs = [], candidates = [], recorded = [], linked = [] } = {}) {
+  let lists = 0;
+  const prisma = {
+    job: {
+      // Jobs to check, then their candidates, or the jobs linked to a job
+      findMany: jest.fn(async ({ where }) => {
+        if (where.canonicalJobId) {
+          return linked.filter(job => job.canonicalJobId === where.canonicalJobId);
+        }
+
+        return lists++ === 0 ? jobs : candidates;
+      }),
+      findUnique: jest.fn(async ({ where }) => [...jobs, ...candidates].find(job => job.id === where.id) || null),
+      update: jest.fn(async ({ data }) => data),
+      updateMany: jest.fn(async () => ({ count: 0 }))
+    },
+    jobDuplicateCandidate: {
+      findMany: jest.fn(async () => recorded),
+      create: jest.fn(async ({ data }) => ({ id: 'pair-1', ...data })),
+      update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data })),
+      count: jest.fn(async () => 0)
+    }
+  };
+  prisma.$transaction = jest.fn(async callback => callback(prisma));
+  return prisma;
+}
+
+describe('JobDuplicateService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('merges an exact duplicate into the job posted first', async () => {
+    const prisma = createPrismaStub({
+      jobs: [laborEdgeJob],
+      candidates: [nexusJob],
+      linked: [{ id: 'job-repost', canonicalJobId: 'job-le' }]
+    });
+    const auditLogService = { record: jest.fn() };
+    const jobCache = { invalidateJob: jest.fn() };
+
+    const result = await new JobDuplicateService(prisma, { auditLogService, jobCache, lookbackHours: 6 })
+      .processDuplicates({ now });
+
+    expect(result).toEqual({ checked: 1, merged: 1, flagged: 0, failed: 0 });
+    expect(prisma.job.findMany.mock.calls[0][0].where).toEqual({
+      status: 'active',
+      canonicalJobId: null,
+      updatedAt: { gte: new Date('2026-10-19T06:00:00Z') }
+    });
+
+    // The job is fingerprinted before it is compared
+    expect(prisma.job.update).toHaveBeenCalledWith({
+      where: { id: 'job-le' },
+      data: { fingerprint: getJobFingerprint(laborEdgeJob) }
+    });
+    expect(prisma.jobDuplicateCandidate.create.mock.calls[0][0].data).toMatchObject({
+      jobId: 'job-nexus',
+      duplicateJobId: 'job-le',
+      score: 100,
+      status: DuplicateStatus.PENDING
+    });
+    expect(prisma.job.update).toHaveBeenCalledWith({
+      where: { id: 'job-le' },
+      data: { canonicalJobId: 'job-nexus' }
+    });
+    expect(prisma.job.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['job-repost'] } },
+      data: { canonicalJobId: 'job-nexus' }
+    });
+    expect(prisma.jobDuplicateCandidate.update.mock.calls[0][0].data).toMatchObject({
+      movedJobIds: ['job-repost'],
+      status: DuplicateStatus.MERGED,
+      reviewedById: null
+    });
+    expect(auditLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+      entityId: 'job-le',
+      before: { canonicalJobId: null },
+      after: { canonicalJobId: 'job-nexus' }
+    }));
+    expect(jobCache.invalidateJob).toHaveBeenCalledWith('job-le');
+  });
+
+  test('keeps the job with more applications', async () => {
+    const prisma = createPrismaStub({ jobs: [{ ...laborEdgeJob, applicationsCount: 3 }], candidates: [nexusJob] });
+
+    await new JobDuplicateService(prisma).processDuplicates({ now });
+
+    expect(prisma.job.update).toHaveBeenCalledWith({
+      where: { id: 'job-nexus' },
+      data: { canonicalJobId: 'job-le' }
+    });
+  });
+
+  test('queues ambiguous pairs for review without merging them', async () => {
+    const prisma = createPrismaStub({ jobs: [nexusJob], candidates: [{ ...laborEdgeJob, startDate: null, shiftType: null }] });
+
+    const result = await new JobDuplicateService(prisma).processDuplicates({ now });
+
+    expect(result).toEqual({ checked: 1, merged: 0, flagged: 1, failed: 0 });
+    expect(prisma.jobDuplicateCandidate.create.mock.calls[0][0].data.score).toBe(73);
+    expect(prisma.jobDuplicateCandidate.update).not.toHaveBeenCalled();
+  });
+
+  test('leaves pairs already recorded alone, so dismissed pairs stay dismissed', async () => {
+    const prisma = createPrismaStub({
+      jobs: [nexusJob],
+      candidates: [laborEdgeJob],
+      recorded: [{ jobId: 'job-nexus', duplicateJobId: 'job-le' }]
+    });
+
+    const result = await new JobDuplicateService(prisma).processDuplicates({ now });
+
+    expect(result).toEqual({ checked: 1, merged: 0, flagged: 0, failed: 0 });
+    expect(prisma.jobDuplicateCandidate.create).not.toHaveBeenCalled();
+  });
+
+  test('does not merge into a job that is itself a duplicate', async () => {
+    const prisma = createPrismaStub({ candidates: [{ ...nexusJob, canonicalJobId: 'job-other' }] });
+    const pair = { id: 'pair-1', jobId: 'job-nexus', duplicateJobId: 'job-le', score: 95 };
+
+    expect(await new JobDuplicateService(prisma).merge(pair)).toBe(false);
+    expect(prisma.job.update).not.toHaveBeenCalled();
+  });
+
+  test('does not merge a job that has since been merged into another', async () => {
+    const prisma = createPrismaStub({ candidates: [nexusJob, { ...laborEdgeJob, canonicalJobId: 'job-other' }] });
+    const pair = { id: 'pair-1', jobId: 'job-nexus', duplicateJobId: 'job-le', score: 75 };
+
+    expect(await new JobDuplicateService(prisma).merge(pair)).toBe(false);
+    expect(prisma.job.update).not.toHaveBeenCalled();
+    expect(prisma.jobDuplicateCandidate.update).not.toHaveBeenCalled();
+  });
+
+  test('merges the other way when a reviewer picks the canonical job', async () => {
+    const prisma = createPrismaStub({ candidates: [nexusJob, laborEdgeJob] });
+    const pair = { id: 'pair-1', jobId: 'job-nexus', duplicateJobId: 'job-le', score: 75 };
+
+    expect(await new JobDuplicateService(prisma).merge(pair, 'job-le', { id: 'user-1', role: 'recruiter' })).toBe(true);
+    expect(prisma.job.update).toHaveBeenCalledWith({
+      where: { id: 'job-nexus' },
+      data: { canonicalJobId: 'job-le' }
+    });
+    expect(prisma.jobDuplicateCandidate.update.mock.calls[0][0].data).toMatchObject({
+      jobId: 'job-le',
+      duplicateJobId: 'job-nexus',
+      status: DuplicateStatus.MERGED,
+      reviewedById: 'user-1',
+      reviewedAt: expect.any(Date)
+    });
+  });
+
+  test('separates merged jobs when their pair is dismissed', async () => {
+    const prisma = createPrismaStub();
+    const auditLogService = { record: jest.fn() };
+    const pair = {
+      id: 'pair-1',
+      jobId: 'job-nexus',
+      duplicateJobId: 'job-le',
+      score: 95,
+      status: DuplicateStatus.MERGED,
+      movedJobIds: ['job-repost']
+    };
+
+    const dismissed = await new JobDuplicateService(prisma, { auditLogService }).dismiss(pair, { id: 'user-1', role: 'admin' });
+
+    expect(dismissed.status).toBe(DuplicateStatus.DISMISSED);
+    expect(prisma.job.updateMany).toHaveBeenCalledWith({
+      where: { id: 'job-le', canonicalJobId: 'job-nexus' },
+      data: { canonicalJobId: null }
+    });
+    expect(prisma.job.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['job-repost'] }, canonicalJobId: 'job-nexus' },
+      data: { canonicalJobId: 'job-le' }
+    });
+    expect(auditLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+      entityId: 'job-le',
+      before: { canonicalJobId: 'job-nexus' },
+      after: { canonicalJobId: null }
+    }));
+    expect(auditLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+      entityId: 'job-repost',
+      before: { canonicalJobId: 'job-nexus' },
+      after: { canonicalJobId: 'job-le' }
+    }));
+  });
+
+  test('lists the review queue highest scoring first', async () => {
+    const prisma = createPrismaStub();
+
+    const result = await new JobDuplicateService(prisma).list({ page: 2, limit: 10 });
+
+    expect(result).toEqual({ candidates: [], total: 0, page: 2, limit: 10 });
+    expect(prisma.jobDuplicateCandidate.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: DuplicateStatus.PENDING },
+      orderBy: [{ score: 'desc' }, { createdAt: 'asc' }],
+      skip: 10,
+      take: 10
+    }));
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * Job Lifecycle Service
+ *
+ * Moves jobs through their lifecycle without anyone having to change their
+ * status by hand. Active jobs expire once an expiry rule says they are stale
+ * (start date long past, end date past, or not synced from its source in a
+ * while), and a job is marked filled when one of its applications is placed.
+ * Every transition is recorded in JobStatusTransition, the job's revision
+ * history and the audit log, invalidates the job's cached entries, and candidates who saved the job or still have
+ * an application open on it are notified in the app and by email.
+ *
+ * Expirations and placements recorded outside the API are swept by
+ * scripts/process-job-lifecycle.js, run from cron; placements made through
+ * the API close their job straight away.
+ */
+
+const { Logger } = require('../utils/logger');
+const { AuditAction, SYSTEM_ACTOR } = require('./audit-log.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Job statuses
+ */
+const JobStatus = {
+  ACTIVE: 'active',
+  FILLED: 'filled',
+  EXPIRED: 'expired',
+  DRAFT: 'draft'
+};
+
+/**
+ * Why a job changed status
+ */
+const TransitionReason = {
+  START_DATE_PASSED: 'start_date_passed',
+  END_DATE_PASSED: 'end_date_passed',
+  STALE: 'stale',
+  PLACED: 'placed',
+  MANUAL: 'manual',
+  SOURCE_SYNC: 'source_sync',
+  SOURCE_DELETED: 'source_deleted'
+};
+
+// Application statuses still awaiting a decision
+const OPEN_APPLICATION_STATUSES = ['submitted', 'reviewing', 'interview', 'offered'];
+
+// Job fields needed to transition a job and notify its candidates
+const JOB_FIELDS = {
+  id: true,
+  title: true,
+  specialty: true,
+  facilityName: true,
+  status: true
+};
+
+/**
+ * Read a number of days from the environment
+ * @param {string} name Variable name
+ * @param {number} defaultDays Days when the variable is unset
+ * @returns {number|null} Days, or null if the variable is `off`
+ */
+function getDays(name, defaultDays) {
+  if (process.env[name] === 'off') {
+    return null;
+  }
+
+  const days = parseInt(process.env[name]);
+  return isNaN(days) ? defaultDays : days;
+}
+
+/**
+ * Get the expiry rules from the environment. Each rule expires active jobs
+ * whose `field` is more than `days` days in the past, and is turned off by
+ * setting its variable to `off`:
+ *
+ * - JOB_EXPIRE_AFTER_START_DAYS (default 7): the start date has passed
+ * - JOB_EXPIRE_AFTER_END_DAYS (default 0): the end date has passed
+ * - JOB_EXPIRE_STALE_DAYS (default 60): the job has not been synced from its
+ *   source. Views, edits and status changes don't count, and jobs that were
+ *   never synced are left alone.
+ *
+ * @returns {Array<Object>} Enabled rules with their reason, field and days
+ */
+function getExpiryRules() {
+  return [
+    { reason: TransitionReason.START_DATE_PASSED, field: 'startDate', days: getDays('JOB_EXPIRE_AFTER_START_DAYS', 7) },
+    { reason: TransitionReason.END_DATE_PASSED, field: 'endDate', days: getDays('JOB_EXPIRE_AFTER_END_DAYS', 0) },
+    { reason: TransitionReason.STALE, field: 'lastSyncedAt', days: getDays('JOB_EXPIRE_STALE_DAYS', 60) }
+  ].filter(rule => rule.days !== null);
+}
+
+class JobLifecycleService {
+  /**
+   * Create a new JobLifecycleService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {Object} options.mailer Mailer used to notify candidates; without one only in-app notifications are sent
+   * @param {Object} options.auditLogService Audit log for status changes
+   * @param {Object} options.jobCache Invalidated when a job changes status
+   * @param {Array<Object>} options.rules Expiry rules (defaults to getExpiryRules())
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.mailer = options.mailer;
+    this.auditLogService = options.auditLogService;
+    this.jobCache = options.jobCache;
+    this.rules = options.rules || getExpiryRules();
+    this.logger = new Logger({ service: 'JobLifecycleService' });
+  }
+
+  /**
+   * Run a lifecycle pass: close jobs with placed applications, then expire
+   * stale jobs
+   * @param {Date} now Current time
+   * @returns {Promise<Object>} Numbers of jobs filled, expired and failed
+   */
+  async processLifecycle(now = new Date()) {
+    const placements = await this.processPlacements();
+    const expirations = await this.processExpirations(now);
+
+    return {
+      filled: placements.filled,
+      expired: expirations.expired,
+      failed: placements.failed + expirations.failed
+    };
+  }
+
+  /**
+   * Mark active jobs with a placed application as filled
+   * @returns {Promise<Object>} Numbers of jobs filled and failed
+   */
+  async processPlacements() {
+    const jobs = await this.prisma.job.findMany({
+      where: {
+        status: JobStatus.ACTIVE,
+        applications: { some: { status: 'placed' } }
+      },
+      select: {
+        ...JOB_FIELDS,
+        applications: {
+          where: { status: 'placed' },
+          select: { id: true },
+          orderBy: { lastStatusChange: 'desc' },
+          take: 1
+        }
+      }
+    });
+
+    const { changed, failed } = await this.transitionAll(jobs, JobStatus.FILLED, job => ({
+      reason: TransitionReason.PLACED,
+      applicationId: job.applications[0].id
+    }));
+
+    return { filled: changed, failed };
+  }
+
+  /**
+   * Expire active jobs matching an expiry rule. Rules run in order, so a job
+   * matching several is expired for the first.
+   * @param {Date} now Current time
+   * @returns {Promise<Object>} Numbers of jobs expired and failed
+   */
+  async processExpirations(now = new Date()) {
+    let expired = 0;
+    let failed = 0;
+
+    for (const rule of this.rules) {
+      const jobs = await this.prisma.job.findMany({
+        where: {
+          status: JobStatus.ACTIVE,
+          [rule.field]: { lt: new Date(now.getTime() - rule.days * DAY) }
+        },
+        select: JOB_FIELDS
+      });
+
+      const results = await this.transitionAll(jobs, JobStatus.EXPIRED, () => ({ reason: rule.reason }));
+      expired += results.changed;
+      failed += results.failed;
+    }
+
+    return { expired, failed };
+  }
+
+  /**
+   * Mark a placed application's job as filled
+   * @param {Object} application Placed application with its ID and job ID
+   * @param {Object} actor Actor from getAuditActor, or SYSTEM_ACTOR
+   * @returns {Promise<boolean>} Whether the job was closed
+   */
+  async closeForPlacement(application, actor = SYSTEM_ACTOR) {
+    const job = await this.prisma.job.findUnique({
+      where: { id: application.jobId },
+      select: JOB_FIELDS
+    });
+
+    if (!job || job.status !== JobStatus.ACTIVE) {
+      return false;
+    }
+
+    return this.transition(job, JobStatus.FILLED, {
+      reason: TransitionReason.PLACED,
+      applicationId: application.id,
+      actor
+    });
+  }
+
+  /**
+   * Transition jobs one at a time, so one failure does not stop the pass
+   * @param {Array<Object>} jobs Jobs to transition
+   * @param {string} toStatus New status
+   * @param {Function} getOptions Derives the transition options from a job
+   * @returns {Promise<Object>} Numbers of jobs changed and failed
+   */
+  async transitionAll(jobs, toStatus, getOptions) {
+    let changed = 0;
+    let failed = 0;
+
+    for (const job of jobs) {
+      try {
+        if (await this.transition(job, toStatus, getOptions(job))) {
+          changed++;
+        }
+      } catch (error) {
+        failed++;
+        this.logger.error({
+          message: 'Failed to change job status',
+          error: error.message,
+          jobId: job.id,
+          toStatus
+        });
+      }
+    }
+
+    return { changed, failed };
+  }
+
+  /**
+   * Change a job's status, record the transition and notify its candidates.
+   * The change only applies if the job still has the status it was read
+   * with, so concurrent passes and edits never transition a job twice.
+   * @param {Object} job Job with its current status
+   * @param {string} toStatus New status
+   * @param {Object} options Transition options
+   * @param {string} options.reason One of TransitionReason
+   * @param {string} options.applicationId Placed application, for placements
+   * @param {Object} options.actor Actor from getAuditActor, or SYSTEM_ACTOR
+   * @returns {Promise<boolean>} Whether the job changed status
+   */
+  async transition(job, toStatus, { reason, applicationId = null, actor = SYSTEM_ACTOR }) {
+    const changed = await this.prisma.$transaction(async tx => {
+      const { count } = await tx.job.updateMany({
+        where: { id: job.id, status: job.status },
+        data: { status: toStatus }
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.jobStatusTransition.create({
+        data: {
+          jobId: job.id,
+          fromStatus: job.status,
+          toStatus,
+          reason,
+          actorId: actor.id || null,
+          applicationId
+        }
+      });
+
+      await tx.jobRevision.create({
+        data: {
+          jobId: job.id,
+          changes: { status: { before: job.status, after: toStatus } },
+          source: 'lifecycle',
+          actorId: actor.id || null
+        }
+      });
+
+      return true;
+    });
+
+    if (!changed) {
+      return false;
+    }
+
+    this.logger.info({
+      message: 'Job status changed',
+      jobId: job.id,
+      fromStatus: job.status,
+      toStatus,
+      reason
+    });
+
+    await this.jobCache?.invalidateJob(job.id);
+
+    if (this.auditLogService) {
+      await this.auditLogService.record({
+        actor,
+        action: AuditAction.STATUS_CHANGE,
+        entityType: 'Job',
+        entityId: job.id,
+        before: { status: job.status },
+        after: { status: toStatus },
+        metadata: { reason, applicationId }
+      });
+    }
+
+    await this.notifyCandidates(job, toStatus, applicationId);
+
+    return true;
+  }
+
+  /**
+   * Notify candidates who saved a job or have an open application on it that
+   * the job has closed. Failures are logged rather than thrown, since the
+   * transition itself has already happened.
+   * @param {Object} job Closed job
+   * @param {string} toStatus New status
+   * @param {string} applicationId Placed application, whose candidate is not notified
+   * @returns {Promise<number>} Number of candidates notified
+   */
+  async notifyCandidates(job, toStatus, applicationId = null) {
+    try {
+      const [savedJobs, applications] = await Promise.all([
+        this.prisma.savedJob.findMany({
+          where: { jobId: job.id },
+          select: { userId: true }
+        }),
+        this.prisma.application.findMany({
+          where: {
+            jobId: job.id,
+            status: { in: OPEN_APPLICATION_STATUSES },
+            ...(applicationId && { id: { not: applicationId } })
+          },
+          select: { candidateId: true }
+        })
+      ]);
+
+      const userIds = [...new Set([
+        ...savedJobs.map(savedJob => savedJob.userId),
+        ...applications.map(application => application.candidateId)
+      ])];
+
+      if (userIds.length === 0) {
+        return 0;
+      }
+
+      const users = await this.prisma.user.findMany({
+        where: { id: { in: userIds }, isActive: true, deletedAt: null },
+        select: { id: true, email: true, firstName: true }
+      });
+      const closed = toStatus === JobStatus.FILLED ? 'has been filled' : 'is no longer accepting applications';
+
+      await this.prisma.notification.createMany({
+        data: users.map(user => ({
+          userId: user.id,
+          type: 'job_closed',
+          title: 'Job No Longer Available',
+          message: `${job.title} at ${job.facilityName} ${closed}.`,
+          isRead: false,
+          actionUrl: `/jobs/${job.id}`,
+          metadata: { jobId: job.id, status: toStatus }
+        }))
+      });
+
+      if (this.mailer) {
+        for (const user of users) {
+          try {
+            await this.mailer.sendJobClosedEmail(user, job, toStatus);
+          } catch (error) {
+            this.logger.error({
+              message: 'Failed to send job closed email',
+              error: error.message,
+              jobId: job.id,
+              userId: user.id
+            });
+          }
+        }
+      }
+
+      return users.length;
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to notify candidates of job status change',
+        error: error.message,
+        jobId: job.id
+      });
+      return 0;
+    }
+  }
+}
+
+module.exports = {
+  JobLifecycleService,
+  JobStatus,
+  TransitionReason,
+  getExpiryRules
+};
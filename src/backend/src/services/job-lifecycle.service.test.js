@@ -0,0 +1,201 @@
+/**
+ * Tests for Job Lifecycle Service
+ */
+
+const { JobLifecycleService, TransitionReason, getExpiryRules } = require('./job-lifecycle.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const job = { id: 'job-1', title: 'ICU RN', specialty: 'ICU', facilityName: 'Mercy General', status: 'active' };
+
+function createPrismaStub({ jobs = [], savedJobs = [], applications = [], users = [] } = {}) {
+  const prisma = {
+    job: {
+      findMany: jest.fn(async () => jobs),
+      findUnique: jest.fn(async () => jobs[0] || null),
+      updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    jobStatusTransition: { create: jest.fn(async ({ data }) => data) },
+    jobRevision: { create: jest.fn(async ({ data }) => data) },
+    savedJob: { findMany: jest.fn(async () => savedJobs) },
+    application: { findMany: jest.fn(async () => applications) },
+    user: { findMany: jest.fn(async () => users) },
+    notification: { createMany: jest.fn(async ({ data }) => ({ count: data.length })) }
+  };
+  prisma.$transaction = jest.fn(async callback => callback(prisma));
+  return prisma;
+}
+
+describe('JobLifecycleService', () => {
+  const rules = [
+    { reason: TransitionReason.START_DATE_PASSED, field: 'startDate', days: 7 },
+    { reason: TransitionReason.STALE, field: 'lastSyncedAt', days: 60 }
+  ];
+
+  test('expires active jobs matching each rule', async () => {
+    const prisma = createPrismaStub({ jobs: [job] });
+    const now = new Date('2026-10-19T00:00:00Z');
+
+    const result = await new JobLifecycleService(prisma, { rules }).processExpirations(now);
+
+    expect(result).toEqual({ expired: 2, failed: 0 });
+    expect(prisma.job.findMany.mock.calls[0][0].where).toEqual({
+      status: 'active',
+      startDate: { lt: new Date(now.getTime() - 7 * DAY) }
+    });
+    expect(prisma.job.updateMany).toHaveBeenCalledWith({
+      where: { id: 'job-1', status: 'active' },
+      data: { status: 'expired' }
+    });
+    expect(prisma.jobStatusTransition.create.mock.calls[0][0].data).toEqual({
+      jobId: 'job-1',
+      fromStatus: 'active',
+      toStatus: 'expired',
+      reason: 'start_date_passed',
+      actorId: null,
+      applicationId: null
+    });
+    expect(prisma.jobRevision.create.mock.calls[0][0].data).toEqual({
+      jobId: 'job-1',
+      changes: { status: { before: 'active', after: 'expired' } },
+      source: 'lifecycle',
+      actorId: null
+    });
+  });
+
+  test('invalidates the cached job when its status changes', async () => {
+    const prisma = createPrismaStub({ jobs: [job] });
+    const jobCache = { invalidateJob: jest.fn(async () => {}) };
+    const service = new JobLifecycleService(prisma, { rules, jobCache });
+
+    await service.closeForPlacement({ id: 'app-1', jobId: 'job-1' });
+    expect(jobCache.invalidateJob).toHaveBeenCalledWith('job-1');
+
+    prisma.job.updateMany.mockResolvedValue({ count: 0 });
+    await service.transition(job, 'expired', { reason: 'stale' });
+    expect(jobCache.invalidateJob).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips jobs whose status changed concurrently', async () => {
+    const prisma = createPrismaStub({ jobs: [job] });
+    prisma.job.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await new JobLifecycleService(prisma, { rules: [rules[0]] }).processExpirations();
+
+    expect(result).toEqual({ expired: 0, failed: 0 });
+    expect(prisma.jobStatusTransition.create).not.toHaveBeenCalled();
+    expect(prisma.savedJob.findMany).not.toHaveBeenCalled();
+  });
+
+  test('keeps going when a job fails', async () => {
+    const prisma = createPrismaStub({ jobs: [job, { ...job, id: 'job-2' }] });
+    prisma.$transaction.mockRejectedValueOnce(new Error('deadlock detected'));
+
+    const result = await new JobLifecycleService(prisma, { rules: [rules[0]] }).processExpirations();
+
+    expect(result).toEqual({ expired: 1, failed: 1 });
+  });
+
+  test('fills jobs with placed applications and notifies everyone else following them', async () => {
+    const prisma = createPrismaStub({
+      jobs: [{ ...job, applications: [{ id: 'app-1' }] }],
+      savedJobs: [{ userId: 'user-2' }, { userId: 'user-3' }],
+      applications: [{ candidateId: 'user-3' }],
+      users: [
+        { id: 'user-2', email: 'a@example.com', firstName: 'Ann' },
+        { id: 'user-3', email: 'b@example.com', firstName: 'Ben' }
+      ]
+    });
+    const mailer = { sendJobClosedEmail: jest.fn(async () => ({})) };
+    const auditLogService = { record: jest.fn(async () => ({})) };
+
+    const result = await new JobLifecycleService(prisma, { rules, mailer, auditLogService }).processPlacements();
+
+    expect(result).toEqual({ filled: 1, failed: 0 });
+    expect(prisma.jobStatusTransition.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      toStatus: 'filled',
+      reason: 'placed',
+      applicationId: 'app-1'
+    }));
+    expect(prisma.application.findMany.mock.calls[0][0].where).toEqual({
+      jobId: 'job-1',
+      status: { in: ['submitted', 'reviewing', 'interview', 'offered'] },
+      id: { not: 'app-1' }
+    });
+    expect(prisma.user.findMany.mock.calls[0][0].where.id).toEqual({ in: ['user-2', 'user-3'] });
+    expect(prisma.notification.createMany.mock.calls[0][0].data[0]).toEqual(expect.objectContaining({
+      userId: 'user-2',
+      type: 'job_closed',
+      message: 'ICU RN at Mercy General has been filled.'
+    }));
+    expect(mailer.sendJobClosedEmail).toHaveBeenCalledTimes(2);
+    expect(auditLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'status_change',
+      entityType: 'Job',
+      before: { status: 'active' },
+      after: { status: 'filled' }
+    }));
+  });
+
+  test('closes the job of a placed application unless it is already closed', async () => {
+    const prisma = createPrismaStub({ jobs: [job] });
+    const service = new JobLifecycleService(prisma, { rules });
+    const actor = { id: 'recruiter-1', role: 'recruiter' };
+
+    await expect(service.closeForPlacement({ id: 'app-1', jobId: 'job-1' }, actor)).resolves.toBe(true);
+    expect(prisma.jobStatusTransition.create.mock.calls[0][0].data.actorId).toBe('recruiter-1');
+
+    prisma.job.findUnique.mockResolvedValue({ ...job, status: 'expired' });
+    await expect(service.closeForPlacement({ id: 'app-2', jobId: 'job-1' }, actor)).resolves.toBe(false);
+  });
+
+  test('does not fail the transition when notifying fails', async () => {
+    const prisma = createPrismaStub({ jobs: [job] });
+    prisma.savedJob.findMany.mockRejectedValue(new Error('connection lost'));
+
+    await expect(new JobLifecycleService(prisma, { rules }).transition(job, 'expired', { reason: 'stale' })).resolves.toBe(true);
+  });
+
+  describe('getExpiryRules', () => {
+    const env = process.env;
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    test('reads the rules from the environment', () => {
+      process.env = { ...env, JOB_EXPIRE_AFTER_START_DAYS: '3', JOB_EXPIRE_STALE_DAYS: 'off' };
+      delete process.env.JOB_EXPIRE_AFTER_END_DAYS;
+
+      expect(getExpiryRules()).toEqual([
+        { reason: 'start_date_passed', field: 'startDate', days: 3 },
+        { reason: 'end_date_passed', field: 'endDate', days: 0 }
+      ]);
+    });
+
+    test('expires jobs their source stopped syncing even while they are still viewed', async () => {
+      process.env = { ...env };
+      delete process.env.JOB_EXPIRE_AFTER_START_DAYS;
+      delete process.env.JOB_EXPIRE_AFTER_END_DAYS;
+      delete process.env.JOB_EXPIRE_STALE_DAYS;
+
+      const now = new Date('2026-10-19T00:00:00Z');
+      const viewedJob = {
+        ...job,
+        viewsCount: 240,
+        updatedAt: new Date(now.getTime() - DAY),
+        lastSyncedAt: new Date(now.getTime() - 90 * DAY)
+      };
+      const prisma = createPrismaStub();
+      prisma.job.findMany.mockImplementation(async ({ where }) => {
+        const field = Object.keys(where).find(key => key !== 'status');
+        return viewedJob[field] < where[field].lt ? [viewedJob] : [];
+      });
+
+      const result = await new JobLifecycleService(prisma).processExpirations(now);
+
+      expect(result).toEqual({ expired: 1, failed: 0 });
+      expect(prisma.jobStatusTransition.create.mock.calls[0][0].data.reason).toBe('stale');
+    });
+  });
+});
@@ -0,0 +1,497 @@
+/**
+ * Job Search Service
+ *
+ * Ranked full-text and radius search over jobs, and facet counts for the
+ * search filters. Text search is backed by the weighted "searchVector"
+ * column on Job (see the add_job_search_vector migration); radius search
+ * measures great-circle distance to the job's coordinates, falling back to
+ * its facility's. Searches return matching job IDs in order with their rank
+ * and distance; callers load the jobs themselves so the response shape
+ * matches the unranked listing.
+ */
+
+const { Logger } = require('../utils/logger');
+const { buildSearchQuery } = require('../utils/search-query');
+const { DEFAULT_RADIUS_MILES } = require('../utils/geo');
+const { SORT_FIELDS } = require('../schemas/jobs');
+
+// Columns accepted by the list filters, keyed by search parameter
+const LIST_FILTERS = {
+  specialty: 'specialty',
+  state: 'state',
+  city: 'city',
+  shiftType: 'shiftType'
+};
+
+// Sortable columns that may be null
+const NULLABLE_SORT_FIELDS = ['startDate'];
+
+// Boolean flag filters, keyed by search parameter
+const FLAG_FILTERS = {
+  isFeatured: 'isFeatured',
+  isUrgent: 'isUrgent'
+};
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69;
+
+// Most values returned per list facet
+const MAX_FACET_VALUES = 50;
+
+// Hourly pay rate buckets, matching the filter panel's $/hr range
+const PAY_RATE_BUCKETS = [
+  { key: 'under-40', min: null, max: 40 },
+  { key: '40-50', min: 40, max: 50 },
+  { key: '50-60', min: 50, max: 60 },
+  { key: '60-75', min: 60, max: 75 },
+  { key: '75-plus', min: 75, max: null }
+];
+
+// Start date windows in days from today; jobs without a start date are not counted
+const START_DATE_WINDOWS = [
+  { key: 'within-14-days', from: null, to: 14 },
+  { key: '14-30-days', from: 14, to: 30 },
+  { key: '30-60-days', from: 30, to: 60 },
+  { key: '60-90-days', from: 60, to: 90 },
+  { key: '90-plus-days', from: 90, to: null }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class JobSearchService {
+  /**
+   * Create a new JobSearchService
+   * @param {Object} prisma Prisma client
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.logger = new Logger({ service: 'JobSearchService' });
+  }
+
+  /**
+   * Search jobs by relevance and/or distance
+   * @param {Object} params Search parameters, as validated by schemas/jobs.js#listJobs
+   * @param {string} params.search Optional free-text search
+   * @param {Object} params.near Optional latitude and longitude to search around
+   * @param {number} params.radius Search radius in miles when near is set
+   * @param {string} params.status Job status
+   * @param {Array<string>} params.specialty Specialties to include
+   * @param {Array<string>} params.state States to include
+   * @param {Array<string>} params.city Cities to include
+   * @param {Array<string>} params.shiftType Shift types to include
+   * @param {number} params.minPay Minimum pay rate
+   * @param {number} params.maxPay Maximum pay rate
+   * @param {Date} params.startDate Earliest start date
+   * @param {Date} params.startBefore Start date upper bound, exclusive
+   * @param {boolean} params.isFeatured Featured flag
+   * @param {boolean} params.isUrgent Urgent flag
+   * @param {string} params.sort Optional `field:direction`; relevance, then distance, is used when absent
+   * @param {number} params.page Page number
+   * @param {number} params.limit Page size
+   * @param {string} params.pagination `cursor` to page by cursor instead of page number
+   * @param {Object} params.cursor Decoded cursor to continue after, implying cursor pagination
+   * @returns {Promise<Object>} Matching IDs with their rank and distance, in order, and either the
+   *   total match count or, with cursor pagination, the key values to continue after
+   */
+  async search(params) {
+    const query = this.buildQuery(params);
+    const byCursor = params.pagination === 'cursor' || Boolean(params.cursor);
+
+    if (!query || (!query.tsquery && !params.near)) {
+      return byCursor ? { results: [], nextKey: null } : { results: [], total: 0 };
+    }
+
+    const { values, bind, tsquery } = query;
+    const terms = this.getOrderTerms(params.sort, { rank: query.rank, distance: query.distance });
+    const columns = [
+      'j."id"',
+      tsquery && `${query.rank} AS "rank"`,
+      params.near && `${query.distance} AS "distance"`
+    ].filter(Boolean);
+    const limit = params.limit || 20;
+
+    if (byCursor) {
+      return this.searchByCursor(params, query, terms, columns, limit);
+    }
+
+    const countSql = `SELECT COUNT(*)::int AS "total" ${query.where}`;
+    const countValues = [...values];
+
+    const page = params.page || 1;
+    const pageSql = `SELECT ${columns.join(', ')} ${query.where} ` +
+      `ORDER BY ${this.toOrderBy(terms)} ` +
+      `LIMIT ${bind(limit)} OFFSET ${bind((page - 1) * limit)}`;
+
+    const [rows, counts] = await Promise.all([
+      this.prisma.$queryRawUnsafe(pageSql, ...values),
+      this.prisma.$queryRawUnsafe(countSql, ...countValues)
+    ]);
+
+    this.logger.debug({
+      message: 'Job search',
+      search: params.search,
+      tsquery,
+      near: params.near,
+      radius: params.radius,
+      total: counts[0].total
+    });
+
+    return {
+      results: rows.map(row => this.toResult(row, params)),
+      total: counts[0].total
+    };
+  }
+
+  /**
+   * Fetch one page of search results after a cursor position, without counting
+   * @param {Object} params Search parameters
+   * @param {Object} query Query parts from buildQuery
+   * @param {Array<Object>} terms Order terms
+   * @param {Array<string>} columns Selected columns
+   * @param {number} limit Page size
+   * @returns {Promise<Object>} Results and the key values to continue after, or null on the last page
+   */
+  async searchByCursor(params, query, terms, columns, limit) {
+    const { values, bind } = query;
+    const keyset = params.cursor ? ` AND ${this.toKeysetCondition(terms, params.cursor.values, bind)}` : '';
+    const keyColumns = terms.map((term, index) => `${term.expr} AS "k${index}"`);
+    const pageSql = `SELECT ${[...columns, ...keyColumns].join(', ')} ${query.where}${keyset} ` +
+      `ORDER BY ${this.toOrderBy(terms)} LIMIT ${bind(limit + 1)}`;
+
+    const rows = await this.prisma.$queryRawUnsafe(pageSql, ...values);
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      results: page.map(row => this.toResult(row, params)),
+      nextKey: rows.length > limit ? terms.map((term, index) => last[`k${index}`]) : null
+    };
+  }
+
+  /**
+   * Shape a search row as a result
+   * @param {Object} row Database row
+   * @param {Object} params Search parameters
+   * @returns {Object} Job ID with its rank and distance where searched for
+   */
+  toResult(row, params) {
+    return {
+      id: row.id,
+      ...(row.rank !== undefined && { rank: Number(row.rank) }),
+      ...(params.near && { distance: Math.round(Number(row.distance) * 10) / 10 })
+    };
+  }
+
+  /**
+   * Count matching jobs per filter value. Each facet is counted against every
+   * current filter except its own, so with one state selected the state
+   * facet still shows how many jobs each other state would add.
+   * @param {Object} params Search parameters, as for search()
+   * @param {Date} now Reference time for the start date windows
+   * @returns {Promise<Object>} Counts per specialty, state, city, shift type,
+   *   pay rate bucket and start date window, and the featured and urgent totals
+   */
+  async getFacets(params, now = new Date()) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const windows = START_DATE_WINDOWS.map(window => ({
+      key: window.key,
+      from: window.from === null ? null : new Date(today + window.from * DAY_MS),
+      to: window.to === null ? null : new Date(today + window.to * DAY_MS)
+    }));
+
+    const [lists, payCounts, startCounts, isFeatured, isUrgent] = await Promise.all([
+      Promise.all(Object.entries(LIST_FILTERS).map(([param, column]) => this.countValues(params, param, column))),
+      this.countRanges(params, ['minPay', 'maxPay'], 'payRate',
+        PAY_RATE_BUCKETS.map(bucket => [bucket.min, bucket.max])),
+      this.countRanges(params, ['startDate', 'startBefore'], 'startDate',
+        windows.map(window => [window.from, window.to])),
+      this.countFlag(params, 'isFeatured'),
+      this.countFlag(params, 'isUrgent')
+    ]);
+
+    return {
+      ...Object.fromEntries(Object.keys(LIST_FILTERS).map((param, index) => [param, lists[index]])),
+      payRate: PAY_RATE_BUCKETS.map((bucket, index) => ({ ...bucket, count: payCounts[index] })),
+      startDate: windows.map((window, index) => ({
+        key: window.key,
+        from: window.from && window.from.toISOString().slice(0, 10),
+        to: window.to && window.to.toISOString().slice(0, 10),
+        count: startCounts[index]
+      })),
+      isFeatured,
+      isUrgent
+    };
+  }
+
+  /**
+   * Count matching jobs per distinct value of a column
+   * @param {Object} params Search parameters
+   * @param {string} param Filter parameter to leave out
+   * @param {string} column Column to group by
+   * @returns {Promise<Array<Object>>} Values with their counts, most common first
+   */
+  async countValues(params, param, column) {
+    const query = this.buildQuery(params, [param]);
+
+    if (!query) {
+      return [];
+    }
+
+    const rows = await this.prisma.$queryRawUnsafe(
+      `SELECT j."${column}" AS "value", COUNT(*)::int AS "count" ${query.where} AND j."${column}" IS NOT NULL ` +
+      `GROUP BY 1 ORDER BY "count" DESC, "value" ASC LIMIT ${query.bind(MAX_FACET_VALUES)}`,
+      ...query.values
+    );
+
+    return rows.map(row => ({ value: row.value, count: row.count }));
+  }
+
+  /**
+   * Count matching jobs per range of a column
+   * @param {Object} params Search parameters
+   * @param {Array<string>} rangeParams Lower and upper bound parameters to leave out
+   * @param {string} column Column to count ranges of
+   * @param {Array<Array>} ranges Inclusive lower and exclusive upper bounds, either of which may be null
+   * @returns {Promise<Array<number>>} Count per range
+   */
+  async countRanges(params, rangeParams, column, ranges) {
+    const query = this.buildQuery(params, rangeParams);
+
+    if (!query) {
+      return ranges.map(() => 0);
+    }
+
+    const counts = ranges.map(([lower, upper], index) => {
+      const conditions = [
+        lower !== null && `j."${column}" >= ${query.bind(lower)}`,
+        upper !== null && `j."${column}" < ${query.bind(upper)}`
+      ].filter(Boolean);
+
+      return `COUNT(*) FILTER (WHERE ${conditions.join(' AND ')})::int AS "r${index}"`;
+    });
+
+    const [row] = await this.prisma.$queryRawUnsafe(`SELECT ${counts.join(', ')} ${query.where}`, ...query.values);
+
+    return ranges.map((range, index) => row[`r${index}`]);
+  }
+
+  /**
+   * Count matching jobs with a flag set
+   * @param {Object} params Search parameters
+   * @param {string} param Flag filter parameter
+   * @returns {Promise<number>} Number of matching jobs with the flag set
+   */
+  async countFlag(params, param) {
+    const query = this.buildQuery(params, [param]);
+
+    if (!query) {
+      return 0;
+    }
+
+    const [row] = await this.prisma.$queryRawUnsafe(
+      `SELECT COUNT(*) FILTER (WHERE j."${FLAG_FILTERS[param]}")::int AS "count" ${query.where}`,
+      ...query.values
+    );
+
+    return row.count;
+  }
+
+  /**
+   * Build the FROM and WHERE clauses for the current filters, binding every
+   * value as a positional parameter
+   * @param {Object} params Search parameters
+   * @param {Array<string>} exclude Filter parameters to leave out
+   * @returns {Object|null} Query parts, or null if the search text has no searchable words
+   */
+  buildQuery(params, exclude = []) {
+    const tsquery = params.search !== undefined ? buildSearchQuery(params.search) : null;
+
+    if (params.search !== undefined && !tsquery) {
+      return null;
+    }
+
+    const values = [];
+    const conditions = [];
+    const bind = value => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const applies = param => params[param] !== undefined && !exclude.includes(param);
+    let from = '"Job" j';
+    let rank = null;
+    let distance = null;
+
+    if (tsquery) {
+      from += `, (SELECT to_tsquery('english', ${bind(tsquery)}) AS query) q`;
+      conditions.push('j."searchVector" @@ q.query');
+      rank = 'ts_rank_cd(j."searchVector", q.query, 32)';
+    }
+
+    if (params.near) {
+      const { latitude, longitude } = params.near;
+      const radius = params.radius || DEFAULT_RADIUS_MILES;
+      const band = radius / MILES_PER_DEGREE_LATITUDE;
+      const jobLatitude = 'COALESCE(j."latitude", f."latitude")';
+      const jobLongitude = 'COALESCE(j."longitude", f."longitude")';
+      const lat = bind(latitude);
+      const lng = bind(longitude);
+
+      distance = `(${EARTH_RADIUS_MILES} * acos(LEAST(1, GREATEST(-1, ` +
+        `cos(radians(${lat})) * cos(radians(${jobLatitude})) * cos(radians(${jobLongitude}) - radians(${lng})) + ` +
+        `sin(radians(${lat})) * sin(radians(${jobLatitude}))))))`;
+
+      from = from.replace('"Job" j', '"Job" j LEFT JOIN "Facility" f ON f."id" = j."facilityId"');
+      // Cheap latitude band first, so the trigonometry only runs on nearby rows
+      conditions.push(`${jobLatitude} BETWEEN ${bind(latitude - band)} AND ${bind(latitude + band)}`);
+      conditions.push(`${distance} <= ${bind(radius)}`);
+    }
+
+    if (applies('status')) {
+      conditions.push(`j."status" = ${bind(params.status)}`);
+    }
+
+    // Duplicates are listed through their canonical job
+    conditions.push('j."canonicalJobId" IS NULL');
+
+    Object.entries(LIST_FILTERS).forEach(([param, column]) => {
+      if (applies(param) && params[param].length > 0) {
+        conditions.push(`j."${column}" = ANY(${bind(params[param])}::text[])`);
+      }
+    });
+
+    if (applies('minPay')) {
+      conditions.push(`j."payRate" >= ${bind(params.minPay)}`);
+    }
+
+    if (applies('maxPay')) {
+      conditions.push(`j."payRate" <= ${bind(params.maxPay)}`);
+    }
+
+    if (applies('startDate')) {
+      conditions.push(`j."startDate" >= ${bind(params.startDate)}`);
+    }
+
+    if (applies('startBefore')) {
+      conditions.push(`j."startDate" < ${bind(params.startBefore)}`);
+    }
+
+    Object.entries(FLAG_FILTERS).forEach(([param, column]) => {
+      if (applies(param)) {
+        conditions.push(`j."${column}" = ${bind(params[param])}`);
+      }
+    });
+
+    return {
+      tsquery,
+      rank,
+      distance,
+      values,
+      bind,
+      where: `FROM ${from} WHERE ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'}`
+    };
+  }
+
+  /**
+   * Get the ordering of a search. Sort fields come from the route schema's
+   * whitelist and are checked again here because they are interpolated.
+   * Relevance, distance, recency and ID follow as tiebreakers, so the order is
+   * total and cursors can resume from any row.
+   * @param {string} sort Optional `field:direction`
+   * @param {Object} computed SQL expressions for the computed columns, or null if not selected
+   * @param {string} computed.rank Relevance expression
+   * @param {string} computed.distance Distance expression
+   * @returns {Array<Object>} Order terms with the ORDER BY column, the expression, direction and nullability
+   */
+  getOrderTerms(sort, computed = { rank: '"rank"', distance: null }) {
+    const column = field => ({ column: `j."${field}"`, expr: `j."${field}"`, nullable: NULLABLE_SORT_FIELDS.includes(field) });
+    const defaults = [
+      computed.rank && { column: '"rank"', expr: computed.rank, nullable: false, direction: 'desc' },
+      computed.distance && { column: '"distance"', expr: computed.distance, nullable: false, direction: 'asc' },
+      { ...column('updatedAt'), direction: 'desc' },
+      { ...column('id'), direction: 'asc' }
+    ].filter(Boolean);
+
+    if (sort) {
+      const [field, direction = 'asc'] = sort.split(':');
+      const sortable = computed.distance ? [...SORT_FIELDS, 'distance'] : SORT_FIELDS;
+
+      if (!sortable.includes(field) || !['asc', 'desc'].includes(direction)) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+
+      const term = field === 'distance'
+        ? { ...defaults.find(order => order.column === '"distance"'), direction }
+        : { ...column(field), direction };
+
+      return [term, ...defaults.filter(order => order.column !== term.column)];
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Build the ORDER BY clause for order terms. Nulls always sort last.
+   * @param {Array<Object>} terms Order terms
+   * @returns {string} ORDER BY expression
+   */
+  toOrderBy(terms) {
+    return terms
+      .map(term => `${term.column} ${term.direction.toUpperCase()}${term.nullable ? ' NULLS LAST' : ''}`)
+      .join(', ');
+  }
+
+  /**
+   * Build the ORDER BY clause for a sort
+   * @param {string} sort Optional `field:direction`
+   * @param {Object} computed Which computed columns the query selects
+   * @param {boolean} computed.rank Whether "rank" is selected
+   * @param {boolean} computed.distance Whether "distance" is selected
+   * @returns {string} ORDER BY expression
+   */
+  getOrderBy(sort, computed = { rank: true, distance: false }) {
+    return this.toOrderBy(this.getOrderTerms(sort, {
+      rank: computed.rank ? '"rank"' : null,
+      distance: computed.distance ? '"distance"' : null
+    }));
+  }
+
+  /**
+   * Build a condition matching rows that sort after a cursor position
+   * @param {Array<Object>} terms Order terms
+   * @param {Array} values Key values from the cursor, one per term
+   * @param {Function} bind Binds a value and returns its placeholder
+   * @returns {string} SQL condition
+   */
+  toKeysetCondition(terms, values, bind) {
+    if (values.length !== terms.length) {
+      throw new Error('Cursor does not match the search ordering');
+    }
+
+    const branches = [];
+
+    terms.forEach((term, index) => {
+      // Nothing sorts after a null, since nulls are last
+      if (values[index] === null) {
+        return;
+      }
+
+      const equal = terms.slice(0, index).map((previous, i) => (
+        values[i] === null ? `${previous.expr} IS NULL` : `${previous.expr} = ${bind(values[i])}`
+      ));
+      const operator = term.direction === 'desc' ? '<' : '>';
+      const after = term.nullable
+        ? `(${term.expr} ${operator} ${bind(values[index])} OR ${term.expr} IS NULL)`
+        : `${term.expr} ${operator} ${bind(values[index])}`;
+
+      branches.push(`(${[...equal, after].join(' AND ')})`);
+    });
+
+    return branches.length > 0 ? `(${branches.join(' OR ')})` : 'FALSE';
+  }
+}
+
+module.exports = {
+  JobSearchService,
+  PAY_RATE_BUCKETS,
+  START_DATE_WINDOWS
+};
@@ -0,0 +1,190 @@
+/**
+ * Tests for Job Search Service
+ */
+
+const { JobSearchService } = require('./job-search.service');
+
+function createPrismaStub(rows, total) {
+  return {
+    $queryRawUnsafe: jest.fn(async sql => (sql.includes('COUNT(*)') ? [{ total }] : rows))
+  };
+}
+
+describe('JobSearchService', () => {
+  test('binds the query and filters as parameters', async () => {
+    const prisma = createPrismaStub([{ id: 'job-2', rank: '0.8' }, { id: 'job-1', rank: 0.4 }], 12);
+    const service = new JobSearchService(prisma);
+
+    const result = await service.search({
+      search: 'ICU Houston',
+      status: 'active',
+      state: ['TX'],
+      minPay: 2000,
+      page: 2,
+      limit: 10
+    });
+
+    expect(result).toEqual({ results: [{ id: 'job-2', rank: 0.8 }, { id: 'job-1', rank: 0.4 }], total: 12 });
+
+    const [pageSql, ...pageValues] = prisma.$queryRawUnsafe.mock.calls[0];
+    const [countSql, ...countValues] = prisma.$queryRawUnsafe.mock.calls[1];
+
+    expect(pageSql).toContain('j."state" = ANY($3::text[])');
+    expect(pageSql).toContain('ORDER BY "rank" DESC');
+    expect(pageSql).toContain('LIMIT $5 OFFSET $6');
+    expect(pageSql).not.toContain('Houston');
+    expect(pageValues).toEqual([expect.stringContaining('houston:*'), 'active', ['TX'], 2000, 10, 10]);
+    expect(countSql).not.toContain('LIMIT');
+    expect(countValues).toEqual(pageValues.slice(0, 4));
+  });
+
+  test('orders by the requested sort before relevance', async () => {
+    const prisma = createPrismaStub([], 0);
+    await new JobSearchService(prisma).search({ search: 'icu', sort: 'payRate:desc' });
+
+    expect(prisma.$queryRawUnsafe.mock.calls[0][0]).toContain('ORDER BY j."payRate" DESC, "rank" DESC');
+  });
+
+  test('rejects sort fields outside the whitelist', () => {
+    expect(() => new JobSearchService({}).getOrderBy('"id"; DROP TABLE "Job":asc')).toThrow('Invalid sort');
+  });
+
+  test('filters by radius and orders by distance without a text search', async () => {
+    const prisma = createPrismaStub([{ id: 'job-1', distance: 3.14159 }], 1);
+
+    const result = await new JobSearchService(prisma).search({
+      near: { latitude: 29.7056, longitude: -95.4018 },
+      radius: 25,
+      status: 'active'
+    });
+
+    expect(result).toEqual({ results: [{ id: 'job-1', distance: 3.1 }], total: 1 });
+
+    const [pageSql, ...pageValues] = prisma.$queryRawUnsafe.mock.calls[0];
+
+    expect(pageSql).toContain('LEFT JOIN "Facility" f ON f."id" = j."facilityId"');
+    expect(pageSql).toContain('COALESCE(j."latitude", f."latitude") BETWEEN $3 AND $4');
+    expect(pageSql).toContain('<= $5');
+    expect(pageSql).not.toContain('searchVector');
+    expect(pageSql).toContain('ORDER BY "distance" ASC, j."updatedAt" DESC');
+    expect(pageValues.slice(0, 6)).toEqual([29.7056, -95.4018, expect.any(Number), expect.any(Number), 25, 'active']);
+  });
+
+  test('combines text and radius search', async () => {
+    const prisma = createPrismaStub([{ id: 'job-1', rank: 0.5, distance: 12 }], 1);
+
+    const result = await new JobSearchService(prisma).search({
+      search: 'icu',
+      near: { latitude: 29.7056, longitude: -95.4018 },
+      sort: 'distance:asc'
+    });
+
+    expect(result.results).toEqual([{ id: 'job-1', rank: 0.5, distance: 12 }]);
+    expect(prisma.$queryRawUnsafe.mock.calls[0][0]).toContain('ORDER BY "distance" ASC, "rank" DESC, j."updatedAt" DESC');
+    expect(prisma.$queryRawUnsafe.mock.calls[0][6]).toBe(50);
+  });
+
+  test('only sorts by distance when searching near a location', () => {
+    expect(() => new JobSearchService({}).getOrderBy('distance:asc')).toThrow('Invalid sort');
+  });
+
+  test('pages by cursor without counting', async () => {
+    const prisma = createPrismaStub([
+      { id: 'job-2', rank: 0.8, k0: 0.8, k1: new Date('2026-10-01'), k2: 'job-2' },
+      { id: 'job-1', rank: 0.4, k0: 0.4, k1: new Date('2026-10-02'), k2: 'job-1' }
+    ], 0);
+
+    const result = await new JobSearchService(prisma).search({ search: 'icu', pagination: 'cursor', limit: 1 });
+
+    expect(result).toEqual({ results: [{ id: 'job-2', rank: 0.8 }], nextKey: [0.8, new Date('2026-10-01'), 'job-2'] });
+    expect(prisma.$queryRawUnsafe).toHaveBeenCalledTimes(1);
+    expect(prisma.$queryRawUnsafe.mock.calls[0][0]).toContain('LIMIT $2');
+    expect(prisma.$queryRawUnsafe.mock.calls[0][2]).toBe(2);
+  });
+
+  test('continues after the cursor position', async () => {
+    const prisma = createPrismaStub([], 0);
+    const startDate = new Date('2026-11-02');
+
+    const result = await new JobSearchService(prisma).search({
+      search: 'icu',
+      sort: 'startDate:asc',
+      cursor: { sort: 'startDate:asc,relevance', values: [startDate, 0.5, new Date('2026-10-01'), 'job-1'] },
+      limit: 10
+    });
+
+    const [pageSql, ...pageValues] = prisma.$queryRawUnsafe.mock.calls[0];
+
+    expect(result).toEqual({ results: [], nextKey: null });
+    expect(pageSql).toContain('ORDER BY j."startDate" ASC NULLS LAST, "rank" DESC, j."updatedAt" DESC, j."id" ASC');
+    expect(pageSql).toContain('(j."startDate" > $2 OR j."startDate" IS NULL)');
+    expect(pageValues).toContain(startDate);
+    expect(pageValues).toContain('job-1');
+  });
+
+  test('skips the database when the search has no words', async () => {
+    const prisma = createPrismaStub([], 0);
+
+    await expect(new JobSearchService(prisma).search({ search: '!!' })).resolves.toEqual({ results: [], total: 0 });
+    expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+  });
+
+  describe('getFacets', () => {
+    function createFacetStub() {
+      return {
+        $queryRawUnsafe: jest.fn(async sql => {
+          if (sql.includes('GROUP BY')) {
+            return [{ value: 'ICU', count: 4 }, { value: 'ER', count: 2 }];
+          }
+
+          if (sql.includes('"r0"')) {
+            return [{ r0: 1, r1: 2, r2: 3, r3: 4, r4: 5 }];
+          }
+
+          return [{ count: 3 }];
+        })
+      };
+    }
+
+    test('counts each facet against every filter but its own', async () => {
+      const prisma = createFacetStub();
+      const facets = await new JobSearchService(prisma).getFacets({
+        status: 'active',
+        specialty: ['ICU'],
+        state: ['TX'],
+        minPay: 50
+      });
+
+      expect(facets.specialty).toEqual([{ value: 'ICU', count: 4 }, { value: 'ER', count: 2 }]);
+      expect(facets.isFeatured).toBe(3);
+
+      const calls = prisma.$queryRawUnsafe.mock.calls;
+      const stateCall = calls.find(([sql]) => sql.startsWith('SELECT j."state"'));
+      const payCall = calls.find(([sql]) => sql.includes('j."payRate" >= $') && sql.includes('"r0"'));
+
+      expect(stateCall[0]).not.toContain('j."state" = ANY');
+      expect(stateCall[0]).toContain('j."specialty" = ANY');
+      expect(stateCall.slice(1)).toEqual(['active', ['ICU'], 50, 50]);
+      expect(payCall[0]).not.toMatch(/WHERE .*j."payRate" >= \$\d+ AND j."payRate" <= /);
+      expect(payCall[0]).toContain('COUNT(*) FILTER (WHERE j."payRate" < $4)::int AS "r0"');
+    });
+
+    test('returns pay buckets and start date windows with their bounds', async () => {
+      const facets = await new JobSearchService(createFacetStub()).getFacets({}, new Date('2026-10-19T15:00:00Z'));
+
+      expect(facets.payRate[0]).toEqual({ key: 'under-40', min: null, max: 40, count: 1 });
+      expect(facets.payRate[4]).toEqual({ key: '75-plus', min: 75, max: null, count: 5 });
+      expect(facets.startDate[0]).toEqual({ key: 'within-14-days', from: null, to: '2026-11-02', count: 1 });
+      expect(facets.startDate[1]).toEqual({ key: '14-30-days', from: '2026-11-02', to: '2026-11-18', count: 2 });
+    });
+
+    test('returns empty facets when the search has no words', async () => {
+      const prisma = createFacetStub();
+      const facets = await new JobSearchService(prisma).getFacets({ search: '!!' });
+
+      expect(facets.state).toEqual([]);
+      expect(facets.payRate.every(bucket => bucket.count === 0)).toBe(true);
+      expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Job Suggest Service
+ *
+ * Typeahead suggestions for the job search box, grouped into specialties,
+ * locations, facilities and job titles, each with its number of open jobs.
+ * Specialties also match their synonyms ("critical care" suggests ICU) and
+ * states match their names. Text columns match by substring or by trigram
+ * word similarity (see the add_job_suggest_indexes migration), so
+ * misspellings such as "houstn" still find Houston.
+ *
+ * A search box asks for the same prefixes over and over as users type, so
+ * suggestions are cached per normalized query for a short time, and
+ * concurrent requests for the same query share one lookup.
+ */
+
+const { Logger } = require('../utils/logger');
+const { SPECIALTY_SYNONYMS } = require('../utils/search-query');
+const US_STATES = require('../data/us-states.json');
+
+// Only jobs in this status count as open
+const OPEN_STATUS = 'active';
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_CACHE_SIZE = 500;
+
+/**
+ * Normalize a query for matching and caching
+ * @param {string} q Query text
+ * @returns {string} Lowercased query with single spaces
+ */
+function normalizeQuery(q) {
+  return String(q).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Escape LIKE wildcards in a string
+ * @param {string} value String
+ * @returns {string} Escaped string
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Check whether a name has a word starting with the query
+ * @param {string} name Lowercased name
+ * @param {string} text Normalized query
+ * @returns {boolean} Whether the name matches
+ */
+function matchesWordPrefix(name, text) {
+  return name.startsWith(text) || name.includes(` ${text}`);
+}
+
+/**
+ * Find the specialty synonym groups a query matches
+ * @param {string} text Normalized query
+ * @returns {Array<Object>} Matched groups with their names and the synonym that matched
+ */
+function matchSpecialtySynonyms(text) {
+  return Object.entries(SPECIALTY_SYNONYMS)
+    .map(([category, related]) => ({
+      names: [category.toLowerCase(), ...related],
+      synonym: related.find(term => matchesWordPrefix(term, text))
+    }))
+    .filter(group => group.synonym);
+}
+
+/**
+ * Find the states whose code or name a query matches
+ * @param {string} text Normalized query
+ * @returns {Array<string>} State codes
+ */
+function matchStates(text) {
+  return Object.entries(US_STATES)
+    .filter(([code, name]) => code.toLowerCase() === text || matchesWordPrefix(name.toLowerCase(), text))
+    .map(([code]) => code);
+}
+
+class JobSuggestService {
+  /**
+   * Create a new JobSuggestService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Cache options
+   * @param {number} options.cacheTtlMs How long suggestions are cached
+   * @param {number} options.cacheSize Most queries kept in the cache
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.cacheTtlMs = options.cacheTtlMs || DEFAULT_CACHE_TTL_MS;
+    this.cacheSize = options.cacheSize || DEFAULT_CACHE_SIZE;
+    this.cache = new Map();
+    this.logger = new Logger({ service: 'JobSuggestService' });
+  }
+
+  /**
+   * Get grouped suggestions for a partial search
+   * @param {string} q Query text
+   * @param {number} limit Most suggestions per group
+   * @returns {Promise<Object>} Specialties, locations, facilities and titles, each with an open-job count
+   */
+  async suggest(q, limit = 5) {
+    const text = normalizeQuery(q);
+    const key = `${limit}:${text}`;
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.suggestions;
+    }
+
+    const suggestions = this.lookup(text, limit);
+    this.remember(key, suggestions);
+
+    try {
+      return await suggestions;
+    } catch (error) {
+      this.cache.delete(key);
+      this.logger.error({
+        message: 'Failed to load job suggestions',
+        error: error.message,
+        q: text
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load suggestions from the database
+   * @param {string} text Normalized query
+   * @param {number} limit Most suggestions per group
+   * @returns {Promise<Object>} Grouped suggestions
+   */
+  async lookup(text, limit) {
+    const [specialties, states, cities, facilities, titles] = await Promise.all([
+      this.suggestSpecialties(text, limit),
+      this.suggestStates(text, limit),
+      this.suggestCities(text, limit),
+      this.countMatches('facilityName', text, limit),
+      this.countMatches('title', text, limit)
+    ]);
+
+    return {
+      specialties,
+      locations: [...states, ...cities].slice(0, limit),
+      facilities,
+      titles
+    };
+  }
+
+  /**
+   * Suggest specialties by name or synonym
+   * @param {string} text Normalized query
+   * @param {number} limit Most suggestions
+   * @returns {Promise<Array<Object>>} Specialties with counts, and the synonym that matched if not the name
+   */
+  async suggestSpecialties(text, limit) {
+    const groups = matchSpecialtySynonyms(text);
+    const rows = await this.countMatches('specialty', text, limit, groups.flatMap(group => group.names));
+
+    return rows.map(row => {
+      const name = row.value.toLowerCase();
+      const group = groups.find(candidate => candidate.names.includes(name));
+
+      return group && !name.includes(text)
+        ? { ...row, synonym: group.synonym }
+        : row;
+    });
+  }
+
+  /**
+   * Suggest states by code or name
+   * @param {string} text Normalized query
+   * @param {number} limit Most suggestions
+   * @returns {Promise<Array<Object>>} States with counts
+   */
+  async suggestStates(text, limit) {
+    const codes = matchStates(text);
+
+    if (codes.length === 0) {
+      return [];
+    }
+
+    const rows = await this.prisma.$queryRawUnsafe(
+      'SELECT "state" AS "value", COUNT(*)::int AS "count" FROM "Job" ' +
+      'WHERE "status" = $1 AND "state" = ANY($2::text[]) ' +
+      'GROUP BY "state" ORDER BY "count" DESC, "state" ASC LIMIT $3',
+      OPEN_STATUS, codes, limit
+    );
+
+    return rows.map(row => ({
+      type: 'state',
+      value: row.value,
+      label: US_STATES[row.value] || row.value,
+      state: row.value,
+      count: row.count
+    }));
+  }
+
+  /**
+   * Suggest cities, with their state
+   * @param {string} text Normalized query
+   * @param {number} limit Most suggestions
+   * @returns {Promise<Array<Object>>} Cities with counts
+   */
+  async suggestCities(text, limit) {
+    const rows = await this.prisma.$queryRawUnsafe(
+      'SELECT "city", "state", COUNT(*)::int AS "count" FROM "Job" ' +
+      'WHERE "status" = $1 AND ("city" ILIKE $2 OR $3 <% "city") ' +
+      'GROUP BY "city", "state" ORDER BY ("city" ILIKE $4) DESC, "count" DESC, "city" ASC LIMIT $5',
+      OPEN_STATUS, `%${escapeLike(text)}%`, text, `${escapeLike(text)}%`, limit
+    );
+
+    return rows.map(row => ({
+      type: 'city',
+      value: `${row.city}, ${row.state}`,
+      label: `${row.city}, ${row.state}`,
+      city: row.city,
+      state: row.state,
+      count: row.count
+    }));
+  }
+
+  /**
+   * Count open jobs per value of a text column matching a query. Values
+   * starting with the query come first, then the most common.
+   * @param {string} column Job column, never user input since it is interpolated
+   * @param {string} text Normalized query
+   * @param {number} limit Most values
+   * @param {Array<string>} names Lowercased values that also match, e.g. synonyms
+   * @returns {Promise<Array<Object>>} Values with counts
+   */
+  async countMatches(column, text, limit, names = []) {
+    const rows = await this.prisma.$queryRawUnsafe(
+      `SELECT "${column}" AS "value", COUNT(*)::int AS "count" FROM "Job" ` +
+      `WHERE "status" = $1 AND ("${column}" ILIKE $2 OR $3 <% "${column}" OR lower("${column}") = ANY($4::text[])) ` +
+      `GROUP BY "${column}" ORDER BY ("${column}" ILIKE $5) DESC, "count" DESC, "${column}" ASC LIMIT $6`,
+      OPEN_STATUS, `%${escapeLike(text)}%`, text, names, `${escapeLike(text)}%`, limit
+    );
+
+    return rows.map(row => ({ value: row.value, count: row.count }));
+  }
+
+  /**
+   * Cache suggestions, evicting expired and then the oldest entries
+   * @param {string} key Cache key
+   * @param {Promise<Object>} suggestions Pending or settled suggestions
+   */
+  remember(key, suggestions) {
+    const now = Date.now();
+
+    this.cache.delete(key);
+    this.cache.set(key, { suggestions, expiresAt: now + this.cacheTtlMs });
+
+    for (const [cachedKey, entry] of this.cache) {
+      if (this.cache.size <= this.cacheSize && entry.expiresAt > now) {
+        break;
+      }
+
+      this.cache.delete(cachedKey);
+    }
+  }
+}
+
+module.exports = {
+  JobSuggestService,
+  normalizeQuery
+};
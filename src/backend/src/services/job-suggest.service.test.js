@@ -0,0 +1,93 @@
+/**
+ * Tests for Job Suggest Service
+ */
+
+const { JobSuggestService, normalizeQuery } = require('./job-suggest.service');
+
+function createPrismaStub(rowsByColumn = {}) {
+  return {
+    $queryRawUnsafe: jest.fn(async sql => {
+      const column = Object.keys(rowsByColumn).find(name => sql.startsWith(`SELECT "${name}"`));
+      return column ? rowsByColumn[column] : [];
+    })
+  };
+}
+
+describe('JobSuggestService', () => {
+  test('groups suggestions with open-job counts', async () => {
+    const prisma = createPrismaStub({
+      specialty: [{ value: 'ICU', count: 12 }],
+      state: [{ value: 'TX', count: 40 }],
+      city: [{ city: 'Texarkana', state: 'TX', count: 2 }],
+      title: [{ value: 'Travel ICU RN', count: 3 }]
+    });
+
+    const suggestions = await new JobSuggestService(prisma).suggest('  TEX ', 5);
+
+    expect(suggestions).toEqual({
+      specialties: [{ value: 'ICU', count: 12 }],
+      locations: [
+        { type: 'state', value: 'TX', label: 'Texas', state: 'TX', count: 40 },
+        { type: 'city', value: 'Texarkana, TX', label: 'Texarkana, TX', city: 'Texarkana', state: 'TX', count: 2 }
+      ],
+      facilities: [],
+      titles: [{ value: 'Travel ICU RN', count: 3 }]
+    });
+
+    const [citySql, ...cityValues] = prisma.$queryRawUnsafe.mock.calls.find(([sql]) => sql.startsWith('SELECT "city"'));
+
+    expect(citySql).toContain('$3 <% "city"');
+    expect(cityValues).toEqual(['active', '%tex%', 'tex', 'tex%', 5]);
+  });
+
+  test('matches specialties by synonym', async () => {
+    const prisma = createPrismaStub({ specialty: [{ value: 'ICU', count: 12 }] });
+
+    const { specialties } = await new JobSuggestService(prisma).suggest('critical', 5);
+    const [, ...values] = prisma.$queryRawUnsafe.mock.calls.find(([sql]) => sql.startsWith('SELECT "specialty"'));
+
+    expect(specialties).toEqual([{ value: 'ICU', count: 12, synonym: 'critical care' }]);
+    expect(values[3]).toEqual(expect.arrayContaining(['icu', 'critical care', 'intensive care']));
+  });
+
+  test('escapes LIKE wildcards', async () => {
+    const prisma = createPrismaStub();
+
+    await new JobSuggestService(prisma).suggest('50%_off', 5);
+
+    expect(prisma.$queryRawUnsafe.mock.calls[0]).toContain('%50\\%\\_off%');
+  });
+
+  test('caches suggestions per normalized query', async () => {
+    const prisma = createPrismaStub();
+    const service = new JobSuggestService(prisma);
+
+    await Promise.all([service.suggest('Hous', 5), service.suggest('hous ', 5)]);
+    const calls = prisma.$queryRawUnsafe.mock.calls.length;
+
+    await service.suggest('HOUS', 5);
+    expect(prisma.$queryRawUnsafe).toHaveBeenCalledTimes(calls);
+
+    await service.suggest('hous', 10);
+    expect(prisma.$queryRawUnsafe.mock.calls.length).toBeGreaterThan(calls);
+  });
+
+  test('does not cache failures and evicts the oldest queries', async () => {
+    const prisma = createPrismaStub();
+    const service = new JobSuggestService(prisma, { cacheSize: 2 });
+
+    prisma.$queryRawUnsafe.mockRejectedValueOnce(new Error('connection lost'));
+    await expect(service.suggest('icu', 5)).rejects.toThrow('connection lost');
+    expect(service.cache.size).toBe(0);
+
+    await service.suggest('icu', 5);
+    await service.suggest('er', 5);
+    await service.suggest('tele', 5);
+
+    expect([...service.cache.keys()]).toEqual(['5:er', '5:tele']);
+  });
+
+  test('normalizes queries', () => {
+    expect(normalizeQuery('  Labor   and Delivery ')).toBe('labor and delivery');
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Job View Service
+ *
+ * Counts job detail views without a database write per request. Views are
+ * buffered in the view counter store (see view-counter-store.js) and added
+ * to Job.viewsCount by a periodic flush, which leaves Job.updatedAt alone so
+ * views do not reorder listings or change sitemap dates. Each viewer counts once per job
+ * within the dedupe window, and crawlers, link previews and partner API
+ * clients are not counted at all.
+ *
+ * Recent views, saves and applications also rank jobs for the trending
+ * endpoint.
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { verifyAccessToken } = require('../utils/jwt');
+const { getViewCounterStore } = require('./view-counter-store');
+
+const HOUR = 60 * 60 * 1000;
+
+// User agents of crawlers, link previews, monitors and HTTP libraries
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|lighthouse|headless|phantomjs|monitor|pingdom|curl|wget|python-requests|python-urllib|httpclient|okhttp|go-http-client|java\//i;
+
+// How much a save and an application weigh against a view when ranking trending jobs
+const TRENDING_WEIGHTS = {
+  views: 1,
+  saves: 3,
+  applications: 5
+};
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name Variable name
+ * @param {number} defaultValue Value when the variable is unset or invalid
+ * @returns {number} Value
+ */
+function getNumber(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+/**
+ * Whether a user agent belongs to a bot
+ * @param {string} userAgent User agent
+ * @returns {boolean} Whether it is a bot, or missing
+ */
+function isBot(userAgent) {
+  return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+/**
+ * Identify who is viewing a job: the signed-in user, or for anonymous
+ * visitors a hash of their IP address and user agent
+ * @param {Object} req Express request
+ * @returns {string|null} Viewer key, or null if the view should not be counted
+ */
+function getViewer(req) {
+  const userAgent = req.headers['user-agent'];
+
+  if (req.apiKey || isBot(userAgent)) {
+    return null;
+  }
+
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    try {
+      const decoded = verifyAccessToken(authorization.slice(7));
+      return `user:${decoded.userId}`;
+    } catch (error) {
+      // Count expired or invalid tokens as anonymous visitors
+    }
+  }
+
+  return `anon:${crypto.createHash('sha256').update(`${req.ip}|${userAgent}`).digest('hex').slice(0, 32)}`;
+}
+
+class JobViewService {
+  /**
+   * Create a new JobViewService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {number} options.dedupeMinutes Minutes a viewer counts once per job (defaults to JOB_VIEW_DEDUPE_MINUTES, or 30)
+   * @param {number} options.flushSeconds Seconds between flushes (defaults to JOB_VIEW_FLUSH_SECONDS, or 60)
+   * @param {number} options.trendingHours Hours of activity trending looks at (defaults to JOB_TRENDING_HOURS, or 24)
+   * @param {Function} options.getStore Returns the view counter store to use (defaults to getViewCounterStore)
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.dedupeMinutes = options.dedupeMinutes || getNumber('JOB_VIEW_DEDUPE_MINUTES', 30);
+    this.flushSeconds = options.flushSeconds || getNumber('JOB_VIEW_FLUSH_SECONDS', 60);
+    this.trendingHours = options.trendingHours || getNumber('JOB_TRENDING_HOURS', 24);
+    this.getStore = options.getStore || getViewCounterStore;
+    this.timer = null;
+    this.logger = new Logger({ service: 'JobViewService' });
+  }
+
+  /**
+   * Count a view of a job, unless the viewer was already counted within the
+   * dedupe window. Failures are logged rather than thrown, so a view never
+   * fails the request it came with.
+   * @param {string} jobId Job ID
+   * @param {string|null} viewer Viewer key from getViewer
+   * @returns {Promise<boolean>} Whether the view was counted
+   */
+  async recordView(jobId, viewer) {
+    if (!viewer) {
+      return false;
+    }
+
+    try {
+      const store = this.getStore();
+
+      if (!await store.markSeen(`${jobId}:${viewer}`, this.dedupeMinutes * 60)) {
+        return false;
+      }
+
+      await store.increment(jobId, this.trendingHours + 1);
+      return true;
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to record job view',
+        error: error.message,
+        jobId
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Add the buffered views to the jobs' view counts. Views that cannot be
+   * written are put back for the next flush.
+   * @returns {Promise<Object>} Numbers of jobs updated, views flushed and jobs failed
+   */
+  async flush() {
+    const store = this.getStore();
+    const counts = await store.takePending();
+    const failedCounts = {};
+    let jobs = 0;
+    let views = 0;
+
+    for (const [jobId, count] of Object.entries(counts)) {
+      try {
+        // Raw SQL, since Prisma would also bump updatedAt. Views of
+        // since-deleted jobs match no row and are dropped quietly.
+        await this.prisma.$executeRawUnsafe(
+          'UPDATE "Job" SET "viewsCount" = "viewsCount" + $1 WHERE "id" = $2',
+          count,
+          jobId
+        );
+        jobs++;
+        views += count;
+      } catch (error) {
+        failedCounts[jobId] = count;
+        this.logger.error({
+          message: 'Failed to flush job views',
+          error: error.message,
+          jobId,
+          count
+        });
+      }
+    }
+
+    const failed = Object.keys(failedCounts).length;
+
+    if (failed > 0) {
+      await store.restorePending(failedCounts);
+    }
+
+    return { jobs, views, failed };
+  }
+
+  /**
+   * Flush views every flushSeconds until stopped
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => {
+        this.logger.error({
+          message: 'Job view flush failed',
+          error: error.message
+        });
+      });
+    }, this.flushSeconds * 1000);
+
+    // Do not keep the process alive just to flush
+    this.timer.unref();
+  }
+
+  /**
+   * Stop flushing periodically, and flush what is buffered
+   * @returns {Promise<Object>} Result of the final flush
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.flush();
+  }
+
+  /**
+   * Rank active jobs by recent activity: views, saves and applications in
+   * the trending window, weighted by TRENDING_WEIGHTS
+   * @param {number} limit Most jobs to return
+   * @param {Date} now Current time
+   * @returns {Promise<Array<Object>>} Job IDs with their activity and score, highest score first
+   */
+  async getTrending(limit, now = new Date()) {
+    const since = new Date(now.getTime() - this.trendingHours * HOUR);
+
+    const [views, saves, applications] = await Promise.all([
+      this.getStore().getRecentViews(this.trendingHours),
+      this.prisma.savedJob.groupBy({
+        by: ['jobId'],
+        where: { createdAt: { gte: since } },
+        _count: { _all: true }
+      }),
+      this.prisma.application.groupBy({
+        by: ['jobId'],
+        where: { applicationDate: { gte: since } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const activity = new Map();
+    const getActivity = jobId => {
+      if (!activity.has(jobId)) {
+        activity.set(jobId, { jobId, views: 0, saves: 0, applications: 0 });
+      }
+      return activity.get(jobId);
+    };
+
+    Object.entries(views).forEach(([jobId, count]) => { getActivity(jobId).views = count; });
+    saves.forEach(row => { getActivity(row.jobId).saves = row._count._all; });
+    applications.forEach(row => { getActivity(row.jobId).applications = row._count._all; });
+
+    const ranked = [...activity.values()]
+      .map(item => ({
+        ...item,
+        score: item.views * TRENDING_WEIGHTS.views
+          + item.saves * TRENDING_WEIGHTS.saves
+          + item.applications * TRENDING_WEIGHTS.applications
+      }))
+      .sort((a, b) => b.score - a.score || a.jobId.localeCompare(b.jobId));
+
+    if (ranked.length === 0) {
+      return [];
+    }
+
+    // Rank among active, canonical jobs only, so closed and duplicate jobs do
+    // not crowd out the list
+    const active = await this.prisma.job.findMany({
+      where: { id: { in: ranked.map(item => item.jobId) }, status: 'active', canonicalJobId: null },
+      select: { id: true }
+    });
+    const activeIds = new Set(active.map(job => job.id));
+
+    return ranked
+      .filter(item => activeIds.has(item.jobId))
+      .slice(0, limit)
+      .map(item => ({ ...item, perHour: Math.round((item.score / this.trendingHours) * 100) / 100 }));
+  }
+}
+
+module.exports = {
+  JobViewService,
+  TRENDING_WEIGHTS,
+  getViewer,
+  isBot
+};
@@ -0,0 +1,137 @@
+/**
+ * Tests for Job View Service
+ */
+
+const { JobViewService, getViewer, isBot } = require('./job-view.service');
+const { MemoryViewCounterStore } = require('./view-counter-store');
+const { signAccessToken } = require('../utils/jwt');
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 Safari/605.1.15';
+
+describe('getViewer', () => {
+  const createRequest = (headers = {}, extra = {}) => ({
+    ip: '203.0.113.7',
+    headers: { 'user-agent': BROWSER, ...headers },
+    ...extra
+  });
+
+  test('does not count bots or API key clients', () => {
+    expect(isBot('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')).toBe(true);
+    expect(isBot(undefined)).toBe(true);
+    expect(getViewer(createRequest({ 'user-agent': 'facebookexternalhit/1.1' }))).toBeNull();
+    expect(getViewer(createRequest({}, { apiKey: { id: 'key-1' } }))).toBeNull();
+  });
+
+  test('identifies signed-in users by ID and others by IP address and user agent', () => {
+    const token = signAccessToken({ id: 'user-1', email: 'nurse@example.com', role: 'candidate' }, 'session-1');
+
+    expect(getViewer(createRequest({ authorization: `Bearer ${token}` }))).toBe('user:user-1');
+
+    const anonymous = getViewer(createRequest());
+    expect(anonymous).toMatch(/^anon:[0-9a-f]{32}$/);
+    expect(getViewer(createRequest({ authorization: 'Bearer expired' }))).toBe(anonymous);
+    expect(getViewer(createRequest({}, { ip: '203.0.113.8' }))).not.toBe(anonymous);
+  });
+});
+
+describe('JobViewService', () => {
+  let store;
+  let prisma;
+
+  const createService = () => new JobViewService(prisma, {
+    dedupeMinutes: 30,
+    trendingHours: 24,
+    getStore: () => store
+  });
+
+  beforeEach(() => {
+    store = new MemoryViewCounterStore();
+    prisma = {
+      $executeRawUnsafe: jest.fn(async () => 1),
+      job: {
+        findMany: jest.fn(async () => [])
+      },
+      savedJob: {
+        groupBy: jest.fn(async () => [])
+      },
+      application: {
+        groupBy: jest.fn(async () => [])
+      }
+    };
+  });
+
+  test('counts each viewer once per job within the dedupe window', async () => {
+    const service = createService();
+
+    await expect(service.recordView('job-1', 'user:1')).resolves.toBe(true);
+    await expect(service.recordView('job-1', 'user:1')).resolves.toBe(false);
+    await expect(service.recordView('job-2', 'user:1')).resolves.toBe(true);
+    await expect(service.recordView('job-1', 'anon:abc')).resolves.toBe(true);
+    await expect(service.recordView('job-1', null)).resolves.toBe(false);
+
+    await expect(service.flush()).resolves.toEqual({ jobs: 2, views: 3, failed: 0 });
+    expect(prisma.$executeRawUnsafe).toHaveBeenCalledWith(
+      'UPDATE "Job" SET "viewsCount" = "viewsCount" + $1 WHERE "id" = $2',
+      2,
+      'job-1'
+    );
+    // updatedAt is left alone, so views do not reorder listings or sitemaps
+    expect(prisma.$executeRawUnsafe.mock.calls[0][0]).not.toContain('updatedAt');
+
+    // Flushed views are not written again
+    await expect(service.flush()).resolves.toEqual({ jobs: 0, views: 0, failed: 0 });
+  });
+
+  test('does not fail the request when the store fails', async () => {
+    store.markSeen = jest.fn(async () => {
+      throw new Error('connection lost');
+    });
+
+    await expect(createService().recordView('job-1', 'user:1')).resolves.toBe(false);
+  });
+
+  test('keeps views that could not be flushed for the next flush', async () => {
+    const service = createService();
+    await service.recordView('job-1', 'user:1');
+    await service.recordView('job-2', 'user:1');
+
+    prisma.$executeRawUnsafe.mockImplementation(async (sql, count, jobId) => {
+      if (jobId === 'job-2') {
+        throw new Error('deadlock');
+      }
+      return 1;
+    });
+
+    await expect(service.flush()).resolves.toEqual({ jobs: 1, views: 1, failed: 1 });
+
+    prisma.$executeRawUnsafe.mockResolvedValue(1);
+    await expect(service.flush()).resolves.toEqual({ jobs: 1, views: 1, failed: 0 });
+  });
+
+  test('ranks active jobs by weighted views, saves and applications', async () => {
+    const service = createService();
+
+    for (let i = 0; i < 4; i++) {
+      await service.recordView('job-1', `anon:${i}`);
+    }
+    await service.recordView('job-2', 'anon:0');
+    await service.recordView('job-closed', 'anon:0');
+
+    prisma.savedJob.groupBy.mockResolvedValue([{ jobId: 'job-2', _count: { _all: 1 } }]);
+    prisma.application.groupBy.mockResolvedValue([
+      { jobId: 'job-3', _count: { _all: 1 } },
+      { jobId: 'job-closed', _count: { _all: 2 } }
+    ]);
+    prisma.job.findMany.mockResolvedValue([{ id: 'job-1' }, { id: 'job-2' }, { id: 'job-3' }]);
+
+    const trending = await service.getTrending(2);
+
+    expect(trending).toEqual([
+      { jobId: 'job-3', views: 0, saves: 0, applications: 1, score: 5, perHour: 0.21 },
+      { jobId: 'job-1', views: 4, saves: 0, applications: 0, score: 4, perHour: 0.17 }
+    ]);
+    expect(prisma.job.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: { in: ['job-closed', 'job-3', 'job-1', 'job-2'] }, status: 'active', canonicalJobId: null }
+    }));
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Mailer
+ * 
+ * Builds the application's transactional emails and hands them to the
+ * configured mail transport.
+ */
+
+const { Logger } = require('../../utils/logger');
+const { createMailTransport } = require('./transports');
+
+class Mailer {
+  /**
+   * Create a new Mailer
+   * @param {Object} options Mailer options
+   * @param {Object} options.transport Mail transport (defaults to the configured transport)
+   * @param {string} options.from Sender address
+   * @param {string} options.websiteUrl Base URL used for links in emails
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || createMailTransport();
+    this.from = options.from || process.env.EMAIL_FROM || 'noreply@excelmedicalsolutions.com';
+    this.websiteUrl = (options.websiteUrl || process.env.WEBSITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.logger = new Logger({ service: 'Mailer' });
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message Message to send
+   * @param {string} message.to Recipient address
+   * @param {string} message.subject Subject line
+   * @param {string} message.text Plain-text body
+   * @param {string} message.html HTML body
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const info = await this.transport.send({ from: this.from, ...message });
+
+    this.logger.info({
+      message: 'Email sent',
+      transport: this.transport.name,
+      subject: message.subject,
+      messageId: info.messageId
+    });
+
+    return info;
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {Object} user User with email and firstName
+   * @param {string} token Raw verification token
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${this.websiteUrl}/verify-email/${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Excel Medical Staffing email address',
+      text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours.`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>This link expires in 24 hours.</p>`
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user User with email and firstName
+   * @param {string} token Raw password reset token
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = `${this.websiteUrl}/reset-password?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Excel Medical Staffing password',
+      text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset my password</a></p><p>This link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Notify a user that their account was temporarily locked
+   * @param {Object} user User with email and firstName
+   * @param {Date} lockedUntil Lock expiry
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendAccountLockedEmail(user, lockedUntil) {
+    const link = `${this.websiteUrl}/forgot-password`;
+    const until = lockedUntil.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your Excel Medical Staffing account was temporarily locked',
+      text: `Hi ${user.firstName},\n\nWe locked your account after several failed sign-in attempts. You can sign in again after ${until}.\n\nIf this wasn't you, reset your password now:\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We locked your account after several failed sign-in attempts. You can sign in again after ${until}.</p><p>If this wasn't you, <a href="${link}">reset your password now</a>.</p>`
+    });
+  }
+
+  /**
+   * Confirm that an account is scheduled for deletion
+   * @param {Object} user User with email and firstName
+   * @param {Date} scheduledFor When the account will be deleted
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    const link = `${this.websiteUrl}/login`;
+    const when = scheduledFor.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your Excel Medical Staffing account is scheduled for deletion',
+      text: `Hi ${user.firstName},\n\nWe received your request to delete your account. It will be deleted on ${when}.\n\nChanged your mind? Sign in before then and cancel the request from your account settings:\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received your request to delete your account. It will be deleted on ${when}.</p><p>Changed your mind? <a href="${link}">Sign in</a> before then and cancel the request from your account settings.</p>`
+    });
+  }
+
+  /**
+   * Tell a candidate that a job they saved or applied to has closed
+   * @param {Object} user User with email and firstName
+   * @param {Object} job Job with title, facilityName and specialty
+   * @param {string} status New job status, 'filled' or 'expired'
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendJobClosedEmail(user, job, status) {
+    const link = `${this.websiteUrl}/jobs/search?specialty=${encodeURIComponent(job.specialty)}`;
+    const closed = status === 'filled' ? 'has been filled' : 'is no longer accepting applications';
+    const position = `${job.title} at ${job.facilityName}`;
+
+    return this.send({
+      to: user.email,
+      subject: `${job.title} ${closed}`,
+      text: `Hi ${user.firstName},\n\nThe ${position} position you were following ${closed}.\n\nSee similar open ${job.specialty} jobs:\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The ${escapeHtml(position)} position you were following ${closed}.</p><p><a href="${link}">See similar open ${escapeHtml(job.specialty)} jobs</a></p>`
+    });
+  }
+
+  /**
+   * Tell a candidate that the pay went up on a job they saved
+   * @param {Object} user User with email and firstName
+   * @param {Object} job Job with id, title and facilityName
+   * @param {number} before Pay rate before the change
+   * @param {number} after Pay rate after the change
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendSavedJobPayIncreasedEmail(user, job, before, after) {
+    const link = `${this.websiteUrl}/jobs/${job.id}`;
+    const position = `${job.title} at ${job.facilityName}`;
+    const change = `from ${formatMoney(before)} to ${formatMoney(after)}`;
+
+    return this.send({
+      to: user.email,
+      subject: `Pay went up for ${job.title}`,
+      text: `Hi ${user.firstName},\n\nGood news: pay for the ${position} position you saved went up ${change}.\n\nView the job:\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Good news: pay for the ${escapeHtml(position)} position you saved went up ${change}.</p><p><a href="${link}">View the job</a></p>`
+    });
+  }
+
+  /**
+   * Warn a candidate that a job they saved is about to close
+   * @param {Object} user User with email and firstName
+   * @param {Object} job Job with id, title and facilityName
+   * @param {Date} closesAt When the job closes to new applications
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendSavedJobClosingSoonEmail(user, job, closesAt) {
+    const link = `${this.websiteUrl}/jobs/${job.id}`;
+    const position = `${job.title} at ${job.facilityName}`;
+    const when = closesAt.toDateString();
+
+    return this.send({
+      to: user.email,
+      subject: `${job.title} closes soon`,
+      text: `Hi ${user.firstName},\n\nThe ${position} position you saved closes to new applications on ${when}. Apply before then:\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The ${escapeHtml(position)} position you saved closes to new applications on ${when}.</p><p><a href="${link}">Apply before then</a></p>`
+    });
+  }
+}
+
+/**
+ * Format an amount as whole dollars
+ * @param {number} amount Amount
+ * @returns {string} Formatted amount, e.g. $2,450
+ */
+function formatMoney(amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+/**
+ * Escape a string for inclusion in HTML
+ * @param {string} value Raw value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { Mailer };
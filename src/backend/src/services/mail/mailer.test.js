@@ -0,0 +1,71 @@
+/**
+ * Tests for Mailer
+ */
+
+const { Mailer } = require('./mailer');
+const { OutboxTransport, createMailTransport } = require('./transports');
+
+describe('Mailer', () => {
+  let transport;
+  let mailer;
+
+  beforeEach(() => {
+    transport = new OutboxTransport({ directory: null });
+    mailer = new Mailer({
+      transport,
+      from: 'noreply@example.com',
+      websiteUrl: 'https://jobs.example.com/'
+    });
+  });
+
+  test('sends verification emails with a link to the website', async () => {
+    await mailer.sendVerificationEmail({ email: 'nurse@example.com', firstName: 'Ana' }, 'abc123');
+
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0]).toEqual(expect.objectContaining({
+      from: 'noreply@example.com',
+      to: 'nurse@example.com'
+    }));
+    expect(transport.messages[0].text).toContain('https://jobs.example.com/verify-email/abc123');
+  });
+
+  test('sends password reset emails with the token', async () => {
+    await mailer.sendPasswordResetEmail({ email: 'nurse@example.com', firstName: 'Ana' }, 'def456');
+
+    expect(transport.messages[0].html).toContain('https://jobs.example.com/reset-password?token=def456');
+  });
+
+  test('escapes user-provided names in HTML bodies', async () => {
+    await mailer.sendVerificationEmail({ email: 'nurse@example.com', firstName: '<b>Ana</b>' }, 'abc123');
+
+    expect(transport.messages[0].html).toContain('&lt;b&gt;Ana&lt;/b&gt;');
+  });
+
+  test('links closed-job emails to similar jobs', async () => {
+    const job = { title: 'L&D RN', specialty: 'Labor & Delivery', facilityName: 'Mercy General' };
+    await mailer.sendJobClosedEmail({ email: 'nurse@example.com', firstName: 'Ana' }, job, 'filled');
+
+    expect(transport.messages[0].subject).toBe('L&D RN has been filled');
+    expect(transport.messages[0].text).toContain('https://jobs.example.com/jobs/search?specialty=Labor%20%26%20Delivery');
+    expect(transport.messages[0].html).toContain('L&amp;D RN at Mercy General');
+  });
+
+  test('includes the old and new pay in pay increase emails', async () => {
+    const job = { id: 'job-1', title: 'ICU RN', facilityName: 'Mercy General' };
+    await mailer.sendSavedJobPayIncreasedEmail({ email: 'nurse@example.com', firstName: 'Ana' }, job, 2400, 2650.5);
+
+    expect(transport.messages[0].text).toContain('went up from $2,400 to $2,651');
+    expect(transport.messages[0].text).toContain('https://jobs.example.com/jobs/job-1');
+  });
+});
+
+describe('createMailTransport', () => {
+  test('creates the requested transport', () => {
+    expect(createMailTransport('outbox')).toBeInstanceOf(OutboxTransport);
+    expect(createMailTransport('smtp').name).toBe('smtp');
+  });
+
+  test('rejects unknown transports', () => {
+    expect(() => createMailTransport('carrier-pigeon')).toThrow('Unknown mail transport');
+  });
+});
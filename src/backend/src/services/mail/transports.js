@@ -0,0 +1,118 @@
+/**
+ * Mail Transports
+ * 
+ * Pluggable delivery backends for outgoing email. Every transport exposes
+ * the same send(message) method so the mailer does not depend on how
+ * messages are delivered.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Delivers messages through an SMTP server
+ */
+class SmtpTransport {
+  /**
+   * Create a new SmtpTransport
+   * @param {Object} options SMTP options
+   * @param {string} options.host SMTP host
+   * @param {number} options.port SMTP port
+   * @param {string} options.user SMTP username
+   * @param {string} options.password SMTP password
+   */
+  constructor(options = {}) {
+    const port = parseInt(options.port) || 587;
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port,
+      secure: port === 465,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message Message with from, to, subject, text and html
+   * @returns {Promise<Object>} Delivery info with messageId
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Writes messages as JSON files to a local directory instead of sending
+ * them. Intended for local development and tests.
+ */
+class OutboxTransport {
+  /**
+   * Create a new OutboxTransport
+   * @param {Object} options Outbox options
+   * @param {string} options.directory Directory to write messages to, or null to keep them in memory only
+   */
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.directory = options.directory === undefined ? 'tmp/mail-outbox' : options.directory;
+    this.messages = [];
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message Message with from, to, subject, text and html
+   * @returns {Promise<Object>} Delivery info with messageId
+   */
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const entry = { messageId, sentAt: new Date().toISOString(), ...message };
+
+    this.messages.push(entry);
+
+    if (this.directory) {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(
+        path.join(this.directory, `${messageId}.json`),
+        JSON.stringify(entry, null, 2)
+      );
+    }
+
+    return { messageId };
+  }
+}
+
+/**
+ * Create the transport selected by the MAIL_TRANSPORT environment variable.
+ * Defaults to SMTP in production and the outbox everywhere else.
+ * @param {string} type Transport type ('smtp' or 'outbox')
+ * @returns {SmtpTransport|OutboxTransport} Mail transport
+ */
+function createMailTransport(type = process.env.MAIL_TRANSPORT) {
+  const transportType = type || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+  switch (transportType) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      });
+    case 'outbox':
+      return new OutboxTransport({
+        directory: process.env.MAIL_OUTBOX_DIR
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${transportType}`);
+  }
+}
+
+module.exports = {
+  SmtpTransport,
+  OutboxTransport,
+  createMailTransport
+};
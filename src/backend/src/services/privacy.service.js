@@ -0,0 +1,350 @@
+/**
+ * Privacy Service
+ *
+ * Handles candidate privacy requests: exporting everything we hold about a
+ * user, and deleting an account after a grace period. Deletion removes or
+ * anonymizes personal data but keeps placement records, and the credentials
+ * behind them, which we must retain for compliance (see
+ * infrastructure/docs/data_retention_policy.md).
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Logger } = require('../utils/logger');
+const { getMongoDb } = require('../utils/mongo-client');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// User fields that are never included in an export
+const EXCLUDED_USER_FIELDS = [
+  'passwordHash',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep'
+];
+
+// MongoDB collections holding per-user documents that are removed on deletion.
+// exportUserData exports each of them.
+const USER_DOCUMENT_COLLECTIONS = ['resumes', 'chatHistory', 'documents', 'jobMatchData'];
+
+/**
+ * Get the grace period between a deletion request and the deletion
+ * @returns {number} Grace period in milliseconds
+ */
+function getDeletionGracePeriod() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return (isNaN(days) ? 14 : days) * DAY;
+}
+
+class PrivacyService {
+  /**
+   * Create a new PrivacyService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {Function} options.getMongoDb Returns the MongoDB database, or null if unavailable
+   * @param {Object} options.mailer Mailer used to confirm deletion requests
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.getMongoDb = options.getMongoDb || getMongoDb;
+    this.mailer = options.mailer;
+    this.logger = new Logger({ service: 'PrivacyService' });
+  }
+
+  /**
+   * Check whether the document store needed for exports and deletions is available
+   * @returns {boolean} True if MongoDB is connected
+   */
+  isAvailable() {
+    return Boolean(this.getMongoDb());
+  }
+
+  /**
+   * Collect everything held about a user
+   * @param {string} userId User ID
+   * @returns {Promise<Object|null>} Export bundle keyed by section, or null if the user does not exist
+   */
+  async exportUserData(userId) {
+    const user = await this.prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      return null;
+    }
+
+    const [
+      applications,
+      licenses,
+      certifications,
+      workExperience,
+      savedJobs,
+      jobAlerts,
+      notifications,
+      sessions
+    ] = await Promise.all([
+      this.prisma.application.findMany({
+        where: { candidateId: userId },
+        include: {
+          job: {
+            select: { id: true, title: true, facilityName: true, city: true, state: true }
+          }
+        },
+        orderBy: { applicationDate: 'desc' }
+      }),
+      this.prisma.license.findMany({ where: { userId } }),
+      this.prisma.certification.findMany({ where: { userId } }),
+      this.prisma.workExperience.findMany({ where: { userId }, orderBy: { startDate: 'desc' } }),
+      this.prisma.savedJob.findMany({
+        where: { userId },
+        include: {
+          job: {
+            select: { id: true, title: true, facilityName: true, city: true, state: true }
+          }
+        }
+      }),
+      this.prisma.jobAlert.findMany({ where: { userId } }),
+      this.prisma.notification.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } }),
+      this.prisma.userSession.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } })
+    ]);
+
+    // Every collection deleteAccount removes documents from
+    const db = this.getMongoDb();
+    const [resumes, chatMessages, documents, jobMatchData] = await Promise.all([
+      db.collection('resumes').find({ userId }).toArray(),
+      db.collection('chatHistory').find({ userId }).sort({ timestamp: 1 }).toArray(),
+      db.collection('documents').find({ userId }).toArray(),
+      db.collection('jobMatchData').find({ userId }).toArray()
+    ]);
+
+    const profile = { ...user };
+    EXCLUDED_USER_FIELDS.forEach(field => delete profile[field]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      user: profile,
+      applications,
+      licenses,
+      certifications,
+      workExperience,
+      savedJobs,
+      jobAlerts,
+      notifications,
+      sessions,
+      resumes,
+      chatMessages,
+      documents,
+      jobMatchData
+    };
+  }
+
+  /**
+   * Schedule a user's account for deletion after the grace period
+   * @param {Object} user User record including passwordHash
+   * @param {string} password Current password, to confirm the request
+   * @returns {Promise<Date|null>} Scheduled deletion time, or null if the password is wrong
+   */
+  async requestDeletion(user, password) {
+    if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+      return null;
+    }
+
+    const scheduledFor = new Date(Date.now() + getDeletionGracePeriod());
+
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        deletionRequestedAt: new Date(),
+        deletionScheduledFor: scheduledFor
+      }
+    });
+
+    if (this.mailer) {
+      try {
+        await this.mailer.sendAccountDeletionScheduledEmail(user, scheduledFor);
+      } catch (error) {
+        this.logger.error({
+          message: 'Failed to send account deletion confirmation',
+          error: error.message,
+          userId: user.id
+        });
+      }
+    }
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion request
+   * @param {string} userId User ID
+   * @returns {Promise<boolean>} True if a pending request was cancelled
+   */
+  async cancelDeletion(userId) {
+    const { count } = await this.prisma.user.updateMany({
+      where: { id: userId, deletionScheduledFor: { not: null }, deletedAt: null },
+      data: { deletionRequestedAt: null, deletionScheduledFor: null }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Delete every account whose grace period has ended
+   * @param {Date} now Current time
+   * @returns {Promise<Object>} Numbers of accounts deleted and failed
+   */
+  async processScheduledDeletions(now = new Date()) {
+    const users = await this.prisma.user.findMany({
+      where: { deletionScheduledFor: { lte: now }, deletedAt: null },
+      select: { id: true }
+    });
+
+    let deleted = 0;
+    let failed = 0;
+
+    for (const { id } of users) {
+      try {
+        await this.deleteAccount(id);
+        deleted++;
+      } catch (error) {
+        failed++;
+        this.logger.error({
+          message: 'Failed to delete account',
+          error: error.message,
+          userId: id
+        });
+      }
+    }
+
+    return { deleted, failed };
+  }
+
+  /**
+   * Delete a user's personal data. The user row is kept as an anonymized
+   * tombstone so that retained placement records still reference it.
+   *
+   * - Placed applications are kept; all other applications are deleted
+   * - Licenses and certifications are kept only if the user was ever placed
+   * - Work history, saved jobs, alerts, notifications, tokens and sessions are deleted
+   * - Analytics events are kept but stripped of user, session, IP and user agent
+   * - Resumes, chat history and other MongoDB documents are deleted
+   *
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} Summary of what was deleted and retained
+   */
+  async deleteAccount(userId) {
+    const db = this.getMongoDb();
+
+    if (!db) {
+      throw new Error('MongoDB is not available');
+    }
+
+    // Documents first: if this fails nothing has changed and the deletion is retried
+    for (const collection of USER_DOCUMENT_COLLECTIONS) {
+      await db.collection(collection).deleteMany({ userId });
+    }
+    await db.collection('analyticsEventDetails').updateMany({ userId }, { $unset: { userId: '' } });
+
+    return this.prisma.$transaction(async tx => {
+      const placements = await tx.application.count({
+        where: { candidateId: userId, status: 'placed' }
+      });
+
+      const { count: applicationsDeleted } = await tx.application.deleteMany({
+        where: { candidateId: userId, status: { not: 'placed' } }
+      });
+
+      if (placements === 0) {
+        await tx.license.deleteMany({ where: { userId } });
+        await tx.certification.deleteMany({ where: { userId } });
+      }
+
+      await tx.workExperience.deleteMany({ where: { userId } });
+      await tx.savedJob.deleteMany({ where: { userId } });
+      await tx.jobAlert.deleteMany({ where: { userId } });
+      await tx.notification.deleteMany({ where: { userId } });
+      await tx.userToken.deleteMany({ where: { userId } });
+      await tx.userSession.deleteMany({ where: { userId } });
+
+      await tx.analyticsEvent.updateMany({
+        where: { userId },
+        data: {
+          userId: null,
+          sessionId: null,
+          ipAddress: null,
+          userAgent: null,
+          referrerUrl: null
+        }
+      });
+
+      // Referrals naming this user keep their bonus history but lose the contact details
+      const referralsReceived = await tx.referral.findMany({
+        where: { referredUserId: userId },
+        select: { id: true }
+      });
+      for (const referral of referralsReceived) {
+        await tx.referral.update({
+          where: { id: referral.id },
+          data: {
+            referredUserId: null,
+            referredEmail: `deleted-${referral.id}@deleted.invalid`,
+            referredName: null,
+            referredPhone: null
+          }
+        });
+      }
+
+      await tx.job.updateMany({ where: { recruiterId: userId }, data: { recruiterId: null } });
+      await tx.content.updateMany({ where: { authorId: userId }, data: { authorId: null } });
+
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          email: `deleted-${userId}@deleted.invalid`,
+          passwordHash: crypto.randomBytes(32).toString('hex'),
+          firstName: 'Deleted',
+          lastName: 'User',
+          phone: null,
+          specialty: null,
+          yearsExperience: null,
+          preferredStates: [],
+          preferredCities: [],
+          preferredPayRangeMin: null,
+          preferredPayRangeMax: null,
+          preferredShiftType: null,
+          licenseStates: [],
+          isActive: false,
+          emailVerified: false,
+          phoneVerified: false,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastUsedStep: null,
+          twoFactorRecoveryCodes: [],
+          avatarUrl: null,
+          referralCode: null,
+          referredById: null,
+          metadata: {},
+          deletedAt: new Date(),
+          deletionScheduledFor: null
+        }
+      });
+
+      this.logger.info({
+        message: 'Account deleted',
+        userId,
+        applicationsDeleted,
+        placementsRetained: placements
+      });
+
+      return {
+        applicationsDeleted,
+        placementsRetained: placements,
+        credentialsRetained: placements > 0
+      };
+    });
+  }
+}
+
+module.exports = {
+  PrivacyService,
+  EXCLUDED_USER_FIELDS
+};
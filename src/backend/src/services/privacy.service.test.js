@@ -0,0 +1,230 @@
+/**
+ * Tests for Privacy Service
+ */
+
+const { PrivacyService } = require('./privacy.service');
+
+jest.mock('bcrypt', () => ({
+  compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+
+/**
+ * Check a record against a simple Prisma `where` clause
+ */
+function matches(record, where = {}) {
+  return Object.entries(where).every(([key, value]) => {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+      if ('not' in value) return record[key] !== value.not;
+      if ('lte' in value) return record[key] !== null && record[key] <= value.lte;
+    }
+    return record[key] === value;
+  });
+}
+
+/**
+ * Minimal in-memory stand-in for the Prisma delegates the service uses
+ */
+function createPrismaStub(tables) {
+  const delegate = rows => ({
+    findUnique: jest.fn(async ({ where }) => rows.find(row => row.id === where.id) || null),
+    findMany: jest.fn(async ({ where } = {}) => rows.filter(row => matches(row, where))),
+    count: jest.fn(async ({ where }) => rows.filter(row => matches(row, where)).length),
+    update: jest.fn(async ({ where, data }) => Object.assign(rows.find(row => row.id === where.id), data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, data));
+      return { count: matched.length };
+    }),
+    deleteMany: jest.fn(async ({ where }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { count: matched.length };
+    })
+  });
+
+  const prisma = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, delegate(rows)]));
+  prisma.$transaction = jest.fn(async fn => fn(prisma));
+  return prisma;
+}
+
+/**
+ * Minimal in-memory stand-in for a MongoDB database
+ */
+function createMongoStub(collections) {
+  return {
+    collection: name => {
+      const documents = collections[name] || (collections[name] = []);
+      return {
+        find: query => {
+          const cursor = {
+            results: documents.filter(doc => doc.userId === query.userId),
+            sort: () => cursor,
+            toArray: async () => cursor.results
+          };
+          return cursor;
+        },
+        deleteMany: jest.fn(async query => {
+          collections[name] = documents.filter(doc => doc.userId !== query.userId);
+        }),
+        updateMany: jest.fn(async query => {
+          documents.filter(doc => doc.userId === query.userId).forEach(doc => delete doc.userId);
+        })
+      };
+    }
+  };
+}
+
+function createFixtures() {
+  return {
+    user: [{
+      id: 'user-1',
+      email: 'nurse@example.com',
+      firstName: 'Ann',
+      lastName: 'Lee',
+      phone: '555-0100',
+      passwordHash: 'hashed:correct-password',
+      twoFactorSecret: 'SECRET',
+      deletionScheduledFor: null,
+      deletedAt: null
+    }],
+    application: [
+      { id: 'app-1', candidateId: 'user-1', status: 'placed' },
+      { id: 'app-2', candidateId: 'user-1', status: 'rejected' },
+      { id: 'app-3', candidateId: 'user-2', status: 'submitted' }
+    ],
+    license: [{ id: 'license-1', userId: 'user-1', licenseNumber: 'RN-1' }],
+    certification: [{ id: 'cert-1', userId: 'user-1' }],
+    workExperience: [{ id: 'work-1', userId: 'user-1' }],
+    savedJob: [{ id: 'saved-1', userId: 'user-1' }],
+    notification: [{ id: 'notification-1', userId: 'user-1' }],
+    jobAlert: [{ id: 'alert-1', userId: 'user-1' }],
+    userToken: [],
+    userSession: [{ id: 'session-1', userId: 'user-1' }],
+    analyticsEvent: [{ id: 'event-1', userId: 'user-1', ipAddress: '10.0.0.1', userAgent: 'jest', sessionId: 's', referrerUrl: null, eventType: 'job_view' }],
+    referral: [{ id: 'referral-1', referredUserId: 'user-1', referredEmail: 'nurse@example.com', referredName: 'Ann', referredPhone: '555-0100' }],
+    job: [],
+    content: []
+  };
+}
+
+describe('PrivacyService', () => {
+  let tables;
+  let collections;
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    tables = createFixtures();
+    collections = {
+      resumes: [{ userId: 'user-1', fileName: 'resume.pdf' }, { userId: 'user-2', fileName: 'other.pdf' }],
+      chatHistory: [{ userId: 'user-1', content: 'Hello' }],
+      documents: [{ userId: 'user-1', type: 'license_scan' }],
+      jobMatchData: [{ userId: 'user-1', scores: {} }],
+      analyticsEventDetails: [{ userId: 'user-1', eventType: 'search' }]
+    };
+    prisma = createPrismaStub(tables);
+    service = new PrivacyService(prisma, { getMongoDb: () => createMongoStub(collections) });
+  });
+
+  test('exports every section without credentials', async () => {
+    const bundle = await service.exportUserData('user-1');
+
+    expect(Object.keys(bundle)).toEqual([
+      'exportedAt', 'user', 'applications', 'licenses', 'certifications',
+      'workExperience', 'savedJobs', 'jobAlerts', 'notifications', 'sessions',
+      'resumes', 'chatMessages', 'documents', 'jobMatchData'
+    ]);
+    expect(bundle.user.email).toBe('nurse@example.com');
+    expect(bundle.user).not.toHaveProperty('passwordHash');
+    expect(bundle.user).not.toHaveProperty('twoFactorSecret');
+    expect(bundle.resumes).toEqual([{ userId: 'user-1', fileName: 'resume.pdf' }]);
+    expect(bundle.chatMessages).toHaveLength(1);
+    expect(bundle.documents).toEqual([{ userId: 'user-1', type: 'license_scan' }]);
+    expect(bundle.jobMatchData).toHaveLength(1);
+    expect(bundle.jobAlerts).toHaveLength(1);
+    expect(bundle.sessions).toHaveLength(1);
+  });
+
+  test('exports every MongoDB collection that deletion removes', async () => {
+    const bundle = await service.exportUserData('user-1');
+    await service.deleteAccount('user-1');
+
+    for (const name of ['resumes', 'chatHistory', 'documents', 'jobMatchData']) {
+      expect(collections[name].filter(doc => doc.userId === 'user-1')).toHaveLength(0);
+    }
+    expect(bundle.documents).toHaveLength(1);
+    expect(bundle.jobMatchData).toHaveLength(1);
+  });
+
+  test('schedules deletion only with the correct password', async () => {
+    const user = tables.user[0];
+
+    await expect(service.requestDeletion(user, 'wrong-password')).resolves.toBeNull();
+
+    const scheduledFor = await service.requestDeletion(user, 'correct-password');
+    expect(scheduledFor.getTime()).toBeGreaterThan(Date.now());
+    expect(tables.user[0].deletionScheduledFor).toEqual(scheduledFor);
+
+    await expect(service.cancelDeletion('user-1')).resolves.toBe(true);
+    expect(tables.user[0].deletionScheduledFor).toBeNull();
+  });
+
+  test('deletes personal data but keeps placement records', async () => {
+    const summary = await service.deleteAccount('user-1');
+
+    expect(summary).toEqual({ applicationsDeleted: 1, placementsRetained: 1, credentialsRetained: true });
+    expect(tables.application.map(app => app.id)).toEqual(['app-1', 'app-3']);
+    expect(tables.license).toHaveLength(1);
+    expect(tables.workExperience).toHaveLength(0);
+    expect(tables.savedJob).toHaveLength(0);
+    expect(tables.userSession).toHaveLength(0);
+
+    expect(tables.user[0]).toEqual(expect.objectContaining({
+      email: 'deleted-user-1@deleted.invalid',
+      firstName: 'Deleted',
+      phone: null,
+      isActive: false,
+      twoFactorSecret: null
+    }));
+    expect(tables.user[0].deletedAt).toBeInstanceOf(Date);
+
+    expect(tables.analyticsEvent[0]).toEqual(expect.objectContaining({
+      userId: null,
+      ipAddress: null,
+      eventType: 'job_view'
+    }));
+    expect(tables.referral[0]).toEqual(expect.objectContaining({
+      referredUserId: null,
+      referredPhone: null,
+      referredEmail: 'deleted-referral-1@deleted.invalid'
+    }));
+
+    expect(collections.resumes).toEqual([{ userId: 'user-2', fileName: 'other.pdf' }]);
+    expect(collections.chatHistory).toHaveLength(0);
+    expect(collections.analyticsEventDetails[0]).toEqual({ eventType: 'search' });
+  });
+
+  test('removes credentials when the user was never placed', async () => {
+    tables.application[0].status = 'withdrawn';
+
+    const summary = await service.deleteAccount('user-1');
+
+    expect(summary.credentialsRetained).toBe(false);
+    expect(tables.license).toHaveLength(0);
+    expect(tables.certification).toHaveLength(0);
+  });
+
+  test('processes deletions whose grace period has ended', async () => {
+    tables.user[0].deletionScheduledFor = new Date(Date.now() - 1000);
+
+    await expect(service.processScheduledDeletions()).resolves.toEqual({ deleted: 1, failed: 0 });
+    await expect(service.processScheduledDeletions()).resolves.toEqual({ deleted: 0, failed: 0 });
+  });
+
+  test('does not touch the database when MongoDB is unavailable', async () => {
+    service = new PrivacyService(prisma, { getMongoDb: () => null });
+
+    await expect(service.deleteAccount('user-1')).rejects.toThrow('MongoDB is not available');
+    expect(tables.application).toHaveLength(3);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Rate Limit Stores
+ * 
+ * Sliding-window hit counters used for request throttling and failed
+ * login tracking. Redis is used when connected so limits are shared
+ * across instances; otherwise an in-memory store is used.
+ */
+
+const crypto = require('crypto');
+const { getRedisClient } = require('../utils/redis-client');
+
+/**
+ * In-memory sliding-window store for a single process
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  /**
+   * Record a hit and count hits within the window
+   * @param {string} key Counter key
+   * @param {number} windowMs Window length in milliseconds
+   * @returns {Promise<Object>} Hit count and milliseconds until the oldest hit leaves the window
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const timestamps = this.prune(key, now - windowMs);
+
+    timestamps.push(now);
+    this.hits.set(key, timestamps);
+
+    return {
+      count: timestamps.length,
+      resetMs: timestamps[0] + windowMs - now
+    };
+  }
+
+  /**
+   * Count hits within the window without recording one
+   * @param {string} key Counter key
+   * @param {number} windowMs Window length in milliseconds
+   * @returns {Promise<number>} Hit count
+   */
+  async count(key, windowMs) {
+    return this.prune(key, Date.now() - windowMs).length;
+  }
+
+  /**
+   * Clear all hits for a key
+   * @param {string} key Counter key
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Drop hits older than the window start
+   * @param {string} key Counter key
+   * @param {number} windowStart Oldest timestamp to keep
+   * @returns {Array<number>} Remaining timestamps
+   */
+  prune(key, windowStart) {
+    const timestamps = (this.hits.get(key) || []).filter(timestamp => timestamp > windowStart);
+
+    if (timestamps.length === 0) {
+      this.hits.delete(key);
+    } else {
+      this.hits.set(key, timestamps);
+    }
+
+    return timestamps;
+  }
+}
+
+/**
+ * Redis sliding-window store backed by one sorted set per key
+ */
+class RedisRateLimitStore {
+  /**
+   * Create a new RedisRateLimitStore
+   * @param {Object} client Connected Redis client
+   * @param {string} prefix Key prefix
+   */
+  constructor(client, prefix = 'ratelimit:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Record a hit and count hits within the window
+   * @param {string} key Counter key
+   * @param {number} windowMs Window length in milliseconds
+   * @returns {Promise<Object>} Hit count and milliseconds until the oldest hit leaves the window
+   */
+  async hit(key, windowMs) {
+    const redisKey = this.prefix + key;
+    const now = Date.now();
+    const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const [, , count, oldest] = await this.client
+      .multi()
+      .zRemRangeByScore(redisKey, 0, now - windowMs)
+      .zAdd(redisKey, { score: now, value: member })
+      .zCard(redisKey)
+      .zRangeWithScores(redisKey, 0, 0)
+      .pExpire(redisKey, windowMs)
+      .exec();
+
+    const oldestScore = oldest && oldest.length ? Number(oldest[0].score) : now;
+
+    return {
+      count: Number(count),
+      resetMs: oldestScore + windowMs - now
+    };
+  }
+
+  /**
+   * Count hits within the window without recording one
+   * @param {string} key Counter key
+   * @param {number} windowMs Window length in milliseconds
+   * @returns {Promise<number>} Hit count
+   */
+  async count(key, windowMs) {
+    return this.client.zCount(this.prefix + key, Date.now() - windowMs, '+inf');
+  }
+
+  /**
+   * Clear all hits for a key
+   * @param {string} key Counter key
+   */
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+const memoryStore = new MemoryRateLimitStore();
+let redisStore = null;
+
+/**
+ * Get the store to use for the current request: Redis when connected,
+ * otherwise the process-wide in-memory store.
+ * @returns {RedisRateLimitStore|MemoryRateLimitStore} Rate limit store
+ */
+function getRateLimitStore() {
+  const client = getRedisClient();
+
+  if (!client) {
+    return memoryStore;
+  }
+
+  if (!redisStore || redisStore.client !== client) {
+    redisStore = new RedisRateLimitStore(client);
+  }
+
+  return redisStore;
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,281 @@
+/**
+ * Saved Job Alert Service
+ *
+ * Tells candidates about changes to the jobs they saved: when a job's pay
+ * goes up, and when a job is about to close under one of the date-based
+ * expiry rules (see job-lifecycle.service.js). Alerts go out in the app and
+ * by email.
+ *
+ * Pay increases are found in the job revision history, which records every
+ * pay change whether it came from a recruiter or from LaborEdge sync; each
+ * revision is marked once it has been alerted on. A closing-soon alert is
+ * sent at most once per candidate and job. Both run from
+ * scripts/process-job-lifecycle.js.
+ */
+
+const { Logger } = require('../utils/logger');
+const { JobStatus, getExpiryRules } = require('./job-lifecycle.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Revisions read per batch when looking for pay increases
+const BATCH_SIZE = 500;
+
+// Expiry rules whose closing date is known in advance
+const DATE_FIELDS = ['startDate', 'endDate'];
+
+/**
+ * Saved job alert notification types
+ */
+const AlertType = {
+  PAY_INCREASED: 'saved_job_pay_increased',
+  CLOSING_SOON: 'saved_job_closing_soon'
+};
+
+// Job fields needed to describe a job in an alert
+const JOB_FIELDS = {
+  id: true,
+  title: true,
+  specialty: true,
+  facilityName: true,
+  status: true,
+  payRate: true
+};
+
+/**
+ * Get how many days before a job closes to warn the candidates who saved it,
+ * from JOB_CLOSING_SOON_DAYS (default 3)
+ * @returns {number} Days
+ */
+function getClosingSoonDays() {
+  const days = parseInt(process.env.JOB_CLOSING_SOON_DAYS);
+  return isNaN(days) ? 3 : days;
+}
+
+/**
+ * Format an amount as whole dollars
+ * @param {number} amount Amount
+ * @returns {string} Formatted amount, e.g. $2,450
+ */
+function formatMoney(amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+class SavedJobAlertService {
+  /**
+   * Create a new SavedJobAlertService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {Object} options.mailer Mailer used to alert candidates; without one only in-app notifications are sent
+   * @param {Array<Object>} options.rules Expiry rules (defaults to getExpiryRules())
+   * @param {number} options.closingSoonDays Days of warning before a job closes (defaults to getClosingSoonDays())
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.mailer = options.mailer;
+    this.rules = (options.rules || getExpiryRules()).filter(rule => DATE_FIELDS.includes(rule.field));
+    this.closingSoonDays = options.closingSoonDays ?? getClosingSoonDays();
+    this.logger = new Logger({ service: 'SavedJobAlertService' });
+  }
+
+  /**
+   * Send pay increase and closing-soon alerts
+   * @param {Date} now Current time
+   * @returns {Promise<Object>} Numbers of candidates alerted to pay increases and closing jobs
+   */
+  async processAlerts(now = new Date()) {
+    const payIncreased = await this.processPayIncreases();
+    const closingSoon = await this.processClosingSoon(now);
+
+    return { payIncreased, closingSoon };
+  }
+
+  /**
+   * Alert candidates to pay increases on jobs they saved, working through
+   * the revisions not yet alerted on
+   * @returns {Promise<number>} Number of candidates alerted
+   */
+  async processPayIncreases() {
+    let alerted = 0;
+    let revisions;
+
+    do {
+      revisions = await this.prisma.jobRevision.findMany({
+        where: { alertedAt: null },
+        orderBy: { createdAt: 'asc' },
+        take: BATCH_SIZE,
+        include: { job: { select: JOB_FIELDS } }
+      });
+
+      for (const revision of revisions) {
+        const pay = revision.changes.payRate;
+
+        if (pay && pay.after > pay.before && revision.job.status === JobStatus.ACTIVE) {
+          alerted += await this.notifySavers(revision.job, {
+            type: AlertType.PAY_INCREASED,
+            title: 'Pay Increased on a Saved Job',
+            message: `Pay for ${revision.job.title} at ${revision.job.facilityName} went up from ${formatMoney(pay.before)} to ${formatMoney(pay.after)}.`,
+            metadata: { jobId: revision.job.id, revisionId: revision.id, before: pay.before, after: pay.after },
+            sendEmail: user => this.mailer.sendSavedJobPayIncreasedEmail(user, revision.job, pay.before, pay.after)
+          });
+        }
+      }
+
+      if (revisions.length > 0) {
+        await this.prisma.jobRevision.updateMany({
+          where: { id: { in: revisions.map(revision => revision.id) } },
+          data: { alertedAt: new Date() }
+        });
+      }
+    } while (revisions.length === BATCH_SIZE);
+
+    return alerted;
+  }
+
+  /**
+   * Warn candidates that a job they saved will close within the warning
+   * window. A job closes `days` days after the date a rule looks at, so the
+   * window covers jobs whose date falls `days` days before now, up to the
+   * warning period after that.
+   * @param {Date} now Current time
+   * @returns {Promise<number>} Number of candidates alerted
+   */
+  async processClosingSoon(now = new Date()) {
+    if (this.rules.length === 0 || this.closingSoonDays <= 0) {
+      return 0;
+    }
+
+    const jobs = await this.prisma.job.findMany({
+      where: {
+        status: JobStatus.ACTIVE,
+        savedBy: { some: {} },
+        OR: this.rules.map(rule => {
+          const from = now.getTime() - rule.days * DAY;
+          return { [rule.field]: { gte: new Date(from), lt: new Date(from + this.closingSoonDays * DAY) } };
+        })
+      },
+      select: { ...JOB_FIELDS, startDate: true, endDate: true }
+    });
+
+    let alerted = 0;
+
+    for (const job of jobs) {
+      const closesAt = this.getClosingDate(job, now);
+
+      // No rule closes the job from now on, so there is nothing to warn about
+      if (!closesAt) {
+        continue;
+      }
+
+      alerted += await this.notifySavers(job, {
+        type: AlertType.CLOSING_SOON,
+        title: 'Saved Job Closing Soon',
+        message: `${job.title} at ${job.facilityName} closes to new applications on ${closesAt.toDateString()}.`,
+        metadata: { jobId: job.id, closesAt: closesAt.toISOString() },
+        sendEmail: user => this.mailer.sendSavedJobClosingSoonEmail(user, job, closesAt)
+      });
+    }
+
+    return alerted;
+  }
+
+  /**
+   * Get when the first expiry rule to apply will close a job
+   * @param {Object} job Job with its start and end dates
+   * @param {Date} now Current time
+   * @returns {Date|null} Closing date, or null if no rule closes it from now on
+   */
+  getClosingDate(job, now) {
+    const dates = this.rules
+      .filter(rule => job[rule.field])
+      .map(rule => new Date(job[rule.field]).getTime() + rule.days * DAY)
+      .filter(time => time >= now.getTime());
+
+    return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+  }
+
+  /**
+   * Notify the active candidates who saved a job. Closing-soon alerts skip
+   * candidates already warned about the job. Failures are logged rather
+   * than thrown, so one job does not stop the pass.
+   * @param {Object} job Job the alert is about
+   * @param {Object} alert Alert to send
+   * @param {string} alert.type One of AlertType
+   * @param {string} alert.title Notification title
+   * @param {string} alert.message Notification message
+   * @param {Object} alert.metadata Notification metadata, including the job ID
+   * @param {Function} alert.sendEmail Sends the alert email to a user
+   * @returns {Promise<number>} Number of candidates notified
+   */
+  async notifySavers(job, { type, title, message, metadata, sendEmail }) {
+    try {
+      const savedJobs = await this.prisma.savedJob.findMany({
+        where: { jobId: job.id },
+        select: { userId: true }
+      });
+      let userIds = savedJobs.map(savedJob => savedJob.userId);
+
+      if (type === AlertType.CLOSING_SOON && userIds.length > 0) {
+        const warned = await this.prisma.notification.findMany({
+          where: { type, userId: { in: userIds }, metadata: { path: ['jobId'], equals: job.id } },
+          select: { userId: true }
+        });
+        const warnedIds = new Set(warned.map(notification => notification.userId));
+        userIds = userIds.filter(userId => !warnedIds.has(userId));
+      }
+
+      if (userIds.length === 0) {
+        return 0;
+      }
+
+      const users = await this.prisma.user.findMany({
+        where: { id: { in: userIds }, isActive: true, deletedAt: null },
+        select: { id: true, email: true, firstName: true }
+      });
+
+      await this.prisma.notification.createMany({
+        data: users.map(user => ({
+          userId: user.id,
+          type,
+          title,
+          message,
+          isRead: false,
+          actionUrl: `/jobs/${job.id}`,
+          metadata
+        }))
+      });
+
+      if (this.mailer) {
+        for (const user of users) {
+          try {
+            await sendEmail(user);
+          } catch (error) {
+            this.logger.error({
+              message: 'Failed to send saved job alert email',
+              error: error.message,
+              type,
+              jobId: job.id,
+              userId: user.id
+            });
+          }
+        }
+      }
+
+      return users.length;
+    } catch (error) {
+      this.logger.error({
+        message: 'Failed to send saved job alert',
+        error: error.message,
+        type,
+        jobId: job.id
+      });
+      return 0;
+    }
+  }
+}
+
+module.exports = {
+  SavedJobAlertService,
+  AlertType,
+  getClosingSoonDays
+};
@@ -0,0 +1,132 @@
+/**
+ * Tests for Saved Job Alert Service
+ */
+
+const { SavedJobAlertService, AlertType } = require('./saved-job-alert.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const job = { id: 'job-1', title: 'ICU RN', specialty: 'ICU', facilityName: 'Mercy General', status: 'active', payRate: 2650 };
+
+const users = [
+  { id: 'user-1', email: 'a@example.com', firstName: 'Ann' },
+  { id: 'user-2', email: 'b@example.com', firstName: 'Ben' }
+];
+
+function createPrismaStub({ revisions = [], jobs = [], savedJobs = [], notifications = [] } = {}) {
+  return {
+    jobRevision: {
+      findMany: jest.fn().mockResolvedValueOnce(revisions).mockResolvedValue([]),
+      updateMany: jest.fn(async () => ({ count: revisions.length }))
+    },
+    job: { findMany: jest.fn(async () => jobs) },
+    savedJob: { findMany: jest.fn(async () => savedJobs) },
+    notification: {
+      findMany: jest.fn(async () => notifications),
+      createMany: jest.fn(async ({ data }) => ({ count: data.length }))
+    },
+    user: { findMany: jest.fn(async ({ where }) => users.filter(user => where.id.in.includes(user.id))) }
+  };
+}
+
+describe('SavedJobAlertService', () => {
+  const rules = [
+    { reason: 'start_date_passed', field: 'startDate', days: 7 },
+    { reason: 'end_date_passed', field: 'endDate', days: 0 },
+    { reason: 'stale', field: 'updatedAt', days: 60 }
+  ];
+
+  test('alerts savers to pay increases and marks revisions alerted', async () => {
+    const prisma = createPrismaStub({
+      revisions: [
+        { id: 'rev-1', changes: { payRate: { before: 2400, after: 2650 } }, job },
+        { id: 'rev-2', changes: { payRate: { before: 2650, after: 2500 } }, job },
+        { id: 'rev-3', changes: { status: { before: 'active', after: 'expired' } }, job }
+      ],
+      savedJobs: [{ userId: 'user-1' }, { userId: 'user-2' }]
+    });
+    const mailer = { sendSavedJobPayIncreasedEmail: jest.fn(async () => ({})) };
+
+    const alerted = await new SavedJobAlertService(prisma, { rules, mailer }).processPayIncreases();
+
+    expect(alerted).toBe(2);
+    expect(prisma.notification.createMany).toHaveBeenCalledTimes(1);
+    expect(prisma.notification.createMany.mock.calls[0][0].data[0]).toEqual(expect.objectContaining({
+      userId: 'user-1',
+      type: AlertType.PAY_INCREASED,
+      message: 'Pay for ICU RN at Mercy General went up from $2,400 to $2,650.',
+      actionUrl: '/jobs/job-1'
+    }));
+    expect(mailer.sendSavedJobPayIncreasedEmail).toHaveBeenCalledWith(users[0], job, 2400, 2650);
+    expect(prisma.jobRevision.updateMany.mock.calls[0][0].where).toEqual({ id: { in: ['rev-1', 'rev-2', 'rev-3'] } });
+  });
+
+  test('does not alert on pay increases for closed jobs', async () => {
+    const prisma = createPrismaStub({
+      revisions: [{ id: 'rev-1', changes: { payRate: { before: 2400, after: 2650 } }, job: { ...job, status: 'filled' } }],
+      savedJobs: [{ userId: 'user-1' }]
+    });
+
+    await expect(new SavedJobAlertService(prisma, { rules }).processPayIncreases()).resolves.toBe(0);
+    expect(prisma.notification.createMany).not.toHaveBeenCalled();
+    expect(prisma.jobRevision.updateMany).toHaveBeenCalled();
+  });
+
+  test('warns savers once before a job closes', async () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const startDate = new Date('2026-10-13T00:00:00Z');
+    const prisma = createPrismaStub({
+      jobs: [{ ...job, startDate, endDate: null }],
+      savedJobs: [{ userId: 'user-1' }, { userId: 'user-2' }],
+      notifications: [{ userId: 'user-2' }]
+    });
+    const mailer = { sendSavedJobClosingSoonEmail: jest.fn(async () => ({})) };
+
+    const alerted = await new SavedJobAlertService(prisma, { rules, mailer, closingSoonDays: 3 }).processClosingSoon(now);
+
+    expect(alerted).toBe(1);
+    expect(prisma.job.findMany.mock.calls[0][0].where.OR).toEqual([
+      { startDate: { gte: new Date(now.getTime() - 7 * DAY), lt: new Date(now.getTime() - 4 * DAY) } },
+      { endDate: { gte: now, lt: new Date(now.getTime() + 3 * DAY) } }
+    ]);
+    expect(prisma.notification.findMany.mock.calls[0][0].where).toEqual({
+      type: AlertType.CLOSING_SOON,
+      userId: { in: ['user-1', 'user-2'] },
+      metadata: { path: ['jobId'], equals: 'job-1' }
+    });
+    expect(prisma.notification.createMany.mock.calls[0][0].data).toEqual([expect.objectContaining({
+      userId: 'user-1',
+      metadata: { jobId: 'job-1', closesAt: '2026-10-20T00:00:00.000Z' }
+    })]);
+    expect(mailer.sendSavedJobClosingSoonEmail).toHaveBeenCalledWith(users[0], expect.objectContaining({ id: 'job-1' }), new Date('2026-10-20T00:00:00Z'));
+  });
+
+  test('does not warn about jobs no rule closes from now on', async () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const prisma = createPrismaStub({
+      jobs: [{ ...job, startDate: new Date('2026-10-01T00:00:00Z'), endDate: null }],
+      savedJobs: [{ userId: 'user-1' }]
+    });
+
+    await expect(new SavedJobAlertService(prisma, { rules, closingSoonDays: 3 }).processClosingSoon(now)).resolves.toBe(0);
+    expect(prisma.savedJob.findMany).not.toHaveBeenCalled();
+    expect(prisma.notification.createMany).not.toHaveBeenCalled();
+  });
+
+  test('skips closing-soon alerts when no date rule is enabled', async () => {
+    const prisma = createPrismaStub();
+
+    await expect(new SavedJobAlertService(prisma, { rules: [rules[2]] }).processClosingSoon()).resolves.toBe(0);
+    expect(prisma.job.findMany).not.toHaveBeenCalled();
+  });
+
+  test('keeps going when notifying fails', async () => {
+    const prisma = createPrismaStub({
+      revisions: [{ id: 'rev-1', changes: { payRate: { before: 2400, after: 2650 } }, job }]
+    });
+    prisma.savedJob.findMany.mockRejectedValue(new Error('connection lost'));
+
+    await expect(new SavedJobAlertService(prisma, { rules }).processPayIncreases()).resolves.toBe(0);
+    expect(prisma.jobRevision.updateMany).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Session Service
+ *
+ * Manages server-side login sessions and the opaque refresh tokens that
+ * back them. Refresh tokens are rotated on every use; presenting a token
+ * that has already been rotated out is treated as theft and revokes the
+ * whole session.
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('../utils/logger');
+const { hashToken } = require('./user-token.service');
+
+/**
+ * Reasons recorded when a session is revoked
+ */
+const RevokeReason = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  PASSWORD_RESET: 'password_reset',
+  ROLE_CHANGE: 'role_change',
+  TOKEN_REUSE: 'token_reuse'
+};
+
+/**
+ * Get the refresh token lifetime in milliseconds
+ * @returns {number} Lifetime in milliseconds
+ */
+function getRefreshTokenTtl() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Determine a coarse device type from a user agent string
+ * @param {string} userAgent User agent
+ * @returns {string} 'mobile', 'tablet', 'desktop' or 'unknown'
+ */
+function getDeviceType(userAgent) {
+  if (!userAgent) {
+    return 'unknown';
+  }
+
+  if (/ipad|tablet|kindle|silk/i.test(userAgent)) {
+    return 'tablet';
+  }
+
+  if (/mobi|iphone|android/i.test(userAgent)) {
+    return 'mobile';
+  }
+
+  return 'desktop';
+}
+
+class SessionService {
+  /**
+   * Create a new SessionService
+   * @param {Object} prisma Prisma client
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.logger = new Logger({ service: 'SessionService' });
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {string} userId User ID
+   * @param {Object} context Request context
+   * @param {string} context.ipAddress Client IP address
+   * @param {string} context.userAgent Client user agent
+   * @returns {Promise<Object>} The session and its first refresh token
+   */
+  async create(userId, context = {}) {
+    const session = await this.prisma.userSession.create({
+      data: {
+        userId,
+        deviceType: getDeviceType(context.userAgent),
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+      }
+    });
+
+    const refreshToken = await this.issueRefreshToken(session.id);
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * @param {string} refreshToken Raw refresh token
+   * @param {Object} context Request context
+   * @param {string} context.ipAddress Client IP address
+   * @param {string} context.userAgent Client user agent
+   * @returns {Promise<Object|null>} The session and the new refresh token, or null if the token is not usable
+   */
+  async rotate(refreshToken, context = {}) {
+    if (!refreshToken) {
+      return null;
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const stored = await this.prisma.refreshToken.findUnique({
+      where: { tokenHash },
+      include: { session: true }
+    });
+
+    if (!stored) {
+      return null;
+    }
+
+    const { session } = stored;
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    // Mark the token replaced; only one concurrent caller can win
+    const { count } = await this.prisma.refreshToken.updateMany({
+      where: { id: stored.id, replacedAt: null },
+      data: { replacedAt: new Date() }
+    });
+
+    if (count === 0) {
+      this.logger.warn({
+        message: 'Refresh token reuse detected, revoking session',
+        sessionId: session.id,
+        userId: session.userId,
+        ipAddress: context.ipAddress
+      });
+
+      await this.revoke(session.id, session.userId, RevokeReason.TOKEN_REUSE);
+      return null;
+    }
+
+    const updatedSession = await this.prisma.userSession.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + getRefreshTokenTtl()),
+        ipAddress: context.ipAddress || session.ipAddress,
+        userAgent: context.userAgent || session.userAgent
+      }
+    });
+
+    return {
+      session: updatedSession,
+      refreshToken: await this.issueRefreshToken(session.id)
+    };
+  }
+
+  /**
+   * Find the active session a refresh token belongs to, without rotating it
+   * @param {string} refreshToken Raw refresh token
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findByRefreshToken(refreshToken) {
+    if (!refreshToken) {
+      return null;
+    }
+
+    const stored = await this.prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { session: true }
+    });
+
+    if (!stored || stored.session.revokedAt) {
+      return null;
+    }
+
+    return stored.session;
+  }
+
+  /**
+   * Check whether a session exists and has been neither revoked nor expired
+   * @param {string} sessionId Session ID
+   * @returns {Promise<boolean>} True if the session is active
+   */
+  async isActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await this.prisma.userSession.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true, expiresAt: true }
+    });
+
+    return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId User ID
+   * @returns {Promise<Array>} Active sessions, most recently used first
+   */
+  async list(userId) {
+    return this.prisma.userSession.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceType: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId Session ID
+   * @param {string} userId Owner of the session
+   * @param {string} reason Revocation reason
+   * @returns {Promise<boolean>} True if an active session was revoked
+   */
+  async revoke(sessionId, userId, reason = RevokeReason.USER_REVOKED) {
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId User ID
+   * @param {string} reason Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(userId, reason = RevokeReason.USER_REVOKED) {
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count;
+  }
+
+  /**
+   * Issue a new refresh token for a session
+   * @param {string} sessionId Session ID
+   * @returns {Promise<string>} Raw refresh token
+   */
+  async issueRefreshToken(sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await this.prisma.refreshToken.create({
+      data: {
+        sessionId,
+        tokenHash: hashToken(refreshToken)
+      }
+    });
+
+    return refreshToken;
+  }
+}
+
+module.exports = {
+  SessionService,
+  RevokeReason,
+  getDeviceType
+};
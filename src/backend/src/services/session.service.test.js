@@ -0,0 +1,140 @@
+/**
+ * Tests for Session Service
+ */
+
+const { SessionService, RevokeReason, getDeviceType } = require('./session.service');
+
+/**
+ * Minimal in-memory stand-in for the userSession and refreshToken Prisma delegates
+ */
+function createPrismaStub() {
+  const sessions = [];
+  const refreshTokens = [];
+
+  const matches = (record, where) =>
+    Object.entries(where).every(([key, value]) => {
+      if (value instanceof Date || value === null || typeof value !== 'object') {
+        return record[key] === value;
+      }
+      return record[key] > value.gt;
+    });
+
+  return {
+    sessions,
+    refreshTokens,
+    userSession: {
+      create: jest.fn(async ({ data }) => {
+        const session = {
+          id: `session-${sessions.length + 1}`,
+          revokedAt: null,
+          revokedReason: null,
+          createdAt: new Date(),
+          lastUsedAt: new Date(),
+          ...data
+        };
+        sessions.push(session);
+        return session;
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const session = sessions.find(item => item.id === where.id);
+        return Object.assign(session, data);
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = sessions.filter(session => matches(session, where));
+        matched.forEach(session => Object.assign(session, data));
+        return { count: matched.length };
+      }),
+      findMany: jest.fn(async ({ where }) => sessions.filter(session => matches(session, where)))
+    },
+    refreshToken: {
+      create: jest.fn(async ({ data }) => {
+        const token = { id: `token-${refreshTokens.length + 1}`, replacedAt: null, ...data };
+        refreshTokens.push(token);
+        return token;
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const token = refreshTokens.find(item => item.tokenHash === where.tokenHash);
+        return token
+          ? { ...token, session: sessions.find(session => session.id === token.sessionId) }
+          : null;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = refreshTokens.filter(token => matches(token, where));
+        matched.forEach(token => Object.assign(token, data));
+        return { count: matched.length };
+      })
+    }
+  };
+}
+
+describe('SessionService', () => {
+  const context = { ipAddress: '127.0.0.1', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0)' };
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaStub();
+    service = new SessionService(prisma);
+  });
+
+  test('creates a session with device details', async () => {
+    const { session, refreshToken } = await service.create('user-1', context);
+
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(session).toEqual(expect.objectContaining({
+      userId: 'user-1',
+      deviceType: 'mobile',
+      ipAddress: '127.0.0.1'
+    }));
+  });
+
+  test('rotates refresh tokens', async () => {
+    const { session, refreshToken } = await service.create('user-1', context);
+
+    const rotated = await service.rotate(refreshToken, context);
+
+    expect(rotated.session.id).toBe(session.id);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    await expect(service.rotate(rotated.refreshToken, context)).resolves.not.toBeNull();
+  });
+
+  test('revokes the session when a rotated token is reused', async () => {
+    const { session, refreshToken } = await service.create('user-1', context);
+    const rotated = await service.rotate(refreshToken, context);
+
+    await expect(service.rotate(refreshToken, context)).resolves.toBeNull();
+
+    expect(prisma.sessions[0].revokedReason).toBe(RevokeReason.TOKEN_REUSE);
+    expect(prisma.sessions[0].id).toBe(session.id);
+    await expect(service.rotate(rotated.refreshToken, context)).resolves.toBeNull();
+  });
+
+  test('rejects unknown refresh tokens', async () => {
+    await expect(service.rotate('not-a-token', context)).resolves.toBeNull();
+  });
+
+  test('only revokes sessions owned by the user', async () => {
+    const { session } = await service.create('user-1', context);
+
+    await expect(service.revoke(session.id, 'user-2')).resolves.toBe(false);
+    await expect(service.revoke(session.id, 'user-1')).resolves.toBe(true);
+  });
+
+  test('revokes all sessions for a user', async () => {
+    await service.create('user-1', context);
+    await service.create('user-1', context);
+    await service.create('user-2', context);
+
+    await expect(service.revokeAll('user-1', RevokeReason.LOGOUT)).resolves.toBe(2);
+    expect(prisma.sessions.filter(session => session.revokedAt === null)).toHaveLength(1);
+  });
+});
+
+describe('getDeviceType', () => {
+  test('classifies common user agents', () => {
+    expect(getDeviceType('Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X)')).toBe('tablet');
+    expect(getDeviceType('Mozilla/5.0 (Linux; Android 13) Mobile')).toBe('mobile');
+    expect(getDeviceType('Mozilla/5.0 (Windows NT 10.0; Win64; x64)')).toBe('desktop');
+    expect(getDeviceType(undefined)).toBe('unknown');
+  });
+});
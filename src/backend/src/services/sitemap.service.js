@@ -0,0 +1,143 @@
+/**
+ * Sitemap Service
+ *
+ * Builds the XML sitemaps search engines crawl: a sitemap index at
+ * /sitemap.xml listing a paginated sitemap per section, each at
+ * /sitemaps/<section>-<page>.xml. Sections cover active jobs, facilities
+ * with active jobs, and published city and specialty guides.
+ *
+ * Sitemaps are built from the database, so a job drops out once it is no
+ * longer active. The routes cache them like the job lists (see
+ * job-cache.service.js): rebuilt whenever a job changes, and otherwise once
+ * the cache TTL passes.
+ */
+
+const { getWebsiteUrl } = require('../utils/job-posting');
+const { escapeXml } = require('../utils/xml');
+
+// URLs per sitemap; the protocol allows up to 50,000
+const DEFAULT_PAGE_SIZE = 10000;
+
+/**
+ * Sections of the sitemap, each with how to count, list and link its pages
+ */
+const SECTIONS = {
+  jobs: {
+    model: 'job',
+    where: { status: 'active', canonicalJobId: null },
+    path: row => `/jobs/${row.id}`
+  },
+  facilities: {
+    model: 'facility',
+    where: { jobs: { some: { status: 'active' } } },
+    path: row => `/facilities/${row.id}`
+  },
+  'city-guides': {
+    model: 'content',
+    where: { type: 'city_guide', isPublished: true },
+    path: row => `/city-guides/${row.slug}`
+  },
+  'specialty-guides': {
+    model: 'content',
+    where: { type: 'specialty_guide', isPublished: true },
+    path: row => `/specialty-guides/${row.slug}`
+  }
+};
+
+/**
+ * Render sitemap entries as XML
+ * @param {string} root Root element: 'urlset' or 'sitemapindex'
+ * @param {string} element Entry element: 'url' or 'sitemap'
+ * @param {Array<Object>} entries Entries with loc and optional lastmod
+ * @returns {string} XML document
+ */
+function renderXml(root, element, entries) {
+  const items = entries.map(entry => [
+    `  <${element}>`,
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    ...(entry.lastmod ? [`    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>`] : []),
+    `  </${element}>`
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<${root} xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...items,
+    `</${root}>`,
+    ''
+  ].join('\n');
+}
+
+class SitemapService {
+  /**
+   * Create a new SitemapService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {string} options.websiteUrl Website the sitemaps link to (defaults to WEBSITE_URL)
+   * @param {number} options.pageSize URLs per sitemap
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.websiteUrl = (options.websiteUrl || getWebsiteUrl()).replace(/\/$/, '');
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  }
+
+  /**
+   * Build the sitemap index, listing every page of every section. Empty
+   * sections are left out.
+   * @returns {Promise<string>} XML document
+   */
+  async buildIndex() {
+    const sections = await Promise.all(Object.entries(SECTIONS).map(async ([name, section]) => {
+      const model = this.prisma[section.model];
+      const [count, latest] = await Promise.all([
+        model.count({ where: section.where }),
+        model.aggregate({ where: section.where, _max: { updatedAt: true } })
+      ]);
+
+      return Array.from({ length: Math.ceil(count / this.pageSize) }, (_, index) => ({
+        loc: `${this.websiteUrl}/sitemaps/${name}-${index + 1}.xml`,
+        lastmod: latest._max.updatedAt
+      }));
+    }));
+
+    return renderXml('sitemapindex', 'sitemap', sections.flat());
+  }
+
+  /**
+   * Build one page of a section's sitemap
+   * @param {string} name Section name, e.g. 'jobs'
+   * @param {number} page Page number, from 1
+   * @returns {Promise<string|null>} XML document, or null if the section or page does not exist
+   */
+  async buildPage(name, page) {
+    const section = Object.prototype.hasOwnProperty.call(SECTIONS, name) ? SECTIONS[name] : null;
+
+    if (!section || !Number.isInteger(page) || page < 1) {
+      return null;
+    }
+
+    const rows = await this.prisma[section.model].findMany({
+      where: section.where,
+      select: { id: true, updatedAt: true, ...(section.model === 'content' && { slug: true }) },
+      orderBy: { id: 'asc' },
+      skip: (page - 1) * this.pageSize,
+      take: this.pageSize
+    });
+
+    // Page 1 of an empty section is an empty sitemap; later pages must exist
+    if (rows.length === 0 && page > 1) {
+      return null;
+    }
+
+    return renderXml('urlset', 'url', rows.map(row => ({
+      loc: `${this.websiteUrl}${section.path(row)}`,
+      lastmod: row.updatedAt
+    })));
+  }
+}
+
+module.exports = {
+  SitemapService,
+  SITEMAP_SECTIONS: Object.keys(SECTIONS)
+};
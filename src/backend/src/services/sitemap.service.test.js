@@ -0,0 +1,85 @@
+/**
+ * Tests for Sitemap Service
+ */
+
+const { SitemapService } = require('./sitemap.service');
+
+const updatedAt = new Date('2026-10-18T09:30:00.000Z');
+
+/**
+ * Build a Prisma model stub holding rows
+ * @param {Array<Object>} rows Rows
+ * @returns {Object} Model stub
+ */
+function createModel(rows) {
+  return {
+    count: jest.fn(async () => rows.length),
+    aggregate: jest.fn(async () => ({ _max: { updatedAt: rows.length ? updatedAt : null } })),
+    findMany: jest.fn(async ({ skip, take }) => rows.slice(skip, skip + take))
+  };
+}
+
+describe('SitemapService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = {
+      job: createModel([
+        { id: 'job-1', updatedAt },
+        { id: 'job-2', updatedAt },
+        { id: 'job-3', updatedAt }
+      ]),
+      facility: createModel([{ id: 'facility-1', updatedAt }]),
+      content: createModel([])
+    };
+    service = new SitemapService(prisma, { websiteUrl: 'https://example.com/', pageSize: 2 });
+  });
+
+  test('indexes every page of every non-empty section', async () => {
+    const xml = await service.buildIndex();
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<sitemapindex xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+    expect(xml.match(/<loc>[^<]+<\/loc>/g)).toEqual([
+      '<loc>https://example.com/sitemaps/jobs-1.xml</loc>',
+      '<loc>https://example.com/sitemaps/jobs-2.xml</loc>',
+      '<loc>https://example.com/sitemaps/facilities-1.xml</loc>'
+    ]);
+    expect(xml).toContain('<lastmod>2026-10-18T09:30:00.000Z</lastmod>');
+    expect(prisma.job.count).toHaveBeenCalledWith({ where: { status: 'active', canonicalJobId: null } });
+    expect(prisma.content.count).toHaveBeenCalledWith({ where: { type: 'city_guide', isPublished: true } });
+  });
+
+  test('lists active jobs a page at a time', async () => {
+    const xml = await service.buildPage('jobs', 2);
+
+    expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(xml.match(/<loc>[^<]+<\/loc>/g)).toEqual(['<loc>https://example.com/jobs/job-3</loc>']);
+    expect(prisma.job.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'active', canonicalJobId: null },
+      orderBy: { id: 'asc' },
+      skip: 2,
+      take: 2
+    }));
+  });
+
+  test('links guides by slug and escapes URLs', async () => {
+    prisma.content.findMany.mockResolvedValue([{ id: 'content-1', slug: 'houston-tx&more', updatedAt }]);
+
+    const xml = await service.buildPage('city-guides', 1);
+
+    expect(xml).toContain('<loc>https://example.com/city-guides/houston-tx&amp;more</loc>');
+    expect(prisma.content.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { type: 'city_guide', isPublished: true },
+      select: { id: true, updatedAt: true, slug: true }
+    }));
+  });
+
+  test('returns null for unknown sections and pages past the end', async () => {
+    await expect(service.buildPage('users', 1)).resolves.toBeNull();
+    await expect(service.buildPage('toString', 1)).resolves.toBeNull();
+    await expect(service.buildPage('jobs', 0)).resolves.toBeNull();
+    await expect(service.buildPage('jobs', 3)).resolves.toBeNull();
+    await expect(service.buildPage('specialty-guides', 1)).resolves.toContain('<urlset');
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Handles TOTP enrollment, code verification with replay protection and
+ * single-use recovery codes. Roles listed in TWO_FACTOR_REQUIRED_ROLES
+ * must enroll before they can sign in.
+ *
+ * Each login challenge allows a few wrong codes before it is spent and the
+ * user has to sign in again, on top of the per-IP limit and account lockout.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const totp = require('../utils/totp');
+const { hashToken } = require('./user-token.service');
+const { getRateLimitStore } = require('./rate-limit-store');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Failures are counted for as long as a challenge token is valid (see signPurposeToken)
+const CHALLENGE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Get the roles that must use two-factor authentication
+ * @returns {Array<string>} Role names
+ */
+function getRequiredRoles() {
+  const value = process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+  if (value === undefined) {
+    return ['recruiter', 'admin'];
+  }
+
+  return value.split(',').map(role => role.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate a set of human-friendly recovery codes
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+class TwoFactorService {
+  /**
+   * Create a new TwoFactorService
+   * @param {Object} prisma Prisma client
+   * @param {Object} options Service options
+   * @param {string} options.issuer Issuer name shown in authenticator apps
+   * @param {Function} options.getStore Returns the challenge failure counter store
+   * @param {number} options.maxChallengeFailures Wrong codes a login challenge allows (defaults to TWO_FACTOR_MAX_ATTEMPTS, or 3)
+   */
+  constructor(prisma, options = {}) {
+    this.prisma = prisma;
+    this.issuer = options.issuer || 'Excel Medical Staffing';
+    this.getStore = options.getStore || getRateLimitStore;
+    this.maxChallengeFailures = options.maxChallengeFailures || parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 3;
+  }
+
+  /**
+   * Check whether a user's role requires two-factor authentication
+   * @param {Object} user User record
+   * @returns {boolean} True if required
+   */
+  isRequired(user) {
+    return getRequiredRoles().includes(user.role);
+  }
+
+  /**
+   * Start enrollment by generating and storing a pending secret
+   * @param {Object} user User record
+   * @returns {Promise<Object>} Secret, provisioning URI and QR code data URL
+   */
+  async createSetup(user) {
+    const secret = totp.generateSecret();
+    const otpauthUri = totp.buildProvisioningUri(secret, user.email, this.issuer);
+
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: secret,
+        twoFactorEnabled: false,
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCodeDataUrl: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret
+   * @param {Object} user User record including the pending secret
+   * @param {string} code TOTP code
+   * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is invalid
+   */
+  async enable(user, code) {
+    if (!user.twoFactorSecret) {
+      return null;
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(item => hashToken(normalizeRecoveryCode(item)))
+      }
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code for an enrolled user. Each code is accepted once.
+   * @param {Object} user User record
+   * @param {string} code TOTP code
+   * @returns {Promise<boolean>} True if the code is valid and unused
+   */
+  async verify(user, code) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+
+    if (step === null) {
+      return false;
+    }
+
+    // Only accept steps newer than the last one used, so a code cannot be replayed
+    const { count } = await this.prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { lt: step } }
+        ]
+      },
+      data: { twoFactorLastUsedStep: step }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Consume a recovery code
+   * @param {Object} user User record
+   * @param {string} code Recovery code
+   * @returns {Promise<boolean>} True if the code was valid and has now been used
+   */
+  async useRecoveryCode(user, code) {
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const remaining = (user.twoFactorRecoveryCodes || []).filter(item => item !== codeHash);
+
+    if (!user.twoFactorEnabled || remaining.length === (user.twoFactorRecoveryCodes || []).length) {
+      return false;
+    }
+
+    const { count } = await this.prisma.user.updateMany({
+      where: {
+        id: user.id,
+        twoFactorRecoveryCodes: { has: codeHash }
+      },
+      data: { twoFactorRecoveryCodes: remaining }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Check whether a login challenge has used up its attempts
+   * @param {string} challengeToken Challenge token
+   * @returns {Promise<boolean>} True if the challenge can no longer be answered
+   */
+  async isChallengeSpent(challengeToken) {
+    const failures = await this.getStore().count(this.challengeKey(challengeToken), CHALLENGE_WINDOW_MS);
+    return failures >= this.maxChallengeFailures;
+  }
+
+  /**
+   * Record a wrong answer to a login challenge
+   * @param {string} challengeToken Challenge token
+   * @returns {Promise<boolean>} True if the challenge is now spent
+   */
+  async recordChallengeFailure(challengeToken) {
+    const { count } = await this.getStore().hit(this.challengeKey(challengeToken), CHALLENGE_WINDOW_MS);
+    return count >= this.maxChallengeFailures;
+  }
+
+  /**
+   * Get the failure counter key of a login challenge
+   * @param {string} challengeToken Challenge token
+   * @returns {string} Counter key
+   */
+  challengeKey(challengeToken) {
+    return `2fa:challenge:${hashToken(challengeToken)}`;
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} userId User ID
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorRecoveryCodes: recoveryCodes.map(item => hashToken(normalizeRecoveryCode(item)))
+      }
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off two-factor authentication and discard the secret
+   * @param {string} userId User ID
+   */
+  async disable(userId) {
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastUsedStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+  }
+}
+
+module.exports = {
+  TwoFactorService,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
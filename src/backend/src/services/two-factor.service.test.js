@@ -0,0 +1,107 @@
+/**
+ * Tests for Two-Factor Authentication Service
+ */
+
+const { TwoFactorService, normalizeRecoveryCode } = require('./two-factor.service');
+const { MemoryRateLimitStore } = require('./rate-limit-store');
+const { hashToken } = require('./user-token.service');
+const totp = require('../utils/totp');
+
+/**
+ * Prisma stub holding a single user, applying the conditional updates the
+ * service relies on
+ */
+function createPrismaStub(user) {
+  const matches = where => {
+    if (where.twoFactorRecoveryCodes && !user.twoFactorRecoveryCodes.includes(where.twoFactorRecoveryCodes.has)) {
+      return false;
+    }
+
+    if (where.OR) {
+      const lastStep = user.twoFactorLastUsedStep;
+      return lastStep === null || lastStep < where.OR[1].twoFactorLastUsedStep.lt;
+    }
+
+    return true;
+  };
+
+  return {
+    user: {
+      updateMany: jest.fn(async ({ where, data }) => {
+        if (!matches(where)) {
+          return { count: 0 };
+        }
+
+        Object.assign(user, data);
+        return { count: 1 };
+      })
+    }
+  };
+}
+
+describe('TwoFactorService', () => {
+  const secret = totp.generateSecret();
+  let user;
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+    user = {
+      id: 'user-1',
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: ['abcde-12345', 'fghij-67890'].map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+    service = new TwoFactorService(createPrismaStub(user), {
+      getStore: () => store,
+      maxChallengeFailures: 2
+    });
+  });
+
+  test('accepts each code once', async () => {
+    const code = totp.generateCode(secret);
+
+    await expect(service.verify(user, code)).resolves.toBe(true);
+    await expect(service.verify(user, code)).resolves.toBe(false);
+  });
+
+  test('rejects codes from steps older than the last one used', async () => {
+    const step = totp.getTimeStep();
+    user.twoFactorLastUsedStep = step;
+
+    await expect(service.verify(user, totp.generateCode(secret, step - 1))).resolves.toBe(false);
+  });
+
+  test('rejects codes when two-factor authentication is off', async () => {
+    user.twoFactorEnabled = false;
+
+    await expect(service.verify(user, totp.generateCode(secret))).resolves.toBe(false);
+  });
+
+  test('consumes recovery codes, however they are typed', async () => {
+    await expect(service.useRecoveryCode({ ...user }, ' ABCDE 12345 ')).resolves.toBe(true);
+    expect(user.twoFactorRecoveryCodes).toEqual([hashToken('fghij67890')]);
+
+    await expect(service.useRecoveryCode({ ...user }, 'abcde-12345')).resolves.toBe(false);
+    await expect(service.useRecoveryCode({ ...user }, 'zzzzz-00000')).resolves.toBe(false);
+  });
+
+  test('does not consume a recovery code twice when used concurrently', async () => {
+    const snapshot = { ...user };
+
+    await expect(service.useRecoveryCode(snapshot, 'fghij-67890')).resolves.toBe(true);
+    await expect(service.useRecoveryCode(snapshot, 'fghij-67890')).resolves.toBe(false);
+  });
+
+  test('spends a login challenge after too many wrong codes', async () => {
+    await expect(service.isChallengeSpent('challenge-1')).resolves.toBe(false);
+    await expect(service.recordChallengeFailure('challenge-1')).resolves.toBe(false);
+    await expect(service.recordChallengeFailure('challenge-1')).resolves.toBe(true);
+    await expect(service.isChallengeSpent('challenge-1')).resolves.toBe(true);
+
+    // Other challenges are unaffected
+    await expect(service.isChallengeSpent('challenge-2')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * User Token Service
+ * 
+ * Issues and consumes single-use, expiring tokens for email verification
+ * and password resets. Only a SHA-256 hash of each token is stored, so a
+ * database leak does not expose usable links.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Supported token types
+ */
+const TokenType = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * Default token lifetimes in milliseconds
+ */
+const DEFAULT_TTL = {
+  [TokenType.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000, // 24 hours
+  [TokenType.PASSWORD_RESET]: 60 * 60 * 1000 // 1 hour
+};
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token Raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class UserTokenService {
+  /**
+   * Create a new UserTokenService
+   * @param {Object} prisma Prisma client
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Issue a new token, invalidating any unused tokens of the same type
+   * @param {string} userId User ID
+   * @param {string} type Token type
+   * @param {number} ttl Lifetime in milliseconds
+   * @returns {Promise<string>} Raw token to deliver to the user
+   */
+  async issue(userId, type, ttl = DEFAULT_TTL[type]) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await this.revokeAll(userId, type);
+    await this.prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttl)
+      }
+    });
+
+    return token;
+  }
+
+  /**
+   * Consume a token. Succeeds at most once per token.
+   * @param {string} token Raw token
+   * @param {string} type Expected token type
+   * @returns {Promise<string|null>} User ID, or null if the token is invalid, expired or used
+   */
+  async consume(token, type) {
+    if (!token) {
+      return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    // Conditional update so concurrent requests cannot both consume the token
+    const { count } = await this.prisma.userToken.updateMany({
+      where: {
+        tokenHash,
+        type,
+        usedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: { usedAt: now }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const record = await this.prisma.userToken.findUnique({
+      where: { tokenHash }
+    });
+
+    return record.userId;
+  }
+
+  /**
+   * Invalidate all unused tokens of a type for a user
+   * @param {string} userId User ID
+   * @param {string} type Token type
+   * @returns {Promise<number>} Number of tokens invalidated
+   */
+  async revokeAll(userId, type) {
+    const { count } = await this.prisma.userToken.updateMany({
+      where: {
+        userId,
+        type,
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return count;
+  }
+}
+
+module.exports = {
+  UserTokenService,
+  TokenType,
+  hashToken
+};
@@ -0,0 +1,84 @@
+/**
+ * Tests for User Token Service
+ */
+
+const { UserTokenService, TokenType, hashToken } = require('./user-token.service');
+
+/**
+ * Minimal in-memory stand-in for the userToken Prisma delegate
+ */
+function createPrismaStub() {
+  const tokens = [];
+
+  const matches = (token, where) =>
+    Object.entries(where).every(([key, value]) => {
+      if (value && typeof value === 'object' && 'gt' in value) {
+        return token[key] > value.gt;
+      }
+      return token[key] === value;
+    });
+
+  return {
+    tokens,
+    userToken: {
+      create: jest.fn(async ({ data }) => {
+        const token = { id: String(tokens.length + 1), usedAt: null, ...data };
+        tokens.push(token);
+        return token;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = tokens.filter(token => matches(token, where));
+        matched.forEach(token => Object.assign(token, data));
+        return { count: matched.length };
+      }),
+      findUnique: jest.fn(async ({ where }) =>
+        tokens.find(token => token.tokenHash === where.tokenHash) || null
+      )
+    }
+  };
+}
+
+describe('UserTokenService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaStub();
+    service = new UserTokenService(prisma);
+  });
+
+  test('stores only the token hash', async () => {
+    const token = await service.issue('user-1', TokenType.EMAIL_VERIFICATION);
+
+    expect(prisma.tokens).toHaveLength(1);
+    expect(prisma.tokens[0].tokenHash).toBe(hashToken(token));
+    expect(prisma.tokens[0].tokenHash).not.toBe(token);
+  });
+
+  test('consumes a token exactly once', async () => {
+    const token = await service.issue('user-1', TokenType.PASSWORD_RESET);
+
+    await expect(service.consume(token, TokenType.PASSWORD_RESET)).resolves.toBe('user-1');
+    await expect(service.consume(token, TokenType.PASSWORD_RESET)).resolves.toBeNull();
+  });
+
+  test('rejects tokens of another type', async () => {
+    const token = await service.issue('user-1', TokenType.EMAIL_VERIFICATION);
+
+    await expect(service.consume(token, TokenType.PASSWORD_RESET)).resolves.toBeNull();
+  });
+
+  test('rejects expired tokens', async () => {
+    const token = await service.issue('user-1', TokenType.PASSWORD_RESET, -1000);
+
+    await expect(service.consume(token, TokenType.PASSWORD_RESET)).resolves.toBeNull();
+  });
+
+  test('invalidates outstanding tokens when a new one is issued', async () => {
+    const first = await service.issue('user-1', TokenType.PASSWORD_RESET);
+    const second = await service.issue('user-1', TokenType.PASSWORD_RESET);
+
+    await expect(service.consume(first, TokenType.PASSWORD_RESET)).resolves.toBeNull();
+    await expect(service.consume(second, TokenType.PASSWORD_RESET)).resolves.toBe('user-1');
+  });
+});
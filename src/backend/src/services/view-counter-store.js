@@ -0,0 +1,245 @@
+/**
+ * View Counter Stores
+ *
+ * Buffer job views between flushes to the database. Each store remembers
+ * which viewers have been counted recently, keeps the views not yet
+ * flushed, and keeps hourly view counts for trending. Redis is used when
+ * connected so buffers are shared across instances; otherwise an in-memory
+ * store is used.
+ */
+
+const { getRedisClient } = require('../utils/redis-client');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Get the hour bucket a time falls in
+ * @param {number} time Timestamp in milliseconds
+ * @returns {number} Hours since the epoch
+ */
+function getHourBucket(time = Date.now()) {
+  return Math.floor(time / HOUR);
+}
+
+/**
+ * In-memory view counter store for a single process
+ */
+class MemoryViewCounterStore {
+  constructor() {
+    this.seen = new Map();
+    this.pending = new Map();
+    this.hourly = new Map();
+  }
+
+  /**
+   * Mark a viewer as counted, unless they already are
+   * @param {string} key Viewer key
+   * @param {number} ttlSeconds Seconds the mark lasts
+   * @returns {Promise<boolean>} Whether the viewer was newly marked
+   */
+  async markSeen(key, ttlSeconds) {
+    const now = Date.now();
+
+    if (this.seen.get(key) > now) {
+      return false;
+    }
+
+    // Drop expired marks now and then, so the map does not grow unbounded
+    if (this.seen.size > 10000) {
+      for (const [seenKey, expiresAt] of this.seen) {
+        if (expiresAt <= now) {
+          this.seen.delete(seenKey);
+        }
+      }
+    }
+
+    this.seen.set(key, now + ttlSeconds * 1000);
+    return true;
+  }
+
+  /**
+   * Count a view
+   * @param {string} jobId Job ID
+   * @param {number} retentionHours Hours hourly counts are kept for
+   */
+  async increment(jobId, retentionHours) {
+    const bucket = getHourBucket();
+
+    this.pending.set(jobId, (this.pending.get(jobId) || 0) + 1);
+
+    if (!this.hourly.has(bucket)) {
+      this.hourly.set(bucket, new Map());
+
+      for (const oldBucket of this.hourly.keys()) {
+        if (oldBucket <= bucket - retentionHours) {
+          this.hourly.delete(oldBucket);
+        }
+      }
+    }
+
+    const counts = this.hourly.get(bucket);
+    counts.set(jobId, (counts.get(jobId) || 0) + 1);
+  }
+
+  /**
+   * Take the views not yet flushed, emptying the buffer
+   * @returns {Promise<Object>} View counts keyed by job ID
+   */
+  async takePending() {
+    const counts = Object.fromEntries(this.pending);
+    this.pending.clear();
+    return counts;
+  }
+
+  /**
+   * Put back views that could not be flushed
+   * @param {Object} counts View counts keyed by job ID
+   */
+  async restorePending(counts) {
+    for (const [jobId, count] of Object.entries(counts)) {
+      this.pending.set(jobId, (this.pending.get(jobId) || 0) + count);
+    }
+  }
+
+  /**
+   * Count views in the last hours, including the current hour
+   * @param {number} hours Hours to look back
+   * @returns {Promise<Object>} View counts keyed by job ID
+   */
+  async getRecentViews(hours) {
+    const current = getHourBucket();
+    const totals = {};
+
+    for (const [bucket, counts] of this.hourly) {
+      if (bucket > current - hours) {
+        for (const [jobId, count] of counts) {
+          totals[jobId] = (totals[jobId] || 0) + count;
+        }
+      }
+    }
+
+    return totals;
+  }
+}
+
+/**
+ * Redis view counter store: a key per counted viewer, a hash of views not
+ * yet flushed, and a sorted set of view counts per hour
+ */
+class RedisViewCounterStore {
+  /**
+   * Create a new RedisViewCounterStore
+   * @param {Object} client Connected Redis client
+   * @param {string} prefix Key prefix
+   */
+  constructor(client, prefix = 'views:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Mark a viewer as counted, unless they already are
+   * @param {string} key Viewer key
+   * @param {number} ttlSeconds Seconds the mark lasts
+   * @returns {Promise<boolean>} Whether the viewer was newly marked
+   */
+  async markSeen(key, ttlSeconds) {
+    const result = await this.client.set(`${this.prefix}seen:${key}`, '1', { NX: true, EX: ttlSeconds });
+    return result === 'OK';
+  }
+
+  /**
+   * Count a view
+   * @param {string} jobId Job ID
+   * @param {number} retentionHours Hours hourly counts are kept for
+   */
+  async increment(jobId, retentionHours) {
+    const hourKey = `${this.prefix}hour:${getHourBucket()}`;
+
+    await this.client
+      .multi()
+      .hIncrBy(`${this.prefix}pending`, jobId, 1)
+      .zIncrBy(hourKey, 1, jobId)
+      .expire(hourKey, retentionHours * 3600)
+      .exec();
+  }
+
+  /**
+   * Take the views not yet flushed, emptying the buffer. The read and delete
+   * run in one transaction, so views are never flushed twice.
+   * @returns {Promise<Object>} View counts keyed by job ID
+   */
+  async takePending() {
+    const key = `${this.prefix}pending`;
+    const [counts] = await this.client.multi().hGetAll(key).del(key).exec();
+
+    return Object.fromEntries(Object.entries(counts || {}).map(([jobId, count]) => [jobId, Number(count)]));
+  }
+
+  /**
+   * Put back views that could not be flushed
+   * @param {Object} counts View counts keyed by job ID
+   */
+  async restorePending(counts) {
+    const multi = this.client.multi();
+
+    for (const [jobId, count] of Object.entries(counts)) {
+      multi.hIncrBy(`${this.prefix}pending`, jobId, count);
+    }
+
+    await multi.exec();
+  }
+
+  /**
+   * Count views in the last hours, including the current hour
+   * @param {number} hours Hours to look back
+   * @returns {Promise<Object>} View counts keyed by job ID
+   */
+  async getRecentViews(hours) {
+    const current = getHourBucket();
+    const multi = this.client.multi();
+
+    for (let bucket = current - hours + 1; bucket <= current; bucket++) {
+      multi.zRangeWithScores(`${this.prefix}hour:${bucket}`, 0, -1);
+    }
+
+    const totals = {};
+
+    for (const members of await multi.exec()) {
+      for (const { value, score } of members || []) {
+        totals[value] = (totals[value] || 0) + Number(score);
+      }
+    }
+
+    return totals;
+  }
+}
+
+const memoryStore = new MemoryViewCounterStore();
+let redisStore = null;
+
+/**
+ * Get the store to use: Redis when connected, otherwise the process-wide
+ * in-memory store.
+ * @returns {RedisViewCounterStore|MemoryViewCounterStore} View counter store
+ */
+function getViewCounterStore() {
+  const client = getRedisClient();
+
+  if (!client) {
+    return memoryStore;
+  }
+
+  if (!redisStore || redisStore.client !== client) {
+    redisStore = new RedisViewCounterStore(client);
+  }
+
+  return redisStore;
+}
+
+module.exports = {
+  MemoryViewCounterStore,
+  RedisViewCounterStore,
+  getViewCounterStore,
+  getHourBucket
+};
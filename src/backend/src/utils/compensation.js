@@ -0,0 +1,130 @@
+/**
+ * Compensation Utilities
+ *
+ * Turns a job's pay rate, weekly hours and housing stipend into the blended
+ * weekly figures travelers compare: gross weekly pay, how much of it is
+ * taxable, and an estimate of take-home pay.
+ *
+ * Stipends are tax-free up to the federal per-diem allowance (lodging plus
+ * meals and incidentals) for the job's locality, looked up in the bundled
+ * per-diem table (src/data/per-diem-rates.json, copied from the GSA rates
+ * and refreshed each federal fiscal year). Localities not in the table get
+ * the standard CONUS rate. Anything above the allowance is taxable.
+ */
+
+const PER_DIEM_RATES = require('../data/per-diem-rates.json');
+
+// Hours per week after which hours are paid at the overtime rate
+const OVERTIME_THRESHOLD_HOURS = 40;
+const OVERTIME_MULTIPLIER = 1.5;
+
+// Combined tax rate assumed on taxable pay when estimating take-home
+const DEFAULT_TAX_RATE = 0.25;
+
+let localities = null;
+
+/**
+ * Round an amount to cents
+ * @param {number} amount Amount
+ * @returns {number} Rounded amount
+ */
+function toCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build a locality key from a city and state
+ * @param {string} city City name
+ * @param {string} state State code
+ * @returns {string} Key
+ */
+function toLocalityKey(city, state) {
+  return `${String(city || '').trim().toLowerCase()}|${String(state || '').trim().toUpperCase()}`;
+}
+
+/**
+ * Look up the daily per-diem rates for a city
+ * @param {string} city City name
+ * @param {string} state State code
+ * @returns {Object} Lodging and meals rates, with the locality they apply to (null for the standard rate)
+ */
+function getPerDiemRate(city, state) {
+  if (!localities) {
+    localities = new Map(PER_DIEM_RATES.localities.map(locality => [
+      toLocalityKey(locality.city, locality.state),
+      locality
+    ]));
+  }
+
+  const locality = localities.get(toLocalityKey(city, state));
+
+  return {
+    locality: locality ? `${locality.city}, ${locality.state}` : null,
+    lodging: locality ? locality.lodging : PER_DIEM_RATES.standard.lodging,
+    mie: locality ? locality.mie : PER_DIEM_RATES.standard.mie,
+    fiscalYear: PER_DIEM_RATES.fiscalYear
+  };
+}
+
+/**
+ * Calculate a job's weekly compensation. Hours beyond OVERTIME_THRESHOLD_HOURS
+ * are paid at OVERTIME_MULTIPLIER times the pay rate, and the housing
+ * stipend is tax-free up to a week of the locality's per-diem allowance.
+ * @param {Object} job Job with payRate (hourly), weeklyHours, housingStipend (weekly), city and state
+ * @param {Object} options Calculation options
+ * @param {number} options.hoursWorked Hours worked per week (defaults to the job's weekly hours)
+ * @param {number} options.taxRate Tax rate on taxable pay, between 0 and 1 (defaults to DEFAULT_TAX_RATE)
+ * @returns {Object} Weekly compensation breakdown
+ */
+function calculateCompensation(job, options = {}) {
+  const hourlyRate = job.payRate || 0;
+  const hoursWorked = options.hoursWorked ?? job.weeklyHours ?? 0;
+  const taxRate = options.taxRate ?? DEFAULT_TAX_RATE;
+  const perDiem = getPerDiemRate(job.city, job.state);
+
+  const regularHours = Math.min(hoursWorked, OVERTIME_THRESHOLD_HOURS);
+  const overtimeHours = Math.max(hoursWorked - OVERTIME_THRESHOLD_HOURS, 0);
+  const overtimeRate = hourlyRate * OVERTIME_MULTIPLIER;
+  const regularPay = regularHours * hourlyRate;
+  const overtimePay = overtimeHours * overtimeRate;
+
+  const housingStipend = job.housingStipend || 0;
+  const stipendLimit = (perDiem.lodging + perDiem.mie) * 7;
+  const nonTaxableStipend = Math.min(housingStipend, stipendLimit);
+  const taxableStipend = housingStipend - nonTaxableStipend;
+
+  const taxableWeekly = regularPay + overtimePay + taxableStipend;
+  const grossWeekly = taxableWeekly + nonTaxableStipend;
+  const estimatedTax = taxableWeekly * taxRate;
+
+  return {
+    hourlyRate: toCents(hourlyRate),
+    overtimeRate: toCents(overtimeRate),
+    contractedHours: job.weeklyHours ?? null,
+    hoursWorked,
+    regularHours,
+    overtimeHours,
+    regularPay: toCents(regularPay),
+    overtimePay: toCents(overtimePay),
+    housingStipend: toCents(housingStipend),
+    stipendLimit: toCents(stipendLimit),
+    nonTaxableStipend: toCents(nonTaxableStipend),
+    taxableStipend: toCents(taxableStipend),
+    taxableWeekly: toCents(taxableWeekly),
+    nonTaxableWeekly: toCents(nonTaxableStipend),
+    grossWeekly: toCents(grossWeekly),
+    blendedHourlyRate: hoursWorked > 0 ? toCents(grossWeekly / hoursWorked) : null,
+    taxRate,
+    estimatedTax: toCents(estimatedTax),
+    estimatedTakeHome: toCents(grossWeekly - estimatedTax),
+    perDiem
+  };
+}
+
+module.exports = {
+  OVERTIME_THRESHOLD_HOURS,
+  OVERTIME_MULTIPLIER,
+  DEFAULT_TAX_RATE,
+  getPerDiemRate,
+  calculateCompensation
+};
@@ -0,0 +1,76 @@
+/**
+ * Tests for Compensation Utilities
+ */
+
+const { getPerDiemRate, calculateCompensation } = require('./compensation');
+
+describe('getPerDiemRate', () => {
+  test('looks up localities by city and state', () => {
+    expect(getPerDiemRate(' san francisco ', 'ca')).toEqual({
+      locality: 'San Francisco, CA',
+      lodging: 272,
+      mie: 79,
+      fiscalYear: 2025
+    });
+  });
+
+  test('falls back to the standard rate', () => {
+    expect(getPerDiemRate('Texarkana', 'TX')).toEqual({ locality: null, lodging: 110, mie: 68, fiscalYear: 2025 });
+    expect(getPerDiemRate('Portland', 'ME').locality).toBeNull();
+  });
+});
+
+describe('calculateCompensation', () => {
+  const job = { payRate: 50, weeklyHours: 36, housingStipend: 1000, city: 'Houston', state: 'TX' };
+
+  test('splits a stipend within the per-diem allowance as tax-free', () => {
+    const compensation = calculateCompensation(job);
+
+    expect(compensation).toEqual(expect.objectContaining({
+      regularHours: 36,
+      overtimeHours: 0,
+      regularPay: 1800,
+      stipendLimit: 1547,
+      nonTaxableStipend: 1000,
+      taxableStipend: 0,
+      taxableWeekly: 1800,
+      grossWeekly: 2800,
+      blendedHourlyRate: 77.78,
+      estimatedTax: 450,
+      estimatedTakeHome: 2350
+    }));
+  });
+
+  test('taxes stipend above the allowance', () => {
+    const compensation = calculateCompensation({ ...job, city: 'Texarkana', housingStipend: 1500 });
+
+    expect(compensation.stipendLimit).toBe(1246);
+    expect(compensation.nonTaxableStipend).toBe(1246);
+    expect(compensation.taxableStipend).toBe(254);
+    expect(compensation.taxableWeekly).toBe(2054);
+  });
+
+  test('pays hours over 40 at time and a half', () => {
+    const compensation = calculateCompensation(job, { hoursWorked: 48, taxRate: 0.3 });
+
+    expect(compensation).toEqual(expect.objectContaining({
+      contractedHours: 36,
+      hoursWorked: 48,
+      regularHours: 40,
+      overtimeHours: 8,
+      overtimeRate: 75,
+      overtimePay: 600,
+      grossWeekly: 3600,
+      taxRate: 0.3,
+      estimatedTax: 780
+    }));
+  });
+
+  test('handles jobs without a stipend or hours', () => {
+    const compensation = calculateCompensation({ payRate: 50, city: 'Houston', state: 'TX' });
+
+    expect(compensation.grossWeekly).toBe(0);
+    expect(compensation.housingStipend).toBe(0);
+    expect(compensation.blendedHourlyRate).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Cursor Pagination
+ *
+ * Opaque cursors for keyset pagination. A cursor records the sort it was
+ * issued for and the sort key values of the last row returned, with the row
+ * ID as a tiebreaker, so the next page starts strictly after that row no
+ * matter how many rows were inserted or updated in between. Unlike offsets,
+ * this never repeats or skips rows that stay in place, and needs no count.
+ *
+ * Null sort values always order last. The Prisma helpers here are shared
+ * by the routes and the repositories (repositories/*.ts).
+ */
+
+/**
+ * Encode a cursor
+ * @param {string} sort Normalized `field:direction` the page was sorted by
+ * @param {Array} values Sort key values of the last row, ending with its ID
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, values) {
+  const encoded = values.map(value => (value instanceof Date ? { d: value.toISOString() } : value));
+  return Buffer.from(JSON.stringify({ s: sort, k: encoded })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor Opaque cursor
+ * @returns {Object|null} The sort and key values, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s: sort, k: values } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof sort !== 'string' || !Array.isArray(values) || values.length === 0) {
+      return null;
+    }
+
+    return {
+      sort,
+      values: values.map(value => (value && typeof value === 'object' && value.d ? new Date(value.d) : value))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the response meta for a cursor-paginated list
+ * @param {number} limit Page size
+ * @param {string} order Ordering the cursor continues
+ * @param {Array|null} nextKey Key values of the page's last row, or null on the last page
+ * @returns {Object} Meta with the page size, the next cursor and whether there is more
+ */
+function getCursorMeta(limit, order, nextKey) {
+  return {
+    limit,
+    next_cursor: nextKey ? encodeCursor(order, nextKey) : null,
+    has_more: Boolean(nextKey)
+  };
+}
+
+/**
+ * Turn a sort into keyset order terms, ending with the ID tiebreaker
+ * @param {string} sort Normalized `field:direction`
+ * @param {Array<string>} nullableFields Sort fields that may be null
+ * @returns {Array<Object>} Terms with field, direction and nullable
+ */
+function getOrderTerms(sort, nullableFields = []) {
+  const [field, direction = 'asc'] = sort.split(':');
+
+  return [
+    { field, direction: direction === 'desc' ? 'desc' : 'asc', nullable: nullableFields.includes(field) },
+    { field: 'id', direction: 'asc', nullable: false }
+  ];
+}
+
+/**
+ * Build a Prisma orderBy for order terms
+ * @param {Array<Object>} terms Order terms
+ * @returns {Array<Object>} Prisma orderBy
+ */
+function toPrismaOrderBy(terms) {
+  return terms.map(({ field, direction, nullable }) => ({
+    [field]: nullable ? { sort: direction, nulls: 'last' } : direction
+  }));
+}
+
+/**
+ * Build a Prisma where clause matching rows after the cursor position
+ * @param {Array<Object>} terms Order terms
+ * @param {Array} values Key values from the cursor, one per term
+ * @returns {Object} Prisma where clause
+ */
+function toPrismaKeysetWhere(terms, values) {
+  const branches = [];
+
+  terms.forEach((term, index) => {
+    const value = values[index];
+
+    // Nothing sorts after a null, since nulls are last
+    if (value !== null) {
+      const after = { [term.field]: { [term.direction === 'desc' ? 'lt' : 'gt']: value } };
+      const equal = terms.slice(0, index).map((previous, i) => ({ [previous.field]: values[i] }));
+      const next = term.nullable ? { OR: [after, { [term.field]: null }] } : after;
+
+      branches.push({ AND: [...equal, next] });
+    }
+  });
+
+  return { OR: branches };
+}
+
+/**
+ * Read the key values of a row for its cursor
+ * @param {Array<Object>} terms Order terms
+ * @param {Object} row Database row
+ * @returns {Array} Key values, one per term
+ */
+function getKeyValues(terms, row) {
+  return terms.map(term => (row[term.field] === undefined ? null : row[term.field]));
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  getCursorMeta,
+  getOrderTerms,
+  toPrismaOrderBy,
+  toPrismaKeysetWhere,
+  getKeyValues
+};
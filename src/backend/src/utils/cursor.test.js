@@ -0,0 +1,62 @@
+/**
+ * Tests for Cursor Pagination
+ */
+
+const {
+  encodeCursor,
+  decodeCursor,
+  getCursorMeta,
+  getOrderTerms,
+  toPrismaOrderBy,
+  toPrismaKeysetWhere,
+  getKeyValues
+} = require('./cursor');
+
+describe('cursors', () => {
+  test('round-trip the sort and key values, including dates', () => {
+    const startDate = new Date('2026-11-02T00:00:00.000Z');
+    const cursor = encodeCursor('startDate:asc', [startDate, 'job-1']);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ sort: 'startDate:asc', values: [startDate, 'job-1'] });
+  });
+
+  test('decode malformed cursors to null', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"s":"name:asc","k":[]}').toString('base64url'))).toBeNull();
+  });
+
+  test('only link a next page when there is one', () => {
+    expect(getCursorMeta(20, 'name:asc', null)).toEqual({ limit: 20, next_cursor: null, has_more: false });
+    expect(decodeCursor(getCursorMeta(20, 'name:asc', ['Mercy', 'f-1']).next_cursor).values).toEqual(['Mercy', 'f-1']);
+  });
+});
+
+describe('keyset helpers', () => {
+  const terms = getOrderTerms('startDate:desc', ['startDate']);
+
+  test('order by the sort field, nulls last, then ID', () => {
+    expect(toPrismaOrderBy(terms)).toEqual([{ startDate: { sort: 'desc', nulls: 'last' } }, { id: 'asc' }]);
+  });
+
+  test('match rows after the cursor, including later nulls', () => {
+    const startDate = new Date('2026-11-02');
+
+    expect(toPrismaKeysetWhere(terms, [startDate, 'job-1'])).toEqual({
+      OR: [
+        { AND: [{ OR: [{ startDate: { lt: startDate } }, { startDate: null }] }] },
+        { AND: [{ startDate }, { id: { gt: 'job-1' } }] }
+      ]
+    });
+  });
+
+  test('only page by ID once the sort values are null', () => {
+    expect(toPrismaKeysetWhere(terms, [null, 'job-1'])).toEqual({
+      OR: [{ AND: [{ startDate: null }, { id: { gt: 'job-1' } }] }]
+    });
+  });
+
+  test('read key values from a row', () => {
+    expect(getKeyValues(terms, { id: 'job-1', title: 'ICU RN' })).toEqual([null, 'job-1']);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Field Encryption Utility
+ *
+ * AES-256-GCM encryption for individual database fields. Keys are loaded
+ * from FIELD_ENCRYPTION_KEYS as comma-separated `keyId:base64Key` pairs and
+ * new values are written with FIELD_ENCRYPTION_ACTIVE_KEY. Each ciphertext
+ * records the key it was written with, so old keys stay readable while
+ * rows are re-encrypted during a rotation.
+ *
+ * Ciphertext format: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64)
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Used outside production when no keys are configured, so local
+// development works without setup. Never valid in production.
+const DEVELOPMENT_KEY_ID = 'dev';
+const DEVELOPMENT_KEY = crypto.createHash('sha256').update('development_field_encryption_key').digest();
+
+let cachedKeyring = null;
+
+/**
+ * Parse the configured encryption keys
+ * @param {Object} env Environment variables
+ * @returns {Object} Map of key ID to key buffer, and the active key ID
+ */
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+
+  for (const entry of (env.FIELD_ENCRYPTION_KEYS || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const [keyId, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+
+    if (!keyId || key.length !== 32) {
+      throw new Error(`Invalid field encryption key "${keyId}": expected keyId:base64 with a 32-byte key`);
+    }
+
+    keys.set(keyId, key);
+  }
+
+  if (keys.size === 0) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('FIELD_ENCRYPTION_KEYS must be set in production');
+    }
+
+    keys.set(DEVELOPMENT_KEY_ID, DEVELOPMENT_KEY);
+  }
+
+  const activeKeyId = env.FIELD_ENCRYPTION_ACTIVE_KEY || keys.keys().next().value;
+
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active field encryption key "${activeKeyId}" is not configured`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+/**
+ * Get the keyring for the current environment
+ * @returns {Object} Keyring
+ */
+function getKeyring() {
+  if (!cachedKeyring) {
+    cachedKeyring = loadKeyring();
+  }
+
+  return cachedKeyring;
+}
+
+/**
+ * Replace the keyring, e.g. in tests or after reloading configuration
+ * @param {Object|null} keyring Keyring from loadKeyring, or null to reload from the environment
+ */
+function setKeyring(keyring) {
+  cachedKeyring = keyring;
+}
+
+/**
+ * Check whether a value is a field ciphertext
+ * @param {*} value Value to check
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Get the ID of the key a ciphertext was written with
+ * @param {string} value Ciphertext
+ * @returns {string|null} Key ID, or null if the value is not encrypted
+ */
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a field value with the active key. Null and undefined are
+ * returned unchanged. Anything else is encrypted, even if it looks like
+ * ciphertext already, so user input can never be stored as if it were.
+ * @param {string} value Plaintext
+ * @param {Object} keyring Keyring to use
+ * @returns {string} Ciphertext
+ */
+function encrypt(value, keyring = getKeyring()) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyring.keys.get(keyring.activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + [
+    keyring.activeKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a field value. Plaintext values written before encryption was
+ * enabled are returned unchanged.
+ * @param {string} value Ciphertext
+ * @param {Object} keyring Keyring to use
+ * @returns {string} Plaintext
+ */
+function decrypt(value, keyring = getKeyring()) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = keyring.keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Check whether a stored value should be rewritten with the active key
+ * @param {string} value Stored value
+ * @param {Object} keyring Keyring to use
+ * @returns {boolean} True for plaintext and values written with an older key
+ */
+function needsRotation(value, keyring = getKeyring()) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  return getKeyId(value) !== keyring.activeKeyId;
+}
+
+module.exports = {
+  loadKeyring,
+  getKeyring,
+  setKeyring,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt,
+  needsRotation
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for Field Encryption Utility and key rotation
+ */
+
+const crypto = require('crypto');
+const {
+  loadKeyring,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt,
+  needsRotation
+} = require('./field-encryption');
+const { rotateFieldEncryption } = require('../../scripts/rotate-field-encryption');
+
+const key1 = crypto.randomBytes(32).toString('base64');
+const key2 = crypto.randomBytes(32).toString('base64');
+
+describe('field encryption', () => {
+  const keyring = loadKeyring({ FIELD_ENCRYPTION_KEYS: `k1:${key1}` });
+
+  test('round-trips values and records the key ID', () => {
+    const ciphertext = encrypt('RN-123456', keyring);
+
+    expect(isEncrypted(ciphertext)).toBe(true);
+    expect(ciphertext).not.toContain('RN-123456');
+    expect(getKeyId(ciphertext)).toBe('k1');
+    expect(decrypt(ciphertext, keyring)).toBe('RN-123456');
+  });
+
+  test('uses a fresh IV for every value', () => {
+    expect(encrypt('555-0100', keyring)).not.toBe(encrypt('555-0100', keyring));
+  });
+
+  test('passes through null and legacy plaintext', () => {
+    expect(encrypt(null, keyring)).toBeNull();
+    expect(decrypt('555-0100', keyring)).toBe('555-0100');
+  });
+
+  test('encrypts input that looks like ciphertext rather than storing it as is', () => {
+    const ciphertext = encrypt('enc:v1:garbage', keyring);
+
+    expect(ciphertext).not.toBe('enc:v1:garbage');
+    expect(decrypt(ciphertext, keyring)).toBe('enc:v1:garbage');
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const ciphertext = encrypt('555-0100', keyring);
+    const parts = ciphertext.split(':');
+    parts[5] = Buffer.from('tampered').toString('base64');
+
+    expect(() => decrypt(parts.join(':'), keyring)).toThrow();
+  });
+
+  test('decrypts values written with an older key after rotation', () => {
+    const ciphertext = encrypt('555-0100', keyring);
+    const rotated = loadKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${key1},k2:${key2}`,
+      FIELD_ENCRYPTION_ACTIVE_KEY: 'k2'
+    });
+
+    expect(decrypt(ciphertext, rotated)).toBe('555-0100');
+    expect(needsRotation(ciphertext, rotated)).toBe(true);
+    expect(needsRotation(encrypt('555-0100', rotated), rotated)).toBe(false);
+  });
+
+  test('validates configuration', () => {
+    expect(() => loadKeyring({ FIELD_ENCRYPTION_KEYS: 'k1:short' })).toThrow(/32-byte/);
+    expect(() => loadKeyring({ FIELD_ENCRYPTION_KEYS: `k1:${key1}`, FIELD_ENCRYPTION_ACTIVE_KEY: 'k9' })).toThrow();
+    expect(() => loadKeyring({ NODE_ENV: 'production' })).toThrow(/production/);
+    expect(loadKeyring({}).activeKeyId).toBe('dev');
+  });
+});
+
+describe('rotateFieldEncryption', () => {
+  test('re-encrypts plaintext and old-key values with the active key', async () => {
+    const oldKeyring = loadKeyring({ FIELD_ENCRYPTION_KEYS: `k1:${key1}` });
+    const keyring = loadKeyring({
+      FIELD_ENCRYPTION_KEYS: `k1:${key1},k2:${key2}`,
+      FIELD_ENCRYPTION_ACTIVE_KEY: 'k2'
+    });
+
+    const tables = {
+      user: [
+        { id: 'user-1', phone: '555-0100', twoFactorSecret: null },
+        { id: 'user-2', phone: encrypt('555-0101', keyring), twoFactorSecret: null }
+      ],
+      license: [{ id: 'license-1', licenseNumber: encrypt('RN-1', oldKeyring) }],
+      referral: []
+    };
+
+    const createDelegate = rows => ({
+      findMany: jest.fn(async ({ take, cursor }) => {
+        const start = cursor ? rows.findIndex(row => row.id === cursor.id) + 1 : 0;
+        return rows.slice(start, start + take).map(row => ({ ...row }));
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(rows.find(row => row.id === where.id), data))
+    });
+
+    const prisma = {
+      user: createDelegate(tables.user),
+      license: createDelegate(tables.license),
+      referral: createDelegate(tables.referral)
+    };
+
+    const results = await rotateFieldEncryption(prisma, { keyring, batchSize: 1 });
+
+    expect(results).toEqual({ User: 1, License: 1, Referral: 0 });
+    expect(getKeyId(tables.user[0].phone)).toBe('k2');
+    expect(decrypt(tables.user[0].phone, keyring)).toBe('555-0100');
+    expect(decrypt(tables.license[0].licenseNumber, keyring)).toBe('RN-1');
+    expect(getKeyId(tables.license[0].licenseNumber)).toBe('k2');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Geo Utilities
+ *
+ * Resolves the `near` search parameter to coordinates. ZIP codes are looked
+ * up in the bundled ZIP centroid table (src/data/zip-centroids.csv, built
+ * from the Census Bureau ZCTA gazetteer by scripts/import-zip-centroids.js),
+ * so radius searches never depend on an external geocoding service.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ZIP_CENTROIDS_PATH = path.join(__dirname, '../data/zip-centroids.csv');
+
+const DEFAULT_RADIUS_MILES = 50;
+const MAX_RADIUS_MILES = 500;
+const EARTH_RADIUS_MILES = 3958.8;
+
+let zipCentroids = null;
+
+/**
+ * Load the ZIP centroid table on first use
+ * @returns {Map<string, Object>} Coordinates keyed by 5-digit ZIP code
+ */
+function getZipCentroids() {
+  if (!zipCentroids) {
+    zipCentroids = new Map();
+
+    fs.readFileSync(ZIP_CENTROIDS_PATH, 'utf8')
+      .split('\n')
+      .slice(1)
+      .filter(Boolean)
+      .forEach(line => {
+        const [zip, latitude, longitude] = line.split(',');
+        zipCentroids.set(zip, { latitude: Number(latitude), longitude: Number(longitude) });
+      });
+  }
+
+  return zipCentroids;
+}
+
+/**
+ * Look up the centroid of a ZIP code
+ * @param {string} zip 5-digit ZIP or ZIP+4
+ * @returns {Object|null} Latitude and longitude, or null if the ZIP is unknown
+ */
+function lookupZip(zip) {
+  const match = /^(\d{5})(?:-\d{4})?$/.exec(String(zip).trim());
+  return match ? getZipCentroids().get(match[1]) || null : null;
+}
+
+/**
+ * Parse a `near` value: a ZIP code or a "latitude,longitude" pair
+ * @param {string} value Location
+ * @returns {Object|null} Latitude and longitude, or null if the value is not a known location
+ */
+function parseLocation(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const coordinates = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value);
+
+  if (coordinates) {
+    const latitude = Number(coordinates[1]);
+    const longitude = Number(coordinates[2]);
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
+    }
+
+    return { latitude, longitude };
+  }
+
+  return lookupZip(value);
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from Latitude and longitude
+ * @param {Object} to Latitude and longitude
+ * @returns {number} Distance in miles
+ */
+function getDistanceMiles(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  lookupZip,
+  parseLocation,
+  getDistanceMiles
+};
@@ -0,0 +1,46 @@
+/**
+ * Tests for Geo Utilities
+ */
+
+const { lookupZip, parseLocation, getDistanceMiles } = require('./geo');
+
+describe('lookupZip', () => {
+  test('finds the centroid of a ZIP code', () => {
+    const centroid = lookupZip('77030');
+
+    expect(centroid.latitude).toBeCloseTo(29.7056, 3);
+    expect(centroid.longitude).toBeCloseTo(-95.4018, 3);
+    expect(lookupZip('77030-2303')).toEqual(centroid);
+  });
+
+  test('returns null for unknown or malformed ZIP codes', () => {
+    expect(lookupZip('00000')).toBeNull();
+    expect(lookupZip('7703')).toBeNull();
+  });
+});
+
+describe('parseLocation', () => {
+  test('accepts latitude,longitude pairs', () => {
+    expect(parseLocation('29.7, -95.4')).toEqual({ latitude: 29.7, longitude: -95.4 });
+  });
+
+  test('resolves ZIP codes', () => {
+    expect(parseLocation('77030')).toEqual(lookupZip('77030'));
+  });
+
+  test('rejects coordinates out of range and unknown locations', () => {
+    expect(parseLocation('95.1,-200')).toBeNull();
+    expect(parseLocation('Houston')).toBeNull();
+    expect(parseLocation(undefined)).toBeNull();
+  });
+});
+
+describe('getDistanceMiles', () => {
+  test('measures great-circle distance', () => {
+    const houston = { latitude: 29.7604, longitude: -95.3698 };
+    const newOrleans = { latitude: 29.9511, longitude: -90.0715 };
+
+    expect(getDistanceMiles(houston, newOrleans)).toBeCloseTo(318, 0);
+    expect(getDistanceMiles(houston, houston)).toBe(0);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Job Fingerprints
+ *
+ * Recognizes jobs that are likely the same opening: one position imported by
+ * both the Nexus migration and LaborEdge sync, or a facility reposting an
+ * opening under a new ID. A fingerprint hashes what a repost keeps (facility,
+ * location, specialty, start week, shift and whole-dollar pay), so exact
+ * duplicates share one. scoreDuplicate compares a pair field by field to
+ * catch near duplicates whose dates or pay were nudged.
+ *
+ * Jobs may be repository models or Prisma rows; only scalar fields are used.
+ */
+
+const crypto = require('crypto');
+const { getRelatedSpecialties } = require('./search-query');
+
+// Points each factor is worth; they add up to 100. Facility and specialty
+// are not scored: jobs at different facilities or in different specialties
+// are never duplicates.
+const DUPLICATE_WEIGHTS = {
+  startDate: 40,
+  pay: 35,
+  shift: 15,
+  weeklyHours: 10
+};
+
+// Pairs scoring at least this are merged without review
+const MERGE_SCORE = 90;
+
+// Pairs scoring at least this, but below MERGE_SCORE, are queued for review
+const REVIEW_SCORE = 60;
+
+// Start date difference treated as the same start, and beyond which it adds nothing
+const SAME_START_DAYS = 3;
+const MAX_START_DAYS = 21;
+
+// Pay difference treated as the same pay, and beyond which it adds nothing
+const SAME_PAY_DIFFERENCE = 0.02;
+const MAX_PAY_DIFFERENCE = 0.15;
+
+// Words that vary between sources without changing the facility
+const FACILITY_STOP_WORDS = new Set(['the', 'inc', 'llc', 'corp', 'corporation', 'co']);
+
+// Abbreviations sources spell differently
+const FACILITY_ABBREVIATIONS = {
+  st: 'saint',
+  ctr: 'center',
+  hosp: 'hospital',
+  med: 'medical',
+  mt: 'mount',
+  univ: 'university'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Clamp a factor between 0 and 1
+ * @param {number} value Factor
+ * @returns {number} Clamped factor
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Normalize a facility name so spellings of the same facility match, e.g.
+ * "St. Luke's Hospital, Inc." and "Saint Lukes Hospital"
+ * @param {string} name Facility name
+ * @returns {string} Normalized name
+ */
+function normalizeFacilityName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !FACILITY_STOP_WORDS.has(word))
+    .map(word => FACILITY_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Get the key identifying a job's facility and location
+ * @param {Object} job Job
+ * @returns {string} Facility key
+ */
+function getFacilityKey(job) {
+  return [
+    normalizeFacilityName(job.facilityName),
+    String(job.city || '').trim().toLowerCase(),
+    String(job.state || '').trim().toUpperCase()
+  ].join('|');
+}
+
+/**
+ * Get the key identifying a job's specialty: the primary name of its
+ * synonym group, so "Critical Care" and "ICU" match
+ * @param {string} specialty Specialty
+ * @returns {string} Lowercased specialty key
+ */
+function getSpecialtyKey(specialty) {
+  const name = String(specialty || '').trim().toLowerCase();
+  return getRelatedSpecialties(name)[0] || name;
+}
+
+/**
+ * Get the Monday of a job's start week
+ * @param {Date|string|null} startDate Start date
+ * @returns {string} ISO date, or an empty string without a start date
+ */
+function getStartWeek(startDate) {
+  if (!startDate) {
+    return '';
+  }
+
+  const date = new Date(startDate);
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Fingerprint a job. Jobs with the same fingerprint are at the same
+ * facility, in the same specialty, start the same week, on the same shift,
+ * at the same whole-dollar pay.
+ * @param {Object} job Job
+ * @returns {string} Hex fingerprint
+ */
+function getJobFingerprint(job) {
+  const parts = [
+    getFacilityKey(job),
+    getSpecialtyKey(job.specialty),
+    getStartWeek(job.startDate),
+    String(job.shiftType || '').toLowerCase(),
+    Math.round(Number(job.payRate) || 0)
+  ];
+
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Score how close two jobs' start dates are
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Object} Factor and reason
+ */
+function scoreStartDate(job, other) {
+  if (!job.startDate || !other.startDate) {
+    // One source often leaves the date out; neither for nor against
+    return { factor: 0.5, reason: null };
+  }
+
+  const days = Math.round(Math.abs(new Date(job.startDate) - new Date(other.startDate)) / DAY);
+  const factor = days <= SAME_START_DAYS ? 1 : clamp((MAX_START_DAYS - days) / (MAX_START_DAYS - SAME_START_DAYS));
+
+  return { factor, reason: days === 0 ? 'Same start date' : `Start dates ${days} day${days === 1 ? '' : 's'} apart` };
+}
+
+/**
+ * Score how close two jobs' pay rates are
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Object} Factor and reason
+ */
+function scorePay(job, other) {
+  const pay = Number(job.payRate) || 0;
+  const otherPay = Number(other.payRate) || 0;
+
+  if (!pay || !otherPay) {
+    return { factor: 0.5, reason: null };
+  }
+
+  const difference = Math.abs(pay - otherPay) / Math.max(pay, otherPay);
+  const factor = difference <= SAME_PAY_DIFFERENCE
+    ? 1
+    : clamp((MAX_PAY_DIFFERENCE - difference) / (MAX_PAY_DIFFERENCE - SAME_PAY_DIFFERENCE));
+
+  return { factor, reason: pay === otherPay ? 'Same pay' : `Pay within ${Math.ceil(difference * 100)}%` };
+}
+
+/**
+ * Score whether two jobs have the same shift
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Object} Factor and reason
+ */
+function scoreShift(job, other) {
+  if (!job.shiftType || !other.shiftType) {
+    return { factor: 0.5, reason: null };
+  }
+
+  const same = job.shiftType.toLowerCase() === other.shiftType.toLowerCase();
+  return { factor: same ? 1 : 0, reason: `Same shift (${job.shiftType})` };
+}
+
+/**
+ * Score whether two jobs have the same weekly hours
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Object} Factor and reason
+ */
+function scoreWeeklyHours(job, other) {
+  return {
+    factor: job.weeklyHours === other.weeklyHours ? 1 : 0,
+    reason: `Same hours (${job.weeklyHours}/week)`
+  };
+}
+
+const SCORERS = {
+  startDate: scoreStartDate,
+  pay: scorePay,
+  shift: scoreShift,
+  weeklyHours: scoreWeeklyHours
+};
+
+/**
+ * Score how likely two jobs are the same opening, out of 100
+ * @param {Object} job Job
+ * @param {Object} other Other job
+ * @returns {Object} Score, and the reasons for it when the jobs could be duplicates
+ */
+function scoreDuplicate(job, other) {
+  if (getFacilityKey(job) !== getFacilityKey(other) || getSpecialtyKey(job.specialty) !== getSpecialtyKey(other.specialty)) {
+    return { score: 0, reasons: [] };
+  }
+
+  const reasons = [`Same facility (${job.facilityName})`, `Same specialty (${job.specialty})`];
+  let score = 0;
+
+  Object.entries(SCORERS).forEach(([factor, scorer]) => {
+    const result = scorer(job, other);
+    score += DUPLICATE_WEIGHTS[factor] * result.factor;
+
+    if (result.reason && result.factor === 1) {
+      reasons.push(result.reason);
+    }
+  });
+
+  return { score: Math.round(score), reasons };
+}
+
+/**
+ * Build the Prisma filter for jobs that could be duplicates of a job: other
+ * active, canonical jobs in the same state with the same fingerprint or a
+ * specialty in the same synonym group starting around the same time
+ * @param {Object} job Job with its fingerprint
+ * @returns {Object} Prisma where clause
+ */
+function getDuplicateCandidateWhere(job) {
+  const specialtyNames = getRelatedSpecialties(String(job.specialty || '').toLowerCase());
+  const similar = {
+    OR: (specialtyNames.length > 0 ? specialtyNames : [job.specialty])
+      .map(name => ({ specialty: { equals: name, mode: 'insensitive' } }))
+  };
+
+  if (job.startDate) {
+    const startDate = new Date(job.startDate).getTime();
+
+    similar.AND = [{
+      OR: [
+        { startDate: null },
+        { startDate: { gte: new Date(startDate - MAX_START_DAYS * DAY), lte: new Date(startDate + MAX_START_DAYS * DAY) } }
+      ]
+    }];
+  }
+
+  return {
+    id: { not: job.id },
+    status: 'active',
+    canonicalJobId: null,
+    state: job.state,
+    OR: [
+      ...(job.fingerprint ? [{ fingerprint: job.fingerprint }] : []),
+      similar
+    ]
+  };
+}
+
+module.exports = {
+  DUPLICATE_WEIGHTS,
+  MERGE_SCORE,
+  REVIEW_SCORE,
+  normalizeFacilityName,
+  getJobFingerprint,
+  scoreDuplicate,
+  getDuplicateCandidateWhere
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for job fingerprints and duplicate scoring
+ */
+
+const {
+  MERGE_SCORE,
+  REVIEW_SCORE,
+  normalizeFacilityName,
+  getJobFingerprint,
+  scoreDuplicate,
+  getDuplicateCandidateWhere
+} = require('./job-fingerprint');
+
+const nexusJob = {
+  id: 'job-nexus',
+  specialty: 'ICU',
+  facilityName: "St. Luke's Hospital, Inc.",
+  city: 'Houston',
+  state: 'TX',
+  startDate: new Date('2026-11-02T00:00:00Z'),
+  weeklyHours: 36,
+  shiftType: 'Night',
+  payRate: 62.4
+};
+
+const laborEdgeJob = {
+  ...nexusJob,
+  id: 'job-laboredge',
+  specialty: 'Critical Care',
+  facilityName: 'Saint Lukes Hospital',
+  startDate: '2026-11-04T00:00:00.000Z',
+  payRate: 62
+};
+
+describe('normalizeFacilityName', () => {
+  test('matches spellings of the same facility', () => {
+    expect(normalizeFacilityName("St. Luke's Hospital, Inc.")).toBe('saint lukes hospital');
+    expect(normalizeFacilityName('Saint Lukes Hospital')).toBe('saint lukes hospital');
+    expect(normalizeFacilityName('Mercy Med. Ctr & Clinics')).toBe('mercy medical center and clinics');
+  });
+});
+
+describe('getJobFingerprint', () => {
+  test('is shared by the same opening from different sources', () => {
+    expect(getJobFingerprint(laborEdgeJob)).toBe(getJobFingerprint(nexusJob));
+    expect(getJobFingerprint(nexusJob)).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('differs when the facility, specialty, start week, shift or pay differ', () => {
+    const fingerprint = getJobFingerprint(nexusJob);
+
+    expect(getJobFingerprint({ ...nexusJob, facilityName: 'Memorial Hermann' })).not.toBe(fingerprint);
+    expect(getJobFingerprint({ ...nexusJob, specialty: 'Telemetry' })).not.toBe(fingerprint);
+    expect(getJobFingerprint({ ...nexusJob, startDate: '2026-11-09T00:00:00Z' })).not.toBe(fingerprint);
+    expect(getJobFingerprint({ ...nexusJob, shiftType: 'Day' })).not.toBe(fingerprint);
+    expect(getJobFingerprint({ ...nexusJob, payRate: 70 })).not.toBe(fingerprint);
+  });
+});
+
+describe('scoreDuplicate', () => {
+  test('scores the same opening from two sources high enough to merge', () => {
+    const { score, reasons } = scoreDuplicate(nexusJob, laborEdgeJob);
+
+    expect(score).toBeGreaterThanOrEqual(MERGE_SCORE);
+    expect(reasons).toEqual([
+      "Same facility (St. Luke's Hospital, Inc.)",
+      'Same specialty (ICU)',
+      'Start dates 2 days apart',
+      'Pay within 1%',
+      'Same shift (Night)',
+      'Same hours (36/week)'
+    ]);
+  });
+
+  test('queues pairs missing details for review', () => {
+    const { score } = scoreDuplicate(nexusJob, { ...laborEdgeJob, startDate: null, shiftType: null });
+
+    expect(score).toBeGreaterThanOrEqual(REVIEW_SCORE);
+    expect(score).toBeLessThan(MERGE_SCORE);
+  });
+
+  test('scores reposts with new dates and pay lower the further apart they are', () => {
+    const near = scoreDuplicate(nexusJob, { ...laborEdgeJob, startDate: '2026-11-12T00:00:00Z', payRate: 66 }).score;
+    const far = scoreDuplicate(nexusJob, { ...laborEdgeJob, startDate: '2026-11-30T00:00:00Z', payRate: 75 }).score;
+
+    expect(near).toBeGreaterThan(far);
+    expect(far).toBeLessThan(REVIEW_SCORE);
+  });
+
+  test('never pairs jobs at different facilities or in different specialties', () => {
+    expect(scoreDuplicate(nexusJob, { ...laborEdgeJob, facilityName: 'Memorial Hermann' })).toEqual({ score: 0, reasons: [] });
+    expect(scoreDuplicate(nexusJob, { ...laborEdgeJob, specialty: 'Telemetry' })).toEqual({ score: 0, reasons: [] });
+    expect(scoreDuplicate(nexusJob, { ...laborEdgeJob, city: 'Dallas' }).score).toBe(0);
+  });
+});
+
+describe('getDuplicateCandidateWhere', () => {
+  test('looks for canonical jobs with the same fingerprint or a similar specialty and start', () => {
+    const where = getDuplicateCandidateWhere({ ...nexusJob, fingerprint: 'abc' });
+
+    expect(where).toMatchObject({
+      id: { not: 'job-nexus' },
+      status: 'active',
+      canonicalJobId: null,
+      state: 'TX'
+    });
+    expect(where.OR[0]).toEqual({ fingerprint: 'abc' });
+    expect(where.OR[1].OR).toContainEqual({ specialty: { equals: 'critical care', mode: 'insensitive' } });
+    expect(where.OR[1].AND[0].OR).toEqual([
+      { startDate: null },
+      { startDate: { gte: new Date('2026-10-12T00:00:00Z'), lte: new Date('2026-11-23T00:00:00Z') } }
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Job Posting Structured Data
+ *
+ * Builds the schema.org JobPosting that job pages embed as JSON-LD so jobs
+ * can appear in Google for Jobs. Only active jobs get one: Google asks that
+ * markup be removed once a job is no longer open. Duplicates get none
+ * either, so each opening is posted once, by its canonical job.
+ *
+ * Jobs may be repository models (coordinates) or Prisma rows (latitude,
+ * longitude and, when included, facility).
+ */
+
+// Hours per week from which a job is full time
+const FULL_TIME_HOURS = 36;
+
+const ORGANIZATION_NAME = 'Excel Medical Staffing';
+
+/**
+ * Get the website URL from WEBSITE_URL
+ * @returns {string} URL without a trailing slash
+ */
+function getWebsiteUrl() {
+  return (process.env.WEBSITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn plain text into the HTML Google expects for descriptions: a
+ * paragraph per blank-line separated block, with line breaks kept
+ * @param {string} text Plain text
+ * @returns {string} HTML
+ */
+function toHtml(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Format a date as an ISO string
+ * @param {Date|string|null} date Date
+ * @returns {string|undefined} ISO string, or undefined without a date
+ */
+function toIsoDate(date) {
+  return date ? new Date(date).toISOString() : undefined;
+}
+
+/**
+ * Drop keys whose values are null, undefined or empty strings
+ * @param {Object} object Object
+ * @returns {Object} Object without empty values
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+/**
+ * Build the schema.org JobPosting for a job
+ * @param {Object} job Job
+ * @param {string} websiteUrl Website URL (defaults to WEBSITE_URL)
+ * @returns {Object|null} JobPosting, or null if the job is not active or is a duplicate
+ */
+function buildJobPosting(job, websiteUrl = getWebsiteUrl()) {
+  if (!job || job.status !== 'active' || job.canonicalJobId) {
+    return null;
+  }
+
+  const siteUrl = websiteUrl.replace(/\/$/, '');
+  const coordinates = job.coordinates
+    || (job.latitude != null && job.longitude != null ? { latitude: job.latitude, longitude: job.longitude } : null);
+  const description = [job.description, job.requirements && `Requirements:\n${job.requirements}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return compact({
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: toHtml(description),
+    url: `${siteUrl}/jobs/${job.id}`,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: ORGANIZATION_NAME,
+      value: job.externalId
+    },
+    datePosted: toIsoDate(job.createdAt),
+    validThrough: toIsoDate(job.endDate),
+    employmentType: ['TEMPORARY', job.weeklyHours >= FULL_TIME_HOURS ? 'FULL_TIME' : 'PART_TIME'],
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: ORGANIZATION_NAME,
+      sameAs: siteUrl,
+      logo: `${siteUrl}/images/logo.png`
+    },
+    jobLocation: {
+      '@type': 'Place',
+      address: compact({
+        '@type': 'PostalAddress',
+        streetAddress: job.facility?.address,
+        addressLocality: job.city,
+        addressRegion: job.state,
+        postalCode: job.zipCode,
+        addressCountry: 'US'
+      }),
+      ...(coordinates && {
+        geo: {
+          '@type': 'GeoCoordinates',
+          latitude: coordinates.latitude,
+          longitude: coordinates.longitude
+        }
+      })
+    },
+    baseSalary: {
+      '@type': 'MonetaryAmount',
+      currency: 'USD',
+      value: {
+        '@type': 'QuantitativeValue',
+        value: job.payRate,
+        unitText: 'HOUR'
+      }
+    },
+    workHours: job.weeklyHours ? `${job.weeklyHours} hours per week${job.shiftType ? `, ${job.shiftType} shift` : ''}` : undefined,
+    occupationalCategory: job.specialty,
+    industry: 'Healthcare',
+    jobBenefits: job.benefits,
+    directApply: true
+  });
+}
+
+module.exports = {
+  buildJobPosting,
+  getWebsiteUrl,
+  toHtml
+};
@@ -0,0 +1,91 @@
+/**
+ * Tests for Job Posting Structured Data
+ */
+
+const { buildJobPosting } = require('./job-posting');
+
+const job = {
+  id: 'job-1',
+  externalId: 'LE-1001',
+  title: 'ICU Travel Nurse',
+  description: 'Join our ICU team.\n\nDay one <orientation> included.',
+  requirements: '2 years ICU experience',
+  benefits: 'Housing stipend, 401k',
+  specialty: 'ICU',
+  city: 'Houston',
+  state: 'TX',
+  zipCode: '77030',
+  latitude: 29.7056,
+  longitude: -95.4018,
+  facility: { address: '6565 Fannin St' },
+  weeklyHours: 36,
+  shiftType: 'Night',
+  payRate: 62.5,
+  status: 'active',
+  createdAt: new Date('2026-10-01T12:00:00.000Z'),
+  endDate: new Date('2027-01-09T00:00:00.000Z')
+};
+
+describe('buildJobPosting', () => {
+  test('describes pay, location, employment type and expiry', () => {
+    const posting = buildJobPosting(job, 'https://example.com/');
+
+    expect(posting).toMatchObject({
+      '@type': 'JobPosting',
+      title: 'ICU Travel Nurse',
+      url: 'https://example.com/jobs/job-1',
+      identifier: { value: 'LE-1001' },
+      datePosted: '2026-10-01T12:00:00.000Z',
+      validThrough: '2027-01-09T00:00:00.000Z',
+      employmentType: ['TEMPORARY', 'FULL_TIME'],
+      jobLocation: {
+        address: {
+          streetAddress: '6565 Fannin St',
+          addressLocality: 'Houston',
+          addressRegion: 'TX',
+          postalCode: '77030',
+          addressCountry: 'US'
+        },
+        geo: { latitude: 29.7056, longitude: -95.4018 }
+      },
+      baseSalary: {
+        currency: 'USD',
+        value: { value: 62.5, unitText: 'HOUR' }
+      },
+      workHours: '36 hours per week, Night shift',
+      occupationalCategory: 'ICU'
+    });
+    expect(posting.description).toBe(
+      '<p>Join our ICU team.</p><p>Day one &lt;orientation&gt; included.</p><p>Requirements:<br>2 years ICU experience</p>'
+    );
+  });
+
+  test('leaves out what the job does not have', () => {
+    const posting = buildJobPosting({
+      ...job,
+      latitude: null,
+      longitude: null,
+      facility: null,
+      zipCode: null,
+      endDate: null,
+      benefits: '',
+      weeklyHours: 24
+    });
+
+    expect(posting).not.toHaveProperty('validThrough');
+    expect(posting).not.toHaveProperty('jobBenefits');
+    expect(posting.jobLocation).not.toHaveProperty('geo');
+    expect(posting.jobLocation.address).not.toHaveProperty('streetAddress');
+    expect(posting.jobLocation.address).not.toHaveProperty('postalCode');
+    expect(posting.employmentType).toEqual(['TEMPORARY', 'PART_TIME']);
+  });
+
+  test('returns null for jobs that are not active', () => {
+    expect(buildJobPosting({ ...job, status: 'expired' })).toBeNull();
+    expect(buildJobPosting(null)).toBeNull();
+  });
+
+  test('returns null for duplicates, which their canonical job posts for', () => {
+    expect(buildJobPosting({ ...job, canonicalJobId: 'job-canonical' })).toBeNull();
+  });
+});
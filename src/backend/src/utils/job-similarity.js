@@ -0,0 +1,357 @@
+/**
+ * Job Similarity
+ *
+ * Scores how similar one job is to another for "similar jobs", as a weighted
+ * sum of how close they are on specialty, location, pay, shift, contract
+ * length and facility type. Specialties match exactly, through their synonym
+ * group (e.g. ICU and Critical Care), or through a related specialty (e.g. ICU
+ * and Telemetry). Each score comes with the reasons that contributed most, so
+ * the UI can say why a job is shown.
+ *
+ * Jobs may be repository models (coordinates, facilityType) or Prisma rows
+ * with their facility included (latitude, longitude, facility.type).
+ */
+
+const { getRelatedSpecialties } = require('./search-query');
+const { getDistanceMiles } = require('./geo');
+
+// Points each factor is worth; they add up to 100
+const SIMILARITY_WEIGHTS = {
+  specialty: 35,
+  location: 25,
+  pay: 15,
+  shift: 10,
+  contractLength: 10,
+  facilityType: 5
+};
+
+// Jobs scoring lower are not similar enough to show
+const MIN_SIMILARITY_SCORE = 30;
+
+// Specialty groups (by primary name in specialty-synonyms.json) whose nurses
+// commonly cross over
+const RELATED_SPECIALTY_PAIRS = [
+  ['icu', 'emergency'],
+  ['icu', 'telemetry'],
+  ['icu', 'pacu'],
+  ['icu', 'cath lab'],
+  ['emergency', 'telemetry'],
+  ['telemetry', 'med/surg'],
+  ['telemetry', 'cath lab'],
+  ['med/surg', 'oncology'],
+  ['med/surg', 'rehabilitation'],
+  ['or', 'pacu'],
+  ['labor & delivery', 'pediatrics']
+];
+
+// Distance within which jobs count as the same area, and beyond which location adds nothing
+const NEARBY_MILES = 25;
+const MAX_MILES = 500;
+
+// Pay difference treated as the same pay, and beyond which pay adds nothing
+const SAME_PAY_DIFFERENCE = 0.05;
+const MAX_PAY_DIFFERENCE = 0.3;
+
+// Contract length difference in weeks beyond which it adds nothing
+const MAX_WEEKS_DIFFERENCE = 8;
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Clamp a factor between 0 and 1
+ * @param {number} value Factor
+ * @returns {number} Clamped factor
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Get the primary name of a specialty's synonym group
+ * @param {string} specialty Specialty name or synonym
+ * @returns {string|null} Lowercased primary name, or null if the specialty is not in a group
+ */
+function getSpecialtyGroup(specialty) {
+  return getRelatedSpecialties(specialty || '')[0] || null;
+}
+
+/**
+ * Get the synonym groups related to a specialty's group
+ * @param {string} group Lowercased primary name
+ * @returns {Array<string>} Lowercased primary names of related groups
+ */
+function getRelatedGroups(group) {
+  return RELATED_SPECIALTY_PAIRS
+    .filter(pair => pair.includes(group))
+    .map(([a, b]) => (a === group ? b : a));
+}
+
+/**
+ * Get every specialty name that scores for a job: its own specialty, its
+ * synonyms and the names of related specialties
+ * @param {string} specialty Specialty
+ * @returns {Array<string>} Lowercased names
+ */
+function getSimilarSpecialtyNames(specialty) {
+  const group = getSpecialtyGroup(specialty);
+  const names = new Set([String(specialty || '').toLowerCase()]);
+
+  if (group) {
+    [group, ...getRelatedGroups(group)].forEach(related => {
+      getRelatedSpecialties(related).forEach(name => names.add(name));
+    });
+  }
+
+  return [...names].filter(Boolean);
+}
+
+/**
+ * Get a job's coordinates
+ * @param {Object} job Job
+ * @returns {Object|null} Latitude and longitude, or null if unknown
+ */
+function getCoordinates(job) {
+  if (job.coordinates) {
+    return job.coordinates;
+  }
+
+  return job.latitude != null && job.longitude != null
+    ? { latitude: job.latitude, longitude: job.longitude }
+    : null;
+}
+
+/**
+ * Get the length of a job's contract
+ * @param {Object} job Job
+ * @returns {number|null} Weeks, or null without start and end dates
+ */
+function getContractWeeks(job) {
+  if (!job.startDate || !job.endDate) {
+    return null;
+  }
+
+  const weeks = Math.round((new Date(job.endDate) - new Date(job.startDate)) / WEEK);
+  return weeks > 0 ? weeks : null;
+}
+
+/**
+ * Compare two strings ignoring case and surrounding space
+ * @param {string} a String
+ * @param {string} b String
+ * @returns {boolean} Whether both are set and equal
+ */
+function sameText(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Score the specialty factor
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scoreSpecialty(job, other) {
+  if (sameText(job.specialty, other.specialty)) {
+    return { factor: 1, reason: `Same specialty (${other.specialty})` };
+  }
+
+  const group = getSpecialtyGroup(job.specialty);
+  const otherGroup = getSpecialtyGroup(other.specialty);
+
+  if (!group || !otherGroup) {
+    return { factor: 0 };
+  }
+
+  if (group === otherGroup) {
+    return { factor: 0.85, reason: `Same specialty (${other.specialty})` };
+  }
+
+  if (getRelatedGroups(group).includes(otherGroup)) {
+    return { factor: 0.5, reason: `Related specialty (${other.specialty})` };
+  }
+
+  return { factor: 0 };
+}
+
+/**
+ * Score the location factor: by distance when both jobs have coordinates,
+ * otherwise by city and state
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scoreLocation(job, other) {
+  const sameState = sameText(job.state, other.state);
+  const sameCity = sameState && sameText(job.city, other.city);
+  const from = getCoordinates(job);
+  const to = getCoordinates(other);
+
+  if (from && to) {
+    const miles = getDistanceMiles(from, to);
+    const factor = clamp(1 - (miles - NEARBY_MILES) / (MAX_MILES - NEARBY_MILES));
+
+    return {
+      factor,
+      reason: sameCity ? `Also in ${other.city}` : `${Math.round(miles)} miles away`
+    };
+  }
+
+  if (sameCity) {
+    return { factor: 1, reason: `Also in ${other.city}` };
+  }
+
+  return sameState ? { factor: 0.6, reason: `Also in ${other.state}` } : { factor: 0 };
+}
+
+/**
+ * Score the pay factor by the relative difference in pay rate
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scorePay(job, other) {
+  if (!job.payRate || !other.payRate) {
+    return { factor: 0 };
+  }
+
+  const difference = Math.abs(job.payRate - other.payRate) / Math.max(job.payRate, other.payRate);
+  const factor = clamp(1 - (difference - SAME_PAY_DIFFERENCE) / (MAX_PAY_DIFFERENCE - SAME_PAY_DIFFERENCE));
+  const label = difference > SAME_PAY_DIFFERENCE && other.payRate > job.payRate ? 'Higher pay' : 'Similar pay';
+
+  return { factor, reason: `${label} ($${Math.round(other.payRate)}/hr)` };
+}
+
+/**
+ * Score the shift factor
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scoreShift(job, other) {
+  return sameText(job.shiftType, other.shiftType)
+    ? { factor: 1, reason: `Same shift (${other.shiftType})` }
+    : { factor: 0 };
+}
+
+/**
+ * Score the contract length factor
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scoreContractLength(job, other) {
+  const weeks = getContractWeeks(job);
+  const otherWeeks = getContractWeeks(other);
+
+  if (!weeks || !otherWeeks) {
+    return { factor: 0 };
+  }
+
+  return {
+    factor: clamp(1 - Math.abs(weeks - otherWeeks) / MAX_WEEKS_DIFFERENCE),
+    reason: `${otherWeeks}-week contract`
+  };
+}
+
+/**
+ * Score the facility type factor
+ * @param {Object} job Job
+ * @param {Object} other Job compared
+ * @returns {Object} Factor and reason
+ */
+function scoreFacilityType(job, other) {
+  const type = job.facilityType || job.facility?.type;
+  const otherType = other.facilityType || other.facility?.type;
+
+  return sameText(type, otherType)
+    ? { factor: 1, reason: `Same facility type (${otherType})` }
+    : { factor: 0 };
+}
+
+const SCORERS = {
+  specialty: scoreSpecialty,
+  location: scoreLocation,
+  pay: scorePay,
+  shift: scoreShift,
+  contractLength: scoreContractLength,
+  facilityType: scoreFacilityType
+};
+
+/**
+ * Score how similar a job is to another
+ * @param {Object} job Job similar jobs are found for
+ * @param {Object} other Job compared
+ * @returns {Object} Score from 0 to 100, and the reasons that contributed at
+ *   least half their factor's weight, largest contribution first
+ */
+function scoreSimilarity(job, other) {
+  const contributions = Object.entries(SCORERS).map(([factor, scorer]) => {
+    const result = scorer(job, other);
+    return { ...result, points: result.factor * SIMILARITY_WEIGHTS[factor] };
+  });
+
+  const score = contributions.reduce((sum, contribution) => sum + contribution.points, 0);
+  const reasons = contributions
+    .filter(contribution => contribution.reason && contribution.factor >= 0.5)
+    .sort((a, b) => b.points - a.points)
+    .map(contribution => contribution.reason);
+
+  return { score: Math.round(score), reasons };
+}
+
+/**
+ * Rank candidate jobs by similarity, dropping those not similar enough
+ * @param {Object} job Job similar jobs are found for
+ * @param {Array<Object>} candidates Jobs to rank
+ * @param {number} limit Most jobs to return
+ * @returns {Array<Object>} Candidates with their similarity, most similar first
+ */
+function rankSimilarJobs(job, candidates, limit) {
+  return candidates
+    .filter(candidate => candidate.id !== job.id)
+    .map(candidate => ({ job: candidate, similarity: scoreSimilarity(job, candidate) }))
+    .filter(({ similarity }) => similarity.score >= MIN_SIMILARITY_SCORE)
+    .sort((a, b) => b.similarity.score - a.similarity.score || String(a.job.id).localeCompare(String(b.job.id)))
+    .slice(0, limit);
+}
+
+/**
+ * Build a Prisma filter for the active jobs worth scoring: those in a
+ * matching or related specialty, in the same state, or within MAX_MILES
+ * @param {Object} job Job similar jobs are found for
+ * @returns {Object} Prisma where clause
+ */
+function getSimilarCandidateWhere(job) {
+  const conditions = getSimilarSpecialtyNames(job.specialty).map(name => ({
+    specialty: { equals: name, mode: 'insensitive' }
+  }));
+
+  conditions.push({ state: job.state });
+
+  const coordinates = getCoordinates(job);
+
+  if (coordinates) {
+    const latitudeDelta = MAX_MILES / 69;
+    const longitudeDelta = MAX_MILES / (69 * Math.max(0.1, Math.cos(coordinates.latitude * Math.PI / 180)));
+
+    conditions.push({
+      latitude: { gte: coordinates.latitude - latitudeDelta, lte: coordinates.latitude + latitudeDelta },
+      longitude: { gte: coordinates.longitude - longitudeDelta, lte: coordinates.longitude + longitudeDelta }
+    });
+  }
+
+  return {
+    id: { not: job.id },
+    status: 'active',
+    canonicalJobId: null,
+    OR: conditions
+  };
+}
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  MIN_SIMILARITY_SCORE,
+  scoreSimilarity,
+  rankSimilarJobs,
+  getSimilarCandidateWhere
+};
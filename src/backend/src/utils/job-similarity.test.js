@@ -0,0 +1,123 @@
+/**
+ * Tests for Job Similarity
+ */
+
+const {
+  MIN_SIMILARITY_SCORE,
+  scoreSimilarity,
+  rankSimilarJobs,
+  getSimilarCandidateWhere
+} = require('./job-similarity');
+
+const houstonIcu = {
+  id: 'job-1',
+  specialty: 'ICU',
+  city: 'Houston',
+  state: 'TX',
+  coordinates: { latitude: 29.7604, longitude: -95.3698 },
+  payRate: 60,
+  shiftType: 'Night',
+  startDate: '2026-11-02T00:00:00.000Z',
+  endDate: '2027-02-01T00:00:00.000Z',
+  facilityType: 'Hospital'
+};
+
+describe('scoreSimilarity', () => {
+  test('scores an identical job in the same city 100', () => {
+    const { score, reasons } = scoreSimilarity(houstonIcu, { ...houstonIcu, id: 'job-2' });
+
+    expect(score).toBe(100);
+    expect(reasons).toEqual([
+      'Same specialty (ICU)',
+      'Also in Houston',
+      'Similar pay ($60/hr)',
+      'Same shift (Night)',
+      '13-week contract',
+      'Same facility type (Hospital)'
+    ]);
+  });
+
+  test('matches synonyms and nearby states', () => {
+    const newOrleansCriticalCare = {
+      ...houstonIcu,
+      id: 'job-2',
+      specialty: 'Critical Care',
+      city: 'New Orleans',
+      state: 'LA',
+      coordinates: { latitude: 29.9511, longitude: -90.0715 },
+      payRate: 66
+    };
+
+    const { score, reasons } = scoreSimilarity(houstonIcu, newOrleansCriticalCare);
+
+    expect(score).toBeGreaterThanOrEqual(MIN_SIMILARITY_SCORE);
+    expect(reasons[0]).toBe('Same specialty (Critical Care)');
+    expect(reasons).toContain('Higher pay ($66/hr)');
+    expect(reasons.some(reason => reason.endsWith('miles away'))).toBe(false);
+  });
+
+  test('scores related specialties lower than synonyms', () => {
+    const telemetry = scoreSimilarity(houstonIcu, { ...houstonIcu, id: 'job-2', specialty: 'Telemetry' });
+    const criticalCare = scoreSimilarity(houstonIcu, { ...houstonIcu, id: 'job-3', specialty: 'critical care' });
+    const oncology = scoreSimilarity(houstonIcu, { ...houstonIcu, id: 'job-4', specialty: 'Oncology' });
+
+    expect(criticalCare.score).toBeGreaterThan(telemetry.score);
+    expect(telemetry.score).toBeGreaterThan(oncology.score);
+    expect(telemetry.reasons).toContain('Related specialty (Telemetry)');
+  });
+
+  test('falls back to state without coordinates, and reads Prisma rows', () => {
+    const { score, reasons } = scoreSimilarity(
+      { ...houstonIcu, coordinates: null },
+      {
+        id: 'job-2',
+        specialty: 'ICU',
+        city: 'Dallas',
+        state: 'TX',
+        latitude: null,
+        longitude: null,
+        payRate: 60,
+        facility: { type: 'hospital' }
+      }
+    );
+
+    expect(reasons).toEqual(['Same specialty (ICU)', 'Also in TX', 'Similar pay ($60/hr)', 'Same facility type (hospital)']);
+    expect(score).toBe(35 + 15 + 15 + 5);
+  });
+});
+
+describe('rankSimilarJobs', () => {
+  test('ranks by score, dropping the job itself and dissimilar jobs', () => {
+    const candidates = [
+      { ...houstonIcu },
+      { ...houstonIcu, id: 'job-far', specialty: 'Oncology', state: 'NY', city: 'Buffalo', coordinates: { latitude: 42.8864, longitude: -78.8784 }, payRate: 30, shiftType: 'Day', facilityType: 'Clinic' },
+      { ...houstonIcu, id: 'job-tele', specialty: 'Telemetry' },
+      { ...houstonIcu, id: 'job-same' }
+    ];
+
+    const ranked = rankSimilarJobs(houstonIcu, candidates, 5);
+
+    expect(ranked.map(({ job }) => job.id)).toEqual(['job-same', 'job-tele']);
+    expect(ranked[0].similarity.score).toBe(100);
+    expect(rankSimilarJobs(houstonIcu, candidates, 1)).toHaveLength(1);
+  });
+});
+
+describe('getSimilarCandidateWhere', () => {
+  test('looks across related specialties, the state and the surrounding area', () => {
+    const where = getSimilarCandidateWhere(houstonIcu);
+    const specialties = where.OR
+      .filter(condition => condition.specialty)
+      .map(condition => condition.specialty.equals);
+
+    expect(where.id).toEqual({ not: 'job-1' });
+    expect(where.status).toBe('active');
+    expect(specialties).toEqual(expect.arrayContaining(['icu', 'critical care', 'telemetry', 'er']));
+    expect(specialties).not.toContain('oncology');
+    expect(where.OR).toContainEqual({ state: 'TX' });
+
+    const area = where.OR.find(condition => condition.latitude);
+    expect(area.latitude.gte).toBeLessThan(29.7604 - 4);
+    expect(area.longitude.lte).toBeGreaterThan(-90.0715);
+  });
+});
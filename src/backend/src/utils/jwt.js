@@ -0,0 +1,99 @@
+/**
+ * JWT Utility
+ * 
+ * Centralizes signing and verification of the access tokens issued by
+ * the authentication routes, so every consumer shares the same secret,
+ * expiration and payload shape.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Purposes for restricted tokens that must never be accepted as access tokens
+ */
+const TokenPurpose = {
+  TWO_FACTOR_CHALLENGE: '2fa_challenge',
+  TWO_FACTOR_ENROLLMENT: '2fa_enrollment'
+};
+
+/**
+ * Get the secret used to sign access tokens
+ * @returns {string} JWT secret
+ */
+function getJwtSecret() {
+  return process.env.JWT_SECRET || 'development_jwt_secret';
+}
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user User record
+ * @param {string} user.id User ID
+ * @param {string} user.email User email
+ * @param {string} user.role User role
+ * @param {string} sessionId ID of the session the token belongs to
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sessionId },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRATION || '15m' }
+  );
+}
+
+/**
+ * Verify an access token
+ * @param {string} token Signed JWT
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid or expired
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.purpose) {
+    throw new Error('Restricted token cannot be used for access');
+  }
+
+  return decoded;
+}
+
+/**
+ * Sign a short-lived token that only allows a single step, such as
+ * completing a two-factor challenge
+ * @param {Object} user User record
+ * @param {string} purpose Token purpose
+ * @param {string} expiresIn Token lifetime
+ * @returns {string} Signed JWT
+ */
+function signPurposeToken(user, purpose, expiresIn = '10m') {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, purpose },
+    getJwtSecret(),
+    { expiresIn }
+  );
+}
+
+/**
+ * Verify a restricted token issued for a specific purpose
+ * @param {string} token Signed JWT
+ * @param {string} purpose Expected purpose
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or issued for another purpose
+ */
+function verifyPurposeToken(token, purpose) {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.purpose !== purpose) {
+    throw new Error('Token issued for another purpose');
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  TokenPurpose,
+  signAccessToken,
+  verifyAccessToken,
+  signPurposeToken,
+  verifyPurposeToken
+};
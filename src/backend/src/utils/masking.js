@@ -0,0 +1,86 @@
+/**
+ * Response Masking Utility
+ *
+ * Role-aware masking of candidate PII in API responses. The owner of a
+ * record and admins see full values; everyone else sees only the last
+ * four characters.
+ */
+
+const { Roles } = require('../middleware/auth');
+
+const VISIBLE_CHARACTERS = 4;
+
+/**
+ * Masked fields and the field that identifies each record's owner, by Prisma model
+ */
+const MASKED_FIELDS = {
+  User: { ownerField: 'id', fields: ['phone'] },
+  License: { ownerField: 'userId', fields: ['licenseNumber'] },
+  Referral: { ownerField: 'referrerId', fields: ['referredPhone'] }
+};
+
+/**
+ * Mask all but the last few characters of a value
+ * @param {string} value Value to mask
+ * @param {number} visible Number of trailing characters to keep
+ * @returns {string} Masked value, e.g. '******1234'
+ */
+function maskValue(value, visible = VISIBLE_CHARACTERS) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const text = String(value);
+
+  if (text.length <= visible) {
+    return '*'.repeat(text.length);
+  }
+
+  return '*'.repeat(text.length - visible) + text.slice(-visible);
+}
+
+/**
+ * Check whether a viewer may see a record's PII unmasked
+ * @param {Object} viewer Authenticated user ({ id, role })
+ * @param {string} ownerId ID of the user the record belongs to
+ * @returns {boolean} True for the owner and admins
+ */
+function canViewUnmasked(viewer, ownerId) {
+  return Boolean(viewer) && (viewer.id === ownerId || viewer.role === Roles.ADMIN);
+}
+
+/**
+ * Mask a record, or list of records, for the user viewing it
+ * @param {string} model Prisma model name
+ * @param {Object|Array} records Record or records to mask
+ * @param {Object} viewer Authenticated user ({ id, role })
+ * @returns {Object|Array} Records with PII masked where required
+ */
+function maskForViewer(model, records, viewer) {
+  if (Array.isArray(records)) {
+    return records.map(record => maskForViewer(model, record, viewer));
+  }
+
+  const config = MASKED_FIELDS[model];
+
+  if (!records || !config || canViewUnmasked(viewer, records[config.ownerField])) {
+    return records;
+  }
+
+  const masked = { ...records };
+
+  for (const field of config.fields) {
+    if (field in masked) {
+      masked[field] = maskValue(masked[field]);
+    }
+  }
+
+  return masked;
+}
+
+module.exports = {
+  MASKED_FIELDS,
+  maskValue,
+  canViewUnmasked,
+  maskForViewer
+};
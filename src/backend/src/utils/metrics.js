@@ -24,6 +24,7 @@ class ApiMetrics {
         min: Number.MAX_SAFE_INTEGER,
         max: 0
       },
+      cache: {},
       lastUpdated: new Date()
     };
   }
@@ -132,6 +133,25 @@ class ApiMetrics {
     });
   }
 
+  /**
+   * Record a cache lookup
+   * @param {string} cache Cache name
+   * @param {boolean} hit Whether the value was found in the cache
+   */
+  recordCacheLookup(cache, hit) {
+    if (!this.metrics.cache[cache]) {
+      this.metrics.cache[cache] = { hits: 0, misses: 0 };
+    }
+
+    if (hit) {
+      this.metrics.cache[cache].hits++;
+    } else {
+      this.metrics.cache[cache].misses++;
+    }
+
+    this.metrics.lastUpdated = new Date();
+  }
+
   /**
    * Get current metrics
    * @returns {Object} Current metrics
@@ -157,6 +177,15 @@ class ApiMetrics {
       };
     }
 
+    const cacheMetrics = {};
+    for (const [cache, { hits, misses }] of Object.entries(this.metrics.cache)) {
+      cacheMetrics[cache] = {
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? (hits / (hits + misses)) * 100 : 0
+      };
+    }
+
     return {
       apiCalls: {
         total: this.metrics.apiCalls.total,
@@ -173,6 +202,7 @@ class ApiMetrics {
         min: this.metrics.responseTimes.min === Number.MAX_SAFE_INTEGER ? 0 : this.metrics.responseTimes.min,
         max: this.metrics.responseTimes.max
       },
+      cache: cacheMetrics,
       lastUpdated: this.metrics.lastUpdated
     };
   }
@@ -195,6 +225,7 @@ class ApiMetrics {
         min: Number.MAX_SAFE_INTEGER,
         max: 0
       },
+      cache: {},
       lastUpdated: new Date()
     };
 
@@ -202,4 +233,9 @@ class ApiMetrics {
   }
 }
 
-module.exports = { ApiMetrics };
\ No newline at end of file
+/**
+ * Default metrics instance, shared by the modules that record to it
+ */
+const metrics = new ApiMetrics();
+
+module.exports = { ApiMetrics, metrics };
\ No newline at end of file
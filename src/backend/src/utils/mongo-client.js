@@ -0,0 +1,29 @@
+/**
+ * MongoDB Client Registry
+ * 
+ * Holds the MongoDB database connected at startup so that modules loaded
+ * before the connection is established can use it once it is ready.
+ */
+
+let mongoDb = null;
+
+/**
+ * Register the connected MongoDB database
+ * @param {Object} db MongoDB database handle
+ */
+function setMongoDb(db) {
+  mongoDb = db;
+}
+
+/**
+ * Get the MongoDB database if it is connected
+ * @returns {Object|null} MongoDB database handle or null
+ */
+function getMongoDb() {
+  return mongoDb;
+}
+
+module.exports = {
+  setMongoDb,
+  getMongoDb
+};
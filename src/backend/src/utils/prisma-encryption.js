@@ -0,0 +1,268 @@
+/**
+ * Prisma Field Encryption
+ *
+ * Prisma client extension that encrypts designated fields on write and
+ * decrypts them on read, so route code works with plaintext while the
+ * database only ever stores ciphertext. Encrypted fields cannot be used
+ * in query filters because every write produces a different ciphertext.
+ *
+ * Nested writes (create, createMany, connectOrCreate, update, updateMany
+ * and upsert) are encrypted, and included relations decrypted, as long as
+ * every relation they go through is listed in RELATIONS. Only the fields in
+ * ENCRYPTED_FIELDS are decrypted, so free text that happens to look like
+ * ciphertext is returned as stored.
+ */
+
+const { encrypt, decrypt, isEncrypted } = require('./field-encryption');
+
+/**
+ * Fields encrypted at rest, by Prisma model
+ */
+const ENCRYPTED_FIELDS = {
+  User: ['phone', 'twoFactorSecret'],
+  License: ['licenseNumber'],
+  Referral: ['referredPhone']
+};
+
+/**
+ * Relations that lead, directly or through other models, to a model with
+ * encrypted fields, by Prisma model, mapped to the model they lead to
+ */
+const RELATIONS = {
+  User: {
+    referredBy: 'User',
+    referrals: 'User',
+    jobs: 'Job',
+    applications: 'Application',
+    licenses: 'License',
+    certifications: 'Certification',
+    workExperiences: 'WorkExperience',
+    notifications: 'Notification',
+    jobAlerts: 'JobAlert',
+    savedJobs: 'SavedJob',
+    referralsGiven: 'Referral',
+    referralsReceived: 'Referral',
+    authoredContent: 'Content',
+    tokens: 'UserToken',
+    sessions: 'UserSession'
+  },
+  Job: {
+    facility: 'Facility',
+    recruiter: 'User',
+    canonicalJob: 'Job',
+    applications: 'Application',
+    savedBy: 'SavedJob',
+    statusTransitions: 'JobStatusTransition',
+    revisions: 'JobRevision',
+    duplicates: 'Job',
+    duplicateCandidates: 'JobDuplicateCandidate',
+    duplicateOf: 'JobDuplicateCandidate'
+  },
+  JobStatusTransition: { job: 'Job' },
+  JobRevision: { job: 'Job' },
+  JobDuplicateCandidate: { job: 'Job', duplicateJob: 'Job' },
+  Facility: { jobs: 'Job' },
+  Application: { job: 'Job', candidate: 'User', referral: 'Referral' },
+  License: { user: 'User' },
+  Certification: { user: 'User' },
+  WorkExperience: { user: 'User' },
+  City: { content: 'Content' },
+  Specialty: { content: 'Content' },
+  Notification: { user: 'User' },
+  JobAlert: { user: 'User' },
+  SavedJob: { user: 'User', job: 'Job' },
+  Referral: { referrer: 'User', referredUser: 'User', applications: 'Application' },
+  Content: { author: 'User', relatedCity: 'City', relatedSpecialty: 'Specialty' },
+  UserToken: { user: 'User' },
+  UserSession: { user: 'User', refreshTokens: 'RefreshToken' },
+  RefreshToken: { session: 'UserSession' }
+};
+
+/**
+ * Encrypt the designated fields of a write payload
+ * @param {Object|Array} data Prisma `data` argument
+ * @param {Array<string>} fields Fields to encrypt
+ * @returns {Object|Array} Payload with encrypted fields
+ */
+function encryptData(data, fields) {
+  if (Array.isArray(data)) {
+    return data.map(item => encryptData(item, fields));
+  }
+
+  const encrypted = { ...data };
+
+  for (const field of fields) {
+    const value = encrypted[field];
+
+    if (value !== null && typeof value === 'object' && 'set' in value) {
+      encrypted[field] = { ...value, set: encrypt(value.set) };
+    } else if (value !== undefined) {
+      encrypted[field] = encrypt(value);
+    }
+  }
+
+  return encrypted;
+}
+
+/**
+ * Apply a function to a value or to each value of a list
+ * @param {Object|Array} value Value or list
+ * @param {Function} fn Function to apply
+ * @returns {Object|Array} Result or list of results
+ */
+function mapList(value, fn) {
+  return Array.isArray(value) ? value.map(fn) : fn(value);
+}
+
+/**
+ * Encrypt a write payload for a model, including nested writes through
+ * its relations
+ * @param {string} model Prisma model name
+ * @param {Object|Array} data Write payload
+ * @returns {Object|Array} Payload with encrypted fields
+ */
+function encryptWrite(model, data) {
+  if (Array.isArray(data)) {
+    return data.map(item => encryptWrite(model, item));
+  }
+
+  const encrypted = encryptData(data, ENCRYPTED_FIELDS[model] || []);
+
+  for (const [field, target] of Object.entries(RELATIONS[model] || {})) {
+    if (encrypted[field] !== null && typeof encrypted[field] === 'object') {
+      encrypted[field] = encryptNestedWrite(target, encrypted[field]);
+    }
+  }
+
+  return encrypted;
+}
+
+/**
+ * Encrypt the data of the nested writes to a related model
+ * @param {string} model Related Prisma model name
+ * @param {Object} write Nested write, e.g. `{ create: {...} }`
+ * @returns {Object} Nested write with encrypted data
+ */
+function encryptNestedWrite(model, write) {
+  const encrypted = { ...write };
+
+  if (write.create) {
+    encrypted.create = encryptWrite(model, write.create);
+  }
+
+  if (write.createMany) {
+    encrypted.createMany = { ...write.createMany, data: encryptWrite(model, write.createMany.data) };
+  }
+
+  if (write.connectOrCreate) {
+    encrypted.connectOrCreate = mapList(write.connectOrCreate, item => ({
+      ...item,
+      create: encryptWrite(model, item.create)
+    }));
+  }
+
+  if (write.update) {
+    // To-many updates wrap their data as { where, data }; to-one updates may
+    // too. No model in RELATIONS has a field named data.
+    encrypted.update = mapList(write.update, item => ('data' in item
+      ? { ...item, data: encryptWrite(model, item.data) }
+      : encryptWrite(model, item)));
+  }
+
+  if (write.updateMany) {
+    encrypted.updateMany = mapList(write.updateMany, item => ({ ...item, data: encryptWrite(model, item.data) }));
+  }
+
+  if (write.upsert) {
+    encrypted.upsert = mapList(write.upsert, item => ({
+      ...item,
+      create: encryptWrite(model, item.create),
+      update: encryptWrite(model, item.update)
+    }));
+  }
+
+  return encrypted;
+}
+
+/**
+ * Decrypt the encrypted fields of a query result for a model, including
+ * those in included relations
+ * @param {string} model Prisma model name
+ * @param {*} value Query result
+ * @returns {*} Result with plaintext fields
+ */
+function decryptResult(model, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => decryptResult(model, item));
+  }
+
+  if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  const decrypted = { ...value };
+
+  for (const field of ENCRYPTED_FIELDS[model] || []) {
+    if (isEncrypted(decrypted[field])) {
+      decrypted[field] = decrypt(decrypted[field]);
+    }
+  }
+
+  for (const [field, target] of Object.entries(RELATIONS[model] || {})) {
+    if (decrypted[field] !== undefined) {
+      decrypted[field] = decryptResult(target, decrypted[field]);
+    }
+  }
+
+  return decrypted;
+}
+
+/**
+ * Reject filters on encrypted fields, which could never match
+ * @param {string} model Prisma model name
+ * @param {Object} where Prisma `where` argument
+ * @param {Array<string>} fields Encrypted fields
+ */
+function assertNotFiltered(model, where, fields) {
+  const field = fields.find(name => where && where[name] !== undefined);
+
+  if (field) {
+    throw new Error(`${model}.${field} is encrypted and cannot be used in a query filter`);
+  }
+}
+
+/**
+ * Extend a Prisma client with field encryption
+ * @param {Object} prisma Prisma client
+ * @returns {Object} Extended Prisma client
+ */
+function withFieldEncryption(prisma) {
+  return prisma.$extends({
+    name: 'fieldEncryption',
+    query: {
+      $allModels: {
+        async $allOperations({ model, args, query }) {
+          if (args) {
+            assertNotFiltered(model, args.where, ENCRYPTED_FIELDS[model] || []);
+
+            args = { ...args };
+            if (args.data) args.data = encryptWrite(model, args.data);
+            if (args.create) args.create = encryptWrite(model, args.create);
+            if (args.update) args.update = encryptWrite(model, args.update);
+          }
+
+          return decryptResult(model, await query(args));
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  RELATIONS,
+  withFieldEncryption,
+  encryptData,
+  encryptWrite,
+  decryptResult
+};
@@ -0,0 +1,185 @@
+/**
+ * Tests for Prisma Field Encryption and response masking
+ */
+
+const { withFieldEncryption } = require('./prisma-encryption');
+const { isEncrypted } = require('./field-encryption');
+const { maskValue, maskForViewer } = require('./masking');
+
+/**
+ * Stand-in for a Prisma client that runs the extension's query hook
+ * against an in-memory store
+ */
+function createPrismaStub() {
+  const stored = [];
+  let extension;
+
+  const client = {
+    $extends: jest.fn(config => {
+      extension = config.query.$allModels.$allOperations;
+      return client;
+    }),
+    run: (model, operation, args, result) =>
+      extension({
+        model,
+        operation,
+        args,
+        query: async finalArgs => {
+          if (finalArgs.data) stored.push(finalArgs.data);
+          return result === undefined ? finalArgs.data : result;
+        }
+      })
+  };
+
+  return { client, stored };
+}
+
+describe('withFieldEncryption', () => {
+  test('encrypts designated fields on write and decrypts them on read', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    const license = await prisma.run('License', 'create', {
+      data: { userId: 'user-1', licenseNumber: 'RN-123456', state: 'TX' }
+    });
+
+    expect(isEncrypted(stored[0].licenseNumber)).toBe(true);
+    expect(stored[0].state).toBe('TX');
+    expect(license.licenseNumber).toBe('RN-123456');
+  });
+
+  test('decrypts encrypted values in included relations', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await prisma.run('License', 'create', { data: { licenseNumber: 'RN-1' } });
+    const user = await prisma.run('User', 'findUnique', { where: { id: 'user-1' } }, {
+      id: 'user-1',
+      licenses: [{ id: 'license-1', licenseNumber: stored[0].licenseNumber }]
+    });
+
+    expect(user.licenses[0].licenseNumber).toBe('RN-1');
+  });
+
+  test('leaves other models untouched', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await prisma.run('Facility', 'create', { data: { phone: '555-0100' } });
+
+    expect(stored[0].phone).toBe('555-0100');
+  });
+
+  test('encrypts nested writes through relations to encrypted models', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await prisma.run('User', 'update', {
+      where: { id: 'user-1' },
+      data: {
+        firstName: 'Ana',
+        licenses: {
+          create: [{ licenseNumber: 'RN-1', state: 'TX' }],
+          update: { where: { id: 'license-2' }, data: { licenseNumber: 'RN-2' } },
+          upsert: {
+            where: { id: 'license-3' },
+            create: { licenseNumber: 'RN-3', user: { update: { phone: '555-0100' } } },
+            update: { licenseNumber: 'RN-3' }
+          }
+        },
+        referralsGiven: { createMany: { data: [{ referredPhone: '555-0101' }] } }
+      }
+    });
+
+    const { licenses, referralsGiven } = stored[0];
+
+    expect(stored[0].firstName).toBe('Ana');
+    expect(licenses.create[0].state).toBe('TX');
+    expect(isEncrypted(licenses.create[0].licenseNumber)).toBe(true);
+    expect(licenses.update.where).toEqual({ id: 'license-2' });
+    expect(isEncrypted(licenses.update.data.licenseNumber)).toBe(true);
+    expect(isEncrypted(licenses.upsert.create.licenseNumber)).toBe(true);
+    expect(isEncrypted(licenses.upsert.create.user.update.phone)).toBe(true);
+    expect(isEncrypted(licenses.upsert.update.licenseNumber)).toBe(true);
+    expect(isEncrypted(referralsGiven.createMany.data[0].referredPhone)).toBe(true);
+  });
+
+  test('encrypts nested writes from models without encrypted fields', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await prisma.run('Application', 'create', {
+      data: {
+        jobId: 'job-1',
+        candidate: {
+          connectOrCreate: { where: { email: 'ana@example.com' }, create: { email: 'ana@example.com', phone: '555-0100' } }
+        }
+      }
+    });
+
+    expect(isEncrypted(stored[0].candidate.connectOrCreate.create.phone)).toBe(true);
+  });
+
+  test('stores input that looks like ciphertext encrypted', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    const user = await prisma.run('User', 'update', { where: { id: 'user-1' }, data: { phone: 'enc:v1:garbage' } });
+
+    expect(stored[0].phone).not.toBe('enc:v1:garbage');
+    expect(user.phone).toBe('enc:v1:garbage');
+  });
+
+  test('returns free text that looks like ciphertext as stored', async () => {
+    const { client } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+    const coverLetter = 'enc:v1:x:not:really:encrypted';
+
+    const application = await prisma.run('Application', 'findUnique', { where: { id: 'application-1' } }, {
+      id: 'application-1',
+      coverLetter,
+      candidate: { id: 'user-1', firstName: coverLetter }
+    });
+
+    expect(application.coverLetter).toBe(coverLetter);
+    expect(application.candidate.firstName).toBe(coverLetter);
+  });
+
+  test('decrypts encrypted fields reached through other relations', async () => {
+    const { client, stored } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await prisma.run('User', 'create', { data: { phone: '555-0100' } });
+    const application = await prisma.run('Application', 'findUnique', { where: { id: 'application-1' } }, {
+      id: 'application-1',
+      job: { id: 'job-1', recruiter: { id: 'user-2', phone: stored[0].phone } }
+    });
+
+    expect(application.job.recruiter.phone).toBe('555-0100');
+  });
+
+  test('rejects filters on encrypted fields', async () => {
+    const { client } = createPrismaStub();
+    const prisma = withFieldEncryption(client);
+
+    await expect(prisma.run('User', 'findFirst', { where: { phone: '555-0100' } }))
+      .rejects.toThrow('User.phone is encrypted');
+  });
+});
+
+describe('masking', () => {
+  const license = { id: 'license-1', userId: 'user-1', licenseNumber: 'RN-123456' };
+
+  test('keeps the last four characters', () => {
+    expect(maskValue('555-867-5309')).toBe('********5309');
+    expect(maskValue('123')).toBe('***');
+    expect(maskValue(null)).toBeNull();
+  });
+
+  test('shows full values to owners and admins only', () => {
+    expect(maskForViewer('License', license, { id: 'user-1', role: 'candidate' }).licenseNumber).toBe('RN-123456');
+    expect(maskForViewer('License', license, { id: 'admin-1', role: 'admin' }).licenseNumber).toBe('RN-123456');
+    expect(maskForViewer('License', [license], { id: 'recruiter-1', role: 'recruiter' })[0].licenseNumber)
+      .toBe('*****3456');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Redis Client Registry
+ * 
+ * Holds the Redis client connected at startup so that modules loaded
+ * before the connection is established can use it once it is ready.
+ */
+
+let redisClient = null;
+
+/**
+ * Register the connected Redis client
+ * @param {Object} client Redis client
+ */
+function setRedisClient(client) {
+  redisClient = client;
+}
+
+/**
+ * Get the Redis client if it is connected and ready
+ * @returns {Object|null} Redis client or null
+ */
+function getRedisClient() {
+  return redisClient && redisClient.isReady ? redisClient : null;
+}
+
+module.exports = {
+  setRedisClient,
+  getRedisClient
+};
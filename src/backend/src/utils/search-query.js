@@ -0,0 +1,101 @@
+/**
+ * Search Query Builder
+ *
+ * Turns free-text job searches into Postgres tsquery expressions. Specialty
+ * names and their synonyms (e.g. "L&D", "critical care") are expanded to
+ * the whole synonym group, and every other word is prefix-matched so that
+ * partial input such as "hous" still finds Houston.
+ */
+
+// Same groups as getRelatedSpecialties in the AI job matcher
+const SPECIALTY_SYNONYMS = require('../data/specialty-synonyms.json');
+
+const MAX_TERMS = 12;
+
+/**
+ * Get all names for a specialty's synonym group
+ * @param {string} specialty Specialty name or synonym
+ * @returns {Array<string>} Lowercased group names, or an empty array if unknown
+ */
+function getRelatedSpecialties(specialty) {
+  const normalizedSpecialty = specialty.toLowerCase();
+
+  for (const [category, related] of Object.entries(SPECIALTY_SYNONYMS)) {
+    if (category.toLowerCase() === normalizedSpecialty || related.includes(normalizedSpecialty)) {
+      return [category.toLowerCase(), ...related];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Split text into the alphanumeric words Postgres indexes
+ * @param {string} text Text
+ * @returns {Array<string>} Lowercased words
+ */
+function toWords(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value String
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every synonym, longest first so "cardiac cath" wins over "cardiac"
+const SYNONYM_TERMS = Object.entries(SPECIALTY_SYNONYMS)
+  .flatMap(([category, related]) => [category, ...related].map(term => term.toLowerCase()))
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Build a tsquery expression for a free-text search
+ * @param {string} text Search text
+ * @returns {string|null} Expression for to_tsquery, or null if the text has no searchable words
+ */
+function buildSearchQuery(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  let remaining = ` ${text.toLowerCase()} `;
+  const clauses = [];
+  const expanded = new Set();
+
+  // Expand specialty names into their synonym group
+  for (const term of SYNONYM_TERMS) {
+    const pattern = new RegExp(`(^|[\\s,;])${escapeRegExp(term)}(?=$|[\\s,;])`, 'g');
+
+    if (!pattern.test(remaining)) {
+      continue;
+    }
+
+    remaining = remaining.replace(pattern, '$1 ');
+
+    const group = getRelatedSpecialties(term);
+    const key = group[0];
+
+    if (!expanded.has(key)) {
+      expanded.add(key);
+      const alternatives = group
+        .map(name => toWords(name).join(' <-> '))
+        .filter(Boolean);
+      clauses.push(`(${[...new Set(alternatives)].join(' | ')})`);
+    }
+  }
+
+  // Prefix-match everything else
+  toWords(remaining).forEach(word => clauses.push(`${word}:*`));
+
+  return clauses.length > 0 ? clauses.slice(0, MAX_TERMS).join(' & ') : null;
+}
+
+module.exports = {
+  SPECIALTY_SYNONYMS,
+  getRelatedSpecialties,
+  buildSearchQuery
+};
@@ -0,0 +1,57 @@
+/**
+ * Tests for Search Query Builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSearchQuery, getRelatedSpecialties, SPECIALTY_SYNONYMS } = require('./search-query');
+
+describe('buildSearchQuery', () => {
+  test('prefix-matches plain words', () => {
+    expect(buildSearchQuery('travel nurse hous')).toBe('travel:* & nurse:* & hous:*');
+  });
+
+  test('expands specialty synonyms to the whole group', () => {
+    expect(buildSearchQuery('L&D Houston')).toBe(
+      '(labor <-> delivery | l <-> d | labor <-> and <-> delivery | obstetrics | maternity) & houston:*'
+    );
+  });
+
+  test('prefers the longest synonym and expands each group once', () => {
+    const query = buildSearchQuery('critical care ICU');
+
+    expect(query.match(/\(/g)).toHaveLength(1);
+    expect(query).toContain('critical <-> care');
+    expect(query).not.toContain('care:*');
+  });
+
+  test('does not expand synonyms inside other words', () => {
+    expect(buildSearchQuery('oregon')).toBe('oregon:*');
+  });
+
+  test('strips tsquery operators from input', () => {
+    expect(buildSearchQuery("drop' | !(table):*")).toBe('drop:* & table:*');
+  });
+
+  test('returns null when there is nothing to search for', () => {
+    expect(buildSearchQuery('  &! ')).toBeNull();
+    expect(buildSearchQuery(undefined)).toBeNull();
+  });
+});
+
+describe('getRelatedSpecialties', () => {
+  test('resolves categories and synonyms to the same group', () => {
+    expect(getRelatedSpecialties('ER')).toEqual(getRelatedSpecialties('Emergency'));
+    expect(getRelatedSpecialties('Dialysis')).toEqual([]);
+  });
+
+  test('matches the AI job matcher synonym groups', () => {
+    const matcherCopy = path.resolve(__dirname, '../../../ai/job-matcher/specialty-synonyms.json');
+
+    if (!fs.existsSync(matcherCopy)) {
+      return;
+    }
+
+    expect(SPECIALTY_SYNONYMS).toEqual(JSON.parse(fs.readFileSync(matcherCopy, 'utf8')));
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * TOTP Utility
+ *
+ * Time-based one-time passwords (RFC 6238) compatible with common
+ * authenticator apps: HMAC-SHA1, 6 digits, 30 second steps.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret
+ * @param {number} size Secret size in bytes
+ * @returns {string} Base32 secret
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp Time in milliseconds
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a given time step
+ * @param {string} secret Base32 secret
+ * @param {number} step Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret Base32 secret
+ * @param {string} code Code entered by the user
+ * @param {Object} options Verification options
+ * @param {number} options.window Number of steps to accept either side of now
+ * @param {number} options.timestamp Time to verify against in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, options = {}) {
+  const { window = 1, timestamp = Date.now() } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI used by authenticator apps
+ * @param {string} secret Base32 secret
+ * @param {string} accountName Account label, usually the user's email
+ * @param {string} issuer Issuer name shown in the app
+ * @returns {string} Provisioning URI
+ */
+function buildProvisioningUri(secret, accountName, issuer = 'Excel Medical Staffing') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+};
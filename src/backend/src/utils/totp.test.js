@@ -0,0 +1,44 @@
+/**
+ * Tests for TOTP Utility
+ */
+
+const totp = require('./totp');
+
+describe('TOTP Utility', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('encodes and decodes base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+  });
+
+  test('generates RFC 6238 codes', () => {
+    expect(totp.generateCode(secret, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(secret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(secret, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('verifies codes within the drift window', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(secret, '081804', { timestamp })).toBe(step);
+    expect(totp.verifyCode(secret, '081 804', { timestamp: timestamp + 30000 })).toBe(step);
+    expect(totp.verifyCode(secret, '081804', { timestamp: timestamp + 90000 })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(secret, '12345')).toBeNull();
+    expect(totp.verifyCode(secret, undefined)).toBeNull();
+  });
+
+  test('builds provisioning URIs for authenticator apps', () => {
+    const uri = totp.buildProvisioningUri('JBSWY3DPEHPK3PXP', 'recruiter@example.com');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Excel%20Medical%20Staffing%3Arecruiter%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=Excel+Medical+Staffing');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * XML Utilities
+ *
+ * Escaping for the XML documents the API renders by hand: sitemaps and job
+ * feeds.
+ */
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} text Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains so the
+ * section cannot be closed early
+ * @param {*} text Text
+ * @returns {string} CDATA section
+ */
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+module.exports = {
+  escapeXml,
+  cdata
+};
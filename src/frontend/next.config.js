@@ -43,6 +43,26 @@ const nextConfig = {
       },
     ];
   },
+  async rewrites() {
+    const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
+
+    return [
+      // Sitemaps are built by the API but must be served from the site itself
+      {
+        source: '/sitemap.xml',
+        destination: `${apiUrl}/sitemap.xml`,
+      },
+      {
+        source: '/sitemaps/:file',
+        destination: `${apiUrl}/sitemaps/:file`,
+      },
+      // Job feeds keep stable URLs on the site for job boards
+      {
+        source: '/feeds/:file',
+        destination: `${apiUrl}/feeds/:file`,
+      },
+    ];
+  },
   async redirects() {
     return [
       // Example redirects for future use
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Button } from '../ui';
+
+/**
+ * RecoveryCodes Component
+ * 
+ * Displays one-time recovery codes once, with copy and download helpers
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.codes - Recovery codes
+ * @param {Function} props.onDone - Called when the user confirms they saved the codes
+ */
+const RecoveryCodes = ({ codes = [], onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying recovery codes:', error);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([codes.join('\n')], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'excel-medical-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900">Save your recovery codes</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Each code can be used once to sign in if you lose access to your authenticator app.
+        They will not be shown again.
+      </p>
+
+      <ul className="mt-4 grid grid-cols-2 gap-2 rounded-md bg-gray-50 p-4 font-mono text-sm text-gray-900" aria-label="Recovery codes">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex flex-wrap gap-3">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          {copied ? 'Copied' : 'Copy codes'}
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          Download
+        </Button>
+      </div>
+
+      {onDone && (
+        <Button type="button" className="mt-6" fullWidth onClick={onDone}>
+          I have saved my recovery codes
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryCodes;
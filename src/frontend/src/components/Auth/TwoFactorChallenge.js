@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Button, TextField } from '../ui';
+
+/**
+ * TwoFactorChallenge Component
+ * 
+ * Asks for an authenticator code, or a recovery code, to finish signing in
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onVerify - Called with { code } or { recoveryCode }; should return a promise
+ * @param {Function} [props.onSuccess] - Called with the login data after verification succeeds
+ */
+const TwoFactorChallenge = ({ onVerify, onSuccess }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      const data = await onVerify(useRecoveryCode ? { recoveryCode: value } : { code: value });
+      if (onSuccess) {
+        onSuccess(data);
+      }
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 423) {
+        setError('Too many failed attempts. Your account is temporarily locked.');
+      } else if (status === 401 && err.response?.data?.error === 'Invalid or expired token') {
+        setError('Your sign-in session expired. Please sign in again.');
+      } else {
+        setError(useRecoveryCode ? 'That recovery code is not valid.' : 'That code is not valid. Try the latest code from your app.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+    setError(null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <h2 className="text-lg font-medium text-gray-900">Two-factor authentication</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+
+      <div className="mt-4">
+        {useRecoveryCode ? (
+          <TextField
+            id="recovery-code"
+            name="recoveryCode"
+            label="Recovery code"
+            placeholder="xxxxx-xxxxx"
+            autoComplete="off"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            error={error}
+            required
+          />
+        ) : (
+          <TextField
+            id="totp-code"
+            name="code"
+            label="Authentication code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="[0-9]*"
+            maxLength={6}
+            value={value}
+            onChange={(e) => setValue(e.target.value.replace(/\D/g, ''))}
+            error={error}
+            required
+            autoFocus
+          />
+        )}
+      </div>
+
+      <Button type="submit" className="mt-6" fullWidth disabled={submitting || !value}>
+        {submitting ? 'Verifying...' : 'Verify'}
+      </Button>
+
+      <button
+        type="button"
+        className="mt-4 text-sm font-medium text-primary-600 hover:text-primary-500"
+        onClick={toggleMode}
+      >
+        {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
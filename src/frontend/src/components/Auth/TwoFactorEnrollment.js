@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Button, TextField } from '../ui';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * TwoFactorEnrollment Component
+ * 
+ * Walks the user through scanning a QR code, confirming a code and saving
+ * recovery codes
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onSetup - Starts enrollment; resolves to { secret, otpauthUri, qrCodeDataUrl }
+ * @param {Function} props.onEnable - Confirms enrollment with a code; resolves to { recoveryCodes, ... }
+ * @param {Function} [props.onComplete] - Called with the enable response once recovery codes are saved
+ */
+const TwoFactorEnrollment = ({ onSetup, onEnable, onComplete }) => {
+  const [setup, setSetup] = useState(null);
+  const [result, setResult] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const startSetup = async () => {
+      try {
+        const data = await onSetup();
+        if (!cancelled) {
+          setSetup(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.status === 409
+            ? 'Two-factor authentication is already enabled on your account.'
+            : 'We could not start two-factor setup. Please try again.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    startSetup();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [onSetup]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      setResult(await onEnable(code));
+    } catch (err) {
+      setError('That code is not valid. Try the latest code from your app.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Preparing two-factor setup...</p>;
+  }
+
+  if (result) {
+    return (
+      <RecoveryCodes
+        codes={result.recoveryCodes}
+        onDone={onComplete ? () => onComplete(result) : undefined}
+      />
+    );
+  }
+
+  if (!setup) {
+    return <p className="text-sm text-red-600" role="alert">{error}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <h2 className="text-lg font-medium text-gray-900">Set up two-factor authentication</h2>
+      <ol className="mt-2 list-decimal space-y-1 pl-5 text-sm text-gray-500">
+        <li>Install an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.</li>
+        <li>Scan the QR code below, or enter the setup key manually.</li>
+        <li>Enter the 6-digit code the app shows to finish.</li>
+      </ol>
+
+      <div className="mt-4 flex flex-col items-center">
+        <img
+          src={setup.qrCodeDataUrl}
+          alt="QR code for your authenticator app"
+          className="h-48 w-48"
+        />
+        <p className="mt-2 text-xs text-gray-500">Setup key</p>
+        <code className="mt-1 break-all rounded bg-gray-50 px-2 py-1 text-sm text-gray-900">
+          {setup.secret.match(/.{1,4}/g).join(' ')}
+        </code>
+        <a href={setup.otpauthUri} className="mt-2 text-sm font-medium text-primary-600 hover:text-primary-500 sm:hidden">
+          Open in authenticator app
+        </a>
+      </div>
+
+      <div className="mt-6">
+        <TextField
+          id="enrollment-code"
+          name="code"
+          label="Authentication code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9]*"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          error={error}
+          required
+        />
+      </div>
+
+      <Button type="submit" className="mt-6" fullWidth disabled={submitting || code.length !== 6}>
+        {submitting ? 'Verifying...' : 'Enable two-factor authentication'}
+      </Button>
+    </form>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,4 @@
+// Export all Auth components
+export { default as TwoFactorChallenge } from './TwoFactorChallenge';
+export { default as TwoFactorEnrollment } from './TwoFactorEnrollment';
+export { default as RecoveryCodes } from './RecoveryCodes';
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import jobService from '../../services/jobService';
+import { Card, TextField } from '../ui';
+
+// Wait for a pause in typing before recalculating
+const DEBOUNCE_MS = 300;
+const DEFAULT_TAX_PERCENT = 25;
+
+const formatMoney = (amount) => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * CompensationCalculator component showing a job's blended weekly pay:
+ * regular and overtime pay, the housing stipend split into tax-free and
+ * taxable parts, and an estimate of take-home pay. Candidates can change the
+ * hours they expect to work and their tax rate to see how the totals move.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.job - Job with id and weeklyHours
+ */
+const CompensationCalculator = ({ job }) => {
+  const [hours, setHours] = useState(job.weeklyHours ? String(job.weeklyHours) : '');
+  const [taxPercent, setTaxPercent] = useState(String(DEFAULT_TAX_PERCENT));
+  const [compensation, setCompensation] = useState(null);
+  const [error, setError] = useState(null);
+
+  const hoursValue = Number(hours);
+  const taxPercentValue = Number(taxPercent);
+  const hoursInvalid = hours === '' || Number.isNaN(hoursValue) || hoursValue < 0 || hoursValue > 168;
+  const taxInvalid = taxPercent === '' || Number.isNaN(taxPercentValue) || taxPercentValue < 0 || taxPercentValue > 100;
+
+  // Recalculate after a pause in typing, cancelling stale requests
+  useEffect(() => {
+    if (hoursInvalid || taxInvalid) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await jobService.getJobCompensation(job.id, {
+          hours: hoursValue,
+          taxRate: taxPercentValue / 100,
+          signal: controller.signal,
+        });
+
+        setCompensation(response.data);
+        setError(null);
+      } catch (error) {
+        if (error.name !== 'CanceledError') {
+          setError('Unable to calculate pay right now.');
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [job.id, hoursValue, taxPercentValue, hoursInvalid, taxInvalid]);
+
+  return (
+    <Card className="mb-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Weekly Pay Calculator</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <TextField
+          id="compensation-hours"
+          name="hours"
+          type="number"
+          label="Hours per week"
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+          error={hoursInvalid ? 'Enter between 0 and 168 hours' : undefined}
+          helperText="Hours over 40 are paid at time and a half"
+          min="0"
+          max="168"
+        />
+        <TextField
+          id="compensation-tax-rate"
+          name="taxRate"
+          type="number"
+          label="Estimated tax rate (%)"
+          value={taxPercent}
+          onChange={(e) => setTaxPercent(e.target.value)}
+          error={taxInvalid ? 'Enter a rate between 0 and 100' : undefined}
+          helperText="Federal, state and payroll taxes combined"
+          min="0"
+          max="100"
+        />
+      </div>
+
+      {error && (
+        <p className="mt-4 text-sm text-red-600">{error}</p>
+      )}
+
+      {compensation && (
+        <div aria-live="polite">
+          <dl className="mt-6 divide-y divide-gray-200 text-sm">
+            <div className="flex justify-between py-2">
+              <dt className="text-gray-600">
+                Regular pay ({compensation.regularHours} hrs × {formatMoney(compensation.hourlyRate)})
+              </dt>
+              <dd className="text-gray-900">{formatMoney(compensation.regularPay)}</dd>
+            </div>
+            {compensation.overtimeHours > 0 && (
+              <div className="flex justify-between py-2">
+                <dt className="text-gray-600">
+                  Overtime ({compensation.overtimeHours} hrs × {formatMoney(compensation.overtimeRate)})
+                </dt>
+                <dd className="text-gray-900">{formatMoney(compensation.overtimePay)}</dd>
+              </div>
+            )}
+            {compensation.housingStipend > 0 && (
+              <div className="flex justify-between py-2">
+                <dt className="text-gray-600">Tax-free housing & meals stipend</dt>
+                <dd className="text-gray-900">{formatMoney(compensation.nonTaxableStipend)}</dd>
+              </div>
+            )}
+            {compensation.taxableStipend > 0 && (
+              <div className="flex justify-between py-2">
+                <dt className="text-gray-600">Taxable stipend (above the per-diem limit)</dt>
+                <dd className="text-gray-900">{formatMoney(compensation.taxableStipend)}</dd>
+              </div>
+            )}
+            <div className="flex justify-between py-2 font-medium">
+              <dt className="text-gray-900">Gross weekly pay</dt>
+              <dd className="text-gray-900">{formatMoney(compensation.grossWeekly)}</dd>
+            </div>
+            <div className="flex justify-between py-2">
+              <dt className="text-gray-600">Estimated taxes on {formatMoney(compensation.taxableWeekly)} taxable</dt>
+              <dd className="text-gray-900">−{formatMoney(compensation.estimatedTax)}</dd>
+            </div>
+            <div className="flex justify-between py-2 text-base font-semibold">
+              <dt className="text-gray-900">Estimated take-home</dt>
+              <dd className="text-green-600">{formatMoney(compensation.estimatedTakeHome)}/week</dd>
+            </div>
+          </dl>
+
+          <p className="mt-4 text-xs text-gray-500">
+            {compensation.blendedHourlyRate !== null && `Blended rate ${formatMoney(compensation.blendedHourlyRate)}/hr. `}
+            Stipends are tax-free up to the FY{compensation.perDiem.fiscalYear} federal per-diem rate
+            for {compensation.perDiem.locality || 'this area'} ({formatMoney(compensation.stipendLimit)}/week),
+            provided you maintain a tax home elsewhere. This is an estimate, not tax advice.
+          </p>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default CompensationCalculator;
\ No newline at end of file
@@ -55,7 +55,10 @@ const JobCard = ({ job }) => {
                   {job.title}
                 </Link>
               </h3>
-              <p className="mt-1 text-sm text-gray-600">{job.facilityName} • {job.city}, {job.state}</p>
+              <p className="mt-1 text-sm text-gray-600">
+                {job.facilityName} • {job.city}, {job.state}
+                {job.distance !== undefined && job.distance !== null && ` • ${job.distance} mi away`}
+              </p>
             </div>
             <div className="mt-2 sm:mt-0 flex flex-wrap gap-2">
               {job.isUrgent && (
@@ -1,6 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { Checkbox, Select, Button } from '../ui';
 
+// Labels for the start date windows returned in the search facets
+const START_DATE_LABELS = {
+  'within-14-days': 'Within 2 weeks',
+  '14-30-days': 'In 2 to 4 weeks',
+  '30-60-days': 'In 1 to 2 months',
+  '60-90-days': 'In 2 to 3 months',
+  '90-plus-days': 'In 3+ months',
+};
+
+/**
+ * Format a pay rate bucket as a label
+ *
+ * @param {Object} bucket - Pay rate bucket with min and max, either of which may be null
+ * @returns {string} - Label such as "$40 - $50"
+ */
+const formatPayBucket = ({ min, max }) => {
+  if (min === null) return `Under $${max}`;
+  if (max === null) return `$${min}+`;
+  return `$${min} - $${max}`;
+};
+
 /**
  * JobFilters component for filtering job search results
  * 
@@ -9,12 +30,14 @@ import { Checkbox, Select, Button } from '../ui';
  * @param {function} props.onFilterChange - Function to handle filter changes
  * @param {Array} props.specialties - List of specialties
  * @param {Array} props.states - List of states
+ * @param {Object} [props.facets] - Job counts per filter value for the current search
  */
 const JobFilters = ({
   filters,
   onFilterChange,
   specialties = [],
   states = [],
+  facets = null,
 }) => {
   // Local state for filters
   const [localFilters, setLocalFilters] = useState(filters);
@@ -41,6 +64,36 @@ const JobFilters = ({
     handleFilterChange(name, value);
   };
 
+  // Handle a range option, such as a pay bucket; selecting it again clears it
+  const handleRangeChange = (minName, maxName, min, max) => {
+    const lower = min === null ? '' : String(min);
+    const upper = max === null ? '' : String(max);
+    const isSelected = isRangeSelected(minName, maxName, min, max);
+    
+    setLocalFilters({
+      ...localFilters,
+      [minName]: isSelected ? '' : lower,
+      [maxName]: isSelected ? '' : upper,
+    });
+  };
+
+  // Check whether a range option matches the current filters
+  const isRangeSelected = (minName, maxName, min, max) => (
+    String(localFilters[minName] || '') === (min === null ? '' : String(min)) &&
+    String(localFilters[maxName] || '') === (max === null ? '' : String(max))
+  );
+
+  // Get the number of matching jobs for a facet value, if facets are loaded
+  const getFacetCount = (facet, value) => {
+    const match = (facets?.[facet] || []).find(
+      item => String(item.value).toLowerCase() === String(value).toLowerCase()
+    );
+    return match ? match.count : 0;
+  };
+
+  // Format an option label with its count
+  const withCount = (label, count) => (count === undefined ? label : `${label} (${count})`);
+
   // Handle filter change
   const handleFilterChange = (name, value) => {
     const updatedFilters = {
@@ -66,14 +119,19 @@ const JobFilters = ({
       shiftType: [],
       minPay: '',
       maxPay: '',
+      startDate: '',
+      startBefore: '',
+      isFeatured: false,
+      isUrgent: false,
     };
     
     setLocalFilters(resetValues);
     onFilterChange(resetValues);
   };
 
-  // Sort options
+  // Sort options; distance only applies to searches near a location
   const sortOptions = [
+    ...(filters.near ? [{ value: 'distance:asc', label: 'Nearest' }] : []),
     { value: 'updatedAt:desc', label: 'Most Recent' },
     { value: 'payRate:desc', label: 'Highest Pay' },
     { value: 'payRate:asc', label: 'Lowest Pay' },
@@ -139,7 +197,7 @@ const JobFilters = ({
                 key={specialty.name}
                 id={`specialty-${specialty.name}`}
                 name="specialty"
-                label={`${specialty.name} (${specialty.count})`}
+                label={withCount(specialty.name, facets ? getFacetCount('specialty', specialty.name) : specialty.count)}
                 checked={(localFilters.specialty || []).includes(specialty.name)}
                 onChange={() => handleCheckboxChange('specialty', specialty.name)}
               />
@@ -164,7 +222,7 @@ const JobFilters = ({
                 key={state.state}
                 id={`state-${state.state}`}
                 name="state"
-                label={`${state.state} (${state.count})`}
+                label={withCount(state.state, facets ? getFacetCount('state', state.state) : state.count)}
                 checked={(localFilters.state || []).includes(state.state)}
                 onChange={() => handleCheckboxChange('state', state.state)}
               />
@@ -180,6 +238,25 @@ const JobFilters = ({
           )}
         </div>
 
+        {/* City filter */}
+        {facets?.city?.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">City</h3>
+            <div className="space-y-2 max-h-48 overflow-y-auto pr-2">
+              {facets.city.slice(0, 10).map((city) => (
+                <Checkbox
+                  key={city.value}
+                  id={`city-${city.value}`}
+                  name="city"
+                  label={withCount(city.value, city.count)}
+                  checked={localFilters.city === city.value}
+                  onChange={() => handleFilterChange('city', localFilters.city === city.value ? '' : city.value)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Shift type filter */}
         <div>
           <h3 className="text-sm font-medium text-gray-900 mb-2">Shift Type</h3>
@@ -189,7 +266,7 @@ const JobFilters = ({
                 key={shift.id}
                 id={`shift-${shift.id}`}
                 name="shiftType"
-                label={shift.label}
+                label={withCount(shift.label, facets ? getFacetCount('shiftType', shift.id) : undefined)}
                 checked={(localFilters.shiftType || []).includes(shift.id)}
                 onChange={() => handleCheckboxChange('shiftType', shift.id)}
               />
@@ -224,8 +301,64 @@ const JobFilters = ({
               />
             </div>
           </div>
+          {facets?.payRate && (
+            <div className="mt-3 space-y-2">
+              {facets.payRate.map((bucket) => (
+                <Checkbox
+                  key={bucket.key}
+                  id={`pay-${bucket.key}`}
+                  name="payRate"
+                  label={withCount(formatPayBucket(bucket), bucket.count)}
+                  checked={isRangeSelected('minPay', 'maxPay', bucket.min, bucket.max)}
+                  onChange={() => handleRangeChange('minPay', 'maxPay', bucket.min, bucket.max)}
+                />
+              ))}
+            </div>
+          )}
         </div>
 
+        {/* Start date filter */}
+        {facets?.startDate && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Start Date</h3>
+            <div className="space-y-2">
+              {facets.startDate.map((window) => (
+                <Checkbox
+                  key={window.key}
+                  id={`start-${window.key}`}
+                  name="startDate"
+                  label={withCount(START_DATE_LABELS[window.key] || window.key, window.count)}
+                  checked={isRangeSelected('startDate', 'startBefore', window.from, window.to)}
+                  onChange={() => handleRangeChange('startDate', 'startBefore', window.from, window.to)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Featured and urgent filters */}
+        {facets && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Highlights</h3>
+            <div className="space-y-2">
+              <Checkbox
+                id="isFeatured"
+                name="isFeatured"
+                label={withCount('Featured', facets.isFeatured)}
+                checked={Boolean(localFilters.isFeatured)}
+                onChange={() => handleFilterChange('isFeatured', !localFilters.isFeatured)}
+              />
+              <Checkbox
+                id="isUrgent"
+                name="isUrgent"
+                label={withCount('Urgent', facets.isUrgent)}
+                checked={Boolean(localFilters.isUrgent)}
+                onChange={() => handleFilterChange('isUrgent', !localFilters.isUrgent)}
+              />
+            </div>
+          </div>
+        )}
+
         {/* Filter actions */}
         <div className="pt-4 border-t border-gray-200 flex flex-col space-y-2">
           <Button
@@ -1,10 +1,12 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import JobCard from './JobCard';
 import JobListSkeleton from './JobListSkeleton';
 import { Button } from '../ui';
 
 /**
- * JobList component for displaying a list of jobs with pagination
+ * JobList component for displaying a list of jobs with pagination. When
+ * onLoadMore is given, more jobs are loaded as the end of the list scrolls
+ * into view instead of showing page numbers.
  * 
  * @param {Object} props - Component props
  * @param {Array} props.jobs - List of jobs to display
@@ -14,6 +16,9 @@ import { Button } from '../ui';
  * @param {number} props.currentPage - Current page number
  * @param {number} props.totalPages - Total number of pages
  * @param {function} props.onPageChange - Function to handle page change
+ * @param {function} props.onLoadMore - Function to load the next jobs for infinite scrolling
+ * @param {boolean} props.hasMore - Whether there are more jobs to load
+ * @param {boolean} props.loadingMore - Whether more jobs are loading
  */
 const JobList = ({
   jobs = [],
@@ -23,7 +28,31 @@ const JobList = ({
   currentPage = 1,
   totalPages = 1,
   onPageChange,
+  onLoadMore,
+  hasMore = false,
+  loadingMore = false,
 }) => {
+  const sentinelRef = useRef(null);
+
+  // Load more jobs when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+
+    if (!onLoadMore || !hasMore || loadingMore || !sentinel || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, loadingMore, jobs.length]);
+
   // Generate pagination array
   const generatePagination = () => {
     const pages = [];
@@ -128,10 +157,16 @@ const JobList = ({
     <div>
       {/* Results count */}
       <div className="mb-4">
-        <p className="text-gray-600">
-          Showing <span className="font-medium">{jobs.length}</span> of{' '}
-          <span className="font-medium">{totalJobs}</span> jobs
-        </p>
+        {onLoadMore ? (
+          <p className="text-gray-600">
+            Showing <span className="font-medium">{jobs.length}</span>{hasMore ? '+' : ''} jobs
+          </p>
+        ) : (
+          <p className="text-gray-600">
+            Showing <span className="font-medium">{jobs.length}</span> of{' '}
+            <span className="font-medium">{totalJobs}</span> jobs
+          </p>
+        )}
       </div>
 
       {/* Job cards */}
@@ -141,8 +176,21 @@ const JobList = ({
         ))}
       </div>
 
+      {/* Infinite scrolling, with a button for when the observer is unavailable */}
+      {onLoadMore && hasMore && (
+        <div ref={sentinelRef} className="mt-8 flex justify-center" aria-live="polite">
+          {loadingMore ? (
+            <p className="text-gray-500">Loading more jobs...</p>
+          ) : (
+            <Button variant="outline" onClick={onLoadMore}>
+              Load More Jobs
+            </Button>
+          )}
+        </div>
+      )}
+
       {/* Pagination */}
-      {totalPages > 1 && (
+      {!onLoadMore && totalPages > 1 && (
         <div className="mt-8 flex justify-center">
           <nav className="inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
             {/* Previous page button */}
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import jobService from '../../services/jobService';
-import { TextField, Select, Button } from '../ui';
+import { Select, Button } from '../ui';
+import SuggestionCombobox from './SuggestionCombobox';
 
 const JobSearchForm = ({ initialValues = {}, className = '' }) => {
   const router = useRouter();
@@ -12,7 +13,8 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
     radius: initialValues.radius || '50',
   });
   const [specialties, setSpecialties] = useState([]);
-  const [locations, setLocations] = useState([]);
+  // City and state of a picked location suggestion
+  const [pickedLocation, setPickedLocation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -22,26 +24,26 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
       setSearchParams({
         keyword: router.query.keyword || '',
         specialty: router.query.specialty || '',
-        location: router.query.location || '',
+        location: router.query.location
+          || [router.query.city, router.query.state].filter(Boolean).join(', '),
         radius: router.query.radius || '50',
       });
+      setPickedLocation(!router.query.location && router.query.state
+        ? { city: router.query.city, state: router.query.state }
+        : null);
     }
   }, [router.query]);
 
-  // Fetch specialties and locations on component mount
+  // Fetch specialties on component mount
   useEffect(() => {
     const fetchData = async () => {
       setLoading(true);
       setError(null);
       
       try {
-        const [specialtiesResponse, locationsResponse] = await Promise.all([
-          jobService.getSpecialties(),
-          jobService.getLocations()
-        ]);
+        const specialtiesResponse = await jobService.getSpecialties();
         
         setSpecialties(specialtiesResponse.data);
-        setLocations(locationsResponse.data);
       } catch (err) {
         console.error('Error fetching form data:', err);
         setError('Failed to load search options. Please try again later.');
@@ -59,6 +61,23 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
       ...prev,
       [name]: value,
     }));
+    
+    if (name === 'location') {
+      setPickedLocation(null);
+    }
+  };
+
+  // Specialty suggestions fill the specialty dropdown; titles and facilities
+  // become the keyword
+  const handleKeywordSelect = (suggestion) => {
+    setSearchParams((prev) => (suggestion.group === 'specialties'
+      ? { ...prev, specialty: suggestion.value, keyword: '' }
+      : { ...prev, keyword: suggestion.value }));
+  };
+
+  const handleLocationSelect = (suggestion) => {
+    setSearchParams((prev) => ({ ...prev, location: suggestion.value }));
+    setPickedLocation({ city: suggestion.city, state: suggestion.state });
   };
 
   const handleSubmit = (e) => {
@@ -75,11 +94,18 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
       queryParams.append('specialty', searchParams.specialty);
     }
     
-    if (searchParams.location) {
+    // Picked cities and states filter exactly; typed locations are searched by radius
+    if (pickedLocation) {
+      if (pickedLocation.city) {
+        queryParams.append('city', pickedLocation.city);
+      }
+      
+      queryParams.append('state', pickedLocation.state);
+    } else if (searchParams.location) {
       queryParams.append('location', searchParams.location);
     }
     
-    if (searchParams.radius && searchParams.location) {
+    if (searchParams.radius && searchParams.location && !pickedLocation) {
       queryParams.append('radius', searchParams.radius);
     }
     
@@ -96,29 +122,6 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
     })))
   ];
 
-  // Create location datalist options
-  const getLocationOptions = () => {
-    const options = [];
-    
-    // Add state options
-    locations.forEach(location => {
-      options.push({
-        value: location.state,
-        label: `${location.state} (${location.count})`
-      });
-      
-      // Add city options
-      location.cities.forEach(city => {
-        options.push({
-          value: `${city.name}, ${location.state}`,
-          label: `${city.name}, ${location.state} (${city.count})`
-        });
-      });
-    });
-    
-    return options;
-  };
-
   // Create radius options
   const radiusOptions = [
     { value: '10', label: '10 miles' },
@@ -133,11 +136,14 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
       <div className="flex flex-col md:flex-row gap-4">
         {/* Keyword Search */}
         <div className="flex-1">
-          <TextField
+          <SuggestionCombobox
             id="keyword"
             name="keyword"
             value={searchParams.keyword}
             onChange={handleChange}
+            onSelect={handleKeywordSelect}
+            groups={['specialties', 'titles', 'facilities']}
+            label="Keyword suggestions"
             placeholder="Job title or keyword"
             startIcon={
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-gray-400" viewBox="0 0 20 20" fill="currentColor">
@@ -167,27 +173,21 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
 
         {/* Location Search */}
         <div className="flex-1">
-          <TextField
+          <SuggestionCombobox
             id="location"
             name="location"
             value={searchParams.location}
             onChange={handleChange}
+            onSelect={handleLocationSelect}
+            groups={['locations']}
+            label="Location suggestions"
             placeholder="City, state, or zip"
-            list="location-options"
-            disabled={loading}
             startIcon={
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-gray-400" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
               </svg>
             }
           />
-          <datalist id="location-options">
-            {getLocationOptions().map((option, index) => (
-              <option key={index} value={option.value}>
-                {option.label}
-              </option>
-            ))}
-          </datalist>
         </div>
 
         {/* Search Button */}
@@ -205,7 +205,7 @@ const JobSearchForm = ({ initialValues = {}, className = '' }) => {
       </div>
 
       {/* Radius Filter (only shown when location is provided) */}
-      {searchParams.location && (
+      {searchParams.location && !pickedLocation && (
         <div className="mt-3 flex items-center">
           <label htmlFor="radius" className="mr-2 text-sm text-gray-600">
             Within:
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef } from 'react';
+import jobService from '../../services/jobService';
+import { TextField } from '../ui';
+
+// Wait for a pause in typing before asking for suggestions
+const DEBOUNCE_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const GROUP_LABELS = {
+  specialties: 'Specialties',
+  locations: 'Locations',
+  facilities: 'Facilities',
+  titles: 'Job Titles',
+};
+
+/**
+ * SuggestionCombobox component for a search input with typeahead
+ * suggestions. Follows the WAI-ARIA combobox pattern: arrow keys move through
+ * the suggestions, Enter picks one and Escape closes the list.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Input ID
+ * @param {string} props.name - Input name
+ * @param {string} props.value - Input value
+ * @param {function} props.onChange - Input change handler
+ * @param {function} props.onSelect - Called with the picked suggestion and its group
+ * @param {Array<string>} props.groups - Suggestion groups to show, in order
+ * @param {string} [props.label] - Accessible name of the suggestion list
+ * @param {string} [props.placeholder] - Input placeholder
+ * @param {React.ReactNode} [props.startIcon] - Icon to display at start of input
+ * @param {boolean} [props.disabled=false] - Whether input is disabled
+ */
+const SuggestionCombobox = ({
+  id,
+  name,
+  value,
+  onChange,
+  onSelect,
+  groups,
+  label = 'Suggestions',
+  placeholder,
+  startIcon,
+  disabled = false,
+}) => {
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Only suggest while the user types, not when the value is set for them
+  const typingRef = useRef(false);
+
+  // Fetch suggestions after a pause in typing, cancelling stale requests
+  useEffect(() => {
+    const q = value.trim();
+
+    if (!typingRef.current || q.length < MIN_QUERY_LENGTH) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await jobService.getSuggestions(q, { signal: controller.signal });
+
+        setSuggestions(response.data);
+        setActiveIndex(-1);
+        setOpen(true);
+      } catch (error) {
+        // Suggestions are optional; the input keeps working without them
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  // Flatten the shown groups so options can be navigated by index
+  const options = suggestions
+    ? groups.flatMap(group => (suggestions[group] || []).map(suggestion => ({ ...suggestion, group })))
+    : [];
+  const expanded = open && options.length > 0;
+  const listboxId = `${id}-suggestions`;
+  const getOptionId = (index) => `${id}-suggestion-${index}`;
+
+  const handleChange = (e) => {
+    typingRef.current = true;
+    onChange(e);
+  };
+
+  const handleSelect = (option) => {
+    typingRef.current = false;
+    setOpen(false);
+    setSuggestions(null);
+    onSelect(option);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (options.length === 0) {
+        return;
+      }
+
+      e.preventDefault();
+
+      if (!expanded) {
+        setOpen(true);
+        return;
+      }
+
+      setActiveIndex((index) => (e.key === 'ArrowDown'
+        ? (index + 1) % options.length
+        : (index <= 0 ? options.length - 1 : index - 1)));
+    } else if (e.key === 'Enter' && expanded && activeIndex >= 0) {
+      e.preventDefault();
+      handleSelect(options[activeIndex]);
+    } else if (e.key === 'Escape' && expanded) {
+      e.preventDefault();
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <TextField
+        id={id}
+        name={name}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        startIcon={startIcon}
+        disabled={disabled}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listboxId}
+        aria-activedescendant={expanded && activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+      />
+
+      {expanded && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label={label}
+          className="absolute z-20 mt-1 w-full max-h-80 overflow-auto rounded-md bg-white py-1 text-sm shadow-lg ring-1 ring-black ring-opacity-5"
+        >
+          {groups.filter(group => (suggestions[group] || []).length > 0).map(group => (
+            <li key={group} role="presentation">
+              <div
+                id={`${id}-group-${group}`}
+                className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500"
+              >
+                {GROUP_LABELS[group]}
+              </div>
+              <ul role="group" aria-labelledby={`${id}-group-${group}`}>
+                {options.map((option, index) => option.group === group && (
+                  <li
+                    key={`${group}-${option.value}`}
+                    id={getOptionId(index)}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    // Keep focus in the input so the pick isn't lost to blur
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleSelect(option)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex cursor-pointer justify-between px-3 py-2 ${
+                      index === activeIndex ? 'bg-primary-50 text-primary-700' : 'text-gray-900'
+                    }`}
+                  >
+                    <span>
+                      {option.label || option.value}
+                      {option.synonym && (
+                        <span className="ml-1 text-gray-500">({option.synonym})</span>
+                      )}
+                    </span>
+                    <span className="ml-3 text-gray-400">{option.count}</span>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="sr-only" aria-live="polite">
+        {expanded ? `${options.length} suggestions available` : ''}
+      </div>
+    </div>
+  );
+};
+
+export default SuggestionCombobox;
\ No newline at end of file
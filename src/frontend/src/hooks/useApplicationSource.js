@@ -0,0 +1,45 @@
+/**
+ * Custom hook for attributing applications to where candidates came from
+ */
+import { useEffect } from 'react';
+import { useRouter } from 'next/router';
+
+const STORAGE_KEY = 'applicationSource';
+
+// Same rule as the API applies to job feed sources
+const SOURCE_PATTERN = /^[a-z0-9_-]{1,100}$/;
+
+/**
+ * Get the source the visitor arrived from, to record on their application
+ * @returns {string|null} - Source, e.g. 'indeed', or null if they came directly
+ */
+export const getApplicationSource = () => {
+  try {
+    return sessionStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Hook that remembers the utm_source a visitor arrived with, e.g. from a
+ * job feed link, for the rest of their visit
+ */
+const useApplicationSource = () => {
+  const router = useRouter();
+  const { utm_source: utmSource } = router.query;
+
+  useEffect(() => {
+    const source = typeof utmSource === 'string' ? utmSource.toLowerCase() : null;
+
+    if (source && SOURCE_PATTERN.test(source)) {
+      try {
+        sessionStorage.setItem(STORAGE_KEY, source);
+      } catch (error) {
+        console.error('Error saving application source:', error);
+      }
+    }
+  }, [utmSource]);
+};
+
+export default useApplicationSource;
\ No newline at end of file
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { TwoFactorEnrollment } from '../../components/Auth';
+import authService from '../../services/authService';
+
+/**
+ * TwoFactorSetupPage Component
+ * 
+ * Two-factor enrollment, reached from account settings or from sign-in
+ * when the user's role requires two-factor authentication
+ */
+const TwoFactorSetupPage = () => {
+  const router = useRouter();
+  const [requiredAtLogin, setRequiredAtLogin] = useState(false);
+
+  useEffect(() => {
+    setRequiredAtLogin(authService.hasPendingEnrollment());
+
+    // Enrollment needs either a signed-in user or an enrollment token from login
+    if (!authService.hasPendingEnrollment() && localStorage.getItem('token') === null) {
+      router.replace('/login');
+    }
+  }, [router]);
+
+  return (
+    <>
+      <Head>
+        <title>Two-Factor Authentication | Excel Medical Staffing</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="bg-gray-50 min-h-screen py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+          {requiredAtLogin && (
+            <div className="mb-6 rounded-md bg-yellow-50 p-4 text-sm text-yellow-800" role="status">
+              Your account type requires two-factor authentication. Finish setup to sign in.
+            </div>
+          )}
+
+          <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+            <TwoFactorEnrollment
+              onSetup={authService.setupTwoFactor}
+              onEnable={authService.enableTwoFactor}
+              onComplete={() => router.push('/dashboard')}
+            />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TwoFactorSetupPage;
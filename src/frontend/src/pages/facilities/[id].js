@@ -0,0 +1,444 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import facilityService from '../../services/facilityService';
+import { Badge, Card } from '../../components/ui';
+
+// Facility profile page: the facility's details, stats on its jobs and
+// placements, and its open jobs.
+const FacilityDetailPage = () => {
+  const router = useRouter();
+  const { id } = router.query;
+
+  const [facility, setFacility] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch facility details
+  useEffect(() => {
+    const fetchFacilityDetails = async () => {
+      if (!id) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const [facilityResponse, statsResponse, jobsResponse] = await Promise.all([
+          facilityService.getFacilityById(id),
+          facilityService.getFacilityStats(id),
+          facilityService.getFacilityJobs(id, { limit: 10, sort: 'createdAt:desc' })
+        ]);
+
+        setFacility(facilityResponse.data);
+        setStats(statsResponse.data);
+        setJobs(jobsResponse.data);
+      } catch (error) {
+        // A missing facility shows the not found message
+        if (!error.response || error.response.status !== 404) {
+          console.error('Error fetching facility details:', error);
+          setError('Failed to load facility details. Please try again later.');
+        }
+        setFacility(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFacilityDetails();
+  }, [id]);
+
+  if (loading) {
+    return <FacilityDetailSkeleton />;
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="bg-red-50 border-l-4 border-red-400 p-4 my-4">
+          <div className="flex">
+            <div className="flex-shrink-0">
+              <svg className="h-5 w-5 text-red-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+              </svg>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          </div>
+        </div>
+        <Link href="/jobs/search">
+          <a className="text-primary-600 hover:text-primary-800">
+            &larr; Back to job search
+          </a>
+        </Link>
+      </div>
+    );
+  }
+
+  if (!facility) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 my-4">
+          <div className="flex">
+            <div className="flex-shrink-0">
+              <svg className="h-5 w-5 text-yellow-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+              </svg>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-yellow-700">
+                Facility not found.
+              </p>
+            </div>
+          </div>
+        </div>
+        <Link href="/jobs/search">
+          <a className="text-primary-600 hover:text-primary-800">
+            &larr; Back to job search
+          </a>
+        </Link>
+      </div>
+    );
+  }
+
+  // Format stats
+  const openJobCount = stats ? stats.openJobs.total : 0;
+  const medianPay = stats && stats.pay ? `$${stats.pay.median.toFixed(2)}/hr` : 'N/A';
+  const payRange = stats && stats.pay ? `$${stats.pay.min.toFixed(2)} – $${stats.pay.max.toFixed(2)}/hr` : 'No open jobs';
+  const timeToFill = stats && stats.averageTimeToFillDays !== null ? `${stats.averageTimeToFillDays} days` : 'N/A';
+  const contractLength = stats && stats.typicalContractWeeks !== null ? `${stats.typicalContractWeeks} weeks` : 'N/A';
+  const applicationsPerPlacement = stats && stats.applications.applicationsPerPlacement !== null
+    ? `${stats.applications.applicationsPerPlacement} : 1`
+    : 'N/A';
+
+  // Scale the posting volume bars to the busiest month
+  const postingVolume = stats ? stats.postingVolume : [];
+  const maxPostings = Math.max(1, ...postingVolume.map(volume => volume.count));
+  const maxSpecialtyCount = stats && stats.openJobs.bySpecialty.length > 0 ? stats.openJobs.bySpecialty[0].count : 1;
+
+  const description = facility.description || `${facility.name} is a ${facility.type ? facility.type.toLowerCase() : 'healthcare facility'} in ${facility.city}, ${facility.state}.`;
+
+  return (
+    <>
+      <Head>
+        <title>{facility.name} in {facility.city}, {facility.state} | Excel Medical Staffing</title>
+        <meta name="description" content={`${facility.name} in ${facility.city}, ${facility.state}: ${openJobCount} open travel jobs. See pay, contract lengths and how quickly jobs fill with Excel Medical Staffing.`} />
+        <meta property="og:title" content={`${facility.name} in ${facility.city}, ${facility.state} | Excel Medical Staffing`} />
+        <meta property="og:description" content={description} />
+        <meta property="og:type" content="website" />
+        <meta property="og:url" content={`https://excelmedicalsolutions.com/facilities/${facility.id}`} />
+      </Head>
+
+      <div className="bg-gray-50 min-h-screen py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          {/* Breadcrumbs */}
+          <nav className="flex mb-6" aria-label="Breadcrumb">
+            <ol className="flex items-center space-x-4">
+              <li>
+                <div>
+                  <Link href="/">
+                    <a className="text-gray-400 hover:text-gray-500">
+                      <svg className="flex-shrink-0 h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                        <path d="M10.707 2.293a1 1 0 00-1.414 0l-7 7a1 1 0 001.414 1.414L4 10.414V17a1 1 0 001 1h2a1 1 0 001-1v-2a1 1 0 011-1h2a1 1 0 011 1v2a1 1 0 001 1h2a1 1 0 001-1v-6.586l.293.293a1 1 0 001.414-1.414l-7-7z" />
+                      </svg>
+                      <span className="sr-only">Home</span>
+                    </a>
+                  </Link>
+                </div>
+              </li>
+              <li>
+                <div className="flex items-center">
+                  <svg className="flex-shrink-0 h-5 w-5 text-gray-300" xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                    <path d="M5.555 17.776l8-16 .894.448-8 16-.894-.448z" />
+                  </svg>
+                  <Link href="/jobs/search">
+                    <a className="ml-4 text-sm font-medium text-gray-500 hover:text-gray-700">Jobs</a>
+                  </Link>
+                </div>
+              </li>
+              <li>
+                <div className="flex items-center">
+                  <svg className="flex-shrink-0 h-5 w-5 text-gray-300" xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                    <path d="M5.555 17.776l8-16 .894.448-8 16-.894-.448z" />
+                  </svg>
+                  <span className="ml-4 text-sm font-medium text-gray-500 truncate max-w-xs">
+                    {facility.name}
+                  </span>
+                </div>
+              </li>
+            </ol>
+          </nav>
+
+          {/* Facility header */}
+          <Card className="mb-6">
+            <div className="flex flex-col md:flex-row md:justify-between md:items-start">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">{facility.name}</h1>
+                <p className="text-lg text-gray-600">{facility.type}</p>
+                <p className="text-gray-600">{facility.city}, {facility.state}</p>
+
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {facility.traumaLevel && (
+                    <Badge variant="warning" size="md">
+                      Trauma Level {facility.traumaLevel}
+                    </Badge>
+                  )}
+
+                  {facility.isTeachingHospital && (
+                    <Badge variant="info" size="md">
+                      Teaching Hospital
+                    </Badge>
+                  )}
+
+                  {facility.isMagnetDesignated && (
+                    <Badge variant="success" size="md">
+                      Magnet Designated
+                    </Badge>
+                  )}
+                </div>
+              </div>
+
+              <div className="mt-4 md:mt-0 text-center md:text-right">
+                <div className="text-2xl font-bold text-green-600">
+                  {openJobCount} open {openJobCount === 1 ? 'job' : 'jobs'}
+                </div>
+                {facility.bedCount && (
+                  <div className="text-sm text-gray-600">
+                    {facility.bedCount} beds
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="prose max-w-none mt-4">
+              <p>{description}</p>
+            </div>
+          </Card>
+
+          {/* Stats */}
+          {stats && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+              <Card>
+                <h3 className="text-sm font-medium text-gray-500">Median Pay</h3>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{medianPay}</p>
+                <p className="mt-1 text-sm text-gray-500">{payRange}</p>
+              </Card>
+              <Card>
+                <h3 className="text-sm font-medium text-gray-500">Average Time to Fill</h3>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{timeToFill}</p>
+                <p className="mt-1 text-sm text-gray-500">From posting to filled</p>
+              </Card>
+              <Card>
+                <h3 className="text-sm font-medium text-gray-500">Typical Contract</h3>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{contractLength}</p>
+                <p className="mt-1 text-sm text-gray-500">Median assignment length</p>
+              </Card>
+              <Card>
+                <h3 className="text-sm font-medium text-gray-500">Applications per Placement</h3>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{applicationsPerPlacement}</p>
+                <p className="mt-1 text-sm text-gray-500">
+                  {stats.applications.placed} placed from {stats.applications.total} applications
+                </p>
+              </Card>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* Open jobs */}
+            <div className="lg:col-span-2">
+              <Card className="mb-6">
+                <h2 className="text-lg font-medium text-gray-900 mb-4">Open Jobs</h2>
+
+                {jobs.length > 0 ? (
+                  <ul className="divide-y divide-gray-200">
+                    {jobs.map(job => (
+                      <li key={job.id} className="py-4">
+                        <Link href={`/jobs/${job.id}`}>
+                          <a className="block hover:bg-gray-50 -mx-2 px-2 py-1 rounded">
+                            <div className="flex justify-between items-start">
+                              <div>
+                                <p className="text-md font-medium text-primary-600">{job.title}</p>
+                                <p className="text-sm text-gray-600">
+                                  {job.specialty} • {job.shiftType || 'Various Shifts'}
+                                  {job.startDate && ` • Starts ${format(new Date(job.startDate), 'MMM d, yyyy')}`}
+                                </p>
+                              </div>
+                              <div className="text-right">
+                                <p className="text-sm font-medium text-green-600">
+                                  {job.payRate ? `$${job.payRate.toFixed(2)}/hr` : 'Competitive'}
+                                </p>
+                                {job.isUrgent && (
+                                  <Badge variant="error" size="sm">
+                                    Urgent
+                                  </Badge>
+                                )}
+                              </div>
+                            </div>
+                          </a>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">There are no open jobs at this facility right now.</p>
+                )}
+
+                {openJobCount > jobs.length && (
+                  <div className="mt-4">
+                    <Link href={`/jobs/search?keyword=${encodeURIComponent(facility.name)}`}>
+                      <a className="text-primary-600 hover:text-primary-800 text-sm font-medium">
+                        View all {openJobCount} jobs &rarr;
+                      </a>
+                    </Link>
+                  </div>
+                )}
+              </Card>
+
+              {/* Posting volume */}
+              {stats && (
+                <Card className="mb-6">
+                  <h2 className="text-lg font-medium text-gray-900 mb-4">Jobs Posted per Month</h2>
+                  <div className="flex items-end h-40 space-x-2">
+                    {postingVolume.map(volume => (
+                      <div key={volume.month} className="flex-1 flex flex-col items-center justify-end h-full">
+                        <span className="text-xs text-gray-500 mb-1">{volume.count}</span>
+                        <div
+                          className="w-full bg-primary-500 rounded-t"
+                          style={{ height: `${(volume.count / maxPostings) * 100}%` }}
+                          title={`${volume.count} jobs posted`}
+                        />
+                        <span className="text-xs text-gray-500 mt-1">
+                          {format(new Date(`${volume.month}-01T00:00:00`), 'MMM')}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+              )}
+            </div>
+
+            {/* Sidebar */}
+            <div>
+              {/* Open jobs by specialty */}
+              {stats && stats.openJobs.bySpecialty.length > 0 && (
+                <Card className="mb-6">
+                  <h2 className="text-lg font-medium text-gray-900 mb-4">Open Jobs by Specialty</h2>
+                  <ul className="space-y-3">
+                    {stats.openJobs.bySpecialty.map(({ specialty, count }) => (
+                      <li key={specialty}>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-700">{specialty}</span>
+                          <span className="font-medium text-gray-900">{count}</span>
+                        </div>
+                        <div className="mt-1 h-2 bg-gray-100 rounded">
+                          <div className="h-2 bg-primary-500 rounded" style={{ width: `${(count / maxSpecialtyCount) * 100}%` }} />
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </Card>
+              )}
+
+              {/* Facility details */}
+              <Card className="mb-6">
+                <h2 className="text-lg font-medium text-gray-900 mb-4">Facility Details</h2>
+                <div className="space-y-4">
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-500">Address</h3>
+                    <p className="mt-1 text-sm text-gray-900">
+                      {facility.address && <>{facility.address}<br /></>}
+                      {facility.city}, {facility.state} {facility.zipCode}
+                    </p>
+                  </div>
+
+                  {facility.specialties && facility.specialties.length > 0 && (
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-500">Specialties</h3>
+                      <p className="mt-1 text-sm text-gray-900">{facility.specialties.join(', ')}</p>
+                    </div>
+                  )}
+
+                  {facility.phone && (
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-500">Phone</h3>
+                      <p className="mt-1 text-sm text-gray-900">{facility.phone}</p>
+                    </div>
+                  )}
+
+                  {facility.website && (
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-500">Website</h3>
+                      <a href={facility.website} target="_blank" rel="noopener noreferrer" className="mt-1 text-sm text-primary-600 hover:text-primary-800 break-all">
+                        {facility.website}
+                      </a>
+                    </div>
+                  )}
+                </div>
+              </Card>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Skeleton loader for facility detail page
+const FacilityDetailSkeleton = () => {
+  return (
+    <div className="bg-gray-50 min-h-screen py-8 animate-pulse">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Breadcrumbs skeleton */}
+        <div className="flex mb-6">
+          <div className="h-5 bg-gray-200 rounded w-1/3"></div>
+        </div>
+
+        {/* Facility header skeleton */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <div className="h-7 bg-gray-200 rounded w-1/2 mb-2"></div>
+          <div className="h-5 bg-gray-200 rounded w-1/4 mb-2"></div>
+          <div className="h-5 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-full mb-2"></div>
+          <div className="h-4 bg-gray-200 rounded w-5/6"></div>
+        </div>
+
+        {/* Stats skeleton */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+          {Array.from({ length: 4 }).map((_, i) => (
+            <div key={i} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+              <div className="h-7 bg-gray-200 rounded w-2/3"></div>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Open jobs skeleton */}
+          <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="h-6 bg-gray-200 rounded w-1/4 mb-4"></div>
+            {Array.from({ length: 4 }).map((_, i) => (
+              <div key={i} className="py-3">
+                <div className="h-5 bg-gray-200 rounded w-1/2 mb-2"></div>
+                <div className="h-4 bg-gray-200 rounded w-1/3"></div>
+              </div>
+            ))}
+          </div>
+
+          {/* Sidebar skeleton */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="h-6 bg-gray-200 rounded w-1/2 mb-4"></div>
+            {Array.from({ length: 4 }).map((_, i) => (
+              <div key={i} className="h-4 bg-gray-200 rounded w-full mb-3"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FacilityDetailPage;
\ No newline at end of file
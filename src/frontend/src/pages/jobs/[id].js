@@ -5,9 +5,12 @@ import Link from 'next/link';
 import { formatDistanceToNow, format } from 'date-fns';
 import jobService from '../../services/jobService';
 import { Button, Badge, Card } from '../../components/ui';
+import CompensationCalculator from '../../components/JobSearch/CompensationCalculator';
+import useApplicationSource from '../../hooks/useApplicationSource';
 
-// Job detail page component
-const JobDetailPage = () => {
+// Job detail page component. The JobPosting JSON-LD comes from the server,
+// so crawlers find it in the page's HTML.
+const JobDetailPage = ({ jobPosting }) => {
   const router = useRouter();
   const { id } = router.query;
   
@@ -17,6 +20,9 @@ const JobDetailPage = () => {
   const [error, setError] = useState(null);
   const [shareModalOpen, setShareModalOpen] = useState(false);
   
+  // Remember the job board or feed the visitor came from
+  useApplicationSource();
+  
   // Fetch job details
   useEffect(() => {
     const fetchJobDetails = async () => {
@@ -60,8 +66,23 @@ const JobDetailPage = () => {
     router.push(`/jobs/${id}/apply`);
   };
   
+  // Schema.org job posting markup; "<" is escaped so the JSON cannot end the script early
+  const jobPostingHead = jobPosting && (
+    <Head>
+      <script
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{ __html: JSON.stringify(jobPosting).replace(/</g, '\\u003c') }}
+      />
+    </Head>
+  );
+  
   if (loading) {
-    return <JobDetailSkeleton />;
+    return (
+      <>
+        {jobPostingHead}
+        <JobDetailSkeleton />
+      </>
+    );
   }
   
   if (error) {
@@ -159,55 +180,8 @@ const JobDetailPage = () => {
         <meta property="og:url" content={`https://excelmedicalsolutions.com/jobs/${job.id}`} />
         <meta property="og:image" content="https://excelmedicalsolutions.com/images/job-share-image.jpg" />
         <meta name="twitter:card" content="summary_large_image" />
-        
-        {/* Schema.org job posting markup */}
-        <script type="application/ld+json">
-          {JSON.stringify({
-            "@context": "https://schema.org/",
-            "@type": "JobPosting",
-            "title": job.title,
-            "description": job.description,
-            "datePosted": job.createdAt,
-            "validThrough": job.endDate,
-            "employmentType": "CONTRACTOR",
-            "hiringOrganization": {
-              "@type": "Organization",
-              "name": "Excel Medical Staffing",
-              "sameAs": "https://excelmedicalsolutions.com",
-              "logo": "https://excelmedicalsolutions.com/images/logo.png"
-            },
-            "jobLocation": {
-              "@type": "Place",
-              "address": {
-                "@type": "PostalAddress",
-                "addressLocality": job.city,
-                "addressRegion": job.state,
-                "postalCode": job.zipCode,
-                "addressCountry": "US"
-              }
-            },
-            "baseSalary": {
-              "@type": "MonetaryAmount",
-              "currency": "USD",
-              "value": {
-                "@type": "QuantitativeValue",
-                "value": job.payRate * job.weeklyHours,
-                "unitText": "WEEK"
-              }
-            },
-            "workHours": `${job.weeklyHours} hours per week`,
-            "occupationalCategory": job.specialty,
-            "skills": job.requirements,
-            "industry": "Healthcare",
-            "jobBenefits": job.benefits,
-            "identifier": {
-              "@type": "PropertyValue",
-              "name": "Excel Medical Staffing Job ID",
-              "value": job.externalId
-            }
-          })}
-        </script>
       </Head>
+      {jobPostingHead}
       
       <div className="bg-gray-50 min-h-screen py-8">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -355,6 +329,11 @@ const JobDetailPage = () => {
                 </div>
               </Card>
               
+              {/* Weekly pay calculator */}
+              {job.payRate && (
+                <CompensationCalculator job={job} />
+              )}
+              
               {/* Job description */}
               <Card className="mb-6">
                 <h2 className="text-lg font-medium text-gray-900 mb-4">Job Description</h2>
@@ -434,6 +413,14 @@ const JobDetailPage = () => {
                       </div>
                     )}
                   </div>
+                  
+                  <div className="mt-4">
+                    <Link href={`/facilities/${job.facility.id}`}>
+                      <a className="text-primary-600 hover:text-primary-800 text-sm font-medium">
+                        View facility profile &rarr;
+                      </a>
+                    </Link>
+                  </div>
                 </Card>
               )}
               
@@ -504,6 +491,11 @@ const JobDetailPage = () => {
                             <h3 className="text-sm font-medium text-gray-900 hover:text-primary-600">{similarJob.title}</h3>
                             <p className="text-xs text-gray-500">{similarJob.facilityName}</p>
                             <p className="text-xs text-gray-500">{similarJob.city}, {similarJob.state}</p>
+                            {similarJob.similarity?.reasons?.length > 0 && (
+                              <p className="text-xs text-primary-700 mt-1">
+                                {similarJob.similarity.reasons.slice(0, 2).join(' • ')}
+                              </p>
+                            )}
                             <div className="mt-1 flex justify-between items-center">
                               <span className="text-xs font-medium text-gray-900">${(similarJob.payRate * similarJob.weeklyHours).toFixed(0)}/week</span>
                               <Badge variant={getShiftBadgeVariant(similarJob.shiftType)} size="sm">
@@ -738,4 +730,22 @@ const JobDetailSkeleton = () => {
   );
 };
 
+// Load the job's JobPosting for the JSON-LD; the rest of the page loads in the browser
+export const getServerSideProps = async ({ params }) => {
+  const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
+  
+  try {
+    const response = await fetch(`${apiUrl}/api/jobs/${encodeURIComponent(params.id)}/structured-data`);
+    
+    if (response.ok) {
+      const { data } = await response.json();
+      return { props: { jobPosting: data } };
+    }
+  } catch (error) {
+    console.error(`Error fetching structured data for job ID ${params.id}:`, error);
+  }
+  
+  return { props: { jobPosting: null } };
+};
+
 export default JobDetailPage;
\ No newline at end of file
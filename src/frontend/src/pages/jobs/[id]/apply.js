@@ -7,6 +7,7 @@ import useAutoSave from '../../../hooks/useAutoSave';
 import useFormValidation from '../../../hooks/useFormValidation';
 import useResumeParser from '../../../hooks/useResumeParser';
 import { mapResumeDataToFormFields } from '../../../services/resumeService';
+import { getApplicationSource } from '../../../hooks/useApplicationSource';
 
 const JobApplicationPage = () => {
   const router = useRouter();
@@ -282,6 +283,12 @@ const JobApplicationPage = () => {
       // Add job ID
       submitData.append('jobId', id);
       
+      // Credit the job board or feed the candidate came from
+      const source = getApplicationSource();
+      if (source) {
+        submitData.append('source', source);
+      }
+      
       // Submit application
       await axios.post(`${process.env.NEXT_PUBLIC_API_URL}/api/applications`, submitData, {
         headers: {
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import JobSearchForm from '../../components/JobSearch/JobSearchForm';
@@ -6,6 +6,30 @@ import JobList from '../../components/JobSearch/JobList';
 import JobFilters from '../../components/JobSearch/JobFilters';
 import jobService from '../../services/jobService';
 
+// ZIP codes and "latitude,longitude" pairs are searched by radius; other
+// locations are state or city names
+const RADIUS_LOCATION_PATTERN = /^\s*(\d{5}(-\d{4})?|-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?)\s*$/;
+
+// Convert filters to API parameters
+const getJobParams = (filters) => ({
+  search: filters.keyword,
+  specialty: filters.specialty.length > 0 ? filters.specialty.join(',') : undefined,
+  state: filters.state.length > 0 ? filters.state.join(',') : undefined,
+  city: filters.city || undefined,
+  shiftType: filters.shiftType.length > 0 ? filters.shiftType.join(',') : undefined,
+  minPay: filters.minPay || undefined,
+  maxPay: filters.maxPay || undefined,
+  startDate: filters.startDate || undefined,
+  startBefore: filters.startBefore || undefined,
+  isFeatured: filters.isFeatured || undefined,
+  isUrgent: filters.isUrgent || undefined,
+  near: filters.near || undefined,
+  radius: filters.radius || undefined,
+  sort: filters.sort,
+  limit: filters.limit,
+  pagination: 'cursor'
+});
+
 const JobSearchPage = () => {
   const router = useRouter();
   const [jobs, setJobs] = useState([]);
@@ -13,9 +37,12 @@ const JobSearchPage = () => {
   const [error, setError] = useState(null);
   const [specialties, setSpecialties] = useState([]);
   const [locations, setLocations] = useState([]);
-  const [totalJobs, setTotalJobs] = useState(0);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [facets, setFacets] = useState(null);
+  
+  // Incremented on every new search so late pages of an old one are dropped
+  const searchIdRef = useRef(0);
   
   // Parse filters from URL query parameters
   const [filters, setFilters] = useState({
@@ -26,8 +53,13 @@ const JobSearchPage = () => {
     shiftType: [],
     minPay: '',
     maxPay: '',
+    startDate: '',
+    startBefore: '',
+    isFeatured: false,
+    isUrgent: false,
+    near: '',
+    radius: '',
     sort: 'updatedAt:desc',
-    page: 1,
     limit: 10
   });
   
@@ -36,8 +68,10 @@ const JobSearchPage = () => {
     if (router.isReady) {
       const { 
         keyword, specialty, state, city, shiftType, 
-        minPay, maxPay, sort, page = 1, limit = 10 
+        minPay, maxPay, startDate, startBefore, isFeatured, isUrgent,
+        location, radius, sort, limit = 10 
       } = router.query;
+      const near = location && RADIUS_LOCATION_PATTERN.test(location) ? location.trim() : '';
       
       setFilters({
         keyword: keyword || '',
@@ -47,12 +81,15 @@ const JobSearchPage = () => {
         shiftType: shiftType ? shiftType.split(',') : [],
         minPay: minPay || '',
         maxPay: maxPay || '',
-        sort: sort || 'updatedAt:desc',
-        page: parseInt(page),
+        startDate: startDate || '',
+        startBefore: startBefore || '',
+        isFeatured: isFeatured === 'true',
+        isUrgent: isUrgent === 'true',
+        near,
+        radius: near ? radius || '' : '',
+        sort: sort || (near ? 'distance:asc' : 'updatedAt:desc'),
         limit: parseInt(limit)
       });
-      
-      setCurrentPage(parseInt(page) || 1);
     }
   }, [router.isReady, router.query]);
   
@@ -75,37 +112,32 @@ const JobSearchPage = () => {
     fetchFilterData();
   }, []);
   
-  // Fetch jobs based on filters
+  // Fetch the first jobs based on filters
   useEffect(() => {
     const fetchJobs = async () => {
+      const searchId = ++searchIdRef.current;
+      
       setLoading(true);
+      setLoadingMore(false);
       setError(null);
       
       try {
-        // Convert filters to API parameters
-        const params = {
-          search: filters.keyword,
-          specialty: filters.specialty.length > 0 ? filters.specialty.join(',') : undefined,
-          state: filters.state.length > 0 ? filters.state.join(',') : undefined,
-          city: filters.city || undefined,
-          shiftType: filters.shiftType.length > 0 ? filters.shiftType.join(',') : undefined,
-          minPay: filters.minPay || undefined,
-          maxPay: filters.maxPay || undefined,
-          sort: filters.sort,
-          page: filters.page,
-          limit: filters.limit
-        };
+        const response = await jobService.getJobs({ ...getJobParams(filters), facets: true });
         
-        const response = await jobService.getJobs(params);
+        if (searchId !== searchIdRef.current) {
+          return;
+        }
         
         setJobs(response.data);
-        setTotalJobs(response.meta.total);
-        setTotalPages(response.meta.total_pages);
+        setFacets(response.facets || null);
+        setNextCursor(response.meta.next_cursor);
       } catch (error) {
         console.error('Error fetching jobs:', error);
         setError('Failed to load jobs. Please try again later.');
       } finally {
-        setLoading(false);
+        if (searchId === searchIdRef.current) {
+          setLoading(false);
+        }
       }
     };
     
@@ -114,10 +146,35 @@ const JobSearchPage = () => {
     }
   }, [filters, router.isReady]);
   
+  // Load the next jobs after the ones already shown
+  const handleLoadMore = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    
+    const searchId = searchIdRef.current;
+    setLoadingMore(true);
+    
+    try {
+      const response = await jobService.getJobs({ ...getJobParams(filters), cursor: nextCursor });
+      
+      if (searchId === searchIdRef.current) {
+        setJobs(previousJobs => [...previousJobs, ...response.data]);
+        setNextCursor(response.meta.next_cursor);
+      }
+    } catch (error) {
+      console.error('Error fetching more jobs:', error);
+    } finally {
+      if (searchId === searchIdRef.current) {
+        setLoadingMore(false);
+      }
+    }
+  };
+  
   // Handle filter changes
   const handleFilterChange = (newFilters) => {
-    // Reset to page 1 when filters change
-    const updatedFilters = { ...newFilters, page: 1 };
+    // Start from the first jobs again when filters change
+    const updatedFilters = { ...newFilters };
     
     // Update URL with new filters
     const queryParams = new URLSearchParams();
@@ -150,21 +207,33 @@ const JobSearchPage = () => {
       queryParams.append('maxPay', updatedFilters.maxPay);
     }
     
-    if (updatedFilters.sort) {
-      queryParams.append('sort', updatedFilters.sort);
+    if (updatedFilters.startDate) {
+      queryParams.append('startDate', updatedFilters.startDate);
     }
     
-    // Update URL without refreshing the page
-    router.push(`/jobs/search?${queryParams.toString()}`, undefined, { shallow: true });
-  };
-  
-  // Handle page change
-  const handlePageChange = (page) => {
-    const updatedFilters = { ...filters, page };
+    if (updatedFilters.startBefore) {
+      queryParams.append('startBefore', updatedFilters.startBefore);
+    }
+    
+    if (updatedFilters.isFeatured) {
+      queryParams.append('isFeatured', 'true');
+    }
+    
+    if (updatedFilters.isUrgent) {
+      queryParams.append('isUrgent', 'true');
+    }
+    
+    if (updatedFilters.near) {
+      queryParams.append('location', updatedFilters.near);
+    }
+    
+    if (updatedFilters.near && updatedFilters.radius) {
+      queryParams.append('radius', updatedFilters.radius);
+    }
     
-    // Update URL with new page
-    const queryParams = new URLSearchParams(router.query);
-    queryParams.set('page', page);
+    if (updatedFilters.sort) {
+      queryParams.append('sort', updatedFilters.sort);
+    }
     
     // Update URL without refreshing the page
     router.push(`/jobs/search?${queryParams.toString()}`, undefined, { shallow: true });
@@ -186,7 +255,8 @@ const JobSearchPage = () => {
               initialValues={{
                 keyword: filters.keyword,
                 specialty: filters.specialty.length === 1 ? filters.specialty[0] : '',
-                location: filters.city || (filters.state.length === 1 ? filters.state[0] : '')
+                location: filters.near || filters.city || (filters.state.length === 1 ? filters.state[0] : ''),
+                radius: filters.radius
               }}
             />
           </div>
@@ -202,6 +272,7 @@ const JobSearchPage = () => {
                 onFilterChange={handleFilterChange}
                 specialties={specialties}
                 states={locations}
+                facets={facets}
               />
             </div>
             
@@ -211,10 +282,9 @@ const JobSearchPage = () => {
                 jobs={jobs}
                 loading={loading}
                 error={error}
-                totalJobs={totalJobs}
-                currentPage={currentPage}
-                totalPages={totalPages}
-                onPageChange={handlePageChange}
+                hasMore={Boolean(nextCursor)}
+                loadingMore={loadingMore}
+                onLoadMore={handleLoadMore}
               />
             </div>
           </div>
@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { TwoFactorChallenge } from '../../components/Auth';
+import authService from '../../services/authService';
+
+/**
+ * TwoFactorLoginPage Component
+ * 
+ * Second step of sign-in for users with two-factor authentication enabled
+ */
+const TwoFactorLoginPage = () => {
+  const router = useRouter();
+
+  useEffect(() => {
+    // Without a pending challenge there is nothing to verify
+    if (!authService.hasPendingChallenge()) {
+      router.replace('/login');
+    }
+  }, [router]);
+
+  const handleSuccess = () => {
+    const redirect = typeof router.query.redirect === 'string' && router.query.redirect.startsWith('/')
+      ? router.query.redirect
+      : '/dashboard';
+    router.push(redirect);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Verify Sign In | Excel Medical Staffing</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="bg-gray-50 min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+            <TwoFactorChallenge
+              onVerify={authService.verifyTwoFactor}
+              onSuccess={handleSuccess}
+            />
+          </div>
+
+          <p className="mt-6 text-center text-sm text-gray-500">
+            <Link href="/login">
+              <a className="font-medium text-primary-600 hover:text-primary-500">Back to sign in</a>
+            </Link>
+          </p>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TwoFactorLoginPage;
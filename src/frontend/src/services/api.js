@@ -20,14 +20,57 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Exchange the stored refresh token for a new token pair.
+// Concurrent 401s share a single in-flight refresh request.
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = axios
+      .post(`${api.defaults.baseURL}/api/v1/auth/refresh-token`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Auth endpoints report bad credentials with 401; let the caller handle them
+    const isAuthRequest = originalRequest && originalRequest.url && originalRequest.url.startsWith('/api/v1/auth/');
+
     // Handle 401 Unauthorized errors
-    if (error.response && error.response.status === 401) {
+    if (error.response && error.response.status === 401 && !isAuthRequest) {
+      // Try once to refresh the access token before giving up
+      if (originalRequest && !originalRequest._retry && localStorage.getItem('refreshToken')) {
+        originalRequest._retry = true;
+
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          // Fall through to clearing the session
+        }
+      }
+
       // Clear local storage and redirect to login
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       
       // Only redirect if we're in the browser
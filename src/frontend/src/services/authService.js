@@ -0,0 +1,171 @@
+import api from './api';
+
+const CHALLENGE_TOKEN_KEY = 'twoFactorChallengeToken';
+const ENROLLMENT_TOKEN_KEY = 'twoFactorEnrollmentToken';
+
+/**
+ * Store the tokens and user from a completed login
+ *
+ * @param {Object} data - Login response data
+ */
+const storeSession = (data) => {
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+
+  sessionStorage.removeItem(CHALLENGE_TOKEN_KEY);
+  sessionStorage.removeItem(ENROLLMENT_TOKEN_KEY);
+};
+
+/**
+ * Build request options for two-factor enrollment calls, which use the
+ * enrollment token issued at login when the user is not signed in yet
+ *
+ * @returns {Object} - Axios request options
+ */
+const enrollmentRequestOptions = () => {
+  const enrollmentToken = sessionStorage.getItem(ENROLLMENT_TOKEN_KEY);
+  return enrollmentToken
+    ? { headers: { Authorization: `Bearer ${enrollmentToken}` } }
+    : {};
+};
+
+/**
+ * Auth Service
+ * Handles authentication and two-factor API calls
+ */
+const authService = {
+  /**
+   * Log in with email and password. When a second factor or enrollment is
+   * required, the restricted token is kept in session storage for the next step.
+   *
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {Promise<Object>} - Login response data
+   */
+  login: async (email, password) => {
+    try {
+      const response = await api.post('/api/v1/auth/login', { email, password });
+      const { data } = response.data;
+
+      if (data.twoFactorRequired) {
+        sessionStorage.setItem(CHALLENGE_TOKEN_KEY, data.challengeToken);
+      } else if (data.twoFactorEnrollmentRequired) {
+        sessionStorage.setItem(ENROLLMENT_TOKEN_KEY, data.enrollmentToken);
+      } else {
+        storeSession(data);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error logging in:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether a two-factor challenge is pending for this browser session
+   *
+   * @returns {boolean}
+   */
+  hasPendingChallenge: () => sessionStorage.getItem(CHALLENGE_TOKEN_KEY) !== null,
+
+  /**
+   * Whether the user was asked to enroll in two-factor authentication at login
+   *
+   * @returns {boolean}
+   */
+  hasPendingEnrollment: () => sessionStorage.getItem(ENROLLMENT_TOKEN_KEY) !== null,
+
+  /**
+   * Complete a two-factor challenge
+   *
+   * @param {Object} params - Verification parameters
+   * @param {string} [params.code] - Code from the authenticator app
+   * @param {string} [params.recoveryCode] - One-time recovery code
+   * @returns {Promise<Object>} - Login response data
+   */
+  verifyTwoFactor: async ({ code, recoveryCode }) => {
+    try {
+      const response = await api.post('/api/v1/auth/2fa/verify', {
+        challengeToken: sessionStorage.getItem(CHALLENGE_TOKEN_KEY),
+        code,
+        recoveryCode
+      });
+      storeSession(response.data.data);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error verifying two-factor code:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Start two-factor enrollment
+   *
+   * @returns {Promise<Object>} - Secret, provisioning URI and QR code data URL
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await api.post('/api/v1/auth/2fa/setup', {}, enrollmentRequestOptions());
+      return response.data.data;
+    } catch (error) {
+      console.error('Error starting two-factor enrollment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm two-factor enrollment
+   *
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} - Recovery codes, plus session tokens when enrolling during login
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/api/v1/auth/2fa/enable', { code }, enrollmentRequestOptions());
+      storeSession(response.data.data);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Disable two-factor authentication
+   *
+   * @param {string} password - Current password
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} - Response data
+   */
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await api.post('/api/v1/auth/2fa/disable', { password, code });
+      return response.data;
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the user's recovery codes
+   *
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>>} - New recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/api/v1/auth/2fa/recovery-codes', { code });
+      return response.data.data.recoveryCodes;
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      throw error;
+    }
+  }
+};
+
+export default authService;
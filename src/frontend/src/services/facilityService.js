@@ -0,0 +1,63 @@
+import api from './api';
+
+/**
+ * Facility Service
+ * Handles all facility-related API calls
+ */
+const facilityService = {
+  /**
+   * Get facility by ID
+   * 
+   * @param {string} id - Facility ID
+   * @returns {Promise<Object>} - Facility data
+   */
+  getFacilityById: async (id) => {
+    try {
+      const response = await api.get(`/api/v1/facilities/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching facility with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a facility's open jobs, pay, time-to-fill, contract length,
+   * posting volume and placement stats
+   * 
+   * @param {string} id - Facility ID
+   * @returns {Promise<Object>} - Facility stats
+   */
+  getFacilityStats: async (id) => {
+    try {
+      const response = await api.get(`/api/v1/facilities/${id}/stats`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching stats for facility ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get jobs at a facility
+   * 
+   * @param {string} id - Facility ID
+   * @param {Object} params - Query parameters
+   * @param {string} [params.status='active'] - Job status
+   * @param {string} [params.sort] - Sort field and direction (e.g., 'payRate:desc')
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Items per page
+   * @returns {Promise<Object>} - Jobs data and metadata
+   */
+  getFacilityJobs: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/api/v1/facilities/${id}/jobs`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching jobs for facility ID ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default facilityService;
\ No newline at end of file
@@ -16,9 +16,18 @@ const jobService = {
    * @param {number} [params.minPay] - Minimum pay rate
    * @param {number} [params.maxPay] - Maximum pay rate
    * @param {string|string[]} [params.shiftType] - Shift type
+   * @param {string} [params.near] - ZIP code or "latitude,longitude" to search around
+   * @param {number} [params.radius=50] - Search radius in miles when near is set
+   * @param {string} [params.startDate] - Earliest start date (YYYY-MM-DD)
+   * @param {string} [params.startBefore] - Start date upper bound, exclusive (YYYY-MM-DD)
+   * @param {boolean} [params.isFeatured] - Only featured jobs
+   * @param {boolean} [params.isUrgent] - Only urgent jobs
+   * @param {boolean} [params.facets] - Include job counts per filter value
    * @param {string} [params.sort] - Sort field and direction (e.g., 'payRate:desc')
    * @param {number} [params.page=1] - Page number
    * @param {number} [params.limit=10] - Items per page
+   * @param {string} [params.pagination] - 'cursor' to page by cursor instead of page number
+   * @param {string} [params.cursor] - meta.next_cursor from the previous page
    * @returns {Promise<Object>} - Jobs data and metadata
    */
   getJobs: async (params = {}) => {
@@ -96,6 +105,49 @@ const jobService = {
     }
   },
 
+  /**
+   * Get a job's weekly compensation breakdown
+   * 
+   * @param {string} id - Job ID
+   * @param {Object} [options] - Calculation options
+   * @param {number} [options.hours] - Hours worked per week (defaults to the job's weekly hours)
+   * @param {number} [options.taxRate] - Tax rate on taxable pay, between 0 and 1
+   * @param {AbortSignal} [options.signal] - Cancels the request when a newer one replaces it
+   * @returns {Promise<Object>} - Gross weekly pay, taxable and tax-free amounts, overtime and estimated take-home
+   */
+  getJobCompensation: async (id, { hours, taxRate, signal } = {}) => {
+    try {
+      const response = await api.get(`/api/jobs/${id}/compensation`, { params: { hours, taxRate }, signal });
+      return response.data;
+    } catch (error) {
+      if (error.name !== 'CanceledError') {
+        console.error(`Error fetching compensation for job ID ${id}:`, error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get typeahead suggestions for the search box
+   * 
+   * @param {string} q - Partial search text (at least 2 characters)
+   * @param {Object} [options] - Request options
+   * @param {number} [options.limit=5] - Most suggestions per group
+   * @param {AbortSignal} [options.signal] - Cancels the request when a newer one replaces it
+   * @returns {Promise<Object>} - Specialties, locations, facilities and titles with open-job counts
+   */
+  getSuggestions: async (q, { limit, signal } = {}) => {
+    try {
+      const response = await api.get('/api/jobs/suggest', { params: { q, limit }, signal });
+      return response.data;
+    } catch (error) {
+      if (error.name !== 'CanceledError') {
+        console.error('Error fetching job suggestions:', error);
+      }
+      throw error;
+    }
+  },
+
   /**
    * Get job specialties
    * 